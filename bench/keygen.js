@@ -0,0 +1,64 @@
+/**
+ * bench/keygen.js
+ *
+ * compare how long RSA key generation takes with the native crypto
+ * module of Node.js (what `generateKeyPair` uses) and with forge in
+ * JavaScript (what it used to use)
+ *
+ * ```bash
+ * npm run bench -- [bits] [rounds]
+ * ```
+ * Exits with a nonzero code unless the native generation takes at most
+ * a quarter of the time forge takes.
+ */
+const forge = require('node-forge');
+const Promise = require('bluebird');
+
+const { generateKeyPair } = require('../src/keys.js');
+
+const bits = parseInt(process.argv[2], 10) || 4096;
+const rounds = parseInt(process.argv[3], 10) || 2;
+// Native generation must take at most this part of forge's time
+const MAX_RATIO = 0.25;
+
+/**
+ * Time a key generation, a few times in a row
+ * @param  {Function} generate returns a promise
+ * @return {Promise}           average duration in milliseconds
+ */
+function measure(generate) {
+    const durations = [];
+
+    return Promise.mapSeries(new Array(rounds).fill(null), () => {
+        const start = process.hrtime();
+
+        return generate()
+            .then(() => {
+                const [ seconds, nanoseconds ] = process.hrtime(start);
+
+                durations.push(seconds * 1e3 + nanoseconds / 1e6);
+            });
+    })
+        .then(() => durations.reduce((sum, duration) => sum + duration, 0) / rounds);
+}
+
+console.log(`RSA ${bits} bits, average of ${rounds} rounds`);
+
+measure(() => generateKeyPair({ keyType: 'rsa', bits }))
+    .then(native => {
+        console.log(`native crypto: ${Math.round(native)} ms`);
+
+        return measure(() => Promise.fromCallback(callback =>
+            forge.pki.rsa.generateKeyPair({ bits, workers: -1 }, callback)))
+            .then(js => {
+                const ratio = native / js;
+
+                console.log(`forge:         ${Math.round(js)} ms`);
+                console.log(`native takes ${(ratio * 100).toFixed(1)}% of forge's time`);
+
+                if (ratio > MAX_RATIO) {
+                    console.log(`Expected at most ${MAX_RATIO * 100}%.`);
+                    process.exitCode = 1;
+                }
+            });
+    });
@@ -0,0 +1,873 @@
+/**
+ * src/acme.js
+ *
+ * provide a minimal ACME server (RFC 8555) issuing certificates with
+ * a CA: accounts, orders, http-01 challenges, finalization with a CSR
+ * and certificate download, enough for certbot, lego, Caddy or
+ * cert-manager to run against a local CA
+ */
+import http from 'http';
+import https from 'https';
+import { createHash, createPublicKey, randomBytes, verify } from 'crypto';
+import { isIP } from 'net';
+import { parse as parseUrl } from 'url';
+import { asn1, util } from 'node-forge';
+import Promise from 'bluebird';
+
+import {
+    certificateToPem,
+    certificationRequestFromAsn1,
+    createCertificateFromRequest,
+    signCertificate,
+    getCertificateChain,
+    exceedsServerLifetime,
+    MAX_SERVER_DAYS } from './cert.js';
+import { parseSANFromOptions } from './names.js';
+import { getNameConstraintViolations } from './constraints.js';
+import { allocateSerialNumber, recordCertificate } from './store.js';
+
+const ERROR_NAMESPACE = 'urn:ietf:params:acme:error:';
+
+// Algorithms accepted to sign requests, and the keys they go with
+const JWS_ALGORITHMS = {
+    RS256: { kty: 'RSA', hash: 'sha256' },
+    ES256: { kty: 'EC', crv: 'P-256', hash: 'sha256' },
+    ES384: { kty: 'EC', crv: 'P-384', hash: 'sha384' },
+    EdDSA: { kty: 'OKP', crv: 'Ed25519', hash: null }
+};
+
+// Members of a JWK hashed into its thumbprint (RFC 7638)
+const THUMBPRINT_MEMBERS = {
+    RSA: ['e', 'kty', 'n'],
+    EC: ['crv', 'kty', 'x', 'y'],
+    OKP: ['crv', 'kty', 'x']
+};
+
+const MAX_REQUEST_SIZE = 64 * 1024;
+// Nonces not used yet, the oldest are forgotten beyond that
+const MAX_NONCES = 10000;
+const VALIDATION_TIMEOUT = 10 * 1000;
+const MAX_RESPONSE_SIZE = 8 * 1024;
+const DAY = 24 * 60 * 60 * 1000;
+// Pending authorizations and orders are kept that long
+const EXPIRATION = 7 * DAY;
+
+/**
+ * Create the error of an ACME problem document (RFC 7807)
+ * @param  {string} type   e.g. "malformed", see section 6.7
+ * @param  {string} detail
+ * @param  {Number} status HTTP status code
+ * @return {Error}
+ */
+function createProblem(type, detail, status = 400) {
+    const err = new Error(detail);
+
+    err.type = `${ERROR_NAMESPACE}${type}`;
+    err.status = status;
+
+    return err;
+}
+
+/**
+ * Encode a Buffer or a string in base64url, without padding
+ * @param  {Buffer|string} data
+ * @return {string}
+ */
+function base64url(data) {
+    return Buffer.from(data).toString('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+}
+
+/**
+ * Decode base64url
+ * @param  {string} str
+ * @return {Buffer}
+ */
+function fromBase64url(str) {
+    if (typeof str !== 'string' || !/^[A-Za-z0-9_-]*$/.test(str)) {
+        throw createProblem('malformed', 'Invalid base64url encoding.');
+    }
+
+    return Buffer.from(str.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Generate a random identifier, used in URLs and as tokens
+ * @return {string}
+ */
+function generateId() {
+    return base64url(randomBytes(16));
+}
+
+/**
+ * Compute the thumbprint of a JWK (RFC 7638)
+ * @param  {Object} jwk
+ * @return {string}     base64url
+ */
+function getThumbprint(jwk) {
+    const members = THUMBPRINT_MEMBERS[jwk.kty];
+    // Required members only, in lexicographic order
+    const json = `{${members.map(name => `"${name}":${JSON.stringify(jwk[name])}`).join(',')}}`;
+
+    return base64url(createHash('sha256').update(json).digest());
+}
+
+/**
+ * Turn an identifier into a key comparable to the names of a CSR
+ * @param  {string} type  "dns" or "ip"
+ * @param  {string} value
+ * @return {string}
+ */
+function identifierToKey(type, value) {
+    return type === 'ip' ?
+        `ip:${util.bytesToHex(util.bytesFromIP(value) || '')}` :
+        `dns:${value.toLowerCase()}`;
+}
+
+/**
+ * Get the names a CSR asks for: its common name and "subjectAltName"
+ * @param  {CertificationRequest} csr
+ * @return {Object}                   { keys, commonName }
+ */
+function getRequestedNames(csr) {
+    const commonName = csr.subject.getField('CN');
+    const request = csr.getAttribute({ name: 'extensionRequest' });
+    const san = request && request.extensions.find(ext => ext.name === 'subjectAltName');
+    const keys = (san ? san.altNames : []).map(altName => {
+        switch (altName.type) {
+        case 2:
+            return identifierToKey('dns', altName.value);
+        case 7:
+            return `ip:${util.bytesToHex(altName.value)}`;
+        default:
+            throw createProblem('badCSR', 'Only DNS names and IP addresses can be requested.');
+        }
+    });
+
+    if (commonName) {
+        keys.push(identifierToKey(/^[\d.]+$|:/.test(commonName.value) ? 'ip' : 'dns', commonName.value));
+    }
+
+    return {
+        keys: keys.filter((key, index) => keys.indexOf(key) === index),
+        commonName: commonName && commonName.value
+    };
+}
+
+/**
+ * Read the body of a request
+ * @param  {IncomingMessage} req
+ * @return {Promise}             string
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+
+            if (size > MAX_REQUEST_SIZE) {
+                reject(createProblem('malformed', 'Request too large.', 413));
+                req.destroy();
+                return;
+            }
+
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Fetch the response of an http-01 challenge
+ * @param  {string}  url
+ * @return {Promise}     body of the response
+ */
+function fetchChallengeResponse(url) {
+    return new Promise((resolve, reject) => {
+        const req = http.get(url, { agent: false, timeout: VALIDATION_TIMEOUT }, res => {
+            const chunks = [];
+            let size = 0;
+
+            if (res.statusCode !== 200) {
+                res.resume();
+                reject(createProblem('incorrectResponse', `Fetching ${url}: HTTP status ${res.statusCode}${
+                    res.statusCode >= 300 && res.statusCode < 400 ? ', redirects are not followed' : ''}.`, 403));
+                return;
+            }
+
+            res.on('data', chunk => {
+                size += chunk.length;
+
+                if (size <= MAX_RESPONSE_SIZE) {
+                    chunks.push(chunk);
+                }
+            });
+            res.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        });
+
+        req.on('timeout', () => req.destroy(new Error('timeout')));
+        req.on('error', err => reject(createProblem('connection',
+            `Fetching ${url}: ${err.message}`, 400)));
+    });
+}
+
+/**
+ * Create an ACME server issuing certificates with the given CA. Its
+ * state (accounts, orders, ...) lives in memory, issued certificates are
+ * recorded in the CA home as with the sign commands
+ * @param  {Certificate} options.CACert      the certificate of the CA
+ * @param  {PrivateKey}  options.CAKey       the private key of the CA
+ * @param  {Array}       options.CAChain     issuer certificates, issuing CA first
+ * @param  {string}      options.home        path of CA home directory
+ * @param  {Array}       options.exts        X.509 v3 certificate extensions of the profile
+ * @param  {string}      options.profile     name of the profile, kept in the index
+ * @param  {Number}      options.days        certificate Time-To-Live in days
+ * @param  {Boolean}     options.autoApprove authorizations are valid at once, nothing is validated
+ * @param  {Number}      options.httpPort    port http-01 challenges are fetched from
+ * @param  {?Object}     options.tls         { cert, key } PEM, served over HTTPS when given
+ * @param  {Function}    options.onEvent     called with { type, detail, failed } of every step
+ * @return {Server}
+ */
+export function createACMEServer({
+    CACert, CAKey, CAChain, home, exts, profile, days, autoApprove = false, httpPort = 80, tls,
+    onEvent = () => {} }) {
+    const nonces = new Set();
+    const accounts = new Map();
+    const orders = new Map();
+    const authorizations = new Map();
+    const challenges = new Map();
+    const certificates = new Map();
+
+    const createNonce = () => {
+        const nonce = generateId();
+
+        nonces.add(nonce);
+
+        if (nonces.size > MAX_NONCES) {
+            nonces.delete(nonces.values().next().value);
+        }
+
+        return nonce;
+    };
+
+    // Everything is owned by an account
+    const findOwned = (map, id, account, what) => {
+        const item = map.get(id);
+
+        if (!item) {
+            throw createProblem('malformed', `No such ${what}: ${id}`, 404);
+        }
+
+        if (item.accountId !== account.id) {
+            throw createProblem('unauthorized', `The ${what} belongs to another account.`, 403);
+        }
+
+        return item;
+    };
+
+    const getOrderStatus = order => {
+        if (order.status !== 'pending') {
+            return order.status;
+        }
+
+        const statuses = order.authzIds.map(id => authorizations.get(id).status);
+
+        if (statuses.indexOf('invalid') !== -1) {
+            return 'invalid';
+        }
+
+        return statuses.every(status => status === 'valid') ? 'ready' : 'pending';
+    };
+
+    const describeAccount = (account, origin) => ({
+        status: account.status,
+        contact: account.contact,
+        orders: `${origin}/acme/acct/${account.id}/orders`
+    });
+
+    const describeChallenge = (challenge, origin) => Object.assign({
+        type: challenge.type,
+        url: `${origin}/acme/chall/${challenge.id}`,
+        token: challenge.token,
+        status: challenge.status
+    }, challenge.validated ? { validated: challenge.validated.toISOString() } : {},
+    challenge.error ? { error: challenge.error } : {});
+
+    const describeAuthorization = (authz, origin) => Object.assign({
+        identifier: authz.identifier,
+        status: authz.status,
+        expires: authz.expires.toISOString(),
+        challenges: authz.challengeIds.map(id => describeChallenge(challenges.get(id), origin))
+    }, authz.wildcard ? { wildcard: true } : {});
+
+    const describeOrder = (order, origin) => Object.assign({
+        status: getOrderStatus(order),
+        expires: order.expires.toISOString(),
+        identifiers: order.identifiers,
+        authorizations: order.authzIds.map(id => `${origin}/acme/authz/${id}`),
+        finalize: `${origin}/acme/finalize/${order.id}`
+    }, order.notBefore ? { notBefore: order.notBefore.toISOString() } : {},
+    order.notAfter ? { notAfter: order.notAfter.toISOString() } : {},
+    order.certId ? { certificate: `${origin}/acme/cert/${order.certId}` } : {},
+    order.error ? { error: order.error } : {});
+
+    /**
+     * Check the JWS of a request (section 6.2): algorithm, nonce, URL,
+     * key or account, and signature
+     */
+    const verifyRequest = (req, body, origin, { newAccount = false } = {}) => {
+        let jws, header, payload;
+
+        if (!/^application\/jose\+json/.test(req.headers['content-type'] || '')) {
+            throw createProblem('malformed', 'Content-Type must be application/jose+json.', 415);
+        }
+
+        try {
+            jws = JSON.parse(body);
+            header = JSON.parse(fromBase64url(jws.protected).toString('utf8'));
+        } catch (err) {
+            throw createProblem('malformed', 'Request is not a flattened JWS.');
+        }
+
+        const algorithm = JWS_ALGORITHMS[header.alg];
+
+        if (!algorithm) {
+            const err = createProblem('badSignatureAlgorithm', `Unsupported algorithm: ${header.alg}`);
+
+            err.algorithms = Object.keys(JWS_ALGORITHMS);
+            throw err;
+        }
+
+        if (!nonces.delete(header.nonce)) {
+            throw createProblem('badNonce', 'Unknown or already used nonce.');
+        }
+
+        if (header.url !== `${origin}${req.url}`) {
+            throw createProblem('unauthorized', `URL of the JWS header does not match the request: ${header.url}`, 401);
+        }
+
+        if (Boolean(header.jwk) === Boolean(header.kid)) {
+            throw createProblem('malformed', 'Exactly one of "jwk" and "kid" is expected.');
+        }
+
+        if (newAccount !== Boolean(header.jwk)) {
+            throw createProblem('malformed', newAccount ?
+                'New accounts are requested with "jwk".' :
+                'Requests are signed by an account, given by "kid".');
+        }
+
+        let account, jwk;
+
+        if (header.kid) {
+            const matchResult = (parseUrl(header.kid).pathname || '').match(/^\/acme\/acct\/([\w-]+)$/);
+
+            account = matchResult && accounts.get(matchResult[1]);
+
+            if (!account) {
+                throw createProblem('accountDoesNotExist', `No such account: ${header.kid}`);
+            }
+
+            if (account.status !== 'valid') {
+                throw createProblem('unauthorized', `Account is ${account.status}.`, 403);
+            }
+
+            jwk = account.jwk;
+        } else {
+            jwk = header.jwk;
+        }
+
+        if (jwk.kty !== algorithm.kty || (algorithm.crv && jwk.crv !== algorithm.crv)) {
+            throw createProblem('badSignatureAlgorithm', `Algorithm ${header.alg} does not match the key.`);
+        }
+
+        let valid;
+
+        try {
+            valid = verify(algorithm.hash, Buffer.from(`${jws.protected}.${jws.payload}`), {
+                key: createPublicKey({ key: jwk, format: 'jwk' }),
+                // ECDSA signatures of JWS are r || s
+                dsaEncoding: 'ieee-p1363'
+            }, fromBase64url(jws.signature));
+        } catch (err) {
+            valid = false;
+        }
+
+        if (!valid) {
+            throw createProblem('malformed', 'JWS signature is invalid.');
+        }
+
+        try {
+            // An empty payload stands for POST-as-GET
+            payload = jws.payload === '' ? null : JSON.parse(fromBase64url(jws.payload).toString('utf8'));
+        } catch (err) {
+            throw createProblem('malformed', 'Payload is not JSON.');
+        }
+
+        return { account, jwk, payload };
+    };
+
+    /**
+     * Fetch the key authorization of an http-01 challenge and update
+     * the challenge and its authorization
+     */
+    const validateChallenge = (challenge, authz, account) => {
+        const { type, value } = authz.identifier;
+        const host = type === 'ip' && value.indexOf(':') !== -1 ? `[${value}]` : value;
+        const url = `http://${host}:${httpPort}/.well-known/acme-challenge/${challenge.token}`;
+        const keyAuthorization = `${challenge.token}.${account.thumbprint}`;
+
+        return fetchChallengeResponse(url)
+            .then(body => {
+                if (body.trim() !== keyAuthorization) {
+                    throw createProblem('incorrectResponse',
+                        `Fetching ${url}: expected ${keyAuthorization}, got ${body.trim().slice(0, 100)}`, 403);
+                }
+
+                challenge.status = 'valid';
+                challenge.validated = new Date();
+                authz.status = 'valid';
+                onEvent({ type: 'challenge', detail: `${value} validated by http-01 (${url})` });
+            })
+            .catch(err => {
+                challenge.status = 'invalid';
+                challenge.error = {
+                    type: err.type || `${ERROR_NAMESPACE}serverInternal`,
+                    detail: err.message,
+                    status: err.status || 500
+                };
+                authz.status = 'invalid';
+                onEvent({ type: 'challenge', detail: `${value} invalid: ${err.message}`, failed: true });
+            });
+    };
+
+    const createAuthorization = (account, identifier) => {
+        const wildcard = identifier.type === 'dns' && /^\*\./.test(identifier.value);
+        const challenge = {
+            id: generateId(),
+            type: 'http-01',
+            token: generateId(),
+            status: autoApprove ? 'valid' : 'pending',
+            validated: autoApprove ? new Date() : undefined
+        };
+        const authz = {
+            id: generateId(),
+            accountId: account.id,
+            // The authorization of "*.a.test" is the one of "a.test"
+            identifier: {
+                type: identifier.type,
+                value: wildcard ? identifier.value.slice(2) : identifier.value
+            },
+            wildcard,
+            status: challenge.status,
+            expires: new Date(Date.now() + EXPIRATION),
+            challengeIds: [ challenge.id ]
+        };
+
+        challenge.authzId = authz.id;
+        challenge.accountId = account.id;
+        challenges.set(challenge.id, challenge);
+        authorizations.set(authz.id, authz);
+
+        return authz;
+    };
+
+    /**
+     * Issue the certificate of an order, the same way as `sign-csr`
+     */
+    const issueCertificate = (order, csr) => {
+        const { keys, commonName } = getRequestedNames(csr);
+        const expected = order.identifiers.map(({ type, value }) => identifierToKey(type, value));
+
+        if (keys.length !== expected.length || keys.some(key => expected.indexOf(key) === -1)) {
+            throw createProblem('badCSR', `Names of the CSR do not match the order: ${order.identifiers.map(({ value }) => value).join(', ')}`);
+        }
+
+        const sanExts = parseSANFromOptions({
+            dns: order.identifiers.filter(({ type }) => type === 'dns').map(({ value }) => value),
+            ip: order.identifiers.filter(({ type }) => type === 'ip').map(({ value }) => value)
+        });
+
+        return allocateSerialNumber(home)
+            .then(serial => {
+                const cert = createCertificateFromRequest({
+                    csr,
+                    exts: exts.concat(sanExts),
+                    serial,
+                    days,
+                    notBefore: order.notBefore,
+                    notAfter: order.notAfter
+                });
+
+                // Same limit as acme-serve --days, whatever the client asks for
+                if (exceedsServerLifetime(cert)) {
+                    throw createProblem('malformed', `Server certificates valid for more than ${MAX_SERVER_DAYS} days are refused by browsers.`);
+                }
+
+                // As public ACME CAs do, the subject is only a common name
+                // among the identifiers
+                cert.setSubject([{
+                    name: 'commonName',
+                    value: commonName || order.identifiers[0].value
+                }]);
+                signCertificate({
+                    cert,
+                    CAKey,
+                    CACert
+                });
+
+                return recordCertificate(home, { cert, CACert, profile })
+                    .then(() => cert);
+            });
+    };
+
+    const handlers = {
+        newAccount: (req, body, origin) => {
+            const { jwk, payload } = verifyRequest(req, body, origin, { newAccount: true });
+            const thumbprint = getThumbprint(jwk);
+            const existing = Array.from(accounts.values()).find(account => account.thumbprint === thumbprint);
+            const contact = (payload && payload.contact) || [];
+
+            if (existing) {
+                return {
+                    status: 200,
+                    location: `${origin}/acme/acct/${existing.id}`,
+                    body: describeAccount(existing, origin)
+                };
+            }
+
+            if (payload && payload.onlyReturnExisting) {
+                throw createProblem('accountDoesNotExist', 'No account holds this key.');
+            }
+
+            if (!Array.isArray(contact) || contact.some(item => !/^mailto:[^\s@]+@[^\s@]+$/.test(item))) {
+                throw createProblem('invalidContact', 'Contacts are expected as mailto: URLs.');
+            }
+
+            const account = {
+                id: generateId(),
+                status: 'valid',
+                contact,
+                jwk,
+                thumbprint,
+                orderIds: []
+            };
+
+            accounts.set(account.id, account);
+            onEvent({ type: 'account', detail: `created ${account.id}${contact.length > 0 ? ` (${contact.join(', ')})` : ''}` });
+
+            return {
+                status: 201,
+                location: `${origin}/acme/acct/${account.id}`,
+                body: describeAccount(account, origin)
+            };
+        },
+        account: (req, body, origin, id) => {
+            const { account, payload } = verifyRequest(req, body, origin);
+
+            if (account.id !== id) {
+                throw createProblem('unauthorized', 'The account belongs to another key.', 403);
+            }
+
+            if (payload && payload.contact) {
+                account.contact = payload.contact;
+            }
+
+            if (payload && payload.status === 'deactivated') {
+                account.status = 'deactivated';
+                onEvent({ type: 'account', detail: `deactivated ${account.id}` });
+            }
+
+            return { body: describeAccount(account, origin) };
+        },
+        accountOrders: (req, body, origin, id) => {
+            const { account } = verifyRequest(req, body, origin);
+
+            if (account.id !== id) {
+                throw createProblem('unauthorized', 'The account belongs to another key.', 403);
+            }
+
+            return {
+                body: {
+                    orders: account.orderIds.map(orderId => `${origin}/acme/order/${orderId}`)
+                }
+            };
+        },
+        newOrder: (req, body, origin) => {
+            const { account, payload } = verifyRequest(req, body, origin);
+            const identifiers = payload && payload.identifiers;
+            const parseDate = value => {
+                const date = new Date(value);
+
+                if (isNaN(date.getTime())) {
+                    throw createProblem('malformed', `Invalid date: ${value}`);
+                }
+
+                return date;
+            };
+
+            if (!Array.isArray(identifiers) || identifiers.length === 0) {
+                throw createProblem('malformed', 'An order needs identifiers.');
+            }
+
+            identifiers.forEach(({ type, value }) => {
+                if (type !== 'dns' && type !== 'ip') {
+                    throw createProblem('unsupportedIdentifier', `Unsupported identifier type: ${type}`);
+                }
+
+                if (type === 'dns' && isIP(value) !== 0) {
+                    throw createProblem('rejectedIdentifier', `${value} is an IP address, expected as an "ip" identifier (RFC 8738).`);
+                }
+
+                let violations;
+
+                try {
+                    violations = getNameConstraintViolations(
+                        parseSANFromOptions({ [type]: [ value ] })[0].altNames, CAChain);
+                } catch (err) {
+                    throw createProblem('rejectedIdentifier', err.message);
+                }
+
+                if (violations.length > 0) {
+                    throw createProblem('rejectedIdentifier', violations.join('; '));
+                }
+
+                if (!autoApprove && /^\*\./.test(value)) {
+                    throw createProblem('rejectedIdentifier', `${value}: wildcard names need a dns-01 challenge, which is not supported, use --auto-approve instead.`);
+                }
+            });
+
+            const order = {
+                id: generateId(),
+                accountId: account.id,
+                status: 'pending',
+                expires: new Date(Date.now() + EXPIRATION),
+                identifiers: identifiers.map(({ type, value }) => ({
+                    type,
+                    value: type === 'dns' ? value.toLowerCase() : value
+                })),
+                notBefore: payload.notBefore ? parseDate(payload.notBefore) : undefined,
+                notAfter: payload.notAfter ? parseDate(payload.notAfter) : undefined
+            };
+            const start = order.notBefore || new Date();
+            const end = order.notAfter || new Date(start.getTime() + days * DAY);
+
+            if (end <= start) {
+                throw createProblem('malformed', `notAfter (${end.toISOString()}) is not after notBefore (${start.toISOString()}).`);
+            }
+
+            if ((end - start) / DAY > MAX_SERVER_DAYS) {
+                throw createProblem('malformed', `Server certificates valid for ${Math.ceil((end - start) / DAY)} days are refused by browsers, at most ${MAX_SERVER_DAYS} days are allowed.`);
+            }
+
+            // Valid authorizations of the account are used again
+            order.authzIds = order.identifiers.map(identifier => {
+                const wildcard = /^\*\./.test(identifier.value);
+                const value = wildcard ? identifier.value.slice(2) : identifier.value;
+                const reused = Array.from(authorizations.values()).find(authz =>
+                    authz.accountId === account.id && authz.status === 'valid' &&
+                    authz.wildcard === wildcard && authz.expires > new Date() &&
+                    authz.identifier.type === identifier.type && authz.identifier.value === value);
+
+                return (reused || createAuthorization(account, identifier)).id;
+            });
+
+            orders.set(order.id, order);
+            account.orderIds.push(order.id);
+            onEvent({ type: 'order', detail: `${order.identifiers.map(({ value }) => value).join(', ')}` });
+
+            return {
+                status: 201,
+                location: `${origin}/acme/order/${order.id}`,
+                body: describeOrder(order, origin)
+            };
+        },
+        order: (req, body, origin, id) => {
+            const { account } = verifyRequest(req, body, origin);
+
+            return { body: describeOrder(findOwned(orders, id, account, 'order'), origin) };
+        },
+        authorization: (req, body, origin, id) => {
+            const { account, payload } = verifyRequest(req, body, origin);
+            const authz = findOwned(authorizations, id, account, 'authorization');
+
+            if (payload && payload.status === 'deactivated') {
+                authz.status = 'deactivated';
+            }
+
+            return { body: describeAuthorization(authz, origin) };
+        },
+        challenge: (req, body, origin, id) => {
+            const { account, payload } = verifyRequest(req, body, origin);
+            const challenge = findOwned(challenges, id, account, 'challenge');
+            const authz = authorizations.get(challenge.authzId);
+
+            // An empty object asks for the validation, POST-as-GET does not
+            if (payload && challenge.status === 'pending') {
+                challenge.status = 'processing';
+                validateChallenge(challenge, authz, account);
+            }
+
+            return {
+                links: [`<${origin}/acme/authz/${authz.id}>;rel="up"`],
+                body: describeChallenge(challenge, origin)
+            };
+        },
+        finalize: (req, body, origin, id) => {
+            const { account, payload } = verifyRequest(req, body, origin);
+            const order = findOwned(orders, id, account, 'order');
+            const status = getOrderStatus(order);
+            let csr;
+
+            if (status !== 'ready') {
+                throw createProblem('orderNotReady', `Order is ${status}, not ready.`, 403);
+            }
+
+            try {
+                csr = certificationRequestFromAsn1(asn1.fromDer(
+                    fromBase64url(payload.csr).toString('binary')));
+            } catch (err) {
+                throw createProblem('badCSR', 'CSR can not be decoded.');
+            }
+
+            if (!csr.verify()) {
+                throw createProblem('badCSR', 'Signature of the CSR can not be verified.');
+            }
+
+            order.status = 'processing';
+
+            return Promise.try(() => issueCertificate(order, csr))
+                .then(cert => {
+                    const certId = generateId();
+
+                    certificates.set(certId, {
+                        accountId: account.id,
+                        chain: getCertificateChain(cert, CAChain)
+                    });
+                    order.certId = certId;
+                    order.status = 'valid';
+                    onEvent({ type: 'certificate', detail: `issued ${cert.serialNumber} for ${order.identifiers.map(({ value }) => value).join(', ')}` });
+
+                    return {
+                        location: `${origin}/acme/order/${order.id}`,
+                        body: describeOrder(order, origin)
+                    };
+                }, err => {
+                    // Names not matching the order can be fixed with another CSR
+                    order.status = err.type === `${ERROR_NAMESPACE}badCSR` ? 'pending' : 'invalid';
+
+                    if (order.status === 'invalid') {
+                        order.error = {
+                            type: `${ERROR_NAMESPACE}serverInternal`,
+                            detail: err.message
+                        };
+                    }
+
+                    throw err;
+                });
+        },
+        certificate: (req, body, origin, id) => {
+            const { account } = verifyRequest(req, body, origin);
+            const { chain } = findOwned(certificates, id, account, 'certificate');
+
+            return {
+                contentType: 'application/pem-certificate-chain',
+                body: chain.map(certificateToPem).join('')
+            };
+        }
+    };
+
+    const routes = [
+        [ /^\/acme\/new-account$/, handlers.newAccount ],
+        [ /^\/acme\/new-order$/, handlers.newOrder ],
+        [ /^\/acme\/acct\/([\w-]+)$/, handlers.account ],
+        [ /^\/acme\/acct\/([\w-]+)\/orders$/, handlers.accountOrders ],
+        [ /^\/acme\/order\/([\w-]+)$/, handlers.order ],
+        [ /^\/acme\/authz\/([\w-]+)$/, handlers.authorization ],
+        [ /^\/acme\/chall\/([\w-]+)$/, handlers.challenge ],
+        [ /^\/acme\/finalize\/([\w-]+)$/, handlers.finalize ],
+        [ /^\/acme\/cert\/([\w-]+)$/, handlers.certificate ]
+    ];
+
+    const handleRequest = (req, res) => {
+        // URLs follow the host the client uses, e.g. from a container
+        const origin = `${tls ? 'https' : 'http'}://${req.headers.host}`;
+        const pathname = parseUrl(req.url).pathname;
+        const send = ({ status = 200, location, links = [], contentType = 'application/json', body }) => {
+            const headers = {
+                'Content-Type': contentType,
+                'Replay-Nonce': createNonce(),
+                'Cache-Control': 'no-store',
+                Link: links.concat(`<${origin}/directory>;rel="index"`).join(', ')
+            };
+
+            if (location) {
+                headers.Location = location;
+            }
+
+            res.writeHead(status, headers);
+            res.end(body === undefined ? undefined :
+                typeof body === 'string' ? body : `${JSON.stringify(body, null, 2)}\n`);
+        };
+        const fail = err => {
+            if (!err.type) {
+                onEvent({ type: 'error', detail: err.message, failed: true });
+            }
+
+            send({
+                status: err.status || 500,
+                contentType: 'application/problem+json',
+                body: Object.assign({
+                    type: err.type || `${ERROR_NAMESPACE}serverInternal`,
+                    detail: err.message,
+                    status: err.status || 500
+                }, err.algorithms ? { algorithms: err.algorithms } : {})
+            });
+        };
+
+        if (pathname === '/directory' && req.method === 'GET') {
+            send({
+                body: {
+                    newNonce: `${origin}/acme/new-nonce`,
+                    newAccount: `${origin}/acme/new-account`,
+                    newOrder: `${origin}/acme/new-order`,
+                    meta: {
+                        externalAccountRequired: false
+                    }
+                }
+            });
+            return;
+        }
+
+        if (pathname === '/acme/new-nonce' && (req.method === 'HEAD' || req.method === 'GET')) {
+            send({ status: req.method === 'HEAD' ? 200 : 204 });
+            return;
+        }
+
+        const route = routes.find(([ pattern ]) => pattern.test(pathname));
+
+        if (!route) {
+            fail(createProblem('malformed', `Not found: ${pathname}`, 404));
+            return;
+        }
+
+        if (req.method !== 'POST') {
+            res.setHeader('Allow', 'POST');
+            fail(createProblem('malformed', 'Resources are requested with POST, or POST-as-GET.', 405));
+            return;
+        }
+
+        readBody(req)
+            .then(body => route[1](req, body, origin, pathname.match(route[0])[1]))
+            .then(send)
+            .catch(fail);
+    };
+
+    return tls ?
+        https.createServer({ cert: tls.cert, key: tls.key }, handleRequest) :
+        http.createServer(handleRequest);
+}
@@ -0,0 +1,293 @@
+/**
+ * src/batch.js
+ *
+ * read the manifest of `issue-batch`, listing certificates to be issued
+ * by one CA, and tell which of them have to be issued again
+ *
+ * ```yaml
+ * ca:
+ *     cert: cert/ca.crt
+ *     key: cert/ca.key
+ *     passin: env:CA_PASS
+ * home: azura-ca
+ * renewBefore: 30d
+ * keyPass: env:KEY_PASS
+ * certificates:
+ *     - name: api
+ *       subject: /CN=api.local/O=Azura
+ *       san: [DNS:api.local, IP:127.0.0.1]
+ *       profile: web
+ *       out: certs/api
+ *     - name: alice
+ *       type: client
+ *       subject: { CN: alice, E: alice@azura.test }
+ *       p12Pass: env:ALICE_P12_PASS
+ * ```
+ */
+import path from 'path';
+import Promise from 'bluebird';
+import yaml from 'js-yaml';
+import { readFile } from 'fs-extra';
+import { isArray, isNumber, isPlainObject, isString } from 'lodash';
+
+import { attrsToString, altNameToString, isIssuedBy } from './cert.js';
+import {
+    parseAttrsFromString,
+    parseSANFromString,
+    getCommonNameSAN,
+    mergeSubjects,
+    assertServerSAN } from './names.js';
+import { resolveProfile, buildSubjectAltName } from './config.js';
+import { getKeyType } from './keys.js';
+
+const readFileAsync = Promise.promisify(readFile);
+
+const ENTRY_TYPES = ['server', 'client'];
+const DEFAULT_RENEW_BEFORE = '30d';
+
+/**
+ * Parse the content of a manifest, YAML unless the file ends with .json
+ * @param  {string} filePath path of the manifest
+ * @param  {string} content
+ * @return {Object}
+ */
+function parseManifest(filePath, content) {
+    try {
+        return path.extname(filePath) === '.json' ?
+            JSON.parse(content) :
+            yaml.safeLoad(content, { filename: filePath });
+    } catch (err) {
+        throw new Error(`Failed to parse manifest ${filePath}: ${err.message}`);
+    }
+}
+
+/**
+ * Turn subjects given as "/CN=a/O=b" or { CN: 'a', O: 'b' } into an
+ * array of attributes
+ * @param  {string|Object} subject
+ * @param  {string}        name    name of the entry, the common name by default
+ * @return {Array}
+ */
+function toAttrs(subject, name) {
+    if (isString(subject)) {
+        return parseAttrsFromString(subject);
+    }
+
+    if (isPlainObject(subject)) {
+        return Object.keys(subject).map(shortName => ({
+            shortName,
+            value: String(subject[shortName])
+        }));
+    }
+
+    return [{ shortName: 'CN', value: name }];
+}
+
+/**
+ * Turn subject alt names given as "DNS:a.com,IP:10.0.0.6" or
+ * ["DNS:a.com", "IP:10.0.0.6"] into extensions
+ * @param  {string|Array} san
+ * @return {Array}        Array of X.509 V3 Certificate Extension
+ */
+function toSANExtensions(san) {
+    if (isArray(san)) {
+        return toSANExtensions(san.join(','));
+    }
+
+    return isString(san) && san.length > 0 ? parseSANFromString(san) : [];
+}
+
+/**
+ * Check and complete an entry of the manifest
+ * @param  {Object} entry  as written in the manifest
+ * @param  {Object} config configuration loaded by `loadConfig`
+ * @param  {string} dir    directory of the manifest, paths are relative to it
+ * @return {Object}        { name, type, profile, attrs, exts, days, p12Pass, basePath }
+ */
+function resolveEntry(entry, config, dir) {
+    const name = entry.name;
+    const type = entry.type || 'server';
+
+    if (!isString(name) || name.length === 0) {
+        throw new Error('Every certificate of the manifest needs a name.');
+    }
+
+    const fail = message => {
+        throw new Error(`Certificate "${name}" of the manifest ${message}`);
+    };
+
+    if (ENTRY_TYPES.indexOf(type) === -1) {
+        fail(`has unknown type: ${type}, expect server or client.`);
+    }
+
+    if ('days' in entry && !(isNumber(entry.days) && entry.days > 0)) {
+        fail(`has invalid days: ${entry.days}`);
+    }
+
+    if ('p12Pass' in entry && !isString(entry.p12Pass)) {
+        fail('has invalid p12Pass, expect a passphrase source like env:<var>.');
+    }
+
+    if ('out' in entry && !isString(entry.out)) {
+        fail(`has invalid out: ${entry.out}`);
+    }
+
+    try {
+        const profile = resolveProfile(config, entry.profile, type, { leaf: true });
+        const attrs = mergeSubjects(profile.subject, toAttrs(entry.subject, name));
+        const sanExts = toSANExtensions(entry.san);
+        const out = path.resolve(dir, entry.out || name);
+        // Browsers ignore the common name, it has to be in the SAN too
+        const exts = profile.exts.concat(buildSubjectAltName(profile.san, attrs,
+            type === 'server' ? getCommonNameSAN(attrs).concat(sanExts) : sanExts));
+
+        if (type === 'server') {
+            assertServerSAN(exts, attrs, { option: 'san' });
+        }
+
+        return {
+            name,
+            type,
+            profile,
+            attrs,
+            exts,
+            days: entry.days || profile.days,
+            p12Pass: entry.p12Pass,
+            // Trim file extension (e.g: .crt) from given path
+            basePath: out.replace(path.extname(out), '')
+        };
+    } catch (err) {
+        return fail(`is invalid: ${err.message || err}`);
+    }
+}
+
+/**
+ * Read and check the manifest of `issue-batch`, paths in the manifest
+ * are resolved against the directory of the file
+ * @param  {string} filePath path of the manifest, JSON or YAML
+ * @param  {Object} config   configuration loaded by `loadConfig`
+ * @return {Promise}         { ca: { cert, key, passin }, home, renewBefore, keyPass, entries }
+ */
+export function readManifest(filePath, config) {
+    return readFileAsync(filePath, 'utf8')
+        .then(content => {
+            const manifest = parseManifest(filePath, content) || {};
+            const dir = path.dirname(filePath);
+            const resolve = file => isString(file) ? path.resolve(dir, file) : file;
+            const ca = manifest.ca || {};
+
+            if ('keyPass' in manifest && !isString(manifest.keyPass)) {
+                throw new Error(`Invalid keyPass in the manifest ${filePath}, expect a passphrase source like env:<var>.`);
+            }
+
+            if (!isArray(manifest.certificates) || manifest.certificates.length === 0) {
+                throw new Error(`No certificate listed in the manifest ${filePath}, expect a "certificates" list.`);
+            }
+
+            const entries = manifest.certificates.map(entry => resolveEntry(entry || {}, config, dir));
+
+            entries.forEach((entry, index) => {
+                const other = entries.slice(0, index).find(({ name, basePath }) =>
+                    name === entry.name || basePath === entry.basePath);
+
+                if (other) {
+                    throw new Error(`Certificates "${other.name}" and "${entry.name}" of the manifest have the same name or output path.`);
+                }
+            });
+
+            return {
+                ca: {
+                    cert: resolve(ca.cert),
+                    key: resolve(ca.key),
+                    passin: ca.passin
+                },
+                home: resolve(manifest.home),
+                renewBefore: String(manifest.renewBefore || DEFAULT_RENEW_BEFORE),
+                keyPass: manifest.keyPass,
+                entries
+            };
+        });
+}
+
+/**
+ * Tell why an existing certificate does not match its entry of the
+ * manifest anymore
+ * @param  {Object}      entry               resolved by `readManifest`
+ * @param  {Certificate} cert                the existing certificate
+ * @param  {Certificate} options.CACert      the CA of the manifest
+ * @param  {?Object}     options.record      issuance record of the certificate, if any
+ * @param  {?PrivateKey} options.privateKey  the existing key, if it could be read
+ * @param  {Boolean}     options.hasP12      whether the PKCS#12 archive exists
+ * @param  {Number}      options.renewBefore renew certificates expiring within this many milliseconds
+ * @return {?string}                         the reason, or null if the certificate is up to date
+ */
+export function findMismatch(entry, cert, { CACert, record, privateKey, hasP12, renewBefore }) {
+    const san = cert.getExtension('subjectAltName');
+    const names = exts => exts
+        .filter(ext => ext.name === 'subjectAltName')
+        .reduce((altNames, ext) => altNames.concat(ext.altNames.map(altNameToString)), [])
+        .sort()
+        .join(',');
+    const keyType = entry.profile.keyType;
+
+    if (!isIssuedBy(cert, CACert)) {
+        return 'issued by another CA';
+    }
+
+    if (record && record.status === 'revoked') {
+        return 'revoked';
+    }
+
+    if (cert.validity.notAfter.getTime() - Date.now() <= renewBefore) {
+        return `expires ${cert.validity.notAfter.toISOString()}`;
+    }
+
+    if (attrsToString(cert.subject.attributes) !== attrsToString(entry.attrs)) {
+        return 'subject changed';
+    }
+
+    if (names(san ? [ san ] : []) !== names(entry.exts)) {
+        return 'subject alt names changed';
+    }
+
+    if (record && record.profile !== entry.profile.name) {
+        return 'profile changed';
+    }
+
+    if (!privateKey) {
+        return 'private key missing';
+    }
+
+    if (keyType && getKeyType(privateKey).keyType !== keyType) {
+        return 'key type changed';
+    }
+
+    if (entry.type === 'client' && !hasP12) {
+        return 'PKCS#12 archive missing';
+    }
+
+    return null;
+}
+
+/**
+ * Format the outcome of `issue-batch` as a table
+ * @param  {Array} results { name, type, status, notAfter, note }
+ * @return {Array}         lines of the table
+ */
+export function formatSummary(results) {
+    const header = {
+        name: 'NAME',
+        type: 'TYPE',
+        status: 'STATUS',
+        notAfter: 'EXPIRES',
+        note: 'NOTE'
+    };
+    const columns = ['name', 'type', 'status', 'notAfter'];
+    const rows = [ header ].concat(results);
+    const widths = columns.map(column =>
+        Math.max(...rows.map(row => String(row[column] || '').length)));
+
+    return rows.map(row => columns
+        .map((column, index) => String(row[column] || '').padEnd(widths[index] + 2))
+        .join('') + (row.note || ''));
+}
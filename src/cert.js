@@ -4,17 +4,43 @@
  * provide wrapper functions to create and sign 
  * SSL certificates
  */
-import { asn1, pki, md, pkcs12 } from 'node-forge';
+import { asn1, pki, md, pem, jsbn } from 'node-forge';
 import Promise from 'bluebird';
-import { isString } from 'lodash';
-import { outputFile, readFile } from 'fs-extra';
+import { isString, isNumber, cloneDeep } from 'lodash';
+import { outputFile, readFile, chmod } from 'fs-extra';
+import { randomBytes } from 'crypto';
 
-const rsa = pki.rsa;
+import {
+    generateKeyPair,
+    getPublicKey,
+    isRSAKey,
+    publicKeyToAsn1,
+    publicKeyFromAsn1,
+    privateKeyToPem,
+    privateKeyFromPem,
+    getSignatureAlgorithm,
+    signatureAlgorithmToAsn1,
+    sign,
+    verify,
+    getKeyIdentifier } from './keys.js';
+import { toPkcs12Asn1, toTrustStoreAsn1 } from './pkcs12.js';
 
-const generateKeyPair = (opts) => 
-    Promise.fromCallback(callback => rsa.generateKeyPair(opts, callback));
+// forge only reads and writes RSA keys, stands for any other key
+// while forge encodes or decodes the rest of a certificate
+const PLACEHOLDER_PUBLIC_KEY = pki.setRsaPublicKey(jsbn.BigInteger.ONE, jsbn.BigInteger.ONE);
 
 const outputFileAsync = Promise.promisify(outputFile);
+const chmodAsync = Promise.promisify(chmod);
+const DAY = 24 * 60 * 60 * 1000;
+// Tolerated clock skew, certificates start being valid that long ago
+const BACKDATE = 5 * 60 * 1000;
+// Longest validity of server certificates accepted by browsers and Apple
+// platforms (CA/Browser Forum baseline requirements)
+const MAX_SERVER_DAYS = 398;
+// Default validity of leaf certificates, within the limit above
+const DEFAULT_LEAF_DAYS = 397;
+// Mode of the files holding a private key in clear
+const PRIVATE_MODE = 0o600;
 const readFileAsync = Promise.promisify(readFile);
 
 // List of values accepted by openssl is documented at 
@@ -27,7 +53,7 @@ const CA_EXTENSION_SET = [{
     critical: true,
     // The pathlen parameter indicates the maximum number of CAs that can 
     // appear below this one in a chain. So if you have a CA with a pathlen of zero it can only be used to sign end user certificates and not further CAs.
-    // pathLenConstraint: 0,
+    // (see `getCAExtensionSet`)
     cA: true
 }, {
     name: 'keyUsage',
@@ -73,23 +99,326 @@ const CLIENT_EXTENSION_SET = [{
     clientAuth: true
 }];
 
+// Signs code and build artifacts, see `sign-file`
+const CODESIGN_EXTENSION_SET = [{
+    name: 'basicConstraints',
+    critical: true,
+    cA: false
+}, {
+    name: 'keyUsage',
+    critical: true,
+    digitalSignature: true
+}, {
+    name: 'extKeyUsage',
+    critical: true,
+    codeSigning: true
+}];
+
+// Signs and decrypts email (S/MIME), the address goes into the SAN
+const EMAIL_EXTENSION_SET = [{
+    name: 'basicConstraints',
+    critical: true,
+    cA: false
+}, {
+    name: 'keyUsage',
+    critical: true,
+    digitalSignature: true,
+    keyEncipherment: true
+}, {
+    name: 'extKeyUsage',
+    critical: true,
+    emailProtection: true
+}];
+
+const KEY_IDENTIFIER_EXTENSIONS = ['subjectKeyIdentifier', 'authorityKeyIdentifier'];
+
 /**
- * Save private key to the given path
+ * Set validity of a certificate. Unless `notBefore` is given it starts
+ * a few minutes ago, so clients with a clock running late accept it.
+ * @param  {Certificate} cert
+ * @param  {Number}      options.ttl       Time-To-Live in years
+ * @param  {?Number}     options.days      Time-To-Live in days, takes precedence over `ttl`
+ * @param  {?Date}       options.notBefore start of the validity period
+ * @param  {?Date}       options.notAfter  end of the validity period, takes precedence over `ttl` and `days`
+ */
+function setValidity(cert, { ttl = 1, days, notBefore, notAfter }) {
+    const start = notBefore || new Date(Date.now() - BACKDATE);
+    let end;
+
+    if (notAfter) {
+        end = notAfter;
+    } else if (isNumber(days)) {
+        end = new Date(start.getTime() + days * DAY);
+    } else {
+        end = new Date(start.getTime());
+        end.setFullYear(start.getFullYear() + ttl);
+    }
+
+    if (end <= start) {
+        throw new Error(`Certificate would expire (${end.toISOString()}) before it is valid (${start.toISOString()}).`);
+    }
+
+    // forge encodes validity as UTCTime, with a two-digit year
+    if (start.getUTCFullYear() >= 2050 || end.getUTCFullYear() >= 2050) {
+        throw new Error('Validity dates from 2050 on are not supported.');
+    }
+
+    cert.validity.notBefore = start;
+    cert.validity.notAfter = end;
+}
+
+/**
+ * Set the public key of a certificate. forge verifies signatures with
+ * RSA keys only, a certificate holding any other key verifies the
+ * certificates it issued by itself.
+ * @param  {Certificate}         cert
+ * @param  {PublicKey|KeyObject} publicKey
+ */
+function setPublicKey(cert, publicKey) {
+    cert.publicKey = publicKey;
+
+    if (isRSAKey(publicKey)) {
+        return;
+    }
+
+    cert.verify = child => {
+        if (!cert.issued(child)) {
+            throw new Error('The parent certificate did not issue the given child certificate.');
+        }
+
+        return verify(publicKey, asn1.toDer(child.tbsCertificate).getBytes(),
+            child.signature, child.signatureOid);
+    };
+}
+
+/**
+ * Build TBSCertificate with forge, replacing the parts it can only
+ * encode for RSA: the signature parameters and the public key
+ * @param  {Certificate} cert
+ * @return {Object}           ASN.1 object
+ */
+function getTBSCertificate(cert) {
+    const tbs = pki.getTBSCertificate(Object.assign({}, cert, {
+        publicKey: PLACEHOLDER_PUBLIC_KEY
+    }));
+
+    // [0] version, serialNumber, signature, issuer, validity, subject, subjectPublicKeyInfo
+    tbs.value[2] = signatureAlgorithmToAsn1(cert.siginfo.algorithmOid);
+    tbs.value[6] = publicKeyToAsn1(cert.publicKey);
+
+    return tbs;
+}
+
+/**
+ * Sign a certificate with any type of key, forge is used as long as
+ * both the key signing and the key certified are RSA keys
+ * @param  {Certificate}          cert       the certificate to be signed
+ * @param  {PrivateKey|KeyObject} privateKey the key of the issuer
+ * @param  {Object}               digest     forge message digest used with RSA keys
+ */
+function signWith(cert, privateKey, digest) {
+    if (isRSAKey(privateKey) && isRSAKey(cert.publicKey)) {
+        cert.sign(privateKey, digest);
+        return;
+    }
+
+    const { oid } = getSignatureAlgorithm(privateKey);
+
+    cert.siginfo.algorithmOid = oid;
+    cert.signatureOid = oid;
+    cert.tbsCertificate = getTBSCertificate(cert);
+    cert.signature = sign(privateKey, asn1.toDer(cert.tbsCertificate).getBytes());
+}
+
+/**
+ * Encode a certificate, whatever key signed it
+ * @param  {Certificate} cert
+ * @return {Object}           ASN.1 object
+ */
+export function certificateToAsn1(cert) {
+    // forge writes NULL signature parameters, which only RSA expects
+    if (/RSA/.test(pki.oids[cert.signatureOid])) {
+        return pki.certificateToAsn1(cert);
+    }
+
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        cert.tbsCertificate,
+        signatureAlgorithmToAsn1(cert.signatureOid),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BITSTRING, false,
+            `\x00${cert.signature}`)
+    ]);
+}
+
+/**
+ * Decode a certificate, whatever key it holds
+ * @param  {Object} obj ASN.1 object
+ * @return {Certificate}
+ */
+export function certificateFromAsn1(obj) {
+    const tbs = obj.value[0];
+    // version [0] is optional
+    const index = tbs.value[0].tagClass === asn1.Class.CONTEXT_SPECIFIC ? 6 : 5;
+    const subjectPublicKeyInfo = tbs.value[index];
+
+    if (asn1.derToOid(subjectPublicKeyInfo.value[0].value[0].value) === pki.oids.rsaEncryption) {
+        return pki.certificateFromAsn1(obj);
+    }
+
+    // forge refuses any other key: decode with a placeholder key, then
+    // put back the actual key and TBSCertificate
+    const cert = pki.certificateFromAsn1(asn1.create(obj.tagClass, obj.type, true, [
+        asn1.create(tbs.tagClass, tbs.type, true, tbs.value.map((item, i) => i === index ?
+            pki.publicKeyToAsn1(PLACEHOLDER_PUBLIC_KEY) :
+            item))
+    ].concat(obj.value.slice(1))));
+
+    cert.tbsCertificate = tbs;
+    setPublicKey(cert, publicKeyFromAsn1(subjectPublicKeyInfo));
+
+    return cert;
+}
+
+/**
+ * Decode a certification request, whatever key it holds, `verify()`
+ * checks its self-signature
+ * @param  {Object} obj ASN.1 object
+ * @return {CertificationRequest}
+ */
+export function certificationRequestFromAsn1(obj) {
+    const info = obj.value[0];
+    // version, subject, subjectPKInfo, attributes [0]
+    const subjectPublicKeyInfo = info.value[2];
+
+    if (asn1.derToOid(subjectPublicKeyInfo.value[0].value[0].value) === pki.oids.rsaEncryption) {
+        return pki.certificationRequestFromAsn1(obj, true);
+    }
+
+    // Same as certificates, decode with a placeholder key
+    const csr = pki.certificationRequestFromAsn1(asn1.create(obj.tagClass, obj.type, true, [
+        asn1.create(info.tagClass, info.type, true, info.value.map((item, i) => i === 2 ?
+            pki.publicKeyToAsn1(PLACEHOLDER_PUBLIC_KEY) :
+            item))
+    ].concat(obj.value.slice(1))));
+    const publicKey = publicKeyFromAsn1(subjectPublicKeyInfo);
+
+    csr.certificationRequestInfo = info;
+    csr.publicKey = publicKey;
+    csr.verify = () => verify(publicKey, asn1.toDer(info).getBytes(),
+        csr.signature, csr.signatureOid);
+
+    return csr;
+}
+
+/**
+ * Encode a certification request, whatever key signed it
+ * @param  {CertificationRequest} csr
+ * @return {Object}                   ASN.1 object
+ */
+export function certificationRequestToAsn1(csr) {
+    // Same as certificates, forge writes NULL signature parameters
+    if (/RSA/.test(pki.oids[csr.signatureOid])) {
+        return pki.certificationRequestToAsn1(csr);
+    }
+
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        csr.certificationRequestInfo,
+        signatureAlgorithmToAsn1(csr.signatureOid),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BITSTRING, false,
+            `\x00${csr.signature}`)
+    ]);
+}
+
+/**
+ * Encode a certificate in PEM format
+ * @param  {Certificate} cert
+ * @return {string}
+ */
+export function certificateToPem(cert) {
+    return pem.encode({
+        type: 'CERTIFICATE',
+        body: asn1.toDer(certificateToAsn1(cert)).getBytes()
+    });
+}
+
+/**
+ * Decode a PEM format certificate
+ * @param  {string} pemString
+ * @return {Certificate}
+ */
+export function certificateFromPem(pemString) {
+    const msg = pem.decode(pemString)[0];
+
+    if (!msg || msg.type !== 'CERTIFICATE') {
+        throw new Error('Could not convert certificate from PEM; PEM header type is not "CERTIFICATE".');
+    }
+
+    return certificateFromAsn1(asn1.fromDer(msg.body));
+}
+
+/**
+ * Generate a random 128-bit serial number
+ * @return {string} serial number in hex
+ */
+export function generateSerialNumber() {
+    const bytes = randomBytes(16);
+
+    // Serial numbers are positive INTEGERs: clear the sign bit, and set the
+    // next one so the DER encoding always keeps all 16 octets
+    bytes[0] = (bytes[0] & 0x7f) | 0x40;
+
+    return bytes.toString('hex');
+}
+
+/**
+ * Format subject attributes as OpenSSL oneline distinguished name
+ * @param  {Array}  attrs subject or issuer attributes
+ * @return {string}       distinguished name by string (ex. /C=US/O=aaa)
+ */
+export function attrsToString(attrs) {
+    return attrs
+        .map(attr => `/${attr.shortName || attr.name}=${attr.value}`)
+        .join('');
+}
+
+/**
+ * Format a GeneralName of "subjectAltName" as OpenSSL does
+ * @param  {Object} altName alternative name parsed by forge
+ * @return {string}         e.g. "DNS:localhost", "IP:127.0.0.1"
+ */
+export function altNameToString(altName) {
+    switch (altName.type) {
+    case 1:
+        return `email:${altName.value}`;
+    case 2:
+        return `DNS:${altName.value}`;
+    case 6:
+        return `URI:${altName.value}`;
+    case 7:
+        return `IP:${altName.ip}`;
+    default:
+        return `othername:${altName.type}`;
+    }
+}
+
+/**
+ * Save private key to the given path, only readable by its owner
+ * (`PRIVATE_MODE`) unless it is encrypted
  * @param  {PrivateKey} privateKey private key to be saved
  * @param  {string}     keyPath    path of the PEM format pk
  * @param  {string}     passphrase password used to encrypt the pk
+ * @param  {string}     cipher     "3des" (OpenSSL's legacy format) or "aes256" (PKCS#8)
  * @return {Promise}
  */
-export function writePrivateKey(privateKey, keyPath, passphrase) {
-    let pem = isString(passphrase) ?
-        pki.encryptRsaPrivateKey(privateKey, passphrase, {
-            // encrypts a Forge private key and outputs it in PEM format using OpenSSL's 
-            // proprietary legacy format + encapsulated PEM headers (DEK-Info) 
-            legacy: true,
-            algorithm: '3des'
-        }) :
-        pem = pki.privateKeyToPem(privateKey);
-    return outputFileAsync(keyPath, pem);
+export function writePrivateKey(privateKey, keyPath, passphrase, cipher) {
+    const content = privateKeyToPem(privateKey, passphrase, cipher);
+
+    if (isString(passphrase) && passphrase.length > 0) {
+        return outputFileAsync(keyPath, content);
+    }
+
+    // The mode of an existing file is kept by writeFile
+    return outputFileAsync(keyPath, content, { mode: PRIVATE_MODE })
+        .then(() => chmodAsync(keyPath, PRIVATE_MODE));
 }
 
 /**
@@ -99,7 +428,18 @@ export function writePrivateKey(privateKey, keyPath, passphrase) {
  * @return {Promise}
  */
 export function writeCertificate(cert, certPath) {
-    return outputFileAsync(certPath, pki.certificateToPem(cert));
+    return outputFileAsync(certPath, certificateToPem(cert));
+}
+
+/**
+ * Save a chain of certificates to the given path as a PEM bundle
+ * @param  {Array}  chain      certificates, leaf first
+ * @param  {string} chainPath  path of the PEM format bundle
+ * @return {Promise}
+ */
+export function writeCertificateChain(chain, chainPath) {
+    return outputFileAsync(chainPath,
+        chain.map(certificateToPem).join(''));
 }
 
 /**
@@ -120,8 +460,69 @@ export function writeP12Archive(p12, p12Path) {
  * @return {Promise}
  */
 export function readCertificate(certPath) {
-    return readFileAsync(certPath)
-        .then(pem => pki.certificateFromPem(pem));
+    return readFileAsync(certPath, 'utf8')
+        .then(certificateFromPem);
+}
+
+/**
+ * Read all certificates from a PEM bundle at given path
+ * @param  {string} certPath path of the PEM format bundle
+ * @return {Promise}         certificates in the order they appear
+ */
+export function readCertificateChain(certPath) {
+    return readFileAsync(certPath, 'utf8')
+        .then(content => {
+            const blocks = content.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g);
+
+            if (!blocks) {
+                throw new Error(`No certificate found in: ${certPath}`);
+            }
+
+            return blocks.map(certificateFromPem);
+        });
+}
+
+/**
+ * Save PKCS#10 certification request to the given path
+ * @param  {CertificationRequest} csr     certification request to be saved
+ * @param  {string}               csrPath path of the PEM format request
+ * @return {Promise}
+ */
+export function writeCertificationRequest(csr, csrPath) {
+    return outputFileAsync(csrPath, pem.encode({
+        type: 'CERTIFICATE REQUEST',
+        body: asn1.toDer(certificationRequestToAsn1(csr)).getBytes()
+    }));
+}
+
+/**
+ * Read PKCS#10 certification request from given path, both PEM and DER
+ * encoded requests are accepted. The self-signature of the request is
+ * verified before it is returned.
+ * @param  {string} csrPath path of the certification request
+ * @return {Promise}
+ */
+export function readCertificationRequest(csrPath) {
+    return readFileAsync(csrPath)
+        .then(buffer => {
+            const content = buffer.toString('binary');
+            const msg = content.indexOf('-----BEGIN') !== -1 ?
+                pem.decode(content).find(({ type }) => /CERTIFICATE REQUEST$/.test(type)) :
+                { body: content };
+            let csr;
+
+            try {
+                csr = certificationRequestFromAsn1(asn1.fromDer(msg.body));
+            } catch (err) {
+                throw new Error(`Not a PKCS#10 certification request: ${csrPath}`);
+            }
+
+            if (!csr.verify()) {
+                throw new Error(`Signature of certification request can not be verified: ${csrPath}`);
+            }
+
+            return csr;
+        });
 }
 
 /**
@@ -131,20 +532,8 @@ export function readCertificate(certPath) {
  * @return {Promise}    
  */
 export function readPrivateKey(keyPath, passphrase) {
-    return readFileAsync(keyPath)
-        .then(pem => {
-            if (isString(passphrase) && passphrase.length > 0) {
-                let privateKey = pki.decryptRsaPrivateKey(pem, passphrase);
-
-                if (privateKey) {
-                    return privateKey
-                }
-
-                throw new Error(`Failed to decrypt private key, please check your passphrase.`);
-            } else {
-                return pki.privateKeyFromPem(pem);
-            }
-        });
+    return readFileAsync(keyPath, 'utf8')
+        .then(pem => privateKeyFromPem(pem, passphrase));
 }
 
 /**
@@ -153,51 +542,91 @@ export function readPrivateKey(keyPath, passphrase) {
  * @param  {Certificate}    options.cert         certificate signed
  * @param  {string}         options.passphrase   password to encrypt the archive
  * @param  {Certificate}    options.CACert       issuer certificate
+ * @param  {Array}          options.chain        issuer certificates up to the root, replaces `CACert`
  * @param  {string}         options.friendlyName displayed in list boxes by software importing the file
+ * @param  {string}         options.cipher       "3des" (Default) or "aes256"
  * @return {Promise}
  */
 export function createP12Archive({
-    privateKey, cert, passphrase, CACert, friendlyName}) {
+    privateKey, cert, passphrase, CACert, chain, friendlyName, cipher}) {
     const certChain = [ cert ];
-    const options = {
-        // for Chrome/Firefox/iOS/similar users
-        algorithm: '3des'
-    };
 
-    if (CACert) {
+    if (chain) {
+        certChain.push(...chain);
+    } else if (CACert) {
         certChain.push(CACert);
     }
 
-    if (isString(friendlyName) && friendlyName.length > 0) {
-        options.friendlyName = friendlyName;
-    }
+    return toPkcs12Asn1({
+        privateKey,
+        certs: certChain.map(certificateToAsn1),
+        passphrase,
+        friendlyName: isString(friendlyName) && friendlyName.length > 0 ?
+            friendlyName :
+            undefined,
+        cipher
+    });
+}
 
-    return pkcs12.toPkcs12Asn1(privateKey, certChain, passphrase, options);
+/**
+ * Create a PKCS#12 truststore Java trusts the certificates of
+ * @param  {Array}  options.certs      { alias, cert }
+ * @param  {string} options.passphrase password of the truststore
+ * @param  {string} options.cipher     "3des" (Default) or "aes256"
+ * @return {Object}                    ASN.1 object of the archive
+ */
+export function createTrustStore({ certs, passphrase, cipher }) {
+    return toTrustStoreAsn1({
+        certs: certs.map(({ alias, cert }) => ({
+            alias,
+            cert: certificateToAsn1(cert)
+        })),
+        passphrase,
+        cipher
+    });
 }
 
 /**
  * Create a certificate (unsigned)
  * @param  {Number} options.ttl    certificate Time-To-Live in years
+ * @param  {Number} options.days   certificate Time-To-Live in days, takes precedence over `ttl`
+ * @param  {Date}   options.notBefore start of the validity, a few minutes ago by default
+ * @param  {Date}   options.notAfter  end of the validity, takes precedence over `ttl` and `days`
  * @param  {Object} options.attrs  certificate subjects
  * @param  {[type]} options.exts   X.509 v3 certificate extensions
  * @param  {String} options.serial serial number of the certificate
  * @param  {[type]} options.bits   RSA key size
+ * @param  {String} options.keyType "rsa", "ec" or "ed25519"
+ * @param  {String} options.curve  named curve of EC keys, "P-256" or "P-384"
+ * @param  {PrivateKey|KeyObject} options.key existing key to certify, a key
+ *                                            pair is generated without it
  * @return {Promise}
  */
 export function createCertificate({
-    ttl = 1, attrs, exts, serial = '02', bits}) {
+    ttl = 1, days, notBefore, notAfter, attrs, exts, serial = generateSerialNumber(), bits, keyType, curve, key}) {
 
-    return generateKeyPair({ bits, workers: -1 })
+    return (key ?
+        Promise.resolve({ privateKey: key, publicKey: getPublicKey(key) }) :
+        generateKeyPair({ keyType, bits, curve }))
         .then(({ privateKey, publicKey }) => {
             // To generate PEM format piravte key
             const cert = pki.createCertificate();
 
-            cert.publicKey = publicKey;
+            setPublicKey(cert, publicKey);
             cert.serialNumber = serial;
-            cert.validity.notBefore = new Date();
-            cert.validity.notAfter = new Date();
-            cert.validity.notAfter.setFullYear(cert.validity.notBefore.getFullYear() + ttl);
+            setValidity(cert, { ttl, days, notBefore, notAfter });
             cert.setSubject(attrs);
+            // forge fills the encoded values into the given extensions,
+            // keep shared extension sets (e.g. CA_EXTENSION_SET) untouched
+            exts = cloneDeep(exts);
+
+            // Only RSA keys encipher keys, EC and Ed25519 keys just sign
+            if (!isRSAKey(publicKey)) {
+                exts.filter(ext => ext.name === 'keyUsage').forEach(ext => {
+                    delete ext.keyEncipherment;
+                });
+            }
+
             cert.setExtensions(exts);
 
             return {
@@ -207,6 +636,296 @@ export function createCertificate({
         });
 }
 
+/**
+ * Create a certificate (unsigned) with the subject and extensions of an
+ * existing one, to renew it
+ * @param  {Certificate}         options.cert      the certificate to renew
+ * @param  {PublicKey|KeyObject} options.publicKey key of the new certificate, the one of `cert` by default
+ * @param  {Array}               options.attrs     subject of the new certificate, the one of `cert` by default
+ * @param  {Number}              options.days      certificate Time-To-Live in days, the lifetime of `cert` by default
+ * @param  {Date}                options.notBefore start of the validity, a few minutes ago by default
+ * @param  {Date}                options.notAfter  end of the validity, takes precedence over `days`
+ * @param  {String}              options.serial    serial number of the certificate
+ * @return {Certificate}
+ */
+export function createCertificateFromCertificate({
+    cert, publicKey = cert.publicKey, attrs = cert.subject.attributes, days, notBefore, notAfter,
+    serial = generateSerialNumber()}) {
+    const renewed = pki.createCertificate();
+    const lifetime = cert.validity.notAfter.getTime() - cert.validity.notBefore.getTime();
+
+    setPublicKey(renewed, publicKey);
+    renewed.serialNumber = serial;
+    setValidity(renewed, {
+        days: isNumber(days) ? days : Math.round(lifetime / DAY),
+        notBefore,
+        notAfter
+    });
+    renewed.setSubject(attrs);
+    // Parsed extensions hold their DER encoded value next to the decoded
+    // fields (the ones of a certificate signed here, its ASN.1 object),
+    // the value is copied as is. Key identifiers are computed again as
+    // they depend on the keys.
+    renewed.setExtensions(cert.extensions
+        .map(ext => KEY_IDENTIFIER_EXTENSIONS.indexOf(ext.name) === -1 ?
+            Object.assign({}, ext, {
+                value: typeof ext.value === 'string' ? asn1.fromDer(ext.value) : ext.value
+            }) :
+            { id: ext.id, name: ext.name, critical: ext.critical, keyIdentifier: 'hash', value: '' }));
+
+    return renewed;
+}
+
+/**
+ * Create a certificate (unsigned) with the subject, key and extensions of
+ * a CA certificate, for another CA to cross-sign it: clients trusting
+ * either CA accept what the first one issues. It is valid as long as both
+ * CAs are unless told otherwise.
+ * @param  {Certificate} options.cert      certificate of the CA to cross-sign
+ * @param  {Certificate} options.CACert    certificate of the cross-signing CA
+ * @param  {Number}      options.days      certificate Time-To-Live in days
+ * @param  {Date}        options.notBefore start of the validity, a few minutes ago by default
+ * @param  {Date}        options.notAfter  end of the validity, takes precedence over `days`
+ * @param  {String}      options.serial    serial number of the certificate
+ * @return {Certificate}
+ */
+export function createCrossCertificate({ cert, CACert, days, notBefore, notAfter, serial }) {
+    const end = Math.min(cert.validity.notAfter.getTime(), CACert.validity.notAfter.getTime());
+
+    return createCertificateFromCertificate({
+        cert,
+        serial,
+        days,
+        notBefore,
+        notAfter: notAfter || (isNumber(days) ? undefined : new Date(end))
+    });
+}
+
+/**
+ * Create a PKCS#10 certification request along with a new key pair
+ * @param  {Object} options.attrs   request subjects
+ * @param  {Array}  options.exts    X.509 v3 extensions to request
+ * @param  {string} options.keyType "rsa" (default), "ec" or "ed25519"
+ * @param  {Number} options.bits    RSA key size
+ * @param  {string} options.curve   named curve of EC keys
+ * @return {Promise}
+ */
+export function createCertificationRequest({ attrs, exts = [], keyType, bits, curve }) {
+    return generateKeyPair({ keyType, bits, curve })
+        .then(({ privateKey, publicKey }) => {
+            const csr = pki.createCertificationRequest();
+
+            csr.publicKey = publicKey;
+            csr.setSubject(attrs);
+
+            if (exts.length > 0) {
+                csr.setAttributes([{
+                    name: 'extensionRequest',
+                    extensions: exts
+                }]);
+            }
+
+            // The request is signed with its own private key, proving
+            // possession of the key to the CA
+            if (isRSAKey(privateKey)) {
+                csr.sign(privateKey, md.sha256.create());
+            } else {
+                // forge only builds requests for RSA keys, the public
+                // key of CertificationRequestInfo is replaced
+                const info = pki.getCertificationRequestInfo(Object.assign({}, csr, {
+                    publicKey: PLACEHOLDER_PUBLIC_KEY
+                }));
+
+                info.value[2] = publicKeyToAsn1(publicKey);
+                csr.certificationRequestInfo = info;
+                csr.signatureOid = getSignatureAlgorithm(privateKey).oid;
+                csr.signature = sign(privateKey, asn1.toDer(info).getBytes());
+            }
+
+            return {
+                privateKey,
+                csr
+            };
+        });
+}
+
+/**
+ * Create a certificate (unsigned) from a certification request
+ * @param  {Number}               options.ttl    certificate Time-To-Live in years
+ * @param  {Number}               options.days   certificate Time-To-Live in days, takes precedence over `ttl`
+ * @param  {Date}                 options.notBefore start of the validity, a few minutes ago by default
+ * @param  {Date}                 options.notAfter  end of the validity, takes precedence over `ttl` and `days`
+ * @param  {CertificationRequest} options.csr    verified certification request
+ * @param  {Array}                options.exts   X.509 v3 certificate extensions
+ * @param  {String}               options.serial serial number of the certificate
+ * @return {Certificate}
+ */
+export function createCertificateFromRequest({
+    ttl = 1, days, notBefore, notAfter, csr, exts = [], serial = generateSerialNumber()}) {
+    const cert = pki.createCertificate();
+    const request = csr.getAttribute({ name: 'extensionRequest' });
+    const names = exts.map(ext => ext.name);
+    // Extensions given by the issuer always win over the requested ones,
+    // so a request can never grant itself e.g. "cA: true"
+    const requestedExts = request ?
+        request.extensions.filter(ext => names.indexOf(ext.name) === -1) :
+        [];
+
+    cert.publicKey = csr.publicKey;
+    cert.serialNumber = serial;
+    setValidity(cert, { ttl, days, notBefore, notAfter });
+    cert.setSubject(csr.subject.attributes);
+    cert.setExtensions(cloneDeep(exts.concat(requestedExts)));
+
+    return cert;
+}
+
+/**
+ * Build the extension set of a CA certificate
+ * @param  {?Number} pathLen maximum number of CAs allowed below the CA
+ * @param  {Array}   exts    extension set to start from
+ * @return {Array}           X.509 v3 certificate extensions
+ */
+export function getCAExtensionSet(pathLen, exts = CA_EXTENSION_SET) {
+    if (!isNumber(pathLen)) {
+        return exts;
+    }
+
+    return exts.map(ext => ext.name === 'basicConstraints' ?
+        Object.assign({}, ext, { pathLenConstraint: pathLen }) :
+        ext);
+}
+
+/**
+ * Make sure the given CA is allowed to issue a subordinate CA
+ * @param  {Certificate} CACert  the certificate of the issuing CA
+ * @param  {Number}      pathLen path length of the subordinate CA
+ */
+export function assertCanIssueCA(CACert, pathLen) {
+    const constraints = CACert.getExtension('basicConstraints');
+
+    if (!constraints || !constraints.cA) {
+        throw new Error('Issuer certificate is not a CA.');
+    }
+
+    if (isNumber(constraints.pathLenConstraint) &&
+        pathLen >= constraints.pathLenConstraint) {
+        throw new Error(`Issuer path length (${constraints.pathLenConstraint}) does not allow a subordinate CA with path length ${pathLen}.`);
+    }
+}
+
+/**
+ * Get the length of the validity period of a certificate
+ * @param  {Certificate} cert
+ * @return {Number}           days, with decimals
+ */
+export function getValidityDays(cert) {
+    return (cert.validity.notAfter.getTime() - cert.validity.notBefore.getTime()) / DAY;
+}
+
+/**
+ * Whether a server certificate is valid longer than browsers accept
+ * @param  {Certificate} cert
+ * @return {Boolean}
+ */
+export function exceedsServerLifetime(cert) {
+    const extKeyUsage = cert.getExtension('extKeyUsage');
+
+    return Boolean(extKeyUsage && extKeyUsage.serverAuth) &&
+        getValidityDays(cert) > MAX_SERVER_DAYS;
+}
+
+/**
+ * Cut the validity of a certificate so it ends with the one of its
+ * issuer, a certificate is never valid longer than the CA issuing it
+ * @param  {Certificate} cert   the certificate to be signed
+ * @param  {Certificate} CACert the certificate of the CA
+ * @return {Boolean}            whether the validity was cut
+ */
+export function capValidity(cert, CACert) {
+    if (cert.validity.notAfter <= CACert.validity.notAfter) {
+        return false;
+    }
+
+    cert.validity.notAfter = new Date(CACert.validity.notAfter.getTime());
+
+    return true;
+}
+
+/**
+ * Whether the given certificate was issued by the CA: it names the CA
+ * as issuer and its signature verifies with the key of the CA, so a
+ * CA with the same DN but another key is told apart
+ * @param  {Certificate} cert
+ * @param  {Certificate} CACert
+ * @return {Boolean}
+ */
+export function isIssuedBy(cert, CACert) {
+    if (!cert.isIssuer(CACert)) {
+        return false;
+    }
+
+    try {
+        return verify(CACert.publicKey, asn1.toDer(cert.tbsCertificate).getBytes(),
+            cert.signature, cert.signatureOid);
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Whether the given certificate is self-signed (a root CA)
+ * @param  {Certificate} cert
+ * @return {Boolean}
+ */
+export function isSelfSigned(cert) {
+    return cert.isIssuer(cert);
+}
+
+/**
+ * Build the chain to serve along with a certificate: the certificate
+ * itself followed by the intermediate CAs, roots are left out
+ * @param  {Certificate} cert    the issued certificate
+ * @param  {Array}       CAChain issuer certificates, issuing CA first
+ * @return {Array}
+ */
+export function getCertificateChain(cert, CAChain) {
+    return [ cert ].concat(CAChain.filter(CACert => !isSelfSigned(CACert)));
+}
+
+/**
+ * Tell whether the certificates issued with a CA bundle are served with
+ * a chain: the bundle holds intermediate CAs, or the cross certificate
+ * of a new root (see `rollover`)
+ * @param  {Array}   CAChain issuer certificates, issuing CA first
+ * @return {boolean}
+ */
+export function hasCertificateChain(CAChain) {
+    return CAChain.some(CACert => !isSelfSigned(CACert));
+}
+
+/**
+ * Compute the key identifiers asked for with "hash" (see `parseExtension`),
+ * the subject one from the key of the certificate and the authority one
+ * from the key of the issuer
+ * @param  {Certificate}         cert            the certificate to be signed
+ * @param  {PublicKey|KeyObject} issuerPublicKey
+ */
+function setKeyIdentifiers(cert, issuerPublicKey) {
+    cert.extensions
+        .filter(ext => ext.keyIdentifier === 'hash')
+        .forEach(ext => {
+            // authorityKeyIdentifier, keyIdentifier [0]
+            ext.value = ext.name === 'subjectKeyIdentifier' ?
+                asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false,
+                    getKeyIdentifier(cert.publicKey)) :
+                asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+                    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, false,
+                        getKeyIdentifier(issuerPublicKey))
+                ]);
+        });
+}
+
 /**
  * Self-sign a given certificate
  * @param  {Certificate} options.cert       the certificate to be signed
@@ -215,7 +934,8 @@ export function createCertificate({
  */
 export function selfSign({ cert, privateKey }) {
     cert.setIssuer(cert.subject.attributes);
-    cert.sign(privateKey);
+    setKeyIdentifiers(cert, cert.publicKey);
+    signWith(cert, privateKey);
 }
 
 /**
@@ -226,9 +946,11 @@ export function selfSign({ cert, privateKey }) {
  * @return {Certificate}                the certificate to be signed
  */
 export function signCertificate({ cert, CAKey, CACert }) {
+    capValidity(cert, CACert);
     cert.setIssuer(CACert.subject.attributes);
+    setKeyIdentifiers(cert, CACert.publicKey);
     // Signs the certificate using SHA-256 instead of SHA-1 
-    cert.sign(CAKey, md.sha256.create());
+    signWith(cert, CAKey, md.sha256.create());
 
     return cert;
 }
@@ -236,5 +958,10 @@ export function signCertificate({ cert, CAKey, CACert }) {
 export {
     CA_EXTENSION_SET,
     SERVER_EXTENSION_SET,
-    CLIENT_EXTENSION_SET
+    CLIENT_EXTENSION_SET,
+    CODESIGN_EXTENSION_SET,
+    EMAIL_EXTENSION_SET,
+    MAX_SERVER_DAYS,
+    DEFAULT_LEAF_DAYS,
+    PRIVATE_MODE
 }
\ No newline at end of file
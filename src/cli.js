@@ -1,29 +1,817 @@
 import program from 'commander';
 import chalk from 'chalk';
 import path from 'path';
+import Promise from 'bluebird';
+import { pathExistsSync, copy, readFile } from 'fs-extra';
 
 import {
     selfSign,
     createCertificate,
+    createCertificateFromRequest,
+    createCertificationRequest,
     createP12Archive,
     signCertificate,
     writePrivateKey,
     writeCertificate,
+    writeCertificateChain,
     writeP12Archive,
-    CA_EXTENSION_SET,
-    SERVER_EXTENSION_SET,
-    CLIENT_EXTENSION_SET } from './cert.js';
+    writeCertificationRequest,
+    readCertificationRequest,
+    getCAExtensionSet,
+    assertCanIssueCA,
+    isSelfSigned,
+    isIssuedBy,
+    getCertificateChain,
+    hasCertificateChain,
+    readCertificate,
+    readCertificateChain,
+    readPrivateKey,
+    createTrustStore,
+    createCertificateFromCertificate,
+    createCrossCertificate,
+    capValidity,
+    exceedsServerLifetime,
+    getValidityDays,
+    certificateToPem,
+    MAX_SERVER_DAYS,
+    DEFAULT_LEAF_DAYS,
+    attrsToString } from './cert.js';
 import {
-    parseAttrsFromString,
     getCAPrivateKey,
     getCACertificate,
     getSAN,
     getPassphrase,
+    askPassphrase,
+    readPassphraseSource,
     getSubjects } from './sign.js';
+import {
+    parseAttrsFromString,
+    parseSANFromOptions,
+    getCommonNameSAN,
+    getEmailAddressSAN,
+    assertServerSAN } from './names.js';
+import {
+    resolveCAHome,
+    readIndex,
+    allocateSerialNumber,
+    findRecord,
+    recordCertificate,
+    revokeCertificate,
+    nextCRLNumber,
+    getCAKeyId } from './store.js';
+import {
+    createCRL,
+    writeCRL,
+    createCRLDistributionPoints,
+    isRevocationReason } from './crl.js';
+import { inspectFile, formatInspection } from './inspect.js';
+import { verifyCertificate, allowsPurpose, getSigningPurpose, PURPOSES } from './verify.js';
+import { loadConfig, resolveProfile, buildSubjectAltName } from './config.js';
+import {
+    generateKeyPair,
+    getKeyType,
+    getPublicKey,
+    isCipher,
+    isKeyPair,
+    privateKeyToPem } from './keys.js';
+import { toKeyStore, writeKeyStore } from './keystore.js';
+import { readBundle, encodeBundle, writeOutputs, isFormat, FORMATS } from './convert.js';
+import {
+    encodeDeployment,
+    isDeployFormat,
+    isSecretName,
+    isNamespace,
+    toSecretName,
+    DEPLOY_FORMATS } from './deploy.js';
+import { createTestServer, listen, probe, getTLSErrorReason } from './serve.js';
+import { createAuthorityInfoAccess, createOCSPServer } from './ocsp.js';
+import { createACMEServer } from './acme.js';
+import {
+    createNameConstraints,
+    inheritNameConstraints,
+    assertNameConstraints,
+    readNameConstraints } from './constraints.js';
+import { parseExtensions, withExtensions, assertCustomExtensions } from './extensions.js';
+import { readManifest, findMismatch, formatSummary } from './batch.js';
+import {
+    createDetachedSignature,
+    verifyDetachedSignature,
+    writeSignature,
+    readSignature,
+    isSignatureFormat } from './pkcs7.js';
 
 const VERSION = '0.1.0';
 const currentPath = process.cwd();
 
+const copyAsync = Promise.promisify(copy);
+const readFileAsync = Promise.promisify(readFile);
+
+// Units of `--within`, e.g. "30d"
+const PERIOD_UNITS = {
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+// Default lifetime of intermediate CAs, in days
+const INTERMEDIATE_DAYS = 365;
+
+// Errors of servers whose CA is not trusted, e.g. not given to `probe`
+const UNTRUSTED_CERT_ERRORS = [
+    'DEPTH_ZERO_SELF_SIGNED_CERT',
+    'SELF_SIGNED_CERT_IN_CHAIN',
+    'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+    'UNABLE_TO_VERIFY_LEAF_SIGNATURE'
+];
+
+// Collect values of a repeatable option
+const collect = (value, list) => list.concat(value);
+
+/**
+ * Add options to a command, in the order given
+ * @param  {Command} command
+ * @param  {Array}   groups  groups of options, each option the arguments of `command.option()`
+ * @return {Command}
+ */
+function addOptions(command, groups) {
+    return [].concat(...groups).reduce((result, args) => result.option(...args), command);
+}
+
+// `--ca` and `--cakey`, the CA signing the certificate
+const CA_OPTIONS = [
+    [ '--ca <CAPath>', 'specifies the CA certificate to be used for signing' ],
+    [ '--cakey <CAKeyPath>', 'sets the CA private key to sign a certificate with' ]
+];
+
+// `--subj` and `--profile`
+const SUBJECT_OPTIONS = [
+    [ '-s, --subj <attrs>', 'set request subjects (Format: "/t0=v0/t1=v1")', parseAttrsFromString ],
+    [ '--profile <name>', 'issuance profile defined in .azurarc or azura.config.json' ]
+];
+
+// Names added to "subjectAltName" one at a time
+const SUBJECT_ALT_NAME_OPTIONS = [
+    [ '--dns <name>', 'add a DNS name to "subjectAltName", e.g. www.a.com or *.a.com (repeatable)', collect, [] ],
+    [ '--ip <address>', 'add an IPv4 or IPv6 address to "subjectAltName" (repeatable)', collect, [] ],
+    [ '--email <address>', 'add an email address to "subjectAltName" (repeatable)', collect, [] ],
+    [ '--uri <uri>', 'add a URI to "subjectAltName" (repeatable)', collect, [] ]
+];
+
+// `--ext` and `--addext`, see `getCustomExtensions`
+const EXTENSION_OPTIONS = [
+    [ '--ext <ext>', 'add an extension in openssl format, e.g. tlsfeature=status_request, replacing the one of its type (repeatable)', collect, [] ],
+    [ '--addext <ext>', 'same as --ext (repeatable)', collect, [] ]
+];
+
+// `--crl-url` and `--ocsp-url`, see `withRevocationInfo`
+const REVOCATION_OPTIONS = [
+    [ '--crl-url <url>', 'embed a CRL distribution point in the certificate (repeatable)', collect, [] ],
+    [ '--ocsp-url <url>', 'embed the location of an OCSP responder (see ocsp-serve) in the certificate (repeatable)', collect, [] ]
+];
+
+// `--permit-*` and `--exclude-*`, see `getNameConstraints`
+const NAME_CONSTRAINT_OPTIONS = [
+    [ '--permit-dns <domain>', 'only allow names within the domain below the CA, e.g. .test (repeatable)', collect, [] ],
+    [ '--exclude-dns <domain>', 'forbid names within the domain below the CA (repeatable)', collect, [] ],
+    [ '--permit-ip <range>', 'only allow IP addresses within the range below the CA, e.g. 10.0.0.0/8 (repeatable)', collect, [] ],
+    [ '--exclude-ip <range>', 'forbid IP addresses within the range below the CA (repeatable)', collect, [] ],
+    [ '--permit-email <domain>', 'only allow email addresses of the domain (or the mailbox) below the CA (repeatable)', collect, [] ],
+    [ '--exclude-email <domain>', 'forbid email addresses of the domain (or the mailbox) below the CA (repeatable)', collect, [] ]
+];
+
+const FORCE_OPTION = [ '--force', 'issue server certificates valid longer than 398 days anyway' ];
+const NON_INTERACTIVE_OPTION = [ '--non-interactive', 'fail instead of prompting when something is missing' ];
+
+/**
+ * Options of the generated key, and `--key` to sign the certificate
+ * for an existing one instead
+ * @param  {string}  settings.short    short flag of `--bits`
+ * @param  {Boolean} settings.existing whether `--key` is allowed
+ * @return {Array}
+ */
+function keyOptions({ short = '-b', existing = true } = {}) {
+    return [
+        [ `${short}, --bits <size>`, 'RSA key size (Default: 2048)', parseInt ],
+        [ '--key-type <type>', 'type of the generated key: rsa, ec or ed25519 (Default: rsa)' ],
+        [ '--curve <curve>', 'named curve of EC keys: P-256 or P-384 (Default: P-256)' ]
+    ].concat(existing ? [
+        [ '--key <keyPath>', 'sign the certificate for an existing private key instead of generating one' ],
+        [ '--key-passin <source>', 'passphrase source of the key given with --key (pass:<password>, env:<var> or file:<path>)' ]
+    ] : []);
+}
+
+/**
+ * `--days`, `--not-before` and `--not-after`, see `getValidity`
+ * @param  {string} days default Time-To-Live, as told in the help
+ * @return {Array}
+ */
+function validityOptions(days) {
+    return [
+        [ '--days <days>', `certificate Time-To-Live in days (Default: ${days})`, parseInt ],
+        [ '--not-before <date>', 'start of the validity as an ISO 8601 timestamp (Default: 5 minutes ago)' ],
+        [ '--not-after <date>', 'end of the validity as an ISO 8601 timestamp, takes precedence over --days' ]
+    ];
+}
+
+/**
+ * `--home`, and `--passin` of the CA private key
+ * @param  {?string} settings.passin help of `--passin`, none if null
+ * @return {Array}
+ */
+function homeOptions({ passin = 'passphrase source of the CA private key (pass:<password>, env:<var> or file:<path>)' } = {}) {
+    return [
+        [ '--home <dir>', 'CA home directory keeping serial numbers and issuance index (Default: $AZURA_SSL_HOME, or ./azura-ca if it exists)' ]
+    ].concat(passin ? [[ '--passin <source>', passin ]] : []);
+}
+
+/**
+ * Options encrypting the generated private key, and the PKCS#12
+ * archive if any
+ * @param  {Boolean} settings.p12 whether a PKCS#12 archive is written too
+ * @return {Array}
+ */
+function keyEncryptionOptions({ p12 = false } = {}) {
+    return [
+        [ '--passout <source>', 'passphrase source to encrypt the generated private key (pass:<password>, env:<var> or file:<path>)' ],
+        [ '--no-key-encryption', 'do not encrypt the generated private key' ]
+    ].concat(p12 ? [
+        [ '--p12-pass <source>', 'passphrase source to encrypt the PKCS#12 archive (pass:<password>, env:<var> or file:<path>)' ],
+        [ '--cipher <cipher>', 'cipher encrypting the generated private key and the PKCS#12 archive: 3des (compatible with older systems) or aes256 (Default: 3des)' ]
+    ] : [
+        [ '--cipher <cipher>', 'cipher encrypting the generated private key: 3des (legacy format) or aes256 (PKCS#8) (Default: 3des)' ]
+    ]);
+}
+
+/**
+ * Append "cRLDistributionPoints" extension when any `--crl-url` is given
+ * @param  {Array} exts X.509 v3 certificate extensions
+ * @param  {Array} urls locations the CRL is published at
+ * @return {Array}
+ */
+function withDistributionPoints(exts, urls) {
+    return urls.length > 0 ?
+        exts.concat(createCRLDistributionPoints(urls)) :
+        exts;
+}
+
+/**
+ * Append "authorityInfoAccess" extension when any `--ocsp-url` is given
+ * @param  {Array} exts X.509 v3 certificate extensions
+ * @param  {Array} urls locations the OCSP responder listens at
+ * @return {Array}
+ */
+function withAuthorityInfoAccess(exts, urls) {
+    return urls.length > 0 ?
+        exts.concat(createAuthorityInfoAccess(urls)) :
+        exts;
+}
+
+/**
+ * Append the revocation extensions of `--crl-url` and `--ocsp-url`
+ * @param  {Array}  exts    X.509 v3 certificate extensions
+ * @param  {Object} options command options
+ * @return {Array}
+ */
+function withRevocationInfo(exts, options) {
+    return withAuthorityInfoAccess(withDistributionPoints(exts, options.crlUrl), options.ocspUrl);
+}
+
+/**
+ * Build "nameConstraints" extension of `--permit-*` and `--exclude-*`
+ * @param  {Object} options command options
+ * @return {Array}          X.509 v3 certificate extensions, empty
+ *                          without any constraint
+ */
+function getNameConstraints(options) {
+    return createNameConstraints({
+        permitted: {
+            dns: options.permitDns,
+            ip: options.permitIp,
+            email: options.permitEmail
+        },
+        excluded: {
+            dns: options.excludeDns,
+            ip: options.excludeIp,
+            email: options.excludeEmail
+        }
+    });
+}
+
+/**
+ * Parse the extensions of `--ext` and `--addext`, the ones computed by
+ * the commands are refused (see `assertCustomExtensions`)
+ * @param  {Object} options command options
+ * @return {Array}          X.509 v3 certificate extensions
+ */
+function getCustomExtensions(options) {
+    return assertCustomExtensions(parseExtensions(options.ext.concat(options.addext)), { option: '--ext or --addext' });
+}
+
+/**
+ * Get the passphrase to encrypt a generated private key, there is
+ * none with `--no-key-encryption`
+ * @param  {Object} options command options
+ * @return {Promise}
+ */
+function getKeyPassphrase(options) {
+    if (!options.keyEncryption) {
+        return Promise.resolve();
+    }
+
+    return getPassphrase(options.passout, { interactive: !options.nonInteractive });
+}
+
+/**
+ * Read a private key, its passphrase comes from `--passin` or is asked
+ * for when the key is encrypted
+ * @param  {string}  keyPath
+ * @param  {?string} settings.passin      passphrase source of the key
+ * @param  {Boolean} settings.interactive whether prompts are allowed
+ * @param  {string}  settings.option      option giving the passphrase source
+ * @return {Promise}
+ */
+function readKeyFile(keyPath, { passin, interactive = true, option = '--passin' } = {}) {
+    if (passin) {
+        return readPassphraseSource(passin)
+            .then(passphrase => readPrivateKey(keyPath, passphrase));
+    }
+
+    const file = path.relative(currentPath, keyPath);
+
+    return readPrivateKey(keyPath)
+        .catch(() => {
+            if (!interactive) {
+                throw new Error(`Can not read the private key ${file}, please specify its passphrase with ${option} if it is encrypted.`);
+            }
+
+            return askPassphrase(`Enter the passphrase of ${file}`)
+                .then(passphrase => readPrivateKey(keyPath, passphrase));
+        });
+}
+
+/**
+ * Read the existing private key given with `--key`, the certificate is
+ * signed for it instead of a generated one
+ * @param  {Object} options command options: key, keyPassin, keyType, bits, curve, nonInteractive
+ * @return {Promise}        the private key, null without `--key`
+ */
+function readSuppliedKey(options) {
+    if (!options.key) {
+        return Promise.resolve(null);
+    }
+
+    if (options.keyType || options.bits || options.curve) {
+        return Promise.reject(new Error('--key-type, --bits and --curve can not be used with --key, the type of the key given is kept.'));
+    }
+
+    return readKeyFile(path.resolve(currentPath, options.key), {
+        passin: options.keyPassin,
+        interactive: !options.nonInteractive,
+        option: '--key-passin'
+    });
+}
+
+/**
+ * Read the key of `--key`, or get the passphrase to encrypt the one
+ * about to be generated
+ * @param  {Object}  options     command options
+ * @param  {?string} description what the key is for in the prompt, e.g. "server"
+ * @return {Promise}             { suppliedKey, passphrase }
+ */
+function prepareKey(options, description) {
+    return readSuppliedKey(options)
+        .then(suppliedKey => {
+            // A key given with --key is left as is
+            if (suppliedKey) {
+                return { suppliedKey, passphrase: null };
+            }
+
+            if (description && !options.nonInteractive && options.keyEncryption && !options.passout) {
+                console.log(`\nPlease provide a passphrase to encrypt the ${description} private key.\n`);
+            }
+
+            return getKeyPassphrase(options)
+                .then(passphrase => ({ suppliedKey, passphrase }));
+        });
+}
+
+/**
+ * Get the key to generate from the options, or else from the profile
+ * @param  {Object} options command options: bits, keyType, curve
+ * @param  {Object} profile resolved issuance profile
+ * @return {Object}         { bits, keyType, curve }
+ */
+function getKeySettings(options, profile) {
+    return {
+        bits: options.bits || profile.bits || 2048,
+        keyType: options.keyType || profile.keyType,
+        curve: options.curve || profile.curve
+    };
+}
+
+/**
+ * Load the CA of `--ca` and `--cakey` (or the one of the configuration),
+ * the private key first as the certificate has to match it
+ * @param  {Object}  options command options: ca, cakey, passin, nonInteractive
+ * @param  {Object}  config  loaded configuration
+ * @return {Promise}         { CAKey, CACert, CAChain }
+ */
+function loadCA(options, config) {
+    const interactive = !options.nonInteractive;
+
+    return getCAPrivateKey(options.cakey || config.ca.key, {
+        passin: options.passin,
+        interactive
+    })
+        .then(CAKey => getCACertificate(options.ca || config.ca.cert, { interactive, privateKey: CAKey })
+            .then(CAChain => ({ CAKey, CACert: CAChain[0], CAChain })));
+}
+
+/**
+ * Read the certificate (or chain) and the private key a TLS endpoint
+ * presents, the key is decrypted as Node.js may not read its encryption
+ * @param  {Object}  options command options: cert, key, passin, nonInteractive
+ * @return {Promise}         { certs, privateKey, cert, key }, cert and key as PEM contents
+ */
+function readTLSCredentials(options) {
+    if (!options.cert || !options.key) {
+        return Promise.reject(new Error('Both --cert and --key are required.'));
+    }
+
+    const keyPath = path.resolve(currentPath, options.key);
+
+    return Promise.all([
+        readCertificateChain(path.resolve(currentPath, options.cert)),
+        readKeyFile(keyPath, {
+            passin: options.passin,
+            interactive: !options.nonInteractive
+        })
+    ])
+        .then(([ certs, privateKey ]) => {
+            if (!isKeyPair(privateKey, certs[0].publicKey)) {
+                throw new Error(`The private key does not match the certificate: ${options.cert}`);
+            }
+
+            return {
+                certs,
+                privateKey,
+                cert: certs.map(certificateToPem).join(''),
+                key: privateKeyToPem(privateKey)
+            };
+        });
+}
+
+/**
+ * Read a PEM bundle of CA certificates given with `--ca`, if any
+ * @param  {?string} caPath
+ * @return {Promise}        { certs, ca } PEM content
+ */
+function readTLSCertificateAuthorities(caPath) {
+    if (!caPath) {
+        return Promise.resolve({ certs: [] });
+    }
+
+    return readCertificateChain(path.resolve(currentPath, caPath))
+        .then(certs => ({
+            certs,
+            ca: certs.map(certificateToPem).join('')
+        }));
+}
+
+/**
+ * Make sure the cipher given with `--cipher` is supported
+ * @param  {?string} cipher
+ */
+function assertCipher(cipher) {
+    if (cipher && !isCipher(cipher)) {
+        throw new Error(`Unknown cipher: ${cipher}, expect aes256 or 3des.`);
+    }
+}
+
+/**
+ * Parse a period such as "30d", "12h" or "2w", days if no unit is given
+ * @param  {string} period
+ * @return {Number}        milliseconds
+ */
+function parsePeriod(period) {
+    const matches = /^(\d+)([hdw]?)$/.exec(period);
+
+    if (!matches) {
+        throw new Error(`Invalid period: ${period}, expected e.g. 30d, 12h or 2w.`);
+    }
+
+    return parseInt(matches[1], 10) * PERIOD_UNITS[matches[2] || 'd'];
+}
+
+/**
+ * Guess the profile of a certificate missing from the CA home index
+ * @param  {Certificate} cert
+ * @return {string}           "ca", "intermediate", "server", "client", "codesign" or "email"
+ */
+function guessProfile(cert) {
+    const constraints = cert.getExtension('basicConstraints');
+    const extKeyUsage = cert.getExtension('extKeyUsage');
+
+    if (constraints && constraints.cA) {
+        return isSelfSigned(cert) ? 'ca' : 'intermediate';
+    }
+
+    if (extKeyUsage && extKeyUsage.codeSigning) {
+        return 'codesign';
+    }
+
+    if (extKeyUsage && extKeyUsage.emailProtection && !extKeyUsage.clientAuth) {
+        return 'email';
+    }
+
+    return extKeyUsage && extKeyUsage.clientAuth && !extKeyUsage.serverAuth ?
+        'client' :
+        'server';
+}
+
+/**
+ * Copy the existing files aside before they are overwritten
+ * @param  {Array}  files paths of the files about to be written
+ * @param  {string} stamp appended to the backup names
+ * @return {Promise}      paths of the backups
+ */
+function backupFiles(files, stamp) {
+    return Promise.mapSeries(files.filter(file => pathExistsSync(file)), file => {
+        const backupPath = `${file}.${stamp}.bak`;
+
+        return copyAsync(file, backupPath)
+            .then(() => backupPath);
+    });
+}
+
+/**
+ * Parse an ISO 8601 timestamp given on the command line
+ * @param  {string} value  e.g. "2017-08-01" or "2017-08-01T12:00:00Z"
+ * @param  {string} option option giving the value, for error message
+ * @return {Date}
+ */
+function parseDate(value, option) {
+    const date = new Date(value);
+
+    if (isNaN(date.getTime())) {
+        throw new Error(`Invalid date for ${option}: ${value}, expected an ISO 8601 timestamp.`);
+    }
+
+    return date;
+}
+
+/**
+ * Get the validity of a certificate from `--days`, `--not-before` and
+ * `--not-after`
+ * @param  {Object}  options command options
+ * @param  {?Number} days    Time-To-Live in days unless `--days` is given
+ * @return {Object}          { days, notBefore, notAfter }
+ */
+function getValidity(options, days) {
+    if (options.days !== undefined && !(options.days > 0)) {
+        throw new Error(`Invalid number of days: ${options.days}`);
+    }
+
+    return {
+        days: options.days || days,
+        notBefore: options.notBefore && parseDate(options.notBefore, '--not-before'),
+        notAfter: options.notAfter && parseDate(options.notAfter, '--not-after')
+    };
+}
+
+/**
+ * Check the validity of a certificate about to be signed: it is cut to
+ * the end of the CA's, and a server certificate valid longer than
+ * browsers accept is refused unless `--force` is given
+ * @param  {Certificate} cert   the certificate to be signed
+ * @param  {Certificate} CACert the certificate of the CA
+ * @param  {Boolean}     force  issue too long server certificates anyway
+ */
+function checkValidity(cert, CACert, force) {
+    if (capValidity(cert, CACert)) {
+        console.log(chalk.yellow(`Validity cut to the end of the CA certificate: ${cert.validity.notAfter.toISOString()}`));
+    }
+
+    if (!exceedsServerLifetime(cert)) {
+        return;
+    }
+
+    const message = `Server certificate is valid for ${Math.round(getValidityDays(cert))} days, browsers refuse more than ${MAX_SERVER_DAYS} days.`;
+
+    if (!force) {
+        throw new Error(`${message} Use --force to issue it anyway.`);
+    }
+
+    console.log(chalk.yellow(`Warning: ${message}`));
+}
+
+/**
+ * Cross-sign a CA: issue a certificate with its subject, key and
+ * extensions under another CA, and record it in the CA home. The name
+ * constraints of the issuers are carried over.
+ * @param  {Certificate} options.cert     certificate of the CA to cross-sign
+ * @param  {PrivateKey}  options.CAKey    private key of the cross-signing CA
+ * @param  {Array}       options.CAChain  cross-signing CA first, then its issuers
+ * @param  {string}      options.home     CA home directory
+ * @param  {Object}      options.validity { days, notBefore, notAfter }
+ * @param  {Function}    options.writeFiles called with the cross certificate to write its files
+ * @return {Promise}                      the cross certificate
+ */
+function crossSign({ cert, CAKey, CAChain, home, validity, writeFiles }) {
+    const CACert = CAChain[0];
+    const constraints = cert.getExtension('basicConstraints');
+    const isNameConstraints = ext => ext.name === 'nameConstraints';
+
+    if (!constraints || !constraints.cA) {
+        return Promise.reject(new Error(`${attrsToString(cert.subject.attributes)} is not a CA certificate.`));
+    }
+
+    try {
+        // The cross certificate is a CA below the issuer whatever its own path length
+        assertCanIssueCA(CACert, constraints.pathLenConstraint || 0);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    return allocateSerialNumber(home)
+        .then(serial => {
+            const cross = createCrossCertificate({
+                cert,
+                CACert,
+                serial,
+                days: validity.days,
+                notBefore: validity.notBefore,
+                notAfter: validity.notAfter
+            });
+
+            if (CAChain.some(readNameConstraints)) {
+                cross.setExtensions(cross.extensions
+                    .filter(ext => !isNameConstraints(ext))
+                    .concat(inheritNameConstraints(cross.extensions.filter(isNameConstraints), CAChain)));
+            }
+
+            checkValidity(cross, CACert);
+            signCertificate({
+                cert: cross,
+                CAKey,
+                CACert
+            });
+
+            return recordCertificate(home, { cert: cross, CACert, profile: 'cross' }, () => writeFiles(cross))
+                .then(() => cross);
+        });
+}
+
+/**
+ * Issue a leaf certificate signed by the CA of `--ca` and `--cakey`, the
+ * steps shared by sign-server, sign-client, sign-codesign and
+ * sign-email. The key is generated unless `--key` is given, the
+ * certificate recorded in the CA home and written with the chain of its
+ * issuers and, if asked for, a PKCS#12 archive.
+ * @param  {string}   filename                  path of the files, its extension is trimmed
+ * @param  {Object}   options                   command options
+ * @param  {string}   settings.type             profile used unless `--profile` is given
+ * @param  {string}   settings.title            kind of certificate in the messages, e.g. "Server"
+ * @param  {Function} settings.parseNames       SAN extensions of the options, parsed before any prompt
+ * @param  {Function} settings.getNames         called with the subject and the parsed names, the SAN extensions of the certificate
+ * @param  {Function} settings.assertExtensions called with the extensions and the subject, throws if they do not fit
+ * @param  {Boolean}  settings.p12              write a PKCS#12 archive too
+ * @return {Promise}
+ */
+function issueLeafCertificate(filename, options, {
+    type,
+    title,
+    parseNames = () => [],
+    getNames = (attrs, names) => names,
+    assertExtensions = () => {},
+    p12 = false
+}) {
+    const interactive = !options.nonInteractive;
+    const fullpath = path.resolve(currentPath, filename);
+    // Trim file extension (e.g: .crt) from given filename
+    const basePath = fullpath.replace(path.extname(fullpath), '');
+    const keyPath = `${basePath}.key`;
+    const certPath = `${basePath}.crt`;
+    const chainPath = `${basePath}.chain.crt`;
+    const p12Path = `${basePath}.p12`;
+    let home, profile, validity, names, customExts;
+    let CAKey, CACert, CAChain, attrs, exts, suppliedKey, keyPassphrase, passphrase;
+
+    return loadConfig()
+        .then(config => {
+            profile = resolveProfile(config, options.profile, type, { leaf: true });
+            home = resolveCAHome(options.home || config.home);
+            validity = getValidity(options, profile.days || DEFAULT_LEAF_DAYS);
+            names = parseNames(options);
+            customExts = getCustomExtensions(options);
+            assertCipher(options.cipher);
+
+            return loadCA(options, config);
+        })
+        .then(result => {
+            CAKey = result.CAKey;
+            CACert = result.CACert;
+            CAChain = result.CAChain;
+
+            return prepareKey(options, title.toLowerCase());
+        })
+        .then(result => {
+            suppliedKey = result.suppliedKey;
+            keyPassphrase = result.passphrase;
+
+            return getSubjects(options.subj, {
+                interactive,
+                defaults: profile.subject
+            });
+        })
+        .then(result => {
+            attrs = result;
+
+            return getNames(attrs, names);
+        })
+        .then(result => {
+            exts = withExtensions(withRevocationInfo(
+                profile.exts.concat(buildSubjectAltName(profile.san, attrs, result)), options), customExts);
+            assertExtensions(exts, attrs);
+
+            if (!p12) {
+                return null;
+            }
+
+            if (interactive && !options.p12Pass) {
+                console.log('\nPlease provide a password to encrypt the PKCS#12 archive file.\n');
+            }
+
+            return getPassphrase(options.p12Pass, {
+                interactive,
+                option: '--p12-pass'
+            });
+        })
+        .then(result => {
+            passphrase = result;
+
+            return allocateSerialNumber(home);
+        })
+        .then(serial => {
+            return createCertificate(Object.assign({
+                attrs,
+                exts,
+                serial,
+                days: validity.days,
+                notBefore: validity.notBefore,
+                notAfter: validity.notAfter,
+                key: suppliedKey
+            }, getKeySettings(options, profile)));
+        })
+        .then(({ privateKey, cert }) => {
+            // A client profile may still allow serverAuth
+            checkValidity(cert, CACert, options.force);
+            assertNameConstraints(cert, CAChain);
+
+            // Use CA's private key to sign the certificate
+            signCertificate({
+                cert,
+                CAKey,
+                CACert
+            });
+
+            const archive = p12 && createP12Archive({
+                privateKey,
+                cert,
+                passphrase,
+                chain: CAChain,
+                friendlyName: options.name,
+                cipher: options.cipher
+            });
+
+            return recordCertificate(home, { cert, CACert, profile: profile.name }, () => Promise.all([
+                !suppliedKey && writePrivateKey(privateKey, keyPath, keyPassphrase, options.cipher),
+                writeCertificate(cert, certPath),
+                // Issued by an intermediate CA (or a cross-signed root), bundle leaf + intermediates
+                hasCertificateChain(CAChain) &&
+                    writeCertificateChain(getCertificateChain(cert, CAChain), chainPath),
+                archive && writeP12Archive(archive, p12Path)
+            ]));
+        })
+        .then(() => {
+            console.log(`${title} certificate created:`);
+
+            if (!suppliedKey) {
+                console.log(chalk.green(keyPath));
+            }
+
+            console.log(chalk.green(certPath));
+
+            if (hasCertificateChain(CAChain)) {
+                console.log(chalk.green(chainPath));
+            }
+
+            if (p12) {
+                console.log(chalk.green(p12Path));
+            }
+        });
+}
+
 program
     .version(VERSION);
 
@@ -32,38 +820,65 @@ program
 // ```
 // By default, a password will be asked to encrypt the generated
 // private key using triple DES
-program
+addOptions(program
     .command('sign-ca [filename]')
-    .description('generate self-signed CA certificate.')
-    .option('-b, --bits <size>', 'RSA key size (Default: 2048)', parseInt)
-    .option('-s, --subj <attrs>', 'set request subjects (Format: "/t0=v0/t1=v1")', parseAttrsFromString)
+    .description('generate self-signed CA certificate.'), [
+    keyOptions(),
+    SUBJECT_OPTIONS,
+    EXTENSION_OPTIONS,
+    NAME_CONSTRAINT_OPTIONS,
+    validityOptions('2 years'),
+    homeOptions({ passin: null }),
+    keyEncryptionOptions(),
+    [ NON_INTERACTIVE_OPTION ]
+])
     .action(function (filename = 'ca', options) {
-        const rsaSize = options.bits || 2048;
+        const interactive = !options.nonInteractive;
         const fullpath = path.resolve(currentPath, filename);
         // Trim file extension (e.g: .crt) from given filename
         const basePath = fullpath.replace(path.extname(fullpath), '');
         const keyPath = `${basePath}.key`;
         const certPath = `${basePath}.crt`;
-        let passphrase;
+        let home, profile, validity, nameConstraints, customExts;
+        let passphrase, suppliedKey;
         let attrs;
 
-        return getPassphrase()
+        return loadConfig()
+            .then((config) => {
+                profile = resolveProfile(config, options.profile, 'ca');
+                home = resolveCAHome(options.home || config.home);
+                validity = getValidity(options, profile.days);
+                nameConstraints = getNameConstraints(options);
+                customExts = getCustomExtensions(options);
+                assertCipher(options.cipher);
+
+                return prepareKey(options);
+            })
             .then((result) => {
-                passphrase = result;
+                suppliedKey = result.suppliedKey;
+                passphrase = result.passphrase;
 
-                return getSubjects(options.subj);
+                return getSubjects(options.subj, {
+                    interactive,
+                    defaults: profile.subject
+                });
             })
             .then((result) => {
                 attrs = result;
 
-                return createCertificate({
-                    passphrase,
-                    serial: '01',
-                    bits: rsaSize,
+                return allocateSerialNumber(home);
+            })
+            .then((serial) => {
+                return createCertificate(Object.assign({
+                    key: suppliedKey,
+                    serial,
                     ttl: 2,
+                    days: validity.days,
+                    notBefore: validity.notBefore,
+                    notAfter: validity.notAfter,
                     attrs,
-                    exts: CA_EXTENSION_SET
-                });
+                    exts: withExtensions(profile.exts.concat(nameConstraints), customExts)
+                }, getKeySettings(options, profile)));
             })
             .then(({ privateKey, cert }) => {
                 // Finally self-sign
@@ -72,187 +887,2120 @@ program
                     privateKey
                 });
 
-                return Promise.all([
-                    writePrivateKey(privateKey, keyPath, passphrase),
+                return recordCertificate(home, { cert, profile: profile.name }, () => Promise.all([
+                    !suppliedKey && writePrivateKey(privateKey, keyPath, passphrase, options.cipher),
                     writeCertificate(cert, certPath)
-                ]);
+                ]));
             })
             .then(() => {
                 console.log('CA certificate created:');
-                console.log(chalk.green(keyPath));
+
+                if (!suppliedKey) {
+                    console.log(chalk.green(keyPath));
+                }
+
                 console.log(chalk.green(certPath));
             })
             .catch(err => {
                 console.log(chalk.red(err));
+                process.exitCode = 1;
             });
     });
 
-
-// ```bash
-// azura-ssl sign-server <filename>
-// ```
-// 
-// equivalent commands using openSSL:
 // ```bash
-// openssl req -newkey rsa:<bits> -nodes -keyout <filename>.key -out <filename>.csr
-// openssl x509 -req -in <filename>.csr -ca <CAPath> -cakey <CAKeyPath> -days 365 -out <filename>.crt
+// azura-ssl sign-intermediate <filename>
 // ```
-program
-    .command('sign-server <filename>')
-    .description('generate self-signed CA certificate.')
-    .option('--ca <CAPath>', 'specifies the CA certificate to be used for signing')
-    .option('--cakey <CAKeyPath>', 'sets the CA private key to sign a certificate with')
-    .option('--san', 'whether to add "subjectAltName" field or not')
-    .option('-c, --bits <size>', 'RSA key size (Default: 2048)', parseInt)
-    .option('-s, --subj <attrs>', 'set request subjects (Format: "/t0=v0/t1=v1")', parseAttrsFromString)
+// Issue a subordinate CA from an existing (root) CA, so the root key
+// can be kept offline while day-to-day signing uses the intermediate.
+// Besides the key and the certificate, `<filename>.chain.crt` bundles
+// the intermediate with its issuers and can be passed to `--ca` of
+// the other sign commands.
+addOptions(program
+    .command('sign-intermediate <filename>')
+    .description('generate intermediate CA certificate signed by given CA.'), [
+    CA_OPTIONS,
+    [[ '--pathlen <length>', 'maximum number of CAs allowed below the intermediate (Default: 0)', parseInt ]],
+    keyOptions(),
+    SUBJECT_OPTIONS,
+    EXTENSION_OPTIONS,
+    REVOCATION_OPTIONS,
+    NAME_CONSTRAINT_OPTIONS,
+    validityOptions('1 year, within the lifetime of the CA'),
+    homeOptions(),
+    keyEncryptionOptions(),
+    [ NON_INTERACTIVE_OPTION ]
+])
     .action(function (filename, options) {
-        const rsaSize = options.bits || 2048;
+        const interactive = !options.nonInteractive;
+        const pathLen = options.pathlen || 0;
         const fullpath = path.resolve(currentPath, filename);
         // Trim file extension (e.g: .crt) from given filename
         const basePath = fullpath.replace(path.extname(fullpath), '');
         const keyPath = `${basePath}.key`;
         const certPath = `${basePath}.crt`;
-        let CAKey, CACert, attrs;
+        const chainPath = `${basePath}.chain.crt`;
+        let config, home, profile, validity, nameConstraints, customExts;
+        let CAKey, CACert, CAChain, attrs, passphrase, suppliedKey;
 
-        return getCAPrivateKey(options.cakey)
+        return loadConfig()
             .then(result => {
-                // CA private key loaded
-                CAKey = result;
-                return getCACertificate(options.ca);
+                config = result;
+                profile = resolveProfile(config, options.profile, 'ca');
+                home = resolveCAHome(options.home || config.home);
+                validity = getValidity(options, profile.days);
+                nameConstraints = getNameConstraints(options);
+                customExts = getCustomExtensions(options);
+                assertCipher(options.cipher);
+
+                return loadCA(options, config);
             })
             .then(result => {
-                CACert = result;
-                return getSubjects(options.subj);
+                CAKey = result.CAKey;
+                CACert = result.CACert;
+                CAChain = result.CAChain;
+
+                assertCanIssueCA(CACert, pathLen);
+
+                return prepareKey(options, 'intermediate CA');
             })
             .then(result => {
-                attrs = result;
+                suppliedKey = result.suppliedKey;
+                passphrase = result.passphrase;
 
-                if (options.san) {
-                    return getSAN();
-                } else {
-                    return [];
-                }
+                return getSubjects(options.subj, {
+                    interactive,
+                    defaults: profile.subject
+                });
             })
             .then(result => {
-                return createCertificate({
+                attrs = result;
+
+                return allocateSerialNumber(home);
+            })
+            .then(serial => {
+                return createCertificate(Object.assign({
+                    key: suppliedKey,
+                    serial,
+                    days: validity.days,
+                    notBefore: validity.notBefore,
+                    // A year by default, silently kept within the lifetime of the issuer
+                    notAfter: validity.notAfter || (validity.days || validity.notBefore ? undefined : new Date(Math.min(
+                        Date.now() + INTERMEDIATE_DAYS * PERIOD_UNITS.d, CACert.validity.notAfter.getTime()))),
                     attrs,
-                    exts: SERVER_EXTENSION_SET.concat(result),
-                    serial: '02',
-                    ttl: 3,
-                    bits: rsaSize
-                });
+                    exts: withExtensions(withRevocationInfo(getCAExtensionSet(pathLen, profile.exts), options)
+                        .concat(inheritNameConstraints(nameConstraints, CAChain)), customExts)
+                }, getKeySettings(options, profile)));
             })
             .then(({ privateKey, cert }) => {
-                // Use CA's private key to sign server certificate
+                checkValidity(cert, CACert);
                 signCertificate({
                     cert,
                     CAKey,
                     CACert
                 });
-                
-                return Promise.all([
-                    writePrivateKey(privateKey, keyPath),
-                    writeCertificate(cert, certPath)
-                ]);
+
+                return recordCertificate(home, { cert, CACert, profile: 'intermediate' }, () => Promise.all([
+                    !suppliedKey && writePrivateKey(privateKey, keyPath, passphrase, options.cipher),
+                    writeCertificate(cert, certPath),
+                    writeCertificateChain(getCertificateChain(cert, CAChain), chainPath)
+                ]));
             })
             .then(() => {
-                console.log('Server certificate created:');
-                console.log(chalk.green(keyPath));
+                console.log('Intermediate CA certificate created:');
+
+                if (!suppliedKey) {
+                    console.log(chalk.green(keyPath));
+                }
+
                 console.log(chalk.green(certPath));
+                console.log(chalk.green(chainPath));
             })
             .catch(err => {
                 console.log(chalk.red(err));
+                process.exitCode = 1;
             });
     });
 
 // ```bash
-// azura-ssl sign-client <filename>
+// azura-ssl cross-sign <cert>
 // ```
-// 
+// Issue a cross certificate: the subject, public key and extensions of
+// a CA signed by another CA, e.g. a new root signed by the root it
+// replaces. Served after the certificates of the new CA, it lets
+// clients which only trust the old one accept them. Written to
+// `<cert>.cross.crt` unless `--out` is given.
+//
 // equivalent commands using openSSL:
 // ```bash
-// openssl req -newkey rsa:<bits> -nodes -keyout <filename>.key -out <filename>.csr
-// openssl x509 -req -in <filename>.csr -ca <CAPath> -cakey <CAKeyPath> -days 365 -out <filename>.crt
-// openssl pkcs12 -export -in <filename>.crt -inkey <filename>.key -certfile <CAPath> -name "Wesley W." -out <filename>.p12
+// openssl x509 -x509toreq -in ca-2.crt -signkey ca-2.key -copy_extensions copyall -out ca-2.csr
+// openssl x509 -req -in ca-2.csr -CA ca.crt -CAkey ca.key -CAcreateserial \
+//     -copy_extensions copyall -days 365 -out ca-2.cross.crt
 // ```
-program
-    .command('sign-client <filename>')
-    .description('generate self-signed CA certificate.')
-    .option('--ca <CAPath>', 'specifies the CA certificate to be used for signing')
-    .option('--cakey <CAKeyPath>', 'sets the CA private key to sign a certificate with')
-    .option('--name <friendlyName>', 'specifies the "friendly name"')
-    .option('-c, --bits <size>', 'RSA key size (Default: 2048)', parseInt)
-    .option('-s, --subj <attrs>', 'set request subjects (Format: "/t0=v0/t1=v1")', parseAttrsFromString)
+addOptions(program
+    .command('cross-sign <cert>')
+    .description('issue a cross certificate of given CA, signed by another CA.'), [
+    [
+        [ '--ca <CAPath>', 'specifies the CA certificate to be used for signing, e.g. the root being replaced' ],
+        [ '--cakey <CAKeyPath>', 'sets the CA private key to sign a certificate with' ]
+    ],
+    validityOptions('as long as both CAs are valid'),
+    [[ '-o, --out <file>', 'path of the cross certificate (Default: <cert>.cross.crt)' ]],
+    homeOptions(),
+    [ NON_INTERACTIVE_OPTION ]
+])
+    .action(function (certFile, options) {
+        const certPath = path.resolve(currentPath, certFile);
+        // Trim file extension (e.g: .crt) from given filename
+        const basePath = certPath.replace(path.extname(certPath), '');
+        const crossPath = options.out ?
+            path.resolve(currentPath, options.out) :
+            `${basePath}.cross.crt`;
+        let config, home, validity, cert;
+
+        return loadConfig()
+            .then(result => {
+                config = result;
+                home = resolveCAHome(options.home || config.home);
+                validity = getValidity(options);
+
+                return readCertificate(certPath);
+            })
+            .then(result => {
+                cert = result;
+
+                return loadCA(options, config);
+            })
+            .then(({ CAKey, CAChain }) => crossSign({
+                cert,
+                CAKey,
+                CAChain,
+                home,
+                validity,
+                writeFiles: cross => writeCertificate(cross, crossPath)
+            }))
+            .then(cross => {
+                console.log(`Cross certificate created (${cross.serialNumber}), valid until ${cross.validity.notAfter.toISOString()}:`);
+                console.log(chalk.green(crossPath));
+            })
+            .catch(err => {
+                console.log(chalk.red(err));
+                process.exitCode = 1;
+            });
+    });
+
+// ```bash
+// azura-ssl rollover <filename>
+// ```
+// Replace a root CA before it expires: a new root with the extensions,
+// key type and lifetime of the old one (`<filename>.key` and
+// `<filename>.crt`), its cross certificate signed by the old root
+// (`<filename>.cross.crt`), the new root followed by its cross
+// certificate (`<filename>.chain.crt`) and a trust bundle of both roots
+// (`<filename>.trust.crt`). During the transition window, certificates
+// issued with `--ca <filename>.chain.crt` get a `.chain.crt` ending
+// with the cross certificate, so clients trusting either root accept
+// them.
+addOptions(program
+    .command('rollover <filename>')
+    .description('generate a new root CA cross-signed by the current one.'), [
+    [
+        [ '--ca <CAPath>', 'specifies the root CA certificate being replaced' ],
+        [ '--cakey <CAKeyPath>', 'sets the private key of the root CA being replaced' ],
+        [ '-b, --bits <size>', 'RSA key size (Default: the one of the old CA)', parseInt ],
+        [ '--key-type <type>', 'type of the generated key: rsa, ec or ed25519 (Default: the one of the old CA)' ],
+        [ '--curve <curve>', 'named curve of EC keys: P-256 or P-384 (Default: the one of the old CA)' ],
+        [ '-s, --subj <attrs>', 'set request subjects, they must differ from the old CA (Format: "/t0=v0/t1=v1")', parseAttrsFromString ]
+    ],
+    validityOptions('lifetime of the old CA'),
+    [[ '--transition <period>', 'validity of the cross certificate, e.g. 90d or 12w (Default: until the old CA expires)' ]],
+    homeOptions({ passin: 'passphrase source of the old CA private key (pass:<password>, env:<var> or file:<path>)' }),
+    keyEncryptionOptions(),
+    [ NON_INTERACTIVE_OPTION ]
+])
     .action(function (filename, options) {
-        const rsaSize = options.bits || 2048;
+        const interactive = !options.nonInteractive;
         const fullpath = path.resolve(currentPath, filename);
         // Trim file extension (e.g: .crt) from given filename
         const basePath = fullpath.replace(path.extname(fullpath), '');
         const keyPath = `${basePath}.key`;
         const certPath = `${basePath}.crt`;
-        const p12Path = `${basePath}.p12`;
-        let CAKey, CACert, attrs, passphrase;
+        const crossPath = `${basePath}.cross.crt`;
+        const chainPath = `${basePath}.chain.crt`;
+        const trustPath = `${basePath}.trust.crt`;
+        let config, home, validity, transition;
+        let CAKey, CACert, CAChain, attrs, passphrase, privateKey, cert, cross;
 
-        return getCAPrivateKey(options.cakey)
+        return loadConfig()
             .then(result => {
-                // CA private key loaded
-                CAKey = result;
-                return getCACertificate(options.ca);
+                config = result;
+                home = resolveCAHome(options.home || config.home);
+                validity = getValidity(options);
+                transition = options.transition && parsePeriod(options.transition);
+                assertCipher(options.cipher);
+
+                return loadCA(options, config);
+            })
+            .then(result => {
+                CAKey = result.CAKey;
+                CACert = result.CACert;
+                CAChain = result.CAChain;
+
+                if (!isSelfSigned(CACert)) {
+                    throw new Error(`${attrsToString(CACert.subject.attributes)} is not a root CA, issue a new intermediate CA with sign-intermediate instead.`);
+                }
+
+                if (interactive && options.keyEncryption && !options.passout) {
+                    console.log('\nPlease provide a passphrase to encrypt the new CA private key.\n');
+                }
+
+                return getKeyPassphrase(options);
             })
             .then(result => {
-                CACert = result;
-                return getSubjects(options.subj);
+                passphrase = result;
+
+                // Prompts start from the subject of the old CA
+                return getSubjects(options.subj, {
+                    interactive,
+                    defaults: CACert.subject.attributes
+                        .filter(attr => attr.shortName)
+                        .reduce((defaults, attr) => Object.assign(defaults, {
+                            [attr.shortName]: attr.value
+                        }), {})
+                });
             })
             .then(result => {
                 attrs = result;
 
-                console.log('\nPlease provide a password to encrypt the PKCS#12 archive file.\n');
+                // Both roots end up in trust stores side by side, the
+                // subject tells their certificates apart
+                if (attrsToString(attrs) === attrsToString(CACert.subject.attributes)) {
+                    throw new Error('The new CA needs a subject other than the one of the old CA, please specify it with --subj.');
+                }
 
-                return getPassphrase();
+                return generateKeyPair(options.keyType ? {
+                    keyType: options.keyType,
+                    bits: options.bits || 2048,
+                    curve: options.curve
+                } : Object.assign(getKeyType(CACert.publicKey),
+                    options.bits ? { bits: options.bits } : {},
+                    options.curve ? { curve: options.curve } : {}));
             })
             .then(result => {
-                passphrase = result
+                privateKey = result.privateKey;
 
-                return createCertificate({
+                return allocateSerialNumber(home);
+            })
+            .then(serial => {
+                cert = createCertificateFromCertificate({
+                    cert: CACert,
+                    publicKey: getPublicKey(privateKey),
                     attrs,
-                    exts: CLIENT_EXTENSION_SET,
-                    serial: '03',
-                    ttl: 3,
-                    bits: rsaSize
+                    serial,
+                    days: validity.days,
+                    notBefore: validity.notBefore,
+                    notAfter: validity.notAfter
                 });
-            })
-            .then(({ privateKey, cert }) => {
-                // Use CA's private key to sign server certificate
-                signCertificate({
+                selfSign({
                     cert,
-                    CAKey,
-                    CACert
+                    privateKey
                 });
 
-                // Generate PKCS#12 archive
-                const p12 = createP12Archive({
-                    privateKey,
-                    cert,
-                    passphrase,
-                    CACert,
-                    friendlyName: options.name
-                });
-                
-                return Promise.all([
-                    writePrivateKey(privateKey, keyPath),
-                    writeCertificate(cert, certPath),
-                    writeP12Archive(p12, p12Path)
-                ]);
+                return recordCertificate(home, { cert, profile: 'ca' }, () => Promise.all([
+                    writePrivateKey(privateKey, keyPath, passphrase, options.cipher),
+                    writeCertificate(cert, certPath)
+                ]));
+            })
+            .then(() => crossSign({
+                cert,
+                CAKey,
+                CAChain,
+                home,
+                validity: {
+                    notAfter: transition && new Date(Date.now() + transition)
+                },
+                writeFiles: result => Promise.all([
+                    writeCertificate(result, crossPath),
+                    writeCertificateChain([ cert, result ], chainPath),
+                    writeCertificateChain([ cert, CACert ], trustPath)
+                ])
+            }))
+            .then(result => {
+                cross = result;
             })
             .then(() => {
-                console.log('Client certificate created:');
+                console.log('New CA certificate created:');
                 console.log(chalk.green(keyPath));
                 console.log(chalk.green(certPath));
-                console.log(chalk.green(p12Path));
+                console.log(`Cross certificate signed by the old CA, valid until ${cross.validity.notAfter.toISOString()}:`);
+                console.log(chalk.green(crossPath));
+                console.log('New CA followed by its cross certificate, to issue certificates with (--ca):');
+                console.log(chalk.green(chainPath));
+                console.log('Trust bundle of both CAs:');
+                console.log(chalk.green(trustPath));
+            })
+            .catch(err => {
+                console.log(chalk.red(err));
+                process.exitCode = 1;
+            });
+    });
+
+// ```bash
+// azura-ssl sign-server <filename>
+// ```
+// 
+// equivalent commands using openSSL:
+// ```bash
+// openssl req -newkey rsa:<bits> -nodes -keyout <filename>.key -out <filename>.csr
+// openssl x509 -req -in <filename>.csr -ca <CAPath> -cakey <CAKeyPath> -days 365 -out <filename>.crt
+// ```
+addOptions(program
+    .command('sign-server <filename>')
+    .description('generate server certificate signed by given CA.'), [
+    CA_OPTIONS,
+    [[ '--san [altNames]', 'add "subjectAltName" field, asked for unless given (Format: "DNS:a.com,IP:10.0.0.6")' ]],
+    SUBJECT_ALT_NAME_OPTIONS,
+    keyOptions({ short: '-c' }),
+    SUBJECT_OPTIONS,
+    EXTENSION_OPTIONS,
+    REVOCATION_OPTIONS,
+    validityOptions('397'),
+    [ FORCE_OPTION ],
+    homeOptions(),
+    keyEncryptionOptions(),
+    [ NON_INTERACTIVE_OPTION ]
+])
+    .action(function (filename, options) {
+        return issueLeafCertificate(filename, options, {
+            type: 'server',
+            title: 'Server',
+            parseNames: parseSANFromOptions,
+            getNames: (attrs, names) => Promise.resolve(options.san ?
+                getSAN(options.san, { interactive: !options.nonInteractive }) :
+                [])
+                // Browsers ignore the common name, it has to be in the SAN too
+                .then(result => getCommonNameSAN(attrs).concat(names, result)),
+            assertExtensions: (exts, attrs) => assertServerSAN(exts, attrs, { option: '--dns, --ip or --san' })
+        })
+            .catch(err => {
+                console.log(chalk.red(err));
+                process.exitCode = 1;
+            });
+    });
+
+// ```bash
+// azura-ssl sign-client <filename>
+// ```
+// 
+// equivalent commands using openSSL:
+// ```bash
+// openssl req -newkey rsa:<bits> -nodes -keyout <filename>.key -out <filename>.csr
+// openssl x509 -req -in <filename>.csr -ca <CAPath> -cakey <CAKeyPath> -days 365 -out <filename>.crt
+// openssl pkcs12 -export -in <filename>.crt -inkey <filename>.key -certfile <CAPath> -name "Wesley W." -out <filename>.p12
+// ```
+addOptions(program
+    .command('sign-client <filename>')
+    .description('generate client certificate signed by given CA.'), [
+    CA_OPTIONS,
+    [[ '--name <friendlyName>', 'specifies the "friendly name"' ]],
+    SUBJECT_ALT_NAME_OPTIONS,
+    keyOptions({ short: '-c' }),
+    SUBJECT_OPTIONS,
+    EXTENSION_OPTIONS,
+    REVOCATION_OPTIONS,
+    validityOptions('397'),
+    [ FORCE_OPTION ],
+    homeOptions(),
+    keyEncryptionOptions({ p12: true }),
+    [ NON_INTERACTIVE_OPTION ]
+])
+    .action(function (filename, options) {
+        return issueLeafCertificate(filename, options, {
+            type: 'client',
+            title: 'Client',
+            parseNames: parseSANFromOptions,
+            p12: true
+        })
+            .catch(err => {
+                console.log(chalk.red(err));
+                process.exitCode = 1;
+            });
+    });
+
+// ```bash
+// azura-ssl sign-codesign <filename>
+// ```
+//
+// equivalent commands using openSSL:
+// ```bash
+// openssl req -newkey rsa:<bits> -nodes -keyout <filename>.key -out <filename>.csr
+// openssl x509 -req -in <filename>.csr -CA <CAPath> -CAkey <CAKeyPath> -days 397 -extfile <(echo "extendedKeyUsage=critical,codeSigning") -out <filename>.crt
+// ```
+// The certificate signs build artifacts with `sign-file`.
+addOptions(program
+    .command('sign-codesign <filename>')
+    .description('generate code signing certificate.'), [
+    CA_OPTIONS,
+    keyOptions({ short: '-c' }),
+    SUBJECT_OPTIONS,
+    EXTENSION_OPTIONS,
+    REVOCATION_OPTIONS,
+    validityOptions('397'),
+    homeOptions(),
+    keyEncryptionOptions(),
+    [ NON_INTERACTIVE_OPTION ]
+])
+    .action(function (filename, options) {
+        return issueLeafCertificate(filename, options, {
+            type: 'codesign',
+            title: 'Code signing'
+        })
+            .catch(err => {
+                console.log(chalk.red(err));
+                process.exitCode = 1;
+            });
+    });
+
+// ```bash
+// azura-ssl sign-email <filename> --email <address>
+// ```
+//
+// equivalent commands using openSSL:
+// ```bash
+// openssl req -newkey rsa:<bits> -nodes -keyout <filename>.key -out <filename>.csr
+// openssl x509 -req -in <filename>.csr -CA <CAPath> -CAkey <CAKeyPath> -days 397 -extfile <(echo -e "extendedKeyUsage=critical,emailProtection\nsubjectAltName=email:<address>") -out <filename>.crt
+// openssl pkcs12 -export -in <filename>.crt -inkey <filename>.key -certfile <CAPath> -out <filename>.p12
+// ```
+// S/MIME certificate, the email addresses given with `--email` or as
+// the "E" subject attribute go into the SAN. Mail clients import the
+// PKCS#12 archive.
+addOptions(program
+    .command('sign-email <filename>')
+    .description('generate S/MIME email certificate.'), [
+    CA_OPTIONS,
+    [
+        [ '--name <friendlyName>', 'specifies the "friendly name"' ],
+        [ '--email <address>', 'add an email address to "subjectAltName", required unless the subject has one (repeatable)', collect, [] ]
+    ],
+    keyOptions({ short: '-c' }),
+    SUBJECT_OPTIONS,
+    EXTENSION_OPTIONS,
+    REVOCATION_OPTIONS,
+    validityOptions('397'),
+    homeOptions(),
+    keyEncryptionOptions({ p12: true }),
+    [ NON_INTERACTIVE_OPTION ]
+])
+    .action(function (filename, options) {
+        return issueLeafCertificate(filename, options, {
+            type: 'email',
+            title: 'Email',
+            parseNames: () => parseSANFromOptions({ email: options.email }),
+            getNames: (attrs, names) => {
+                // The address in the subject has to be in the SAN too
+                const sanExts = getEmailAddressSAN(attrs).concat(names);
+
+                if (sanExts.length === 0) {
+                    throw new Error('An email address is required, please specify it with --email.');
+                }
+
+                return sanExts;
+            },
+            p12: true
+        })
+            .catch(err => {
+                console.log(chalk.red(err));
+                process.exitCode = 1;
+            });
+    });
+
+// ```bash
+// azura-ssl create-csr <filename>
+// ```
+//
+// equivalent commands using openSSL:
+// ```bash
+// openssl req -newkey rsa:<bits> -keyout <filename>.key -out <filename>.csr
+// ```
+addOptions(program
+    .command('create-csr <filename>')
+    .description('generate private key and PKCS#10 certification request.'), [
+    [[ '--san [altNames]', 'request "subjectAltName" field, asked for unless given (Format: "DNS:a.com,IP:10.0.0.6")' ]],
+    keyOptions({ existing: false }),
+    SUBJECT_OPTIONS,
+    keyEncryptionOptions(),
+    [ NON_INTERACTIVE_OPTION ]
+])
+    .action(function (filename, options) {
+        const interactive = !options.nonInteractive;
+        const fullpath = path.resolve(currentPath, filename);
+        // Trim file extension (e.g: .csr) from given filename
+        const basePath = fullpath.replace(path.extname(fullpath), '');
+        const keyPath = `${basePath}.key`;
+        const csrPath = `${basePath}.csr`;
+        let profile, passphrase, attrs;
+
+        return loadConfig()
+            .then(config => {
+                profile = resolveProfile(config, options.profile, 'server');
+                assertCipher(options.cipher);
+
+                return getKeyPassphrase(options);
+            })
+            .then(result => {
+                passphrase = result;
+
+                return getSubjects(options.subj, {
+                    interactive,
+                    defaults: profile.subject
+                });
+            })
+            .then(result => {
+                attrs = result;
+
+                if (options.san) {
+                    return getSAN(options.san, { interactive });
+                } else {
+                    return [];
+                }
+            })
+            .then(result => {
+                return createCertificationRequest({
+                    attrs,
+                    exts: buildSubjectAltName(profile.san, attrs, result),
+                    keyType: options.keyType || profile.keyType,
+                    bits: options.bits || profile.bits || 2048,
+                    curve: options.curve || profile.curve
+                });
+            })
+            .then(({ privateKey, csr }) => {
+                return Promise.all([
+                    writePrivateKey(privateKey, keyPath, passphrase, options.cipher),
+                    writeCertificationRequest(csr, csrPath)
+                ]);
+            })
+            .then(() => {
+                console.log('Certification request created:');
+                console.log(chalk.green(keyPath));
+                console.log(chalk.green(csrPath));
+            })
+            .catch(err => {
+                console.log(chalk.red(err));
+                process.exitCode = 1;
+            });
+    });
+
+// ```bash
+// azura-ssl sign-csr <csr> [filename]
+// ```
+//
+// equivalent commands using openSSL:
+// ```bash
+// openssl x509 -req -in <csr> -CA <CAPath> -CAkey <CAKeyPath> -days 365 -out <filename>.crt
+// ```
+addOptions(program
+    .command('sign-csr <csr> [filename]')
+    .description('sign a PKCS#10 certification request (PEM or DER) with given CA.'), [
+    CA_OPTIONS,
+    [
+        [ '-t, --type <type>', 'type of certificate to issue: server or client', /^(server|client)$/, 'server' ],
+        [ '--profile <name>', 'issuance profile defined in .azurarc or azura.config.json' ]
+    ],
+    EXTENSION_OPTIONS,
+    REVOCATION_OPTIONS,
+    validityOptions('397'),
+    [ FORCE_OPTION ],
+    homeOptions(),
+    [ NON_INTERACTIVE_OPTION ]
+])
+    .action(function (csrFile, filename, options) {
+        const csrPath = path.resolve(currentPath, csrFile);
+        const fullpath = path.resolve(currentPath, filename || csrFile);
+        // Trim file extension (e.g: .csr) from given filename
+        const basePath = fullpath.replace(path.extname(fullpath), '');
+        const certPath = `${basePath}.crt`;
+        const chainPath = `${basePath}.chain.crt`;
+        const isClient = options.type === 'client';
+        let config, home, profile, validity, customExts;
+        let CAKey, CACert, CAChain, csr;
+
+        return loadConfig()
+            .then(result => {
+                config = result;
+                profile = resolveProfile(config, options.profile, options.type, { leaf: true });
+                home = resolveCAHome(options.home || config.home);
+                validity = getValidity(options, profile.days || DEFAULT_LEAF_DAYS);
+                customExts = getCustomExtensions(options);
+
+                return loadCA(options, config);
+            })
+            .then(result => {
+                CAKey = result.CAKey;
+                CACert = result.CACert;
+                CAChain = result.CAChain;
+
+                return readCertificationRequest(csrPath);
+            })
+            .then(result => {
+                csr = result;
+
+                return allocateSerialNumber(home);
+            })
+            .then(serial => {
+                const cert = createCertificateFromRequest({
+                    csr,
+                    exts: withExtensions(withRevocationInfo(profile.exts, options), customExts),
+                    serial,
+                    days: validity.days,
+                    notBefore: validity.notBefore,
+                    notAfter: validity.notAfter
+                });
+
+                if (!isClient) {
+                    assertServerSAN(cert.extensions, cert.subject.attributes, {
+                        option: 'the "subjectAltName" of the request'
+                    });
+                }
+
+                checkValidity(cert, CACert, options.force);
+                assertNameConstraints(cert, CAChain);
+
+                // Use CA's private key to sign the requested certificate
+                signCertificate({
+                    cert,
+                    CAKey,
+                    CACert
+                });
+
+                return recordCertificate(home, { cert, CACert, profile: profile.name }, () => Promise.all([
+                    writeCertificate(cert, certPath),
+                    // Issued by an intermediate CA (or a cross-signed root), bundle leaf + intermediates
+                    hasCertificateChain(CAChain) &&
+                        writeCertificateChain(getCertificateChain(cert, CAChain), chainPath)
+                ]));
+            })
+            .then(() => {
+                console.log(`${isClient ? 'Client' : 'Server'} certificate created:`);
+                console.log(chalk.green(certPath));
+
+                if (hasCertificateChain(CAChain)) {
+                    console.log(chalk.green(chainPath));
+                }
+            })
+            .catch(err => {
+                console.log(chalk.red(err));
+                process.exitCode = 1;
+            });
+    });
+
+// ```bash
+// azura-ssl renew <cert>
+// ```
+// Reissue a certificate with the subject, SANs and extensions of an
+// existing one: a new serial number and validity period, the same key
+// unless `--rekey` is given. Previous files are kept as
+// `<file>.<timestamp>.bak`. With `--within 30d` nothing is done until
+// the certificate expires within 30 days, so it can run from cron.
+addOptions(program
+    .command('renew <cert>')
+    .description('reissue a certificate from an existing one, signed by given CA.'), [
+    CA_OPTIONS,
+    [
+        [ '--rekey', 'generate a new private key of the same type instead of reusing the existing one' ],
+        [ '--within <period>', 'only renew when the certificate expires within the period, e.g. 30d, 12h or 2w' ]
+    ],
+    validityOptions('lifetime of the certificate, at most 397 for server certificates'),
+    [
+        FORCE_OPTION,
+        [ '--name <friendlyName>', 'specifies the "friendly name" of the PKCS#12 archive, if any' ]
+    ],
+    homeOptions(),
+    [
+        [ '--key-passin <source>', 'passphrase source of the existing private key, read to rebuild the PKCS#12 archive (pass:<password>, env:<var> or file:<path>)' ],
+        [ '--passout <source>', 'passphrase source to encrypt the new private key of --rekey (pass:<password>, env:<var> or file:<path>)' ],
+        [ '--no-key-encryption', 'do not encrypt the new private key of --rekey' ],
+        [ '--p12-pass <source>', 'passphrase source to encrypt the PKCS#12 archive, if any (pass:<password>, env:<var> or file:<path>)' ],
+        [ '--cipher <cipher>', 'cipher encrypting the new private key and the PKCS#12 archive: 3des or aes256 (Default: 3des)' ],
+        NON_INTERACTIVE_OPTION
+    ]
+])
+    .action(function (certFile, options) {
+        const interactive = !options.nonInteractive;
+        const certPath = path.resolve(currentPath, certFile);
+        // Trim file extension (e.g: .crt) from given filename
+        const basePath = certPath.replace(path.extname(certPath), '');
+        const keyPath = `${basePath}.key`;
+        const chainPath = `${basePath}.chain.crt`;
+        const p12Path = `${basePath}.p12`;
+        // Only rebuild the archive if the certificate came with one
+        const hasP12 = pathExistsSync(p12Path);
+        // e.g. 20170801T120000Z
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+        let config, home, validity;
+        let CAKey, CACert, CAChain, oldCert, cert;
+        let privateKey, passphrase, p12Passphrase, backups;
+
+        const renew = () => loadCA(options, config)
+            .then(result => {
+                CAKey = result.CAKey;
+                CACert = result.CACert;
+                CAChain = result.CAChain;
+
+                // Signed with the key of the CA, not only naming it
+                if (!isIssuedBy(oldCert, CACert)) {
+                    throw new Error(`${certFile} was not issued by the given CA, please specify its CA with --ca and --cakey.`);
+                }
+
+                if (options.rekey) {
+                    // A self-signed certificate would be signed by its old key
+                    if (isSelfSigned(oldCert)) {
+                        throw new Error('Self-signed certificates can not be renewed with --rekey, please create a new CA with sign-ca.');
+                    }
+
+                    return generateKeyPair(getKeyType(oldCert.publicKey))
+                        .then(({ privateKey }) => privateKey);
+                }
+
+                if (!hasP12) {
+                    return null;
+                }
+
+                // The existing key is only needed to rebuild the archive
+                return readKeyFile(keyPath, {
+                    passin: options.keyPassin,
+                    interactive,
+                    option: '--key-passin'
+                });
+            })
+            .then(result => {
+                privateKey = result;
+
+                if (!options.rekey) {
+                    return undefined;
+                }
+
+                if (interactive && options.keyEncryption && !options.passout) {
+                    console.log('\nPlease provide a passphrase to encrypt the new private key.\n');
+                }
+
+                return getKeyPassphrase(options);
+            })
+            .then(result => {
+                passphrase = result;
+
+                if (!hasP12) {
+                    return null;
+                }
+
+                if (interactive && !options.p12Pass) {
+                    console.log('\nPlease provide a password to encrypt the PKCS#12 archive file.\n');
+                }
+
+                return getPassphrase(options.p12Pass, {
+                    interactive,
+                    option: '--p12-pass'
+                });
+            })
+            .then(result => {
+                p12Passphrase = result;
+
+                return Promise.all([
+                    allocateSerialNumber(home),
+                    findRecord(home, oldCert.serialNumber)
+                ]);
+            })
+            .then(([ serial, record ]) => {
+                cert = createCertificateFromCertificate({
+                    cert: oldCert,
+                    publicKey: options.rekey ? getPublicKey(privateKey) : oldCert.publicKey,
+                    serial,
+                    days: validity.days,
+                    notBefore: validity.notBefore,
+                    notAfter: validity.notAfter
+                });
+
+                checkValidity(cert, CACert, options.force);
+                assertNameConstraints(cert, CAChain);
+
+                signCertificate({
+                    cert,
+                    CAKey,
+                    CACert
+                });
+
+                return recordCertificate(home, {
+                    cert,
+                    CACert,
+                    profile: record ? record.profile : guessProfile(oldCert)
+                }, () => backupFiles([
+                    certPath,
+                    options.rekey && keyPath,
+                    hasCertificateChain(CAChain) && chainPath,
+                    hasP12 && p12Path
+                ].filter(Boolean), stamp)
+                    .then(result => {
+                        backups = result;
+
+                        return Promise.all([
+                            writeCertificate(cert, certPath),
+                            options.rekey && writePrivateKey(privateKey, keyPath, passphrase, options.cipher),
+                            // Issued by an intermediate CA (or a cross-signed root), bundle leaf + intermediates
+                            hasCertificateChain(CAChain) &&
+                                writeCertificateChain(getCertificateChain(cert, CAChain), chainPath),
+                            hasP12 && writeP12Archive(createP12Archive({
+                                privateKey,
+                                cert,
+                                passphrase: p12Passphrase,
+                                chain: CAChain,
+                                friendlyName: options.name,
+                                cipher: options.cipher
+                            }), p12Path)
+                        ]);
+                    }));
+            })
+            .then(() => {
+                console.log(`Certificate renewed (${cert.serialNumber}), valid until ${cert.validity.notAfter.toISOString()}:`);
+
+                if (options.rekey) {
+                    console.log(chalk.green(keyPath));
+                }
+
+                console.log(chalk.green(certPath));
+
+                if (hasCertificateChain(CAChain)) {
+                    console.log(chalk.green(chainPath));
+                }
+
+                if (hasP12) {
+                    console.log(chalk.green(p12Path));
+                }
+
+                if (backups.length > 0) {
+                    console.log('Previous files backed up:');
+                    backups.forEach(backupPath => console.log(backupPath));
+                }
+            });
+
+        return loadConfig()
+            .then(result => {
+                config = result;
+                home = resolveCAHome(options.home || config.home);
+
+                return readCertificate(certPath);
+            })
+            .then(result => {
+                oldCert = result;
+                // Server certificates issued before the 398 days limit are
+                // not renewed with the same lifetime
+                validity = getValidity(options,
+                    exceedsServerLifetime(oldCert) ? DEFAULT_LEAF_DAYS : undefined);
+                assertCipher(options.cipher);
+
+                if (options.within &&
+                    oldCert.validity.notAfter.getTime() - Date.now() > parsePeriod(options.within)) {
+                    console.log(`Certificate is valid until ${oldCert.validity.notAfter.toISOString()}, not due for renewal.`);
+                    return null;
+                }
+
+                return renew();
+            })
+            .catch(err => {
+                console.log(chalk.red(err));
+                process.exitCode = 1;
+            });
+    });
+
+// ```bash
+// azura-ssl issue-batch <manifest>
+// ```
+// Issue every server and client certificate listed in a JSON or YAML
+// manifest (see src/batch.js) with one CA, without a prompt per
+// certificate. A certificate still valid beyond `renewBefore` (30 days
+// by default) and matching its entry is left untouched, the other ones
+// are issued again with their existing key, previous files kept as
+// `<file>.<timestamp>.bak`. Keys are encrypted with the `keyPass` of the
+// manifest, if any.
+program
+    .command('issue-batch <manifest>')
+    .description('issue the certificates listed in a manifest file, skipping the ones up to date.')
+    .option('--ca <CAPath>', 'specifies the CA certificate to be used for signing, overrides the manifest')
+    .option('--cakey <CAKeyPath>', 'sets the CA private key to sign certificates with, overrides the manifest')
+    .option('--force', 'issue server certificates valid longer than 398 days anyway')
+    .option('--home <dir>', 'CA home directory keeping serial numbers and issuance index (Default: $AZURA_SSL_HOME, or ./azura-ca if it exists)')
+    .option('--passin <source>', 'passphrase source of the CA private key (pass:<password>, env:<var> or file:<path>)')
+    .option('--non-interactive', 'fail instead of prompting when something is missing')
+    .action(function (manifestFile, options) {
+        const interactive = !options.nonInteractive;
+        const manifestPath = path.resolve(currentPath, manifestFile);
+        // e.g. 20170801T120000Z
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+        const colors = {
+            created: chalk.green,
+            renewed: chalk.cyan,
+            unchanged: chalk.gray,
+            failed: chalk.red
+        };
+        let config, manifest, home, renewBefore, keyPassphrase;
+        let CAKey, CACert, CAChain;
+
+        const issue = entry => {
+            const keyPath = `${entry.basePath}.key`;
+            const certPath = `${entry.basePath}.crt`;
+            const chainPath = `${entry.basePath}.chain.crt`;
+            const p12Path = `${entry.basePath}.p12`;
+            const profile = entry.profile;
+            let oldCert, privateKey, reason, reuseKey, p12Passphrase;
+
+            return Promise.all([
+                pathExistsSync(certPath) ? readCertificate(certPath) : null,
+                // A key which can not be read is replaced
+                pathExistsSync(keyPath) ? readPrivateKey(keyPath, keyPassphrase).catch(() => null) : null
+            ])
+                .then(([ certResult, keyResult ]) => {
+                    oldCert = certResult;
+                    privateKey = keyResult && (!oldCert || isKeyPair(keyResult, oldCert.publicKey)) ?
+                        keyResult :
+                        null;
+                    reuseKey = Boolean(privateKey) &&
+                        (!profile.keyType || getKeyType(privateKey).keyType === profile.keyType);
+
+                    return oldCert && findRecord(home, oldCert.serialNumber);
+                })
+                .then(record => {
+                    if (oldCert) {
+                        reason = findMismatch(entry, oldCert, {
+                            CACert,
+                            record,
+                            privateKey,
+                            hasP12: pathExistsSync(p12Path),
+                            renewBefore
+                        });
+
+                        if (!reason) {
+                            return { status: 'unchanged', notAfter: oldCert.validity.notAfter };
+                        }
+                    }
+
+                    if (entry.type === 'client' && interactive && !entry.p12Pass) {
+                        console.log(`\nPlease provide a password to encrypt the PKCS#12 archive of "${entry.name}".\n`);
+                    }
+
+                    return (entry.type === 'client' ?
+                        getPassphrase(entry.p12Pass, {
+                            interactive,
+                            option: `"p12Pass" of "${entry.name}" in the manifest`
+                        }) :
+                        Promise.resolve(null))
+                        .then(result => {
+                            p12Passphrase = result;
+
+                            return allocateSerialNumber(home);
+                        })
+                        .then(serial => createCertificate({
+                            attrs: entry.attrs,
+                            exts: entry.exts,
+                            serial,
+                            days: entry.days || DEFAULT_LEAF_DAYS,
+                            bits: profile.bits || 2048,
+                            keyType: profile.keyType,
+                            curve: profile.curve,
+                            key: reuseKey ? privateKey : undefined
+                        }))
+                        .then(result => {
+                            const cert = result.cert;
+
+                            privateKey = result.privateKey;
+                            checkValidity(cert, CACert, options.force);
+                            assertNameConstraints(cert, CAChain);
+
+                            signCertificate({
+                                cert,
+                                CAKey,
+                                CACert
+                            });
+
+                            return recordCertificate(home, { cert, CACert, profile: profile.name }, () => backupFiles([
+                                certPath,
+                                !reuseKey && keyPath,
+                                chainPath,
+                                p12Path
+                            ].filter(Boolean), stamp)
+                                .then(() => Promise.all([
+                                    !reuseKey && writePrivateKey(privateKey, keyPath, keyPassphrase),
+                                    writeCertificate(cert, certPath),
+                                    // Issued by an intermediate CA (or a cross-signed root), bundle leaf + intermediates
+                                    hasCertificateChain(CAChain) &&
+                                        writeCertificateChain(getCertificateChain(cert, CAChain), chainPath),
+                                    entry.type === 'client' && writeP12Archive(createP12Archive({
+                                        privateKey,
+                                        cert,
+                                        passphrase: p12Passphrase,
+                                        chain: CAChain,
+                                        friendlyName: entry.name
+                                    }), p12Path)
+                                ])))
+                                .then(() => ({
+                                    status: oldCert ? 'renewed' : 'created',
+                                    notAfter: cert.validity.notAfter,
+                                    note: reason
+                                }));
+                        });
+                });
+        };
+
+        return loadConfig()
+            .then(result => {
+                config = result;
+
+                return readManifest(manifestPath, config);
+            })
+            .then(result => {
+                manifest = result;
+                home = resolveCAHome(options.home || manifest.home || config.home);
+                renewBefore = parsePeriod(manifest.renewBefore);
+
+                return manifest.keyPass && readPassphraseSource(manifest.keyPass);
+            })
+            .then(result => {
+                keyPassphrase = result || undefined;
+
+                return getCAPrivateKey(options.cakey || manifest.ca.key || config.ca.key, {
+                    passin: options.passin || manifest.ca.passin,
+                    interactive
+                });
+            })
+            .then(result => {
+                // CA private key loaded
+                CAKey = result;
+                return getCACertificate(options.ca || manifest.ca.cert || config.ca.cert, { interactive, privateKey: CAKey });
+            })
+            .then(result => {
+                CAChain = result;
+                CACert = result[0];
+
+                // One failing certificate does not stop the other ones
+                return Promise.mapSeries(manifest.entries, entry => issue(entry)
+                    .catch(err => ({ status: 'failed', note: String(err.message || err) }))
+                    .then(outcome => Object.assign({
+                        name: entry.name,
+                        type: entry.type
+                    }, outcome, {
+                        notAfter: outcome.notAfter && outcome.notAfter.toISOString()
+                    })));
+            })
+            .then(results => {
+                console.log('');
+                formatSummary(results).forEach((line, index) => {
+                    console.log(index === 0 ? chalk.bold(line) : colors[results[index - 1].status](line));
+                });
+
+                if (results.some(({ status }) => status === 'failed')) {
+                    process.exitCode = 1;
+                }
+            })
+            .catch(err => {
+                console.log(chalk.red(err));
+                process.exitCode = 1;
+            });
+    });
+
+// ```bash
+// azura-ssl revoke <cert|serial>
+// ```
+//
+// equivalent commands using openSSL:
+// ```bash
+// openssl ca -revoke <cert> -crl_reason <reason>
+// ```
+program
+    .command('revoke <target>')
+    .description('revoke a certificate, given by its file or serial number.')
+    .option('-r, --reason <reason>', 'revocation reason, e.g. keyCompromise, superseded (Default: unspecified)', 'unspecified')
+    .option('--home <dir>', 'CA home directory keeping serial numbers and issuance index (Default: $AZURA_SSL_HOME, or ./azura-ca if it exists)')
+    .action(function (target, options) {
+        const targetPath = path.resolve(currentPath, target);
+        let home;
+
+        return loadConfig()
+            .then(config => {
+                home = resolveCAHome(options.home || config.home, { required: true });
+
+                if (!isRevocationReason(options.reason)) {
+                    throw new Error(`Unknown revocation reason: ${options.reason}`);
+                }
+
+                if (pathExistsSync(targetPath)) {
+                    return readCertificate(targetPath)
+                        .then(cert => cert.serialNumber);
+                }
+
+                return target;
+            })
+            .then(serial => revokeCertificate(home, serial, options.reason))
+            .then(record => {
+                console.log('Certificate revoked:');
+                console.log(chalk.green(`${record.serial} ${record.subject} (${record.reason})`));
+            })
+            .catch(err => {
+                console.log(chalk.red(err));
+                process.exitCode = 1;
+            });
+    });
+
+// ```bash
+// azura-ssl gen-crl [filename]
+// ```
+//
+// equivalent commands using openSSL:
+// ```bash
+// openssl ca -gencrl -crldays <days> -out <filename>.crl.pem
+// ```
+program
+    .command('gen-crl [filename]')
+    .description('generate CRL of certificates revoked by given CA.')
+    .option('--ca <CAPath>', 'specifies the CA certificate to be used for signing')
+    .option('--cakey <CAKeyPath>', 'sets the CA private key to sign the CRL with')
+    .option('-d, --days <days>', 'days until the next CRL is due (Default: 30)', parseInt)
+    .option('--home <dir>', 'CA home directory keeping serial numbers and issuance index (Default: $AZURA_SSL_HOME, or ./azura-ca if it exists)')
+    .option('--passin <source>', 'passphrase source of the CA private key (pass:<password>, env:<var> or file:<path>)')
+    .option('--non-interactive', 'fail instead of prompting when something is missing')
+    .action(function (filename = 'crl', options) {
+        const interactive = !options.nonInteractive;
+        const fullpath = path.resolve(currentPath, filename);
+        // Trim file extension (e.g: .crl) from given filename
+        const basePath = fullpath.replace(path.extname(fullpath), '');
+        const pemPath = `${basePath}.crl.pem`;
+        const derPath = `${basePath}.crl`;
+        let config, home;
+        let CAKey, CACert, revoked;
+
+        return loadConfig()
+            .then(result => {
+                config = result;
+                home = resolveCAHome(options.home || config.home, { required: true });
+
+                return loadCA(options, config);
+            })
+            .then(result => {
+                // CAs are told apart by their key, their DNs may be the same
+                const keyId = getCAKeyId(result.CACert);
+
+                CAKey = result.CAKey;
+                CACert = result.CACert;
+
+                return readIndex(home)
+                    .then(records => records.filter(record =>
+                        record.status === 'revoked' && record.issuerKeyId === keyId));
+            })
+            .then(result => {
+                revoked = result.map(record => ({
+                    serial: record.serial,
+                    revokedAt: new Date(record.revokedAt),
+                    reason: record.reason
+                }));
+
+                return nextCRLNumber(home, CACert);
+            })
+            .then(crlNumber => {
+                const crl = createCRL({
+                    CACert,
+                    CAKey,
+                    revoked,
+                    crlNumber,
+                    days: options.days || 30
+                });
+
+                return writeCRL(crl, pemPath, derPath);
+            })
+            .then(() => {
+                console.log(`CRL created (${revoked.length} revoked):`);
+                console.log(chalk.green(pemPath));
+                console.log(chalk.green(derPath));
+            })
+            .catch(err => {
+                console.log(chalk.red(err));
+                process.exitCode = 1;
+            });
+    });
+
+// ```bash
+// azura-ssl ocsp-serve --ca <cert> --cakey <key> --port <port>
+// ```
+//
+// equivalent commands using openSSL:
+// ```bash
+// openssl ocsp -index index.txt -port <port> -rsigner <cert> -rkey <key> -CA <cert>
+// ```
+program
+    .command('ocsp-serve')
+    .description('start an OCSP responder answering the status of certificates issued by given CA.')
+    .option('--ca <CAPath>', 'specifies the CA certificate the responder answers for')
+    .option('--cakey <CAKeyPath>', 'sets the CA private key to sign the responses with')
+    .option('-p, --port <port>', 'port to listen on (Default: 8080)', 8080)
+    .option('--host <host>', 'address to listen on (Default: localhost)', 'localhost')
+    .option('--path <path>', 'path of the responder, as in the --ocsp-url of the certificates (Default: /)', '/')
+    .option('--home <dir>', 'CA home directory keeping serial numbers and issuance index (Default: $AZURA_SSL_HOME, or ./azura-ca if it exists)')
+    .option('--passin <source>', 'passphrase source of the CA private key (pass:<password>, env:<var> or file:<path>)')
+    .option('--non-interactive', 'fail instead of prompting when something is missing')
+    .action(function (options) {
+        const interactive = !options.nonInteractive;
+        const port = Number(options.port);
+        let config, home;
+        let CAKey, CACert;
+
+        return loadConfig()
+            .then(result => {
+                config = result;
+                home = resolveCAHome(options.home || config.home, { required: true });
+
+                if (!Number.isInteger(port) || port < 0 || port > 65535) {
+                    throw new Error(`Port invalid: ${options.port}`);
+                }
+
+                return loadCA(options, config);
+            })
+            .then(result => {
+                CAKey = result.CAKey;
+                CACert = result.CACert;
+
+                return listen(createOCSPServer({
+                    CACert,
+                    CAKey,
+                    home,
+                    path: options.path,
+                    onRequest: ({ statuses, error }) => {
+                        const time = new Date().toISOString();
+
+                        if (error) {
+                            console.log(chalk.red(`${time} ${error}`));
+                            return;
+                        }
+
+                        statuses.forEach(({ serial, status, record }) => {
+                            const line = `${time} ${serial} ${status}${record ? ` ${record.subject}` : ''}`;
+
+                            console.log(status === 'good' ? chalk.green(line) :
+                                status === 'revoked' ? chalk.red(line) :
+                                    chalk.yellow(line));
+                        });
+                    }
+                }), port, options.host);
+            })
+            .then(server => {
+                const url = `http://${options.host}:${server.address().port}${options.path.replace(/^\/*/, '/').replace(/\/+$/, '')}`;
+
+                console.log(`OCSP responder of ${attrsToString(CACert.subject.attributes)} at ${chalk.green(url)}`);
+                console.log(`Answering from ${home}, press Ctrl-C to stop.`);
+            })
+            .catch(err => {
+                console.log(chalk.red(err));
+                process.exitCode = 1;
+            });
+    });
+
+// ```bash
+// azura-ssl acme-serve --ca <cert> --cakey <key> --port <port>
+// ```
+// A local stand-in for an ACME CA (RFC 8555): ACME clients are pointed
+// to http://localhost:<port>/directory. Certificates are issued as with
+// `sign-csr`, accounts and orders are forgotten when the server stops.
+program
+    .command('acme-serve')
+    .description('start an ACME server issuing server certificates with given CA.')
+    .option('--ca <CAPath>', 'specifies the CA certificate to be used for signing')
+    .option('--cakey <CAKeyPath>', 'sets the CA private key to sign certificates with')
+    .option('-p, --port <port>', 'port to listen on (Default: 14000)', 14000)
+    .option('--host <host>', 'address to listen on (Default: localhost)', 'localhost')
+    .option('--http-port <port>', 'port http-01 challenges are fetched from (Default: 80)', 80)
+    .option('--auto-approve', 'consider every authorization valid at once, without fetching challenges (local testing)')
+    .option('--tls-cert <certPath>', 'serve the ACME API over HTTPS with this certificate (or chain)')
+    .option('--tls-key <keyPath>', 'private key of --tls-cert')
+    .option('--profile <name>', 'issuance profile defined in .azurarc or azura.config.json')
+    .option('--crl-url <url>', 'embed a CRL distribution point in the certificates (repeatable)', collect, [])
+    .option('--ocsp-url <url>', 'embed the location of an OCSP responder (see ocsp-serve) in the certificates (repeatable)', collect, [])
+    .option('--days <days>', 'certificate Time-To-Live in days (Default: 397)', parseInt)
+    .option('--home <dir>', 'CA home directory keeping serial numbers and issuance index (Default: $AZURA_SSL_HOME, or ./azura-ca if it exists)')
+    .option('--passin <source>', 'passphrase source of the CA private key (pass:<password>, env:<var> or file:<path>)')
+    .option('--non-interactive', 'fail instead of prompting when something is missing')
+    .action(function (options) {
+        const interactive = !options.nonInteractive;
+        const port = Number(options.port);
+        const httpPort = Number(options.httpPort);
+        let config, home, profile, validity, tls;
+        let CAKey, CAChain;
+
+        return loadConfig()
+            .then(result => {
+                config = result;
+                profile = resolveProfile(config, options.profile, 'server', { leaf: true });
+                home = resolveCAHome(options.home || config.home);
+                validity = getValidity(options, profile.days || DEFAULT_LEAF_DAYS);
+
+                [ port, httpPort ].forEach((value, index) => {
+                    if (!Number.isInteger(value) || value < 0 || value > 65535) {
+                        throw new Error(`Port invalid: ${index === 0 ? options.port : options.httpPort}`);
+                    }
+                });
+
+                if (validity.days > MAX_SERVER_DAYS) {
+                    throw new Error(`Server certificates valid for ${validity.days} days are refused by browsers, at most ${MAX_SERVER_DAYS} days are allowed.`);
+                }
+
+                if (Boolean(options.tlsCert) !== Boolean(options.tlsKey)) {
+                    throw new Error('Both --tls-cert and --tls-key are required to serve over HTTPS.');
+                }
+
+                return options.tlsCert && readTLSCredentials({
+                    cert: options.tlsCert,
+                    key: options.tlsKey,
+                    nonInteractive: options.nonInteractive
+                });
+            })
+            .then(result => {
+                tls = result || undefined;
+
+                return loadCA(options, config);
+            })
+            .then(result => {
+                CAKey = result.CAKey;
+                CAChain = result.CAChain;
+
+                return listen(createACMEServer({
+                    CACert: CAChain[0],
+                    CAKey,
+                    CAChain,
+                    home,
+                    exts: withRevocationInfo(profile.exts, options),
+                    profile: profile.name,
+                    days: validity.days,
+                    autoApprove: Boolean(options.autoApprove),
+                    httpPort,
+                    tls,
+                    onEvent: ({ type, detail, failed }) => {
+                        const line = `${new Date().toISOString()} ${type} ${detail}`;
+
+                        console.log(failed ? chalk.red(line) : chalk.green(line));
+                    }
+                }), port, options.host);
+            })
+            .then(server => {
+                const protocol = tls ? 'https' : 'http';
+
+                console.log(`ACME server of ${attrsToString(CAChain[0].subject.attributes)}, directory at ${chalk.green(`${protocol}://${options.host}:${server.address().port}/directory`)}`);
+                console.log(options.autoApprove ?
+                    chalk.yellow('Authorizations are approved without any challenge.') :
+                    `http-01 challenges are fetched from port ${httpPort}.`);
+                console.log('Press Ctrl-C to stop.');
+            })
+            .catch(err => {
+                console.log(chalk.red(err));
+                process.exitCode = 1;
+            });
+    });
+
+// ```bash
+// azura-ssl inspect <file>
+// ```
+//
+// equivalent commands using openSSL:
+// ```bash
+// openssl x509 -in <file> -noout -text -fingerprint
+// openssl req -in <file> -noout -text -verify
+// openssl rsa -in <file> -noout -text
+// openssl pkcs12 -in <file> -info
+// ```
+program
+    .command('inspect <file>')
+    .description('decode certificate, private key, certification request or PKCS#12 archive.')
+    .option('--json', 'print the result as JSON')
+    .option('--passin <source>', 'passphrase source of encrypted content (pass:<password>, env:<var> or file:<path>)')
+    .action(function (file, options) {
+        const filePath = path.resolve(currentPath, file);
+
+        return inspectFile(filePath, () => options.passin ?
+            readPassphraseSource(options.passin) :
+            askPassphrase(`Enter the passphrase of ${file}`))
+            .then(result => {
+                if (options.json) {
+                    console.log(JSON.stringify(result, null, 2));
+                } else {
+                    console.log(formatInspection(result));
+                }
+            })
+            .catch(err => {
+                console.log(chalk.red(err));
+                process.exitCode = 1;
+            });
+    });
+
+// ```bash
+// azura-ssl convert <file> --to <format>
+// ```
+//
+// equivalent commands using openSSL:
+// ```bash
+// openssl x509 -in <file> -outform der -out <filename>.der
+// openssl pkcs8 -topk8 -v2 aes-256-cbc -in <file> -out <filename>.pkcs8.key
+// openssl pkcs12 -in <file> -nodes -out <filename>.crt
+// openssl pkcs12 -export -in <file> -keypbe AES-256-CBC -out <filename>.p12
+// ```
+program
+    .command('convert <file>')
+    .description('convert certificates, private keys and PKCS#12 archives between PEM, DER, PKCS#8, PKCS#12 and JWK.')
+    .option('-t, --to <format>', `output format: ${FORMATS.join(', ')}`)
+    .option('-o, --out <filename>', 'output filename, the extension is set by the format (Default: the input filename)')
+    .option('--cipher <cipher>', 'cipher encrypting the private key or the PKCS#12 archive: aes256 or 3des (Default: aes256)', 'aes256')
+    .option('--name <friendlyName>', 'specifies the "friendly name" of the PKCS#12 archive')
+    .option('--passin <source>', 'passphrase source of encrypted content (pass:<password>, env:<var> or file:<path>)')
+    .option('--passout <source>', 'passphrase source to encrypt the output, required by pkcs8-encrypted and p12 (pass:<password>, env:<var> or file:<path>)')
+    .option('--non-interactive', 'fail instead of prompting when something is missing')
+    .action(function (file, options) {
+        const interactive = !options.nonInteractive;
+        const filePath = path.resolve(currentPath, file);
+        const fullpath = path.resolve(currentPath, options.out || file);
+        // Trim file extension (e.g: .p12) from given filename
+        const basePath = fullpath.replace(path.extname(fullpath), '');
+        let bundle;
+
+        return Promise.resolve()
+            .then(() => {
+                if (!options.to) {
+                    throw new Error(`Output format is required, please specify one of ${FORMATS.join(', ')} with --to.`);
+                }
+
+                if (!isFormat(options.to)) {
+                    throw new Error(`Unknown format: ${options.to}, expect one of ${FORMATS.join(', ')}.`);
+                }
+
+                assertCipher(options.cipher);
+
+                return readBundle(filePath, () => {
+                    if (options.passin) {
+                        return readPassphraseSource(options.passin);
+                    }
+
+                    if (!interactive) {
+                        throw new Error(`${file} is encrypted, please specify its passphrase with --passin.`);
+                    }
+
+                    return askPassphrase(`Enter the passphrase of ${file}`);
+                });
+            })
+            .then(result => {
+                bundle = result;
+
+                // Only encrypted formats ask for a passphrase, a PEM key
+                // is encrypted if `--passout` is given
+                if (['pkcs8-encrypted', 'p12'].indexOf(options.to) !== -1) {
+                    return getPassphrase(options.passout, { interactive });
+                }
+
+                return options.to === 'pem' && options.passout ?
+                    readPassphraseSource(options.passout) :
+                    undefined;
+            })
+            .then(passphrase => {
+                const outputs = encodeBundle(bundle, basePath, options.to, {
+                    passphrase,
+                    cipher: options.cipher,
+                    friendlyName: options.name
+                });
+
+                if (outputs.some(({ file }) => file === filePath)) {
+                    throw new Error(`Refuse to overwrite ${file}, please specify another filename with --out.`);
+                }
+
+                return writeOutputs(outputs)
+                    .then(() => outputs);
+            })
+            .then(outputs => {
+                console.log(`Converted to ${options.to}:`);
+                outputs.forEach(({ file }) => console.log(chalk.green(file)));
+            })
+            .catch(err => {
+                console.log(chalk.red(err));
+                process.exitCode = 1;
+            });
+    });
+
+// ```bash
+// azura-ssl verify <cert> --ca <bundle>
+// ```
+//
+// equivalent commands using openSSL:
+// ```bash
+// openssl verify -CAfile <bundle> -untrusted <chain> -purpose sslserver -verify_hostname <name> <cert>
+// ```
+// Certificates following the first one of `<cert>`, e.g. the
+// intermediates of a `.chain.crt`, only link it to the CA bundle.
+// Exits with a nonzero code if any check fails, so it can be used
+// in deployment scripts.
+program
+    .command('verify <cert>')
+    .description('verify certificate against CA bundle, private key and hostname.')
+    .option('--ca <bundlePath>', 'CA certificates (PEM bundle) to build the chain with')
+    .option('--key <keyPath>', 'check that the private key matches the certificate')
+    .option('--host <name>', 'check that the certificate covers the hostname')
+    .option('--ip <address>', 'check that the certificate covers the IP address')
+    .option('--purpose <purpose>', 'check extKeyUsage of the certificate: server, client, codesign or email', /^(server|client|codesign|email)$/)
+    .option('--passin <source>', 'passphrase source of encrypted content (pass:<password>, env:<var> or file:<path>)')
+    .action(function (certFile, options) {
+        let cert, intermediates, CACerts;
+
+        return Promise.resolve()
+            .then(() => {
+                if (!options.ca) {
+                    throw new Error('CA bundle is required, please specify it with --ca.');
+                }
+
+                return Promise.all([
+                    readCertificateChain(path.resolve(currentPath, certFile)),
+                    readCertificateChain(path.resolve(currentPath, options.ca))
+                ]);
+            })
+            .then(([ chain, bundle ]) => {
+                [ cert, ...intermediates ] = chain;
+                CACerts = bundle;
+
+                if (!options.key) {
+                    return null;
+                }
+
+                return readKeyFile(path.resolve(currentPath, options.key), {
+                    passin: options.passin
+                });
+            })
+            .then(privateKey => {
+                const checks = verifyCertificate({
+                    cert,
+                    CACerts,
+                    intermediates,
+                    privateKey,
+                    host: options.host,
+                    ip: options.ip,
+                    purpose: options.purpose
+                });
+
+                checks.forEach(({ name, passed, message }) => {
+                    console.log(passed ?
+                        chalk.green(`OK    ${name}: ${message}`) :
+                        chalk.red(`FAIL  ${name}: ${message}`));
+                });
+
+                if (checks.some(({ passed }) => !passed)) {
+                    process.exitCode = 1;
+                }
+            })
+            .catch(err => {
+                console.log(chalk.red(err));
+                process.exitCode = 1;
+            });
+    });
+
+// ```bash
+// azura-ssl sign-file <file> --cert <cert> --key <key>
+// ```
+//
+// equivalent commands using openSSL:
+// ```bash
+// openssl cms -sign -binary -in <file> -signer <cert> -inkey <key> -outform DER -out <file>.p7s
+// ```
+// The signature is detached: it holds the signing time and the
+// certificates of `--cert` (a `.chain.crt` sends the intermediates
+// along) but not the file. The signer needs the codeSigning extended
+// key usage, emailProtection for S/MIME certificates.
+program
+    .command('sign-file <file>')
+    .description('create detached PKCS#7 signature of a file.')
+    .option('--cert <certPath>', 'certificate of the signer, followed by intermediate CAs if any')
+    .option('--key <keyPath>', 'private key of the signer')
+    .option('--out <sigPath>', 'path of the signature (Default: <file>.p7s)')
+    .option('--outform <format>', 'encoding of the signature: der or pem (Default: der)')
+    .option('--passin <source>', 'passphrase source of the private key (pass:<password>, env:<var> or file:<path>)')
+    .option('--non-interactive', 'fail instead of prompting when something is missing')
+    .action(function (file, options) {
+        const filePath = path.resolve(currentPath, file);
+        const sigPath = path.resolve(currentPath, options.out || `${file}.p7s`);
+
+        return Promise.resolve()
+            .then(() => {
+                if (options.outform && !isSignatureFormat(options.outform)) {
+                    throw new Error(`Unknown format: ${options.outform}, expect der or pem.`);
+                }
+
+                return Promise.all([
+                    readFileAsync(filePath),
+                    readTLSCredentials(options)
+                ]);
+            })
+            .then(([ content, { certs, privateKey } ]) => {
+                const purpose = getSigningPurpose(certs[0]);
+
+                if (!allowsPurpose(certs[0], purpose, { strict: true })) {
+                    throw new Error(`The certificate of the signer lacks the ${PURPOSES[purpose]} extended key usage: ${options.cert}, please issue it with sign-codesign or sign-email.`);
+                }
+
+                return writeSignature(createDetachedSignature({
+                    content,
+                    cert: certs[0],
+                    privateKey,
+                    chain: certs.slice(1)
+                }), sigPath, options.outform);
+            })
+            .then(() => {
+                console.log('Signature created:');
+                console.log(chalk.green(sigPath));
+            })
+            .catch(err => {
+                console.log(chalk.red(err));
+                process.exitCode = 1;
+            });
+    });
+
+// ```bash
+// azura-ssl verify-file <file> <sig> --ca <bundle>
+// ```
+//
+// equivalent commands using openSSL:
+// ```bash
+// openssl cms -verify -binary -inform DER -in <sig> -content <file> -CAfile <bundle> -purpose any -out /dev/null
+// ```
+// Exits with a nonzero code unless the file matches the signature and
+// the certificate of the signer is issued by the CA bundle, with the
+// codeSigning extended key usage (emailProtection for S/MIME
+// certificates) unless `--purpose` tells which one.
+program
+    .command('verify-file <file> <sig>')
+    .description('verify detached PKCS#7 signature of a file against CA bundle.')
+    .option('--ca <bundlePath>', 'CA certificates (PEM bundle) trusted to issue the certificate of the signer')
+    .option('--purpose <purpose>', 'extKeyUsage required from the signer: codesign or email (Default: email for S/MIME certificates, codesign otherwise)', /^(codesign|email)$/)
+    .action(function (file, sig, options) {
+        return Promise.resolve()
+            .then(() => {
+                if (!options.ca) {
+                    throw new Error('CA bundle is required, please specify it with --ca.');
+                }
+
+                return Promise.all([
+                    readFileAsync(path.resolve(currentPath, file)),
+                    readSignature(path.resolve(currentPath, sig)),
+                    readCertificateChain(path.resolve(currentPath, options.ca))
+                ]);
+            })
+            .then(([ content, obj, CACerts ]) => {
+                let result;
+
+                try {
+                    result = verifyDetachedSignature(content, obj);
+                } catch (err) {
+                    return [{ name: 'signature', passed: false, message: err.message }];
+                }
+
+                return result.signers.reduce((checks, { cert, signingTime }) => checks.concat({
+                    name: 'signature',
+                    passed: true,
+                    message: `signed by ${attrsToString(cert.subject.attributes)}` +
+                        (signingTime ? ` at ${signingTime.toISOString()}` : '')
+                }, verifyCertificate({
+                    cert,
+                    CACerts,
+                    intermediates: result.certs,
+                    purpose: options.purpose || getSigningPurpose(cert),
+                    strictPurpose: true
+                })), []);
+            })
+            .then(checks => {
+                checks.forEach(({ name, passed, message }) => {
+                    console.log(passed ?
+                        chalk.green(`OK    ${name}: ${message}`) :
+                        chalk.red(`FAIL  ${name}: ${message}`));
+                });
+
+                if (checks.some(({ passed }) => !passed)) {
+                    process.exitCode = 1;
+                }
+            })
+            .catch(err => {
+                console.log(chalk.red(err));
+                process.exitCode = 1;
+            });
+    });
+
+// ```bash
+// azura-ssl export-keystore <filename> --cert <cert> --key <key> --ca <bundle>
+// ```
+//
+// equivalent commands using keytool:
+// ```bash
+// openssl pkcs12 -export -in <cert> -inkey <key> -name <alias> -out client.p12
+// keytool -importkeystore -srckeystore client.p12 -srcstoretype pkcs12 -destkeystore <filename>.jks
+// keytool -importcert -noprompt -alias ca -file <bundle> -keystore <filename>.truststore.jks
+// keytool -importcert -noprompt -alias ca -file <bundle> -storetype pkcs12 -keystore <filename>.truststore.p12
+// ```
+program
+    .command('export-keystore <filename>')
+    .description('export a certificate and its private key as Java KeyStore, and CA certificates as Java truststores.')
+    .option('--cert <certPath>', 'certificate (or bundle, leaf first) of the private key entry')
+    .option('--key <keyPath>', 'private key of the certificate')
+    .option('--ca <CAPath>', 'CA certificates, appended to the chain of the private key entry and trusted by the truststores')
+    .option('--key-alias <alias>', 'alias of the private key entry (Default: the filename)')
+    .option('--ca-alias <alias>', 'alias of the CA certificates, numbered when there are several (Default: ca)', 'ca')
+    .option('--storepass <source>', 'passphrase source of the keystores and the private key (pass:<password>, env:<var> or file:<path>)')
+    .option('--passin <source>', 'passphrase source of the private key (pass:<password>, env:<var> or file:<path>)')
+    .option('--cipher <cipher>', 'cipher of the PKCS#12 truststore: 3des (compatible with older JVMs) or aes256 (Default: 3des)')
+    .option('--non-interactive', 'fail instead of prompting when something is missing')
+    .action(function (filename, options) {
+        const interactive = !options.nonInteractive;
+        const fullpath = path.resolve(currentPath, filename);
+        // Trim file extension (e.g: .jks) from given filename
+        const basePath = fullpath.replace(path.extname(fullpath), '');
+        const alias = options.keyAlias || path.basename(basePath);
+        const keyStorePath = `${basePath}.jks`;
+        const trustStorePath = `${basePath}.truststore.jks`;
+        const trustStoreP12Path = `${basePath}.truststore.p12`;
+        let certs = [];
+        let CACerts = [];
+        let privateKey;
+
+        return Promise.resolve()
+            .then(() => {
+                if (!options.cert && !options.ca) {
+                    throw new Error('Nothing to export, please specify --cert and --key, or --ca.');
+                }
+
+                if (Boolean(options.cert) !== Boolean(options.key)) {
+                    throw new Error('A private key entry needs both --cert and --key.');
+                }
+
+                assertCipher(options.cipher);
+
+                return Promise.all([
+                    options.cert && readCertificateChain(path.resolve(currentPath, options.cert)),
+                    options.ca && readCertificateChain(path.resolve(currentPath, options.ca))
+                ]);
+            })
+            .then(([ certBundle, CABundle ]) => {
+                certs = certBundle || [];
+                CACerts = CABundle || [];
+
+                return options.key && readKeyFile(path.resolve(currentPath, options.key), {
+                    passin: options.passin,
+                    interactive
+                });
+            })
+            .then(result => {
+                privateKey = result;
+
+                if (privateKey && !isKeyPair(privateKey, certs[0].publicKey)) {
+                    throw new Error(`The private key does not match the certificate: ${options.cert}`);
+                }
+
+                return getPassphrase(options.storepass, {
+                    interactive,
+                    option: '--storepass'
+                });
+            })
+            .then(passphrase => {
+                // keytool refuses shorter passwords
+                if (passphrase.length < 6) {
+                    throw new Error('Keystore passphrase must be at least 6 characters.');
+                }
+
+                const chainPems = certs.map(certificateToPem);
+                const trusted = CACerts.map((cert, index) => ({
+                    alias: CACerts.length > 1 ? `${options.caAlias}-${index + 1}` : options.caAlias,
+                    cert
+                }));
+                const hasTrusted = trusted.length > 0;
+
+                return Promise.all([
+                    privateKey && writeKeyStore(toKeyStore([{
+                        alias,
+                        privateKey,
+                        // The issuers not already in the bundle of the certificate
+                        certs: certs.concat(CACerts.filter(cert =>
+                            chainPems.indexOf(certificateToPem(cert)) === -1))
+                    }], passphrase), keyStorePath),
+                    hasTrusted && writeKeyStore(toKeyStore(trusted, passphrase), trustStorePath),
+                    hasTrusted && writeP12Archive(createTrustStore({
+                        certs: trusted,
+                        passphrase,
+                        cipher: options.cipher
+                    }), trustStoreP12Path)
+                ])
+                    .then(() => [
+                        privateKey && keyStorePath,
+                        hasTrusted && trustStorePath,
+                        hasTrusted && trustStoreP12Path
+                    ].filter(Boolean));
+            })
+            .then(files => {
+                console.log('Keystores created:');
+                files.forEach(file => console.log(chalk.green(file)));
+            })
+            .catch(err => {
+                console.log(chalk.red(err));
+                process.exitCode = 1;
+            });
+    });
+
+// ```bash
+// azura-ssl export-deploy <filename> --cert <cert> --key <key> [--ca <bundle>]
+// ```
+//
+// equivalent commands:
+// ```bash
+// kubectl create secret tls <name> --cert <cert> --key <key> --dry-run=client -o yaml > <filename>.secret.yaml
+// cat <cert> <key> > <filename>.haproxy.pem
+// ```
+// The Secret and the HAProxy PEM embed the certificate (followed by the
+// intermediates of a `.chain.crt`) and the key in clear, the nginx,
+// Apache, Caddy and Node.js snippets refer to the files instead, at
+// `--deploy-dir` if they are installed elsewhere on the server. With
+// `--ca`, clients need a certificate issued by it (mutual TLS), HAProxy
+// gets it from a crt-list. The Secret and the HAProxy PEM are only
+// readable by their owner.
+program
+    .command('export-deploy <filename>')
+    .description('export a certificate as Kubernetes TLS Secret, HAProxy PEM and nginx, Apache, Caddy and Node.js TLS configuration.')
+    .option('--cert <certPath>', 'certificate of the server, with its intermediates (e.g. <filename>.chain.crt)')
+    .option('--key <keyPath>', 'private key of the certificate')
+    .option('--ca <CAPath>', 'CA certificates issuing the client certificates, which are then required (mutual TLS)')
+    .option('-f, --format <format>', `output format, one of ${DEPLOY_FORMATS.join(', ')} (repeatable, Default: all of them)`, collect, [])
+    .option('--deploy-dir <dir>', 'directory of --cert, --key and --ca on the server, referred to by the snippets (Default: their current directory)')
+    .option('--secret-name <name>', 'name of the Kubernetes Secret (Default: the filename)')
+    .option('--namespace <namespace>', 'namespace of the Kubernetes Secret')
+    .option('--passin <source>', 'passphrase source of the private key (pass:<password>, env:<var> or file:<path>)')
+    .option('--non-interactive', 'fail instead of prompting when something is missing')
+    .action(function (filename, options) {
+        const interactive = !options.nonInteractive;
+        const fullpath = path.resolve(currentPath, filename);
+        // Trim file extension (e.g: .yaml) from given filename
+        const basePath = fullpath.replace(path.extname(fullpath), '');
+        const formats = options.format.length > 0 ? options.format : DEPLOY_FORMATS;
+        const secretName = options.secretName || toSecretName(path.basename(basePath));
+        const files = {
+            cert: options.cert && path.resolve(currentPath, options.cert),
+            key: options.key && path.resolve(currentPath, options.key),
+            ca: options.ca && path.resolve(currentPath, options.ca),
+            haproxy: `${basePath}.haproxy.pem`
+        };
+        // Where the snippets look for the files
+        const paths = Object.keys(files).reduce((result, name) => Object.assign(result, {
+            [name]: files[name] && options.deployDir ?
+                path.posix.join(options.deployDir, path.basename(files[name])) :
+                files[name]
+        }), {});
+        let certs, CACerts;
+
+        return Promise.resolve()
+            .then(() => {
+                if (!options.cert || !options.key) {
+                    throw new Error('Both --cert and --key are required.');
+                }
+
+                formats.forEach(format => {
+                    if (!isDeployFormat(format)) {
+                        throw new Error(`Unknown format: ${format}, expect one of ${DEPLOY_FORMATS.join(', ')}.`);
+                    }
+                });
+
+                if (formats.indexOf('k8s') !== -1 && !isSecretName(secretName)) {
+                    throw new Error(`Invalid name of Kubernetes Secret: ${secretName}, please specify one with --secret-name.`);
+                }
+
+                if (options.namespace && !isNamespace(options.namespace)) {
+                    throw new Error(`Invalid Kubernetes namespace: ${JSON.stringify(options.namespace)}, expect lowercase letters, digits and "-".`);
+                }
+
+                return Promise.all([
+                    readCertificateChain(files.cert),
+                    files.ca && readCertificateChain(files.ca)
+                ]);
+            })
+            .then(([ certBundle, CABundle ]) => {
+                certs = certBundle;
+                CACerts = CABundle || [];
+
+                return readKeyFile(files.key, {
+                    passin: options.passin,
+                    interactive
+                });
+            })
+            .then(privateKey => {
+                if (!isKeyPair(privateKey, certs[0].publicKey)) {
+                    throw new Error(`The private key does not match the certificate: ${options.cert}`);
+                }
+
+                const outputs = formats.reduce((result, format) => result.concat(encodeDeployment({
+                    certs,
+                    privateKey,
+                    CACerts
+                }, basePath, format, {
+                    paths,
+                    secretName,
+                    namespace: options.namespace
+                })), []);
+
+                return writeOutputs(outputs)
+                    .then(() => readFileAsync(files.key, 'utf8'))
+                    .then(content => {
+                        console.log('Deployment files created:');
+                        outputs.forEach(({ file }) => console.log(chalk.green(file)));
+
+                        // The servers of the snippets read the key file as is
+                        if (/ENCRYPTED/.test(content) &&
+                            formats.some(format => ['k8s', 'haproxy'].indexOf(format) === -1)) {
+                            console.log(chalk.yellow(`Warning: ${options.key} is encrypted, the servers of the snippets need it in clear (see convert).`));
+                        }
+                    });
+            })
+            .catch(err => {
+                console.log(chalk.red(err));
+                process.exitCode = 1;
+            });
+    });
+
+// ```bash
+// azura-ssl serve --cert <cert> --key <key> [--ca <bundle> --require-client-cert]
+// ```
+//
+// equivalent commands using openSSL:
+// ```bash
+// openssl s_server -www -accept 8443 -cert <cert> -key <key> [-CAfile <bundle> -Verify 1]
+// ```
+program
+    .command('serve')
+    .description('start a local HTTPS server with the given certificate, responding with the TLS session and client certificate details.')
+    .option('--cert <certPath>', 'certificate of the server, with its intermediates (e.g. <filename>.chain.crt)')
+    .option('--key <keyPath>', 'private key of the server certificate')
+    .option('--ca <CAPath>', 'CA certificates issuing the client certificates, which are then asked for')
+    .option('--require-client-cert', 'refuse clients without a certificate issued by --ca (mutual TLS)')
+    .option('-p, --port <port>', 'port to listen on (Default: 8443)', 8443)
+    .option('--host <host>', 'address to listen on (Default: localhost)', 'localhost')
+    .option('--passin <source>', 'passphrase source of the private key (pass:<password>, env:<var> or file:<path>)')
+    .option('--non-interactive', 'fail instead of prompting when something is missing')
+    .action(function (options) {
+        const port = Number(options.port);
+        let credentials;
+
+        return Promise.resolve()
+            .then(() => {
+                if (!Number.isInteger(port) || port < 0 || port > 65535) {
+                    throw new Error(`Port invalid: ${options.port}`);
+                }
+
+                if (options.requireClientCert && !options.ca) {
+                    throw new Error('--require-client-cert needs the CA certificates issuing client certificates, please specify them with --ca.');
+                }
+
+                return Promise.all([
+                    readTLSCredentials(options),
+                    readTLSCertificateAuthorities(options.ca)
+                ]);
+            })
+            .then(([ result, authorities ]) => {
+                credentials = result;
+
+                return listen(createTestServer({
+                    cert: credentials.cert,
+                    key: credentials.key,
+                    ca: authorities.ca,
+                    requireClientCert: options.requireClientCert,
+                    onRequest: ({ method, url, protocol, client }) => {
+                        const line = `${new Date().toISOString()} ${method} ${url} ${protocol}`;
+
+                        if (!client) {
+                            console.log(`${line} no client certificate`);
+                        } else if (client.authorized) {
+                            console.log(chalk.green(`${line} client: ${client.subject} (serial ${client.serial})`));
+                        } else {
+                            console.log(chalk.yellow(`${line} client: ${client.subject} (serial ${client.serial}), not trusted: ${client.authorizationError}`));
+                        }
+                    },
+                    onError: err => console.log(chalk.red(
+                        `${new Date().toISOString()} TLS handshake failed: ${getTLSErrorReason(err)}`))
+                }), port, options.host);
+            })
+            .then(server => {
+                const address = server.address();
+                const clientCerts = !options.ca ? 'not requested' :
+                    options.requireClientCert ? 'required' : 'optional';
+
+                console.log(`Serving ${attrsToString(credentials.certs[0].subject.attributes)} at ${chalk.green(`https://${options.host}:${address.port}`)}`);
+                console.log(`Client certificates: ${clientCerts}`);
+                console.log('Press Ctrl-C to stop.');
+            })
+            .catch(err => {
+                console.log(chalk.red(err));
+                process.exitCode = 1;
+            });
+    });
+
+// ```bash
+// azura-ssl probe <url> --ca <bundle> [--cert <cert> --key <key>]
+// ```
+//
+// equivalent commands using openSSL:
+// ```bash
+// openssl s_client -connect <host>:<port> -CAfile <bundle> -verify_return_error [-cert <cert> -key <key>]
+// ```
+program
+    .command('probe <url>')
+    .description('connect to an HTTPS server, verify its certificate and print the TLS session details and the response.')
+    .option('--ca <CAPath>', 'CA certificates to trust (Default: the system ones)')
+    .option('--cert <certPath>', 'client certificate, for servers requiring one (mutual TLS)')
+    .option('--key <keyPath>', 'private key of the client certificate')
+    .option('--servername <name>', 'server name sent with SNI and checked against the certificate (Default: the host of the URL)')
+    .option('--passin <source>', 'passphrase source of the private key (pass:<password>, env:<var> or file:<path>)')
+    .option('--non-interactive', 'fail instead of prompting when something is missing')
+    .action(function (url, options) {
+        const field = (name, value) => console.log(`  ${`${name}:`.padEnd(22)}${value}`);
+
+        return Promise.resolve()
+            .then(() => {
+                if (!/^https:\/\//.test(url)) {
+                    throw new Error(`URL invalid, expect https://<host>[:<port>]: ${url}`);
+                }
+
+                return Promise.all([
+                    options.cert || options.key ? readTLSCredentials(options) : {},
+                    readTLSCertificateAuthorities(options.ca)
+                ]);
+            })
+            .then(([ credentials, authorities ]) => probe(url, {
+                ca: authorities.ca,
+                cert: credentials.cert,
+                key: credentials.key,
+                servername: options.servername
+            })
+                .catch(err => {
+                    const reason = getTLSErrorReason(err);
+                    let hint = '';
+
+                    if (!options.ca && UNTRUSTED_CERT_ERRORS.indexOf(err.code) !== -1) {
+                        hint = ', please specify the CA certificates with --ca';
+                    } else if (!options.cert && /certificate required/.test(reason)) {
+                        hint = ', the server requires a client certificate, please specify it with --cert and --key';
+                    }
+
+                    throw new Error(`Failed to connect to ${url}: ${reason}${err.code ? ` (${err.code})` : ''}${hint}`);
+                }))
+            .then(({ protocol, cipher, server, statusCode, body }) => {
+                console.log(chalk.green(`Connected to ${url}`));
+                field('Protocol', protocol);
+                field('Cipher', cipher);
+                server.forEach(({ subject, issuer, serial, notAfter }, index) => {
+                    field(index === 0 ? 'Server Certificate' : 'Issuer', subject);
+                    field('  Issued By', issuer);
+                    field('  Serial', serial);
+                    field('  Not After', notAfter);
+                });
+                field('HTTP Status', statusCode);
+                console.log(body);
             })
             .catch(err => {
                 console.log(chalk.red(err));
-                console.error(err);
+                process.exitCode = 1;
             });
     });
 
@@ -0,0 +1,248 @@
+/**
+ * src/config.js
+ *
+ * load `.azurarc` / `azura.config.json` and resolve named
+ * issuance profiles
+ *
+ * ```json
+ * {
+ *     "subject": { "C": "CN", "O": "Azura" },
+ *     "ca": { "cert": "cert/ca.crt", "key": "cert/ca.key" },
+ *     "home": "azura-ca",
+ *     "profiles": {
+ *         "web": {
+ *             "extends": "server",
+ *             "days": 397,
+ *             "keyType": "rsa",
+ *             "bits": 2048,
+ *             "curve": "P-256",
+ *             "keyUsage": ["digitalSignature", "keyEncipherment"],
+ *             "extKeyUsage": ["serverAuth"],
+ *             "extensions": ["tlsfeature=status_request"],
+ *             "san": ["DNS:{CN}", "DNS:www.{CN}"]
+ *         }
+ *     }
+ * }
+ * ```
+ */
+import path from 'path';
+import Promise from 'bluebird';
+import { readFile, pathExists } from 'fs-extra';
+import { isArray, isNumber, isString, uniqBy } from 'lodash';
+
+import {
+    CA_EXTENSION_SET,
+    SERVER_EXTENSION_SET,
+    CLIENT_EXTENSION_SET,
+    CODESIGN_EXTENSION_SET,
+    EMAIL_EXTENSION_SET,
+    altNameToString } from './cert.js';
+import { parseSANFromString } from './names.js';
+import { isKeyType, isCurve } from './keys.js';
+import { parseExtensions, withExtensions } from './extensions.js';
+
+const readFileAsync = Promise.promisify(readFile);
+const pathExistsAsync = Promise.promisify(pathExists);
+
+const CONFIG_FILES = ['.azurarc', 'azura.config.json'];
+
+// Default profiles, any custom profile extends one of them
+const BUILTIN_PROFILES = {
+    ca: {
+        exts: CA_EXTENSION_SET
+    },
+    server: {
+        exts: SERVER_EXTENSION_SET
+    },
+    client: {
+        exts: CLIENT_EXTENSION_SET
+    },
+    codesign: {
+        exts: CODESIGN_EXTENSION_SET
+    },
+    email: {
+        exts: EMAIL_EXTENSION_SET
+    }
+};
+
+/**
+ * Search configuration file from the given directory up to the root
+ * @param  {string} dir directory to start from
+ * @return {Promise}    path of the file, or null if none is found
+ */
+function findConfigFile(dir) {
+    return Promise.mapSeries(CONFIG_FILES, file => {
+        const filePath = path.join(dir, file);
+
+        return pathExistsAsync(filePath)
+            .then(exists => exists ? filePath : null);
+    })
+        .then(found => {
+            const filePath = found.find(isString);
+            const parent = path.dirname(dir);
+
+            if (filePath) {
+                return filePath;
+            }
+
+            return parent === dir ? null : findConfigFile(parent);
+        });
+}
+
+/**
+ * Load configuration searched up from the given directory, paths in
+ * the configuration are resolved against the directory of the file
+ * @param  {string} cwd directory to start from
+ * @return {Promise}    configuration, empty if no file is found
+ */
+export function loadConfig(cwd = process.cwd()) {
+    return findConfigFile(cwd)
+        .then(filePath => {
+            if (!filePath) {
+                return { ca: {} };
+            }
+
+            return readFileAsync(filePath, 'utf8')
+                .then(content => {
+                    let config;
+
+                    try {
+                        config = JSON.parse(content);
+                    } catch (err) {
+                        throw new Error(`Failed to parse configuration ${filePath}: ${err.message}`);
+                    }
+
+                    const resolve = file => isString(file) ?
+                        path.resolve(path.dirname(filePath), file) :
+                        file;
+                    const ca = config.ca || {};
+
+                    return Object.assign({}, config, {
+                        file: filePath,
+                        home: resolve(config.home),
+                        ca: {
+                            cert: resolve(ca.cert),
+                            key: resolve(ca.key)
+                        }
+                    });
+                });
+        });
+}
+
+/**
+ * Turn a list of usages (e.g. ["serverAuth"]) into an extension
+ * @param  {string} name   "keyUsage" or "extKeyUsage"
+ * @param  {Array}  usages
+ * @return {Object}        X.509 v3 certificate extension
+ */
+function usagesToExtension(name, usages) {
+    return usages.reduce((ext, usage) => Object.assign(ext, {
+        [usage]: true
+    }), {
+        name,
+        critical: true
+    });
+}
+
+/**
+ * Resolve an issuance profile
+ * @param  {Object}  config   configuration loaded by `loadConfig`
+ * @param  {?string} name     profile selected with `--profile`
+ * @param  {string}  fallback built-in profile used by default
+ * @param  {Object}  options  { leaf }, leaf refusing profiles which issue CA certificates
+ * @return {Object}           { name, exts, days, keyType, bits, curve, san, subject }
+ */
+export function resolveProfile(config, name, fallback, { leaf = false } = {}) {
+    const profiles = config.profiles || {};
+    const profileName = name || fallback;
+    const profile = profiles[profileName] ||
+        (BUILTIN_PROFILES[profileName] ? {} : null);
+
+    if (!profile) {
+        throw new Error(`Unknown profile: ${profileName}`);
+    }
+
+    const base = profile.extends || (BUILTIN_PROFILES[profileName] ? profileName : fallback);
+
+    if (!BUILTIN_PROFILES[base]) {
+        throw new Error(`Profile "${profileName}" extends unknown profile: ${base}`);
+    }
+
+    if (profile.keyType && !isKeyType(profile.keyType)) {
+        throw new Error(`Profile "${profileName}" has unsupported key type: ${profile.keyType}`);
+    }
+
+    if (profile.curve && !isCurve(profile.curve)) {
+        throw new Error(`Profile "${profileName}" has unsupported curve: ${profile.curve}`);
+    }
+
+    if ('days' in profile && !(isNumber(profile.days) && profile.days > 0)) {
+        throw new Error(`Profile "${profileName}" has invalid days: ${profile.days}`);
+    }
+
+    let exts = BUILTIN_PROFILES[base].exts;
+
+    ['keyUsage', 'extKeyUsage'].forEach(extName => {
+        if (!isArray(profile[extName])) {
+            return;
+        }
+
+        exts = exts
+            .filter(ext => ext.name !== extName)
+            .concat(usagesToExtension(extName, profile[extName]));
+    });
+
+    if ('extensions' in profile && !(isArray(profile.extensions) && profile.extensions.every(isString))) {
+        throw new Error(`Profile "${profileName}" has invalid extensions, expect a list of strings like "tlsfeature=status_request"`);
+    }
+
+    exts = withExtensions(exts, parseExtensions(profile.extensions));
+
+    if (leaf && exts.some(ext => ext.name === 'basicConstraints' && ext.cA)) {
+        throw new Error(`Profile "${profileName}" issues CA certificates, use sign-ca or sign-intermediate instead.`);
+    }
+
+    return {
+        name: profileName,
+        exts,
+        days: profile.days,
+        keyType: profile.keyType,
+        bits: profile.bits,
+        curve: profile.curve,
+        san: profile.san || [],
+        subject: Object.assign({}, config.subject, profile.subject)
+    };
+}
+
+/**
+ * Build the "subjectAltName" extension from SAN templates of a profile
+ * (e.g. "DNS:{CN}") and the names given by the user
+ * @param  {Array} templates SAN templates of the profile
+ * @param  {Array} attrs     subject attributes, available as {shortName}
+ * @param  {Array} sanExts   "subjectAltName" extension given by the user, if any
+ * @return {Array}           Array of X.509 V3 Certificate Extension, duplicated names dropped
+ */
+export function buildSubjectAltName(templates, attrs, sanExts = []) {
+    const values = {};
+
+    // Attributes parsed from `--subj` or asked for all have a short name
+    attrs.forEach(attr => {
+        values[attr.shortName] = attr.value;
+    });
+
+    const expanded = templates.map(template =>
+        template.replace(/\{(\w+)\}/g, (match, key) => {
+            if (!isString(values[key])) {
+                throw new Error(`SAN template "${template}" refers to missing subject attribute: ${key}`);
+            }
+
+            return values[key];
+        }));
+    const altNames = uniqBy((expanded.length > 0 ? parseSANFromString(expanded.join(','))[0].altNames : [])
+        .concat(...sanExts.map(ext => ext.altNames)), altNameToString);
+
+    return altNames.length > 0 ? [{
+        name: 'subjectAltName',
+        altNames
+    }] : [];
+}
@@ -0,0 +1,390 @@
+/**
+ * src/constraints.js
+ *
+ * provide the "nameConstraints" extension of CA certificates, and the
+ * check of the names a CA is about to certify against the constraints
+ * of the CA and its issuers
+ */
+import { isIP } from 'net';
+import { asn1, util } from 'node-forge';
+
+import { attrsToString, altNameToString } from './cert.js';
+import { isDNSName } from './names.js';
+
+const OID_NAME_CONSTRAINTS = '2.5.29.30';
+
+// Tags of the GeneralNames which can be constrained
+const GENERAL_NAME_TAGS = {
+    email: 1,
+    DNS: 2,
+    IP: 7
+};
+
+/**
+ * Parse an IP range in CIDR notation, e.g. "10.0.0.0/8" or "fd00::/8"
+ * @param  {string} range
+ * @return {Object}       { address, mask } binary strings
+ */
+function parseIPRange(range) {
+    const [ address, prefix, extra ] = range.split('/');
+    const version = isIP(address);
+    const size = version === 6 ? 16 : 4;
+    const length = Number(prefix);
+
+    if (version === 0 || extra !== undefined || !/^\d+$/.test(prefix || '') || length > size * 8) {
+        throw new Error(`IP range invalid (expect CIDR notation, e.g. 10.0.0.0/8): ${range}`);
+    }
+
+    let mask = '';
+
+    for (let i = 0; i < size; i++) {
+        const bits = Math.min(Math.max(length - i * 8, 0), 8);
+
+        mask += String.fromCharCode((0xFF << (8 - bits)) & 0xFF);
+    }
+
+    return {
+        address: util.bytesFromIP(address),
+        mask
+    };
+}
+
+/**
+ * Turn an IP range back into CIDR notation
+ * @param  {string} bytes address followed by mask, binary string
+ * @return {string}
+ */
+function ipRangeToString(bytes) {
+    const size = bytes.length / 2;
+    const address = util.bytesToIP(bytes.slice(0, size));
+    const length = bytes.slice(size).split('')
+        .reduce((count, byte) => count + byte.charCodeAt(0).toString(2).replace(/0/g, '').length, 0);
+
+    return `${address}/${length}`;
+}
+
+/**
+ * Build a GeneralSubtree from a constraint, making sure it is valid
+ * @param  {string} type  "DNS", "IP" or "email"
+ * @param  {string} value e.g. ".test", "10.0.0.0/8" or "example.test"
+ * @return {Object}       { type, value }, IP ranges as address and mask
+ */
+function createSubtree(type, value) {
+    switch (type) {
+    case 'DNS':
+        // A leading dot restricts to the subdomains
+        if (value.indexOf('*') !== -1 || !isDNSName(value.replace(/^\./, ''))) {
+            throw new Error(`DNS constraint invalid: ${value}`);
+        }
+
+        return { type, value: value.toLowerCase() };
+    case 'IP': {
+        const { address, mask } = parseIPRange(value);
+
+        return { type, value: address + mask };
+    }
+    default:
+        // A mailbox, a host or, with a leading dot, a domain
+        if (value.indexOf('*') !== -1 ||
+            !isDNSName(value.replace(/^[^\s@]+@/, '').replace(/^\./, ''))) {
+            throw new Error(`Email constraint invalid: ${value}`);
+        }
+
+        return { type, value: value.toLowerCase() };
+    }
+}
+
+/**
+ * Encode subtrees as the "nameConstraints" extension, marked critical
+ * as the CA/B Forum requires
+ * @param  {Object} constraints { permitted, excluded } arrays of { type, value }
+ * @return {Array}              X.509 v3 certificate extensions, empty
+ *                              without any constraint
+ */
+function toExtensions({ permitted, excluded }) {
+    // GeneralSubtree ::= SEQUENCE { base GeneralName, minimum and maximum left out }
+    const toAsn1 = (tag, subtrees) => asn1.create(asn1.Class.CONTEXT_SPECIFIC, tag, true,
+        subtrees.map(({ type, value }) =>
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+                asn1.create(asn1.Class.CONTEXT_SPECIFIC, GENERAL_NAME_TAGS[type], false, value)
+            ])));
+
+    if (permitted.length === 0 && excluded.length === 0) {
+        return [];
+    }
+
+    return [{
+        id: OID_NAME_CONSTRAINTS,
+        name: 'nameConstraints',
+        critical: true,
+        value: asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, []
+            .concat(permitted.length > 0 ? [ toAsn1(0, permitted) ] : [])
+            .concat(excluded.length > 0 ? [ toAsn1(1, excluded) ] : []))
+    }];
+}
+
+/**
+ * Build the "nameConstraints" extension
+ * @param  {Object} options.permitted { dns, ip, email } subtrees names must be in
+ * @param  {Object} options.excluded  { dns, ip, email } subtrees names must not be in
+ * @return {Array}                    X.509 v3 certificate extensions, empty
+ *                                    without any constraint
+ */
+export function createNameConstraints({ permitted = {}, excluded = {} }) {
+    const toSubtrees = ({ dns = [], ip = [], email = [] }) =>
+        dns.map(value => createSubtree('DNS', value))
+            .concat(ip.map(value => createSubtree('IP', value)))
+            .concat(email.map(value => createSubtree('email', value)));
+
+    return toExtensions({
+        permitted: toSubtrees(permitted),
+        excluded: toSubtrees(excluded)
+    });
+}
+
+/**
+ * Decode the value of "nameConstraints" extension
+ * @param  {string|Object} value DER encoded extnValue, or its ASN.1 object
+ * @return {Object}              { permitted, excluded } arrays of { type, value }
+ */
+export function decodeNameConstraints(value) {
+    const obj = typeof value === 'string' ? asn1.fromDer(value) : value;
+    const types = Object.keys(GENERAL_NAME_TAGS);
+    const result = {
+        permitted: [],
+        excluded: []
+    };
+
+    obj.value.forEach(subtrees => {
+        subtrees.value.forEach(subtree => {
+            const base = subtree.value[0];
+            const type = types.find(name => GENERAL_NAME_TAGS[name] === base.type);
+
+            // Other types of names (URIs, directory names, ...) are not checked
+            if (base.tagClass === asn1.Class.CONTEXT_SPECIFIC && type) {
+                result[subtrees.type === 0 ? 'permitted' : 'excluded'].push({
+                    type,
+                    value: base.value
+                });
+            }
+        });
+    });
+
+    return result;
+}
+
+/**
+ * Read the "nameConstraints" extension of a certificate
+ * @param  {Certificate} cert
+ * @return {?Object}          see `decodeNameConstraints`, null without the extension
+ */
+export function readNameConstraints(cert) {
+    const ext = cert.extensions.find(({ id }) => id === OID_NAME_CONSTRAINTS);
+
+    return ext ? decodeNameConstraints(ext.value) : null;
+}
+
+/**
+ * Describe a constraint, IP ranges in CIDR notation
+ * @param  {Object} subtree { type, value }
+ * @return {string}         e.g. "DNS:.test"
+ */
+export function subtreeToString({ type, value }) {
+    return `${type}:${type === 'IP' ? ipRangeToString(value) : value}`;
+}
+
+/**
+ * Whether a DNS name is within a DNS subtree, e.g. "test" and "a.test"
+ * are within "test" while only "a.test" is within ".test"
+ * @param  {string} name
+ * @param  {string} constraint
+ * @return {Boolean}
+ */
+function isWithinDomain(name, constraint) {
+    if (constraint === '') {
+        return true;
+    }
+
+    return constraint[0] === '.' ?
+        name.endsWith(constraint) :
+        name === constraint || name.endsWith(`.${constraint}`);
+}
+
+/**
+ * Whether a name matches a subtree of the same type
+ * @param  {Object}  altName alternative name as forge parses it
+ * @param  {Object}  subtree { type, value }
+ * @param  {Boolean} overlap a wildcard matches as soon as one of the
+ *                           names it stands for does (excluded subtrees)
+ * @return {Boolean}
+ */
+function matchesSubtree(altName, { type, value }, overlap) {
+    switch (type) {
+    case 'DNS': {
+        const name = altName.value.toLowerCase();
+
+        // "*.a.test" stands for "b.a.test" but not for "c.b.a.test"
+        return isWithinDomain(name, value) || (overlap && /^\*\./.test(name) &&
+            value.endsWith(name.slice(1)) && value.split('.').length === name.split('.').length);
+    }
+    case 'IP': {
+        const address = altName.ip ? util.bytesFromIP(altName.ip) : altName.value;
+        const size = value.length / 2;
+
+        return address.length === size && address.split('').every((byte, i) =>
+            (byte.charCodeAt(0) & value.charCodeAt(size + i)) ===
+                (value.charCodeAt(i) & value.charCodeAt(size + i)));
+    }
+    default: {
+        const mailbox = altName.value.toLowerCase();
+        const host = mailbox.split('@').pop();
+
+        if (value.indexOf('@') !== -1) {
+            return mailbox === value;
+        }
+
+        return value[0] === '.' ? host.endsWith(value) : host === value;
+    }
+    }
+}
+
+/**
+ * Whether every name of a subtree is within another subtree of the same type
+ * @param  {Object}  subtree    { type, value }
+ * @param  {Object}  constraint { type, value }
+ * @return {Boolean}
+ */
+function isWithinSubtree({ type, value }, constraint) {
+    switch (type) {
+    case 'DNS':
+        // "*" stands for any label of the subdomains
+        return isWithinDomain(value[0] === '.' ? `*${value}` : value, constraint.value);
+    case 'IP': {
+        const size = value.length / 2;
+        const mask = value.slice(size);
+
+        return value.length === constraint.value.length &&
+            mask.split('').every((byte, i) =>
+                (byte.charCodeAt(0) & constraint.value.charCodeAt(size + i)) === constraint.value.charCodeAt(size + i)) &&
+            matchesSubtree({ value: value.slice(0, size) }, constraint, false);
+    }
+    default:
+        if (value.indexOf('@') !== -1) {
+            return matchesSubtree({ value }, constraint, false);
+        }
+
+        if (constraint.value.indexOf('@') !== -1) {
+            return false;
+        }
+
+        return value[0] === '.' ?
+            constraint.value[0] === '.' && value.endsWith(constraint.value) :
+            matchesSubtree({ value: `@${value}` }, constraint, false);
+    }
+}
+
+/**
+ * Carry the constraints of the issuers over to an intermediate CA, so
+ * that the intermediate alone tells what it may certify: its own permitted
+ * subtrees must be within the ones of the issuers, which it inherits for
+ * the types it does not constrain, and excluded subtrees add up
+ * @param  {Array} exts    see `createNameConstraints`
+ * @param  {Array} CAChain issuer certificates, issuing CA first
+ * @return {Array}         X.509 v3 certificate extensions
+ */
+export function inheritNameConstraints(exts, CAChain) {
+    const constraints = exts.length > 0 ?
+        decodeNameConstraints(exts[0].value) :
+        { permitted: [], excluded: [] };
+
+    CAChain.forEach(CACert => {
+        const issuerConstraints = readNameConstraints(CACert);
+        const issuer = attrsToString(CACert.subject.attributes);
+
+        if (!issuerConstraints) {
+            return;
+        }
+
+        const types = issuerConstraints.permitted.map(({ type }) => type)
+            .filter((type, i, all) => all.indexOf(type) === i);
+
+        types.forEach(type => {
+            const ofType = subtrees => subtrees.filter(subtree => subtree.type === type);
+            const permitted = ofType(issuerConstraints.permitted);
+            const own = ofType(constraints.permitted);
+
+            if (own.length === 0) {
+                constraints.permitted = constraints.permitted.concat(permitted);
+                return;
+            }
+
+            own.forEach(subtree => {
+                if (!permitted.some(constraint => isWithinSubtree(subtree, constraint))) {
+                    throw new Error(`Name constraint ${subtreeToString(subtree)} is not within the permitted subtrees (${permitted.map(subtreeToString).join(', ')}) of ${issuer}`);
+                }
+            });
+        });
+
+        issuerConstraints.excluded.forEach(subtree => {
+            if (!constraints.excluded.some(({ type, value }) => type === subtree.type && value === subtree.value)) {
+                constraints.excluded.push(subtree);
+            }
+        });
+    });
+
+    return toExtensions(constraints);
+}
+
+/**
+ * Find the names which the constraints of the CA or its issuers do not
+ * allow, the ones with no constraint of their type are allowed
+ * @param  {Array} altNames alternative names as forge parses them
+ * @param  {Array} CAChain  issuer certificates, issuing CA first
+ * @return {Array}          error messages, empty if every name is allowed
+ */
+export function getNameConstraintViolations(altNames, CAChain) {
+    const violations = [];
+
+    CAChain.forEach(CACert => {
+        const constraints = readNameConstraints(CACert);
+        const issuer = attrsToString(CACert.subject.attributes);
+
+        if (!constraints) {
+            return;
+        }
+
+        altNames.forEach(altName => {
+            const type = Object.keys(GENERAL_NAME_TAGS).find(name => GENERAL_NAME_TAGS[name] === altName.type);
+            const ofType = subtrees => subtrees.filter(subtree => subtree.type === type);
+            const permitted = ofType(constraints.permitted);
+            const excluded = ofType(constraints.excluded).find(subtree => matchesSubtree(altName, subtree, true));
+
+            if (!type) {
+                return;
+            }
+
+            if (excluded) {
+                violations.push(`${altNameToString(altName)} is excluded (${subtreeToString(excluded)}) by the name constraints of ${issuer}`);
+            } else if (permitted.length > 0 && !permitted.some(subtree => matchesSubtree(altName, subtree, false))) {
+                violations.push(`${altNameToString(altName)} is not permitted (${permitted.map(subtreeToString).join(', ')}) by the name constraints of ${issuer}`);
+            }
+        });
+    });
+
+    return violations;
+}
+
+/**
+ * Make sure the CA and its issuers are allowed to certify the names
+ * of a certificate ("subjectAltName")
+ * @param  {Certificate} cert    the certificate to be signed
+ * @param  {Array}       CAChain issuer certificates, issuing CA first
+ */
+export function assertNameConstraints(cert, CAChain) {
+    const san = cert.getExtension('subjectAltName');
+    const violations = getNameConstraintViolations(san ? san.altNames : [], CAChain);
+
+    if (violations.length > 0) {
+        throw new Error(`Certificate refused, ${violations.join('; ')}.`);
+    }
+}
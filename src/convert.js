@@ -0,0 +1,370 @@
+/**
+ * src/convert.js
+ *
+ * provide functions to read certificates and private keys from
+ * PEM, DER, PKCS#8, PKCS#12 or JWK files and to encode them into
+ * another one of these formats
+ */
+import { createPrivateKey } from 'crypto';
+import { asn1, pem } from 'node-forge';
+import Promise from 'bluebird';
+import { outputFile, readFile, chmod } from 'fs-extra';
+
+import {
+    certificateToAsn1,
+    certificateToPem,
+    certificateFromAsn1,
+    certificateFromPem,
+    createP12Archive,
+    isSelfSigned,
+    PRIVATE_MODE } from './cert.js';
+import {
+    isKeyPair,
+    privateKeyToPem,
+    privateKeyToPkcs8Pem,
+    privateKeyToDer,
+    privateKeyToJwk,
+    publicKeyToJwk,
+    privateKeyFromPem,
+    privateKeyFromAsn1,
+    privateKeyFromJwk } from './keys.js';
+import { fromPkcs12Asn1 } from './pkcs12.js';
+
+const readFileAsync = Promise.promisify(readFile);
+const outputFileAsync = Promise.promisify(outputFile);
+const chmodAsync = Promise.promisify(chmod);
+
+const FORMATS = ['pem', 'der', 'pkcs8', 'pkcs8-encrypted', 'p12', 'jwk'];
+
+// PEM types of private keys
+const KEY_PEM_TYPES = ['RSA PRIVATE KEY', 'EC PRIVATE KEY', 'PRIVATE KEY', 'ENCRYPTED PRIVATE KEY'];
+
+/**
+ * Whether the given output format is supported
+ * @param  {string}  format e.g. "pkcs8"
+ * @return {Boolean}
+ */
+export function isFormat(format) {
+    return FORMATS.indexOf(format) !== -1;
+}
+
+/**
+ * Encode DER bytes into a Buffer
+ * @param  {Object} obj ASN.1 object
+ * @return {Buffer}
+ */
+function toDerBuffer(obj) {
+    return Buffer.from(asn1.toDer(obj).getBytes(), 'binary');
+}
+
+/**
+ * Add a private key to a bundle, only one key is allowed per file
+ * @param  {Object}               bundle     { certs, privateKey }
+ * @param  {PrivateKey|KeyObject} privateKey
+ */
+function addPrivateKey(bundle, privateKey) {
+    if (bundle.privateKey) {
+        throw new Error('Files holding more than one private key are not supported.');
+    }
+
+    bundle.privateKey = privateKey;
+}
+
+/**
+ * Read the certificates and the private key of a PEM bundle
+ * @param  {string}   content     PEM messages
+ * @param  {Function} askPassword returns a promise of the passphrase
+ * @return {Promise}              { certs, privateKey }
+ */
+function readPem(content, askPassword) {
+    const bundle = {
+        certs: []
+    };
+
+    return Promise.mapSeries(pem.decode(content), msg => {
+        const pemString = pem.encode(msg);
+        const encrypted = msg.type === 'ENCRYPTED PRIVATE KEY' ||
+            Boolean(msg.procType && msg.procType.type === 'ENCRYPTED');
+
+        if (msg.type === 'CERTIFICATE') {
+            bundle.certs.push(certificateFromPem(pemString));
+            return null;
+        }
+
+        if (KEY_PEM_TYPES.indexOf(msg.type) === -1) {
+            throw new Error(`Unsupported PEM content: ${msg.type}`);
+        }
+
+        return (encrypted ? askPassword() : Promise.resolve())
+            .then(passphrase => addPrivateKey(bundle, privateKeyFromPem(pemString, passphrase)));
+    })
+        .then(() => bundle);
+}
+
+/**
+ * Read a DER encoded certificate, private key or PKCS#12 archive
+ * @param  {string}   der         binary string
+ * @param  {Function} askPassword returns a promise of the passphrase
+ * @return {Promise}              { certs, privateKey, friendlyName }
+ */
+function readDer(der, askPassword) {
+    const obj = asn1.fromDer(der);
+
+    try {
+        return Promise.resolve({
+            certs: [ certificateFromAsn1(obj) ]
+        });
+    } catch (err) {
+        // Not a certificate
+    }
+
+    try {
+        return Promise.resolve({
+            certs: [],
+            privateKey: privateKeyFromAsn1(obj)
+        });
+    } catch (err) {
+        // Not a private key in clear
+    }
+
+    // PFX ::= SEQUENCE { version INTEGER (v3), authSafe ContentInfo, ... }
+    if (obj.value.length > 1 && obj.value[0].type === asn1.Type.INTEGER &&
+        asn1.derToInteger(obj.value[0].value) === 3) {
+        // Archives are often protected by an empty passphrase
+        return Promise.try(() => fromPkcs12Asn1(obj, ''))
+            .catch(() => askPassword()
+                .then(passphrase => {
+                    try {
+                        return fromPkcs12Asn1(obj, passphrase);
+                    } catch (err) {
+                        throw new Error('Failed to decrypt PKCS#12 archive, please check your passphrase.');
+                    }
+                }));
+    }
+
+    // EncryptedPrivateKeyInfo ::= SEQUENCE { AlgorithmIdentifier, OCTET STRING }
+    if (obj.value.length === 2 && obj.value[1].type === asn1.Type.OCTETSTRING) {
+        return askPassword()
+            .then(passphrase => {
+                try {
+                    return createPrivateKey({
+                        key: Buffer.from(der, 'binary'),
+                        format: 'der',
+                        type: 'pkcs8',
+                        passphrase
+                    });
+                } catch (err) {
+                    throw new Error('Failed to decrypt private key, please check your passphrase.');
+                }
+            })
+            .then(privateKey => ({
+                certs: [],
+                privateKey: privateKeyFromAsn1(asn1.fromDer(privateKey.export({
+                    type: 'pkcs8',
+                    format: 'der'
+                }).toString('binary')))
+            }));
+    }
+
+    return Promise.reject(new Error('Unrecognized DER content.'));
+}
+
+/**
+ * Read a JSON Web Key, with its certificates (x5c) if any
+ * @param  {string} content JSON
+ * @return {Object}         { certs, privateKey }
+ */
+function readJwk(content) {
+    const jwk = JSON.parse(content);
+    const certs = (jwk.x5c || []).map(cert =>
+        certificateFromAsn1(asn1.fromDer(Buffer.from(cert, 'base64').toString('binary'))));
+
+    if (!jwk.d && certs.length === 0) {
+        throw new Error('JWK holds neither a private key nor certificates (x5c).');
+    }
+
+    return {
+        certs,
+        privateKey: jwk.d ? privateKeyFromJwk(jwk) : undefined
+    };
+}
+
+/**
+ * Read certificates and private key from a PEM, DER, PKCS#12 or JWK file
+ * @param  {string}   filePath    path of the file
+ * @param  {Function} askPassword returns a promise of the passphrase, only
+ *                                called when something is encrypted
+ * @return {Promise}              { certs, privateKey, friendlyName }, the
+ *                                certificate of the key first
+ */
+export function readBundle(filePath, askPassword) {
+    // Ask at most once, even if several objects are encrypted
+    let passphrase;
+    const askOnce = () => {
+        passphrase = passphrase || Promise.resolve(askPassword());
+
+        return passphrase;
+    };
+
+    return readFileAsync(filePath)
+        .then(buffer => {
+            const content = buffer.toString('binary');
+
+            if (/^\s*\{/.test(content)) {
+                return readJwk(buffer.toString('utf8'));
+            }
+
+            return content.indexOf('-----BEGIN') !== -1 ?
+                readPem(content, askOnce) :
+                readDer(content, askOnce);
+        })
+        .then(bundle => {
+            if (bundle.certs.length === 0 && !bundle.privateKey) {
+                throw new Error(`No certificate or private key found in: ${filePath}`);
+            }
+
+            return bundle;
+        });
+}
+
+/**
+ * Encode certificates and private key into the given format
+ *
+ * - pem:             <base>.crt, <base>.chain.crt (leaf + intermediates),
+ *                    <base>.ca.crt (issuers) and <base>.key
+ * - der:             <base>.der, <base>.ca-<n>.der (issuers) and <base>.key.der
+ * - pkcs8:           <base>.pkcs8.key
+ * - pkcs8-encrypted: <base>.pkcs8.key
+ * - p12:             <base>.p12
+ * - jwk:             <base>.jwk, with certificates as "x5c"
+ *
+ * @param  {Object}  bundle               { certs, privateKey, friendlyName }
+ * @param  {string}  basePath             path of the output, without extension
+ * @param  {string}  format               one of FORMATS
+ * @param  {?string} options.passphrase   password to encrypt the key or the archive
+ * @param  {string}  options.cipher       "aes256" or "3des"
+ * @param  {?string} options.friendlyName name of the PKCS#12 archive
+ * @return {Array}                        [{ file, content, mode }], private keys
+ *                                        in clear only readable by their owner
+ */
+export function encodeBundle({ certs, privateKey, friendlyName }, basePath, format, {
+    passphrase, cipher = 'aes256', friendlyName: name } = {}) {
+    const leaf = certs[0];
+    const issuers = certs.slice(1);
+    const outputs = [];
+    const output = (file, content, mode) => outputs.push(mode ? { file, content, mode } : { file, content });
+    const requireKey = () => {
+        if (!privateKey) {
+            throw new Error(`No private key found, which ${format} requires.`);
+        }
+    };
+    const requireKeyPair = () => {
+        requireKey();
+
+        if (!leaf) {
+            throw new Error(`No certificate found, which ${format} requires.`);
+        }
+
+        if (!isKeyPair(privateKey, leaf.publicKey)) {
+            throw new Error('The private key does not match the first certificate.');
+        }
+    };
+
+    switch (format) {
+    case 'pem': {
+        const intermediates = issuers.filter(cert => !isSelfSigned(cert));
+
+        if (leaf) {
+            output(`${basePath}.crt`, certificateToPem(leaf));
+        }
+
+        if (intermediates.length > 0) {
+            output(`${basePath}.chain.crt`,
+                [ leaf ].concat(intermediates).map(certificateToPem).join(''));
+        }
+
+        if (issuers.length > 0) {
+            output(`${basePath}.ca.crt`, issuers.map(certificateToPem).join(''));
+        }
+
+        if (privateKey) {
+            output(`${basePath}.key`, privateKeyToPem(privateKey, passphrase, cipher),
+                !passphrase && PRIVATE_MODE);
+        }
+        break;
+    }
+    case 'der':
+        if (leaf) {
+            output(`${basePath}.der`, toDerBuffer(certificateToAsn1(leaf)));
+        }
+
+        issuers.forEach((cert, index) => {
+            output(`${basePath}.ca-${index + 1}.der`, toDerBuffer(certificateToAsn1(cert)));
+        });
+
+        if (privateKey) {
+            output(`${basePath}.key.der`, privateKeyToDer(privateKey), PRIVATE_MODE);
+        }
+        break;
+    case 'pkcs8':
+        requireKey();
+        output(`${basePath}.pkcs8.key`, privateKeyToPkcs8Pem(privateKey), PRIVATE_MODE);
+        break;
+    case 'pkcs8-encrypted':
+        requireKey();
+
+        if (!passphrase) {
+            throw new Error('A passphrase is required to encrypt the private key.');
+        }
+
+        output(`${basePath}.pkcs8.key`, privateKeyToPkcs8Pem(privateKey, passphrase, cipher));
+        break;
+    case 'p12':
+        requireKeyPair();
+        output(`${basePath}.p12`, toDerBuffer(createP12Archive({
+            privateKey,
+            cert: leaf,
+            chain: issuers,
+            passphrase: passphrase || '',
+            friendlyName: name || friendlyName,
+            cipher
+        })), !passphrase && PRIVATE_MODE);
+        break;
+    case 'jwk': {
+        if (privateKey && leaf) {
+            requireKeyPair();
+        }
+
+        const jwk = privateKey ? privateKeyToJwk(privateKey) : publicKeyToJwk(leaf.publicKey);
+
+        if (certs.length > 0) {
+            jwk.x5c = certs.map(cert => toDerBuffer(certificateToAsn1(cert)).toString('base64'));
+        }
+
+        output(`${basePath}.jwk`, `${JSON.stringify(jwk, null, 2)}\n`, privateKey && PRIVATE_MODE);
+        break;
+    }
+    default:
+        throw new Error(`Unknown format: ${format}, expect one of ${FORMATS.join(', ')}.`);
+    }
+
+    return outputs;
+}
+
+/**
+ * Save the outputs of `encodeBundle` or `encodeDeployment`, those with a
+ * `mode` (e.g. 0o600 for files embedding a private key in clear) get it
+ * even when they already exist
+ * @param  {Array} outputs [{ file, content, mode }]
+ * @return {Promise}
+ */
+export function writeOutputs(outputs) {
+    return Promise.mapSeries(outputs, ({ file, content, mode }) => mode ?
+        outputFileAsync(file, content, { mode })
+            .then(() => chmodAsync(file, mode)) :
+        outputFileAsync(file, content));
+}
+
+export {
+    FORMATS
+};
@@ -0,0 +1,229 @@
+/**
+ * src/crl.js
+ *
+ * provide functions to build X.509 v2 certificate revocation
+ * lists (RFC 5280, section 5), which node-forge does not support
+ */
+import { asn1, pki, pem, util } from 'node-forge';
+import Promise from 'bluebird';
+import { outputFile } from 'fs-extra';
+
+import {
+    getKeyIdentifier,
+    getSignatureAlgorithm,
+    signatureAlgorithmToAsn1,
+    sign } from './keys.js';
+
+const outputFileAsync = Promise.promisify(outputFile);
+
+// forge only maps these ids to names, not the other way around
+const OID_CRL_NUMBER = '2.5.29.20';
+const OID_CRL_REASON = '2.5.29.21';
+
+// CRLReason ::= ENUMERATED, value 7 is not used
+const REVOCATION_REASONS = {
+    unspecified: 0,
+    keyCompromise: 1,
+    cACompromise: 2,
+    affiliationChanged: 3,
+    superseded: 4,
+    cessationOfOperation: 5,
+    certificateHold: 6,
+    removeFromCRL: 8,
+    privilegeWithdrawn: 9,
+    aACompromise: 10
+};
+
+/**
+ * Encode a date as UTCTime, or as GeneralizedTime from year 2050 on
+ * @param  {Date} date
+ * @return {Object}    ASN.1 object
+ */
+function timeToAsn1(date) {
+    if (date.getUTCFullYear() >= 2050) {
+        return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.GENERALIZEDTIME, false,
+            asn1.dateToGeneralizedTime(date));
+    }
+
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.UTCTIME, false,
+        asn1.dateToUtcTime(date));
+}
+
+/**
+ * Encode a serial number as a positive INTEGER
+ * @param  {string} serial serial number in hex
+ * @return {Object}        ASN.1 object
+ */
+function serialToAsn1(serial) {
+    let bytes = util.hexToBytes(serial.length % 2 ? `0${serial}` : serial);
+
+    // Prepend a zero octet, otherwise it would be read as negative
+    if (bytes.charCodeAt(0) & 0x80) {
+        bytes = `\x00${bytes}`;
+    }
+
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, bytes);
+}
+
+/**
+ * Encode an extension with given DER value
+ * @param  {string}  oid      extension id
+ * @param  {Object}  value    ASN.1 object of extnValue
+ * @param  {Boolean} critical
+ * @return {Object}           ASN.1 object
+ */
+function extensionToAsn1(oid, value, critical) {
+    const ext = [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false,
+            asn1.oidToDer(oid).getBytes())
+    ];
+
+    if (critical) {
+        ext.push(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BOOLEAN, false,
+            String.fromCharCode(0xff)));
+    }
+
+    ext.push(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false,
+        asn1.toDer(value).getBytes()));
+
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, ext);
+}
+
+/**
+ * Encode a revoked certificate entry
+ * @param  {string} options.serial    serial number in hex
+ * @param  {Date}   options.revokedAt revocation date
+ * @param  {string} options.reason    one of REVOCATION_REASONS
+ * @return {Object}                   ASN.1 object
+ */
+function revokedCertificateToAsn1({ serial, revokedAt, reason = 'unspecified' }) {
+    const entry = [
+        serialToAsn1(serial),
+        timeToAsn1(revokedAt)
+    ];
+
+    // reasonCode "unspecified" SHOULD be absent (RFC 5280, 5.3.1)
+    if (REVOCATION_REASONS[reason]) {
+        entry.push(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+            extensionToAsn1(OID_CRL_REASON,
+                asn1.create(asn1.Class.UNIVERSAL, asn1.Type.ENUMERATED, false,
+                    String.fromCharCode(REVOCATION_REASONS[reason])))
+        ]));
+    }
+
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, entry);
+}
+
+/**
+ * Whether the given revocation reason is known
+ * @param  {string}  reason
+ * @return {Boolean}
+ */
+export function isRevocationReason(reason) {
+    return REVOCATION_REASONS.hasOwnProperty(reason);
+}
+
+/**
+ * Build the "cRLDistributionPoints" extension, a distribution point
+ * with a fullName for each given URL
+ * @param  {Array} urls locations the CRL is published at
+ * @return {Object}     X.509 v3 certificate extension
+ */
+export function createCRLDistributionPoints(urls) {
+    const distributionPoints = urls.map(url =>
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+            // distributionPoint [0] DistributionPointName
+            asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+                // fullName [0] GeneralNames
+                asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+                    // uniformResourceIdentifier [6] IA5String
+                    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 6, false, url)
+                ])
+            ])
+        ]));
+
+    return {
+        id: pki.oids.cRLDistributionPoints,
+        name: 'cRLDistributionPoints',
+        value: asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true,
+            distributionPoints)
+    };
+}
+
+/**
+ * Create a signed X.509 v2 CRL
+ * @param  {Certificate} options.CACert     the certificate of the CA
+ * @param  {PrivateKey}  options.CAKey      the private key of the CA
+ * @param  {Array}       options.revoked    revoked entries ({ serial, revokedAt, reason })
+ * @param  {Number}      options.crlNumber  monotonically increasing CRL number
+ * @param  {Number}      options.days       days until the next CRL is issued
+ * @return {Object}                         ASN.1 object of the CertificateList
+ */
+export function createCRL({ CACert, CAKey, revoked, crlNumber, days = 30 }) {
+    const thisUpdate = new Date();
+    const nextUpdate = new Date(thisUpdate.getTime() + days * 24 * 60 * 60 * 1000);
+    const signatureAlgorithm = signatureAlgorithmToAsn1(getSignatureAlgorithm(CAKey).oid);
+    const crlExtensions = [
+        // authorityKeyIdentifier, keyIdentifier [0] computed the same way
+        // as forge's subjectKeyIdentifier
+        extensionToAsn1(pki.oids.authorityKeyIdentifier,
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+                asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, false,
+                    getKeyIdentifier(CACert.publicKey))
+            ])),
+        extensionToAsn1(OID_CRL_NUMBER,
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false,
+                asn1.integerToDer(crlNumber).getBytes()))
+    ];
+    const tbsCertList = [
+        // version v2
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false,
+            asn1.integerToDer(1).getBytes()),
+        signatureAlgorithm,
+        pki.distinguishedNameToAsn1(CACert.subject),
+        timeToAsn1(thisUpdate),
+        timeToAsn1(nextUpdate)
+    ];
+
+    // revokedCertificates must be absent rather than empty
+    if (revoked.length > 0) {
+        tbsCertList.push(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true,
+            revoked.map(revokedCertificateToAsn1)));
+    }
+
+    tbsCertList.push(asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, crlExtensions)
+    ]));
+
+    const tbs = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, tbsCertList);
+
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        tbs,
+        signatureAlgorithm,
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BITSTRING, false,
+            `\x00${sign(CAKey, asn1.toDer(tbs).getBytes())}`)
+    ]);
+}
+
+/**
+ * Save CRL to the given paths
+ * @param  {Object} crl     ASN.1 object of the CertificateList
+ * @param  {string} pemPath path of the PEM format CRL
+ * @param  {string} derPath path of the DER format CRL
+ * @return {Promise}
+ */
+export function writeCRL(crl, pemPath, derPath) {
+    const der = asn1.toDer(crl).getBytes();
+
+    return Promise.all([
+        outputFileAsync(pemPath, pem.encode({
+            type: 'X509 CRL',
+            body: der
+        })),
+        outputFileAsync(derPath, der, { encoding: 'binary' })
+    ]);
+}
+
+export {
+    REVOCATION_REASONS
+};
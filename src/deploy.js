@@ -0,0 +1,224 @@
+/**
+ * src/deploy.js
+ *
+ * provide the files to deploy a certificate with: a kubernetes.io/tls
+ * Secret, a combined PEM for HAProxy, TLS snippets to be included in
+ * nginx, Apache and Caddy configurations and the options of
+ * `https.createServer`
+ */
+import path from 'path';
+
+import { certificateToPem, attrsToString, PRIVATE_MODE } from './cert.js';
+import { privateKeyToPem } from './keys.js';
+
+const DEPLOY_FORMATS = ['k8s', 'haproxy', 'nginx', 'apache', 'caddy', 'node'];
+
+// DNS-1123 subdomain, which names of Kubernetes objects have to be
+const SECRET_NAME_PATTERN = /^[a-z0-9]([-a-z0-9]*[a-z0-9])?(\.[a-z0-9]([-a-z0-9]*[a-z0-9])?)*$/;
+
+// DNS-1123 label, which namespaces have to be
+const NAMESPACE_PATTERN = /^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/;
+
+/**
+ * Whether the given deployment format is supported
+ * @param  {string}  format e.g. "nginx"
+ * @return {Boolean}
+ */
+export function isDeployFormat(format) {
+    return DEPLOY_FORMATS.indexOf(format) !== -1;
+}
+
+/**
+ * Turn a filename into the name of a Kubernetes Secret, e.g.
+ * "Web_Server" into "web-server"
+ * @param  {string} name
+ * @return {string}
+ */
+export function toSecretName(name) {
+    return name.toLowerCase()
+        .replace(/[^-a-z0-9.]+/g, '-')
+        .replace(/^[-.]+|[-.]+$/g, '')
+        .slice(0, 253);
+}
+
+/**
+ * Whether the given name is accepted for a Kubernetes Secret
+ * @param  {string}  name
+ * @return {Boolean}
+ */
+export function isSecretName(name) {
+    return name.length <= 253 && SECRET_NAME_PATTERN.test(name);
+}
+
+/**
+ * Whether the given name is accepted for a Kubernetes namespace
+ * @param  {string}  name
+ * @return {Boolean}
+ */
+export function isNamespace(name) {
+    return name.length <= 63 && NAMESPACE_PATTERN.test(name);
+}
+
+/**
+ * Quote a path of a configuration snippet if it has to be
+ * @param  {string} value
+ * @return {string}
+ */
+function quote(value) {
+    return /[\s"';{}#]/.test(value) ? JSON.stringify(value) : value;
+}
+
+/**
+ * Encode a certificate and its private key into the given deployment
+ * format. Snippets refer to the files at `paths`, where they are
+ * installed on the server; the Secret and the combined PEM embed them.
+ *
+ * - k8s:     <base>.secret.yaml, with "ca.crt" when CA certificates are given
+ * - haproxy: <base>.haproxy.pem (certificate, intermediates and key), and
+ *            with CA certificates <base>.haproxy.crt-list, to be loaded
+ *            with `bind ... ssl crt-list`
+ * - nginx:   <base>.nginx.conf, to be included in a `server` block
+ * - apache:  <base>.apache.conf, to be included in a `VirtualHost`
+ * - caddy:   <base>.caddy, to be imported in a site block
+ * - node:    <base>.https.js, options module of `https.createServer`
+ *
+ * With CA certificates, the snippets ask for client certificates issued
+ * by them and refuse the other clients (mutual TLS). Files embedding the
+ * private key are only readable by their owner (mode 0600).
+ *
+ * @param  {Object}  deployment            { certs, privateKey, CACerts }
+ * @param  {string}  basePath              path of the output, without extension
+ * @param  {string}  format                one of DEPLOY_FORMATS
+ * @param  {Object}  options.paths         { cert, key, ca, haproxy } files referred to by the snippets
+ * @param  {string}  options.secretName    name of the Kubernetes Secret
+ * @param  {?string} options.namespace     namespace of the Kubernetes Secret
+ * @return {Array}                         [{ file, content, mode }]
+ */
+export function encodeDeployment({ certs, privateKey, CACerts = [] }, basePath, format, {
+    paths, secretName, namespace }) {
+    const leaf = certs[0];
+    const mutual = CACerts.length > 0;
+    const certsPem = certs.map(certificateToPem).join('');
+    const keyPem = privateKeyToPem(privateKey);
+    const CAPem = CACerts.map(certificateToPem).join('');
+    const header = comment => `${comment} Generated by azura-ssl for ${attrsToString(leaf.subject.attributes)}, valid until ${leaf.validity.notAfter.toISOString()}\n`;
+    const base64 = content => Buffer.from(content).toString('base64');
+
+    switch (format) {
+    case 'k8s':
+        // Both end up in the YAML as they are
+        if (!isSecretName(secretName)) {
+            throw new Error(`Invalid name of Kubernetes Secret: ${secretName}.`);
+        }
+
+        if (namespace && !isNamespace(namespace)) {
+            throw new Error(`Invalid Kubernetes namespace: ${JSON.stringify(namespace)}.`);
+        }
+
+        return [{
+            file: `${basePath}.secret.yaml`,
+            content: header('#') + [
+                'apiVersion: v1',
+                'kind: Secret',
+                'metadata:',
+                `  name: ${secretName}`
+            ]
+                .concat(namespace ? [ `  namespace: ${namespace}` ] : [])
+                .concat([
+                    'type: kubernetes.io/tls',
+                    'data:',
+                    `  tls.crt: ${base64(certsPem)}`,
+                    `  tls.key: ${base64(keyPem)}`
+                ])
+                .concat(mutual ? [ `  ca.crt: ${base64(CAPem)}` ] : [])
+                .join('\n') + '\n',
+            mode: PRIVATE_MODE
+        }];
+    case 'haproxy':
+        return [{
+            file: `${basePath}.haproxy.pem`,
+            content: certsPem + keyPem,
+            mode: PRIVATE_MODE
+        }].concat(mutual ? [{
+            file: `${basePath}.haproxy.crt-list`,
+            content: header('#') +
+                `${quote(paths.haproxy)} [ca-file ${quote(paths.ca)} verify required]\n`
+        }] : []);
+    case 'nginx':
+        return [{
+            file: `${basePath}.nginx.conf`,
+            content: header('#') + [
+                `ssl_certificate ${quote(paths.cert)};`,
+                `ssl_certificate_key ${quote(paths.key)};`,
+                'ssl_protocols TLSv1.2 TLSv1.3;'
+            ]
+                .concat(mutual ? [
+                    `ssl_client_certificate ${quote(paths.ca)};`,
+                    'ssl_verify_client on;',
+                    `ssl_verify_depth ${CACerts.length};`
+                ] : [])
+                .join('\n') + '\n'
+        }];
+    case 'apache':
+        return [{
+            file: `${basePath}.apache.conf`,
+            content: header('#') + [
+                'SSLEngine on',
+                `SSLCertificateFile ${quote(paths.cert)}`,
+                `SSLCertificateKeyFile ${quote(paths.key)}`,
+                'SSLProtocol -all +TLSv1.2 +TLSv1.3'
+            ]
+                .concat(mutual ? [
+                    `SSLCACertificateFile ${quote(paths.ca)}`,
+                    'SSLVerifyClient require',
+                    `SSLVerifyDepth ${CACerts.length}`
+                ] : [])
+                .join('\n') + '\n'
+        }];
+    case 'caddy':
+        return [{
+            file: `${basePath}.caddy`,
+            content: header('#') + [
+                `tls ${quote(paths.cert)} ${quote(paths.key)} {`,
+                '\tprotocols tls1.2 tls1.3'
+            ]
+                .concat(mutual ? [
+                    '\tclient_auth {',
+                    '\t\tmode require_and_verify',
+                    `\t\ttrust_pool file ${quote(paths.ca)}`,
+                    '\t}'
+                ] : [])
+                .concat([ '}' ])
+                .join('\n') + '\n'
+        }];
+    case 'node':
+        return [{
+            file: `${basePath}.https.js`,
+            content: header('//') + [
+                `// https.createServer(require('./${path.basename(basePath)}.https.js'), app)`,
+                'const fs = require(\'fs\');',
+                '',
+                'module.exports = {',
+                `    cert: fs.readFileSync(${JSON.stringify(paths.cert)}),`,
+                `    key: fs.readFileSync(${JSON.stringify(paths.key)}),`
+            ]
+                .concat(mutual ? [
+                    `    ca: fs.readFileSync(${JSON.stringify(paths.ca)}),`,
+                    '    // Ask for client certificates issued by `ca`, refuse the other clients',
+                    '    requestCert: true,',
+                    '    rejectUnauthorized: true,'
+                ] : [])
+                .concat([
+                    '    minVersion: \'TLSv1.2\'',
+                    '};'
+                ])
+                .join('\n') + '\n'
+        }];
+    default:
+        throw new Error(`Unknown format: ${format}, expect one of ${DEPLOY_FORMATS.join(', ')}.`);
+    }
+}
+
+export {
+    DEPLOY_FORMATS
+};
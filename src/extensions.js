@@ -0,0 +1,446 @@
+/**
+ * src/extensions.js
+ *
+ * provide custom X.509 v3 extensions given as openssl-style strings
+ * (`--ext` or the "extensions" of a profile), e.g.
+ *
+ * ```
+ * keyUsage=critical,digitalSignature,keyAgreement
+ * certificatePolicies=2.23.140.1.2.1,1.3.6.1.4.1.44947.1.1.1,CPS:http://cps.example.test
+ * authorityInfoAccess=OCSP;URI:http://ocsp.example.test,caIssuers;URI:http://ca.example.test/ca.crt
+ * tlsfeature=status_request
+ * 1.2.3.4=critical,DER:0403616263
+ * ```
+ *
+ * @see https://www.openssl.org/docs/manmaster/man5/x509v3_config.html
+ */
+import { asn1, pki, util } from 'node-forge';
+
+import { createCRLDistributionPoints } from './crl.js';
+import { parseSANFromString } from './names.js';
+import { createNameConstraints } from './constraints.js';
+
+const OID_PATTERN = /^\d+(\.\d+)+$/;
+
+// Extensions forge does not know by name
+const OIDS = {
+    nameConstraints: '2.5.29.30',
+    tlsfeature: '1.3.6.1.5.5.7.1.24'
+};
+
+const KEY_USAGES = [
+    'digitalSignature',
+    'nonRepudiation',
+    'keyEncipherment',
+    'dataEncipherment',
+    'keyAgreement',
+    'keyCertSign',
+    'cRLSign',
+    'encipherOnly',
+    'decipherOnly'
+];
+
+// Usages forge encodes by name, the others by OID
+const EXT_KEY_USAGES = {
+    serverAuth: 'serverAuth',
+    clientAuth: 'clientAuth',
+    codeSigning: 'codeSigning',
+    emailProtection: 'emailProtection',
+    timeStamping: 'timeStamping',
+    OCSPSigning: '1.3.6.1.5.5.7.3.9'
+};
+
+const ACCESS_METHODS = {
+    OCSP: '1.3.6.1.5.5.7.48.1',
+    caIssuers: '1.3.6.1.5.5.7.48.2'
+};
+
+const POLICIES = {
+    anyPolicy: '2.5.29.32.0'
+};
+
+const OID_CPS = '1.3.6.1.5.5.7.2.1';
+
+// TLS extensions a certificate can require, "status_request" being
+// OCSP stapling (RFC 7633)
+const TLS_FEATURES = {
+    status_request: 5,
+    status_request_v2: 17
+};
+
+/**
+ * Encode an OID
+ * @param  {string} oid
+ * @return {Object}     ASN.1 object
+ */
+function oidToAsn1(oid) {
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false,
+        asn1.oidToDer(oid).getBytes());
+}
+
+/**
+ * Decode hex digits, optionally separated with colons
+ * @param  {string} hex  e.g. "04:03:61:62:63"
+ * @param  {string} spec extension given by the user, for errors
+ * @return {string}      binary string
+ */
+function hexToBytes(hex, spec) {
+    const digits = hex.replace(/:/g, '');
+
+    if (!/^([0-9a-fA-F]{2})+$/.test(digits)) {
+        throw new Error(`Hex value invalid: ${spec}`);
+    }
+
+    return util.hexToBytes(digits);
+}
+
+/**
+ * Split the value of an extension, e.g. "CA:TRUE,pathlen:0"
+ * @param  {string} value
+ * @return {Array}
+ */
+function splitValues(value) {
+    return value
+        .split(',')
+        .map(item => item.trim())
+        .filter(item => item.length > 0);
+}
+
+// Parsers of the extensions by name, each one takes the values of the
+// extension and returns it without its criticality
+const PARSERS = {
+    basicConstraints(values, spec) {
+        return values.reduce((ext, item) => {
+            const matchResult = item.match(/^(CA|pathlen):(.+)$/i);
+
+            if (matchResult && matchResult[1].toUpperCase() === 'CA' && /^(TRUE|FALSE)$/i.test(matchResult[2])) {
+                return Object.assign(ext, { cA: matchResult[2].toUpperCase() === 'TRUE' });
+            }
+
+            if (matchResult && matchResult[1].toLowerCase() === 'pathlen' && /^\d+$/.test(matchResult[2])) {
+                return Object.assign(ext, { pathLenConstraint: Number(matchResult[2]) });
+            }
+
+            throw new Error(`Basic constraint invalid (expect CA:TRUE, CA:FALSE or pathlen:<n>): ${spec}`);
+        }, { name: 'basicConstraints', cA: false });
+    },
+    keyUsage(values, spec) {
+        return values.reduce((ext, usage) => {
+            if (KEY_USAGES.indexOf(usage) === -1) {
+                throw new Error(`Key usage invalid (expect ${KEY_USAGES.join(', ')}): ${spec}`);
+            }
+
+            return Object.assign(ext, { [usage]: true });
+        }, { name: 'keyUsage' });
+    },
+    extendedKeyUsage(values, spec) {
+        return values.reduce((ext, usage) => {
+            if (!EXT_KEY_USAGES[usage] && !OID_PATTERN.test(usage)) {
+                throw new Error(`Extended key usage invalid (expect ${Object.keys(EXT_KEY_USAGES).join(', ')} or an OID): ${spec}`);
+            }
+
+            return Object.assign(ext, { [EXT_KEY_USAGES[usage] || usage]: true });
+        }, { name: 'extKeyUsage' });
+    },
+    subjectAltName(values) {
+        return parseSANFromString(values.join(','))[0];
+    },
+    subjectKeyIdentifier(values, spec) {
+        // "hash" is computed from the key when the certificate is signed
+        if (values.length === 1 && values[0] === 'hash') {
+            return {
+                name: 'subjectKeyIdentifier',
+                keyIdentifier: 'hash',
+                value: ''
+            };
+        }
+
+        return {
+            name: 'subjectKeyIdentifier',
+            value: asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false,
+                hexToBytes(values.join(''), spec))
+        };
+    },
+    authorityKeyIdentifier(values, spec) {
+        if (values.length !== 1 || !/^keyid(:always)?$/.test(values[0])) {
+            throw new Error(`Authority key identifier invalid (expect keyid): ${spec}`);
+        }
+
+        // computed from the key of the issuer when the certificate is signed
+        return {
+            name: 'authorityKeyIdentifier',
+            keyIdentifier: 'hash',
+            value: ''
+        };
+    },
+    certificatePolicies(values, spec) {
+        const policies = [];
+
+        values.forEach(item => {
+            const policy = policies[policies.length - 1];
+
+            // A CPS pointer qualifies the policy before it
+            if (/^CPS:/.test(item)) {
+                if (!policy) {
+                    throw new Error(`CPS must follow a policy: ${spec}`);
+                }
+
+                policy.cps.push(item.replace(/^CPS:/, ''));
+                return;
+            }
+
+            if (!POLICIES[item] && !OID_PATTERN.test(item)) {
+                throw new Error(`Policy invalid (expect an OID or anyPolicy): ${spec}`);
+            }
+
+            policies.push({
+                oid: POLICIES[item] || item,
+                cps: []
+            });
+        });
+
+        // PolicyInformation ::= SEQUENCE { policyIdentifier, policyQualifiers OPTIONAL }
+        return {
+            name: 'certificatePolicies',
+            value: asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true,
+                policies.map(({ oid, cps }) =>
+                    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [ oidToAsn1(oid) ]
+                        .concat(cps.length > 0 ? [
+                            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, cps.map(url =>
+                                asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+                                    oidToAsn1(OID_CPS),
+                                    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.IA5STRING, false, url)
+                                ])))
+                        ] : []))))
+        };
+    },
+    authorityInfoAccess(values, spec) {
+        return {
+            name: 'authorityInfoAccess',
+            value: asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, values.map(item => {
+                const matchResult = item.match(/^(OCSP|caIssuers);URI:(.+)$/);
+
+                if (!matchResult) {
+                    throw new Error(`Access description invalid (expect OCSP;URI:<url> or caIssuers;URI:<url>): ${spec}`);
+                }
+
+                return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+                    oidToAsn1(ACCESS_METHODS[matchResult[1]]),
+                    // uniformResourceIdentifier [6] IA5String
+                    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 6, false, matchResult[2])
+                ]);
+            }))
+        };
+    },
+    crlDistributionPoints(values, spec) {
+        return createCRLDistributionPoints(values.map(item => {
+            if (!/^URI:.+$/.test(item)) {
+                throw new Error(`Distribution point invalid (expect URI:<url>): ${spec}`);
+            }
+
+            return item.replace(/^URI:/, '');
+        }));
+    },
+    tlsfeature(values, spec) {
+        return {
+            id: OIDS.tlsfeature,
+            name: 'tlsfeature',
+            value: asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, values.map(feature => {
+                if (!TLS_FEATURES[feature]) {
+                    throw new Error(`TLS feature invalid (expect ${Object.keys(TLS_FEATURES).join(' or ')}): ${spec}`);
+                }
+
+                return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false,
+                    asn1.integerToDer(TLS_FEATURES[feature]).getBytes());
+            }))
+        };
+    },
+    nameConstraints(values, spec) {
+        const constraints = { permitted: {}, excluded: {} };
+
+        values.forEach(item => {
+            const matchResult = item.match(/^(permitted|excluded);(DNS|IP|email):(.+)$/);
+
+            if (!matchResult) {
+                throw new Error(`Name constraint invalid (expect permitted;<type>:<value> or excluded;<type>:<value>): ${spec}`);
+            }
+
+            const [ , kind, type, value ] = matchResult;
+            const key = type.toLowerCase();
+
+            constraints[kind][key] = (constraints[kind][key] || []).concat(value);
+        });
+
+        return createNameConstraints(constraints)[0];
+    }
+};
+
+// Names used by forge, accepted as well
+const ALIASES = {
+    extKeyUsage: 'extendedKeyUsage',
+    cRLDistributionPoints: 'crlDistributionPoints',
+    tlsFeature: 'tlsfeature'
+};
+
+/**
+ * Get the OID of an extension
+ * @param  {string}  name name of openssl, or an OID
+ * @return {?string}
+ */
+function getExtensionOid(name) {
+    if (OID_PATTERN.test(name)) {
+        return name;
+    }
+
+    if (!PARSERS[name]) {
+        return null;
+    }
+
+    return OIDS[name] || pki.oids[Object.keys(ALIASES).find(alias => ALIASES[alias] === name) || name];
+}
+
+/**
+ * Parse an extension in the format of openssl configuration files:
+ * `<name>=[critical,]<values>` or `<name or OID>=[critical,]DER:<hex>`
+ * @param  {string} spec e.g. "keyUsage=critical,digitalSignature"
+ * @return {Object}      X.509 v3 certificate extension
+ */
+export function parseExtension(spec) {
+    const matchResult = spec.match(/^\s*([\w.]+)\s*=\s*(.*)$/);
+
+    if (!matchResult) {
+        throw new Error(`Extension malformed (expect <name>=[critical,]<value>): ${spec}`);
+    }
+
+    const name = ALIASES[matchResult[1]] || matchResult[1];
+    const critical = /^critical\s*(,|$)/.test(matchResult[2]);
+    const value = matchResult[2].replace(/^critical\s*(,\s*|$)/, '');
+    const id = getExtensionOid(name);
+
+    // Raw extensions are kept by OID only, forge would otherwise try to
+    // decode them by name
+    if (/^DER:/.test(value)) {
+        if (!id) {
+            throw new Error(`Unknown extension: ${spec}`);
+        }
+
+        return {
+            id,
+            critical,
+            value: hexToBytes(value.replace(/^DER:/, ''), spec)
+        };
+    }
+
+    if (!PARSERS[name]) {
+        throw new Error(`Unknown extension (expect ${Object.keys(PARSERS).join(', ')} or <OID>=DER:<hex>): ${spec}`);
+    }
+
+    const values = splitValues(value);
+
+    if (values.length === 0) {
+        throw new Error(`Extension value missing: ${spec}`);
+    }
+
+    const ext = PARSERS[name](values, spec);
+
+    return Object.assign(ext, {
+        id: ext.id || id,
+        critical
+    });
+}
+
+/**
+ * Parse a list of extensions, see `parseExtension`
+ * @param  {Array} specs
+ * @return {Array}       X.509 v3 certificate extensions
+ */
+export function parseExtensions(specs = []) {
+    return specs.map(parseExtension);
+}
+
+/**
+ * Add custom extensions to an extension set, each one replaces the
+ * extension of the same type in the set
+ * @param  {Array} exts       X.509 v3 certificate extensions
+ * @param  {Array} customExts extensions returned by `parseExtensions`
+ * @return {Array}
+ */
+export function withExtensions(exts, customExts) {
+    const ids = customExts.map(ext => ext.id);
+
+    return exts
+        .filter(ext => ids.indexOf(ext.id || pki.oids[ext.name]) === -1)
+        .concat(customExts);
+}
+
+/**
+ * Refuse custom extensions replacing the ones certificates get from
+ * their CA: "basicConstraints", whose path length is checked against the
+ * issuers, and "nameConstraints", which intermediates inherit
+ * @param  {Array}  customExts      extensions returned by `parseExtensions`
+ * @param  {string} settings.option option giving the extensions, for error message
+ * @return {Array}                  `customExts`
+ */
+export function assertCustomExtensions(customExts, { option = '--ext' } = {}) {
+    ['basicConstraints', 'nameConstraints'].forEach(name => {
+        if (customExts.some(ext => ext.id === getExtensionOid(name))) {
+            throw new Error(`Extension "${name}" can not be set with ${option}, it is computed from the path length and the name constraints of the CA.`);
+        }
+    });
+
+    return customExts;
+}
+
+/**
+ * Decode the extensions added by `parseExtension` which forge leaves
+ * encoded, values are written the way `--ext` takes them
+ * @param  {Object}  ext extension parsed by forge
+ * @return {?Object}     { name, value }, null for other extensions
+ */
+export function decodeExtension(ext) {
+    const obj = () => asn1.fromDer(ext.value);
+    const findName = (names, value) => Object.keys(names).find(name => names[name] === value) || value;
+
+    switch (ext.id) {
+    case pki.oids.authorityKeyIdentifier: {
+        // keyIdentifier [0], authorityCertIssuer [1] and serial [2] are optional
+        const keyIdentifier = obj().value.find(node => node.type === 0);
+
+        return {
+            name: 'authorityKeyIdentifier',
+            value: keyIdentifier ? util.bytesToHex(keyIdentifier.value) : ''
+        };
+    }
+    case pki.oids.certificatePolicies:
+        return {
+            name: 'certificatePolicies',
+            value: obj().value.reduce((values, policy) => {
+                const qualifiers = policy.value[1] ? policy.value[1].value : [];
+
+                return values
+                    .concat(findName(POLICIES, asn1.derToOid(policy.value[0].value)))
+                    .concat(qualifiers
+                        .filter(qualifier => asn1.derToOid(qualifier.value[0].value) === OID_CPS)
+                        .map(qualifier => `CPS:${qualifier.value[1].value}`));
+            }, [])
+        };
+    case pki.oids.authorityInfoAccess:
+        return {
+            name: 'authorityInfoAccess',
+            value: obj().value.map(description => {
+                const method = findName(ACCESS_METHODS, asn1.derToOid(description.value[0].value));
+                const location = description.value[1];
+
+                return location.type === 6 ? `${method};URI:${location.value}` : method;
+            })
+        };
+    case OIDS.tlsfeature:
+        return {
+            name: 'tlsfeature',
+            value: obj().value.map(feature =>
+                findName(TLS_FEATURES, asn1.derToInteger(feature.value)))
+        };
+    default:
+        return null;
+    }
+}
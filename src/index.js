@@ -0,0 +1,353 @@
+/**
+ * src/index.js
+ *
+ * provide the programmatic API of azura-ssl, everything is done
+ * in memory: no file is read or written and nothing is prompted
+ *
+ * ```js
+ * const { createCA, issueServerCert } = require('azura-ssl');
+ *
+ * createCA({ subject: '/CN=Test CA' })
+ *     .then(ca => issueServerCert(ca, {
+ *         subject: '/CN=localhost',
+ *         san: 'DNS:localhost,IP:127.0.0.1'
+ *     }))
+ *     .then(({ certPem, keyPem, chainPem }) => { ... });
+ * ```
+ */
+import { asn1, pki } from 'node-forge';
+import Promise from 'bluebird';
+import { isArray, isString, isNumber } from 'lodash';
+
+import {
+    createCertificate,
+    createP12Archive,
+    selfSign,
+    signCertificate,
+    getCAExtensionSet,
+    assertCanIssueCA,
+    getCertificateChain,
+    certificateToAsn1,
+    certificateToPem,
+    certificateFromPem,
+    exceedsServerLifetime,
+    SERVER_EXTENSION_SET,
+    CLIENT_EXTENSION_SET,
+    CODESIGN_EXTENSION_SET,
+    EMAIL_EXTENSION_SET,
+    MAX_SERVER_DAYS,
+    DEFAULT_LEAF_DAYS } from './cert.js';
+import {
+    isRSAKey,
+    privateKeyToPem,
+    privateKeyFromPem,
+    privateKeyToAsn1 } from './keys.js';
+import {
+    parseAttrsFromString,
+    parseSANFromString,
+    getCommonNameSAN,
+    getEmailAddressSAN,
+    assertServerSAN } from './names.js';
+import { buildSubjectAltName } from './config.js';
+import { createNameConstraints, inheritNameConstraints, assertNameConstraints } from './constraints.js';
+import { parseExtensions, withExtensions, assertCustomExtensions } from './extensions.js';
+
+/**
+ * Turn subjects given as "/CN=a/O=b", { CN: 'a', O: 'b' } or an array
+ * of attributes into an array of attributes
+ * @param  {string|Object|Array} subject
+ * @return {Array}
+ */
+function toAttrs(subject) {
+    if (isString(subject)) {
+        return parseAttrsFromString(subject);
+    }
+
+    if (isArray(subject)) {
+        return subject;
+    }
+
+    if (subject) {
+        return Object.keys(subject).map(shortName => ({
+            shortName,
+            value: subject[shortName]
+        }));
+    }
+
+    throw new Error('Subject is required.');
+}
+
+/**
+ * Turn subject alt names given as "DNS:a.com,IP:10.0.0.6" or
+ * ["DNS:a.com", "IP:10.0.0.6"] into extensions
+ * @param  {string|Array} san
+ * @return {Array}        Array of X.509 V3 Certificate Extension
+ */
+function toSANExtensions(san) {
+    if (isArray(san)) {
+        return toSANExtensions(san.join(','));
+    }
+
+    return isString(san) && san.length > 0 ? parseSANFromString(san) : [];
+}
+
+/**
+ * Parse the "extensions" option, the ones computed from "pathLen" and
+ * "nameConstraints" are refused
+ * @param  {?Array} extensions extensions in openssl format
+ * @return {Array}             X.509 v3 certificate extensions
+ */
+function getCustomExtensions(extensions) {
+    return assertCustomExtensions(parseExtensions(extensions), { option: '"extensions"' });
+}
+
+/**
+ * Encode an ASN.1 object into a Buffer
+ * @param  {Object} obj ASN.1 object
+ * @return {Buffer}     DER encoded
+ */
+function toDerBuffer(obj) {
+    return Buffer.from(asn1.toDer(obj).getBytes(), 'binary');
+}
+
+/**
+ * Bundle a certificate with its private key and the encoded forms
+ * @param  {Certificate} cert
+ * @param  {PrivateKey}  privateKey
+ * @param  {Array}       chain      the certificate followed by its issuers up to the root
+ * @param  {?string}     passphrase password used to encrypt `keyPem`
+ * @return {Object}
+ */
+function toBundle(cert, privateKey, chain, passphrase) {
+    return {
+        cert,
+        privateKey,
+        chain,
+        certPem: certificateToPem(cert),
+        certDer: toDerBuffer(certificateToAsn1(cert)),
+        keyPem: privateKeyToPem(privateKey, passphrase),
+        // PKCS#1 for RSA keys, PKCS#8 for the other ones
+        keyDer: toDerBuffer(isRSAKey(privateKey) ?
+            pki.privateKeyToAsn1(privateKey) :
+            privateKeyToAsn1(privateKey)),
+        // What a server should send: the certificate and the intermediates
+        chainPem: getCertificateChain(cert, chain.slice(1))
+            .map(certificateToPem)
+            .join('')
+    };
+}
+
+/**
+ * Issue a leaf certificate with given CA
+ * @param  {Object}   ca            CA returned by `createCA` or `loadCA`
+ * @param  {Array}    exts          X.509 v3 certificate extensions of the profile
+ * @param  {Function} getSubjectSAN names of the subject added to the SAN, e.g. `getCommonNameSAN`
+ * @param  {Object}   options       see `issueServerCert`
+ * @return {Promise}
+ */
+function issue(ca, exts, getSubjectSAN, {
+    subject, san, keyType, curve, bits = 2048, ttl, days, notBefore, notAfter, serial, passphrase, force,
+    extensions, key } = {}) {
+    return Promise.try(() => {
+        const attrs = toAttrs(subject);
+        const sanExts = toSANExtensions(san);
+        const certExts = withExtensions(exts.concat(buildSubjectAltName([], attrs,
+            getSubjectSAN(attrs).concat(sanExts))), getCustomExtensions(extensions));
+
+        // Server certificates, for TLS servers
+        if (certExts.some(ext => ext.name === 'extKeyUsage' && ext.serverAuth)) {
+            assertServerSAN(certExts, attrs, { option: '"san"' });
+        }
+
+        return createCertificate({
+            attrs,
+            exts: certExts,
+            keyType,
+            curve,
+            bits,
+            ttl,
+            days: isNumber(ttl) ? days : days || DEFAULT_LEAF_DAYS,
+            notBefore,
+            notAfter,
+            serial,
+            key: key && privateKeyFromPem(key.toString(), passphrase)
+        });
+    })
+        .then(({ privateKey, cert }) => {
+            if (!force && exceedsServerLifetime(cert)) {
+                throw new Error(`Server certificate is valid for more than ${MAX_SERVER_DAYS} days, which browsers refuse, set "force" to issue it anyway.`);
+            }
+
+            assertNameConstraints(cert, ca.chain);
+
+            signCertificate({
+                cert,
+                CAKey: ca.privateKey,
+                CACert: ca.cert
+            });
+
+            return toBundle(cert, privateKey, [ cert ].concat(ca.chain), passphrase);
+        });
+}
+
+/**
+ * Create a CA, self-signed unless an issuer is given
+ * @param  {string|Object} options.subject    subjects, e.g. "/CN=Test CA"
+ * @param  {string}        options.keyType    "rsa", "ec" or "ed25519"
+ * @param  {string}        options.curve      named curve of EC keys, "P-256" or "P-384"
+ * @param  {Number}        options.bits       RSA key size
+ * @param  {Number}        options.ttl        certificate Time-To-Live in years
+ * @param  {Number}        options.days       certificate Time-To-Live in days, takes precedence over `ttl`
+ * @param  {Date}          options.notBefore  start of the validity, a few minutes ago by default
+ * @param  {Date}          options.notAfter   end of the validity, takes precedence over `ttl` and `days`
+ * @param  {Number}        options.pathLen    maximum number of CAs allowed below the CA
+ * @param  {Object}        options.nameConstraints { permitted, excluded } each { dns, ip, email },
+ *                                            e.g. { permitted: { dns: ['.test'] } }
+ * @param  {Object}        options.issuer     CA to sign an intermediate CA with
+ * @param  {string}        options.serial     serial number in hex, random by default
+ * @param  {string}        options.passphrase password used to encrypt `keyPem`
+ * @param  {Array}         options.extensions extensions in openssl format, e.g. ["subjectKeyIdentifier=hash"]
+ * @param  {string|Buffer} options.key        PEM format private key to certify instead of a generated one,
+ *                                            decrypted with `passphrase` if it is encrypted
+ * @return {Promise}       { cert, privateKey, chain, certPem, certDer, keyPem, keyDer, chainPem }
+ */
+export function createCA({
+    subject, keyType, curve, bits = 2048, ttl = 2, days, notBefore, notAfter, pathLen, nameConstraints = {},
+    issuer, serial, passphrase, extensions, key } = {}) {
+    return Promise.try(() => {
+        const constraints = createNameConstraints(nameConstraints);
+
+        if (issuer) {
+            assertCanIssueCA(issuer.cert, pathLen || 0);
+        }
+
+        return createCertificate({
+            attrs: toAttrs(subject),
+            exts: withExtensions(getCAExtensionSet(pathLen).concat(issuer ?
+                inheritNameConstraints(constraints, issuer.chain) :
+                constraints), getCustomExtensions(extensions)),
+            keyType,
+            curve,
+            bits,
+            ttl,
+            days,
+            notBefore,
+            notAfter,
+            serial,
+            key: key && privateKeyFromPem(key.toString(), passphrase)
+        });
+    })
+        .then(({ privateKey, cert }) => {
+            if (issuer) {
+                signCertificate({
+                    cert,
+                    CAKey: issuer.privateKey,
+                    CACert: issuer.cert
+                });
+
+                return toBundle(cert, privateKey, [ cert ].concat(issuer.chain), passphrase);
+            }
+
+            selfSign({
+                cert,
+                privateKey
+            });
+
+            return toBundle(cert, privateKey, [ cert ], passphrase);
+        });
+}
+
+/**
+ * Load an existing CA from PEM contents
+ * @param  {string|Buffer} options.cert       PEM format certificate of the CA
+ * @param  {string|Buffer} options.key        PEM format private key of the CA
+ * @param  {string}        options.passphrase password used to decrypt the key
+ * @param  {string|Buffer} options.chain      PEM bundle of the issuers of the CA, if any
+ * @return {Promise}       same as `createCA`
+ */
+export function loadCA({ cert, key, passphrase, chain } = {}) {
+    return Promise.try(() => {
+        const CACert = certificateFromPem(cert.toString());
+        const issuers = chain ?
+            (chain.toString().match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [])
+                .map(certificateFromPem) :
+            [];
+
+        return toBundle(CACert, privateKeyFromPem(key.toString(), passphrase),
+            [ CACert ].concat(issuers), passphrase);
+    });
+}
+
+/**
+ * Issue a server certificate
+ * @param  {Object}        ca                 CA returned by `createCA` or `loadCA`
+ * @param  {string|Object} options.subject    subjects, e.g. "/CN=localhost"
+ * @param  {string|Array}  options.san        subject alt names, e.g. "DNS:localhost,IP:127.0.0.1"
+ * @param  {string}        options.keyType    "rsa", "ec" or "ed25519"
+ * @param  {string}        options.curve      named curve of EC keys, "P-256" or "P-384"
+ * @param  {Number}        options.bits       RSA key size
+ * @param  {Number}        options.ttl        certificate Time-To-Live in years
+ * @param  {Number}        options.days       certificate Time-To-Live in days, 397 unless `ttl` is given
+ * @param  {Date}          options.notBefore  start of the validity, a few minutes ago by default
+ * @param  {Date}          options.notAfter   end of the validity, takes precedence over `ttl` and `days`
+ * @param  {string}        options.serial     serial number in hex, random by default
+ * @param  {string}        options.passphrase password used to encrypt `keyPem`
+ * @param  {Boolean}       options.force      issue a server certificate valid longer than 398 days anyway
+ * @param  {Array}         options.extensions extensions in openssl format, e.g. ["tlsfeature=status_request"]
+ * @param  {string|Buffer} options.key        PEM format private key to certify instead of a generated one,
+ *                                            decrypted with `passphrase` if it is encrypted
+ * @return {Promise}       same as `createCA`
+ */
+export function issueServerCert(ca, options) {
+    return issue(ca, SERVER_EXTENSION_SET, getCommonNameSAN, options);
+}
+
+/**
+ * Issue a client certificate
+ * @param  {Object} ca      CA returned by `createCA` or `loadCA`
+ * @param  {Object} options same as `issueServerCert`
+ * @return {Promise}        same as `createCA`
+ */
+export function issueClientCert(ca, options) {
+    return issue(ca, CLIENT_EXTENSION_SET, () => [], options);
+}
+
+/**
+ * Issue a code signing certificate
+ * @param  {Object} ca      CA returned by `createCA` or `loadCA`
+ * @param  {Object} options same as `issueServerCert`
+ * @return {Promise}        same as `createCA`
+ */
+export function issueCodeSigningCert(ca, options) {
+    return issue(ca, CODESIGN_EXTENSION_SET, () => [], options);
+}
+
+/**
+ * Issue an S/MIME email certificate, the email address of the subject
+ * (E) is added to the SAN
+ * @param  {Object} ca      CA returned by `createCA` or `loadCA`
+ * @param  {Object} options same as `issueServerCert`, e.g. { subject: '/CN=Alice', san: 'email:alice@a.com' }
+ * @return {Promise}        same as `createCA`
+ */
+export function issueEmailCert(ca, options) {
+    return issue(ca, EMAIL_EXTENSION_SET, getEmailAddressSAN, options);
+}
+
+/**
+ * Pack a certificate, its private key and its issuers into a PKCS#12 archive
+ * @param  {Object} bundle               returned by `issueClientCert` (or any other)
+ * @param  {string} options.passphrase   password to encrypt the archive
+ * @param  {string} options.friendlyName displayed in list boxes by software importing the file
+ * @param  {string} options.cipher       "3des" (default) or "aes256"
+ * @return {Promise}                     DER encoded archive, as a Buffer
+ */
+export function toPkcs12({ cert, privateKey, chain }, { passphrase = '', friendlyName, cipher } = {}) {
+    return Promise.try(() => toDerBuffer(createP12Archive({
+        privateKey,
+        cert,
+        passphrase,
+        chain: chain.slice(1),
+        friendlyName,
+        cipher
+    })));
+}
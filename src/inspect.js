@@ -0,0 +1,537 @@
+/**
+ * src/inspect.js
+ *
+ * provide functions to decode certificates, private keys,
+ * certification requests, PKCS#12 archives and Java KeyStores,
+ * whatever their encoding (PEM or DER) is
+ */
+import { createHash } from 'crypto';
+import { asn1, pki, pem, util } from 'node-forge';
+import Promise from 'bluebird';
+import chalk from 'chalk';
+import { readFile } from 'fs-extra';
+
+import {
+    attrsToString,
+    altNameToString,
+    certificateToAsn1,
+    certificateFromAsn1,
+    certificateFromPem,
+    certificationRequestFromAsn1 } from './cert.js';
+import {
+    getKeyType,
+    getPublicKey,
+    publicKeyToAsn1,
+    privateKeyFromPem,
+    privateKeyFromAsn1,
+    getSignatureAlgorithmName } from './keys.js';
+import { decodePkcs12Asn1, isTrustedBag } from './pkcs12.js';
+import { isKeyStore, fromKeyStore } from './keystore.js';
+import { decodeNameConstraints, subtreeToString } from './constraints.js';
+import { decodeExtension } from './extensions.js';
+
+const readFileAsync = Promise.promisify(readFile);
+
+const KEY_USAGES = [
+    'digitalSignature',
+    'nonRepudiation',
+    'keyEncipherment',
+    'dataEncipherment',
+    'keyAgreement',
+    'keyCertSign',
+    'cRLSign',
+    'encipherOnly',
+    'decipherOnly'
+];
+
+const KEY_ALGORITHMS = {
+    rsa: 'RSA',
+    ec: 'EC',
+    ed25519: 'Ed25519'
+};
+
+// Properties of a parsed extension which are not flags
+const EXTENSION_FIELDS = ['id', 'name', 'critical', 'value'];
+
+/**
+ * Compute fingerprint of DER encoded bytes
+ * @param  {string} der       binary string
+ * @param  {string} algorithm "sha1" or "sha256"
+ * @return {string}           e.g. "AB:CD:..."
+ */
+function fingerprint(der, algorithm) {
+    return createHash(algorithm)
+        .update(Buffer.from(der, 'binary'))
+        .digest('hex')
+        .toUpperCase()
+        .match(/.{2}/g)
+        .join(':');
+}
+
+/**
+ * Describe a public key
+ * @param  {PublicKey|KeyObject} publicKey
+ * @return {Object}
+ */
+function describePublicKey(publicKey) {
+    const der = asn1.toDer(publicKeyToAsn1(publicKey)).getBytes();
+    const { keyType, bits, curve } = getKeyType(publicKey);
+
+    return {
+        algorithm: KEY_ALGORITHMS[keyType] || keyType,
+        bits,
+        curve,
+        sha256: fingerprint(der, 'sha256')
+    };
+}
+
+/**
+ * Read the URIs of the "cRLDistributionPoints" extension
+ * @param  {string} value DER encoded extnValue
+ * @return {Array}
+ */
+function readDistributionPoints(value) {
+    const urls = [];
+    const walk = node => {
+        // uniformResourceIdentifier [6] IA5String
+        if (node.tagClass === asn1.Class.CONTEXT_SPECIFIC &&
+            node.type === 6 && !node.constructed) {
+            urls.push(node.value);
+        } else if (Array.isArray(node.value)) {
+            node.value.forEach(walk);
+        }
+    };
+
+    walk(asn1.fromDer(value));
+
+    return urls;
+}
+
+/**
+ * Decode a v3 extension parsed by forge
+ * @param  {Object} ext
+ * @return {Object}     { name, critical, value }
+ */
+function describeExtension(ext) {
+    const described = {
+        name: ext.name || ext.id,
+        critical: ext.critical
+    };
+    const decoded = decodeExtension(ext);
+
+    if (decoded) {
+        return Object.assign(described, decoded);
+    }
+
+    switch (ext.name) {
+    case 'basicConstraints':
+        described.value = {
+            cA: ext.cA
+        };
+
+        if ('pathLenConstraint' in ext) {
+            described.value.pathLenConstraint = ext.pathLenConstraint;
+        }
+        break;
+    case 'keyUsage':
+        described.value = KEY_USAGES.filter(usage => ext[usage]);
+        break;
+    case 'extKeyUsage':
+        described.value = Object.keys(ext)
+            .filter(key => EXTENSION_FIELDS.indexOf(key) === -1 && ext[key] === true);
+        break;
+    case 'subjectAltName':
+    case 'issuerAltName':
+        described.value = ext.altNames.map(altNameToString);
+        break;
+    case 'subjectKeyIdentifier':
+        described.value = ext.subjectKeyIdentifier;
+        break;
+    case 'cRLDistributionPoints':
+        described.value = readDistributionPoints(ext.value);
+        break;
+    case 'nameConstraints': {
+        const { permitted, excluded } = decodeNameConstraints(ext.value);
+
+        described.value = {
+            permitted: permitted.map(subtreeToString),
+            excluded: excluded.map(subtreeToString)
+        };
+        break;
+    }
+    default:
+        described.value = util.bytesToHex(ext.value);
+    }
+
+    return described;
+}
+
+/**
+ * Describe a certificate
+ * @param  {Certificate} cert
+ * @param  {?string}     der  DER encoding the certificate was read from
+ * @return {Object}
+ */
+function describeCertificate(cert, der = asn1.toDer(certificateToAsn1(cert)).getBytes()) {
+    return {
+        type: 'certificate',
+        subject: attrsToString(cert.subject.attributes),
+        issuer: attrsToString(cert.issuer.attributes),
+        serial: cert.serialNumber,
+        notBefore: cert.validity.notBefore.toISOString(),
+        notAfter: cert.validity.notAfter.toISOString(),
+        signatureAlgorithm: getSignatureAlgorithmName(cert.signatureOid),
+        publicKey: describePublicKey(cert.publicKey),
+        extensions: cert.extensions.map(describeExtension),
+        fingerprints: {
+            sha1: fingerprint(der, 'sha1'),
+            sha256: fingerprint(der, 'sha256')
+        }
+    };
+}
+
+/**
+ * Describe a certification request
+ * @param  {CertificationRequest} csr
+ * @return {Object}
+ */
+function describeCertificationRequest(csr) {
+    const request = csr.getAttribute({ name: 'extensionRequest' });
+
+    return {
+        type: 'certificationRequest',
+        subject: attrsToString(csr.subject.attributes),
+        signatureAlgorithm: pki.oids[csr.signatureOid] || csr.signatureOid,
+        signatureValid: csr.verify(),
+        publicKey: describePublicKey(csr.publicKey),
+        extensions: request ? request.extensions.map(describeExtension) : []
+    };
+}
+
+/**
+ * Describe a private key
+ * @param  {PrivateKey|KeyObject} privateKey
+ * @param  {string}               encryption how the key was stored, e.g. "none"
+ * @return {Object}
+ */
+function describePrivateKey(privateKey, encryption) {
+    return {
+        type: 'privateKey',
+        encryption,
+        publicKey: describePublicKey(getPublicKey(privateKey))
+    };
+}
+
+/**
+ * Describe a PKCS#12 archive
+ * @param  {Object} p12 archive decrypted by forge
+ * @return {Object}
+ */
+function describeP12Archive(p12) {
+    const certBags = p12.getBags({ bagType: pki.oids.certBag })[pki.oids.certBag] || [];
+    const keyBags = [pki.oids.keyBag, pki.oids.pkcs8ShroudedKeyBag]
+        .map(bagType => p12.getBags({ bagType })[bagType] || [])
+        .reduce((all, bags) => all.concat(bags), []);
+    const friendlyName = bag => bag.attributes.friendlyName ?
+        bag.attributes.friendlyName[0] :
+        undefined;
+
+    // forge only decodes RSA, the ASN.1 object is left for the other keys
+    return {
+        type: 'pkcs12',
+        certificates: certBags.map(bag => Object.assign(
+            { friendlyName: friendlyName(bag), trusted: isTrustedBag(bag) },
+            describeCertificate(bag.cert || certificateFromAsn1(bag.asn1)))),
+        privateKeys: keyBags.map(bag => Object.assign(
+            { friendlyName: friendlyName(bag) },
+            describePrivateKey(bag.key || privateKeyFromAsn1(bag.asn1), 'pkcs12')))
+    };
+}
+
+/**
+ * Describe the entries of a Java KeyStore
+ * @param  {Array}  entries decoded by `fromKeyStore`
+ * @return {Object}
+ */
+function describeKeyStore(entries) {
+    return {
+        type: 'jks',
+        entries: entries.map(({ alias, date, privateKey, certs, cert }) => {
+            const entry = {
+                alias,
+                created: date.toISOString()
+            };
+
+            if (privateKey) {
+                return Object.assign(entry, describePrivateKey(privateKey, 'jks'), {
+                    chain: certs.map(chainCert => describeCertificate(chainCert))
+                });
+            }
+
+            return Object.assign(entry, { trusted: true }, describeCertificate(cert));
+        })
+    };
+}
+
+/**
+ * Try to decrypt an object with an empty passphrase first, then ask for one
+ * @param  {Function} decrypt     returns the decrypted object or throws
+ * @param  {Function} askPassword returns a promise of the passphrase
+ * @return {Promise}
+ */
+function decryptWith(decrypt, askPassword) {
+    return Promise.try(() => decrypt(''))
+        .catch(() => askPassword().then(decrypt))
+        .then(result => {
+            if (!result) {
+                throw new Error('Failed to decrypt, please check your passphrase.');
+            }
+
+            return result;
+        });
+}
+
+/**
+ * Describe a PEM message
+ * @param  {Object}   msg         PEM message decoded by forge
+ * @param  {Function} askPassword returns a promise of the passphrase
+ * @return {Promise}
+ */
+function inspectPemMessage(msg, askPassword) {
+    const pemString = pem.encode(msg);
+
+    switch (msg.type) {
+    case 'CERTIFICATE':
+        return Promise.resolve(describeCertificate(certificateFromPem(pemString), msg.body));
+    case 'CERTIFICATE REQUEST':
+    case 'NEW CERTIFICATE REQUEST':
+        return Promise.resolve(describeCertificationRequest(
+            certificationRequestFromAsn1(asn1.fromDer(msg.body))));
+    case 'RSA PRIVATE KEY':
+    case 'EC PRIVATE KEY':
+    case 'PRIVATE KEY':
+        if (msg.procType && msg.procType.type === 'ENCRYPTED') {
+            // OpenSSL's legacy format, written by `writePrivateKey`
+            return askPassword()
+                .then(passphrase => describePrivateKey(
+                    privateKeyFromPem(pemString, passphrase), msg.dekInfo.algorithm));
+        }
+
+        return Promise.resolve(describePrivateKey(privateKeyFromPem(pemString), 'none'));
+    case 'ENCRYPTED PRIVATE KEY':
+        return askPassword()
+            .then(passphrase => describePrivateKey(
+                privateKeyFromPem(pemString, passphrase), 'pkcs8'));
+    default:
+        return Promise.resolve({
+            type: 'unknown',
+            pemType: msg.type
+        });
+    }
+}
+
+/**
+ * Describe a DER encoded object
+ * @param  {string}   der         binary string
+ * @param  {Function} askPassword returns a promise of the passphrase
+ * @return {Promise}
+ */
+function inspectDer(der, askPassword) {
+    const obj = asn1.fromDer(der);
+    const attempts = [
+        () => describeCertificate(certificateFromAsn1(obj), der),
+        () => describeCertificationRequest(certificationRequestFromAsn1(obj)),
+        () => describePrivateKey(privateKeyFromAsn1(obj), 'none')
+    ];
+
+    for (let attempt of attempts) {
+        try {
+            return Promise.resolve(attempt());
+        } catch (err) {
+            // Not this kind of object, try the next one
+        }
+    }
+
+    // PFX ::= SEQUENCE { version INTEGER (v3), authSafe ContentInfo, ... }
+    if (obj.value.length > 1 && obj.value[0].type === asn1.Type.INTEGER &&
+        asn1.derToInteger(obj.value[0].value) === 3) {
+        return decryptWith(
+            passphrase => decodePkcs12Asn1(obj, passphrase),
+            askPassword)
+            .then(describeP12Archive);
+    }
+
+    // EncryptedPrivateKeyInfo ::= SEQUENCE { AlgorithmIdentifier, OCTET STRING }
+    if (obj.value.length === 2 && obj.value[1].type === asn1.Type.OCTETSTRING) {
+        return askPassword()
+            .then(passphrase => pki.decryptPrivateKeyInfo(obj, passphrase))
+            .then(info => {
+                if (!info) {
+                    throw new Error('Failed to decrypt private key, please check your passphrase.');
+                }
+
+                return describePrivateKey(privateKeyFromAsn1(info), 'pkcs8');
+            });
+    }
+
+    return Promise.reject(new Error('Unrecognized DER content.'));
+}
+
+/**
+ * Decode everything found in the given file
+ * @param  {string}   filePath    path of a PEM or DER file
+ * @param  {Function} askPassword returns a promise of the passphrase, only
+ *                                called when something is encrypted
+ * @return {Promise}              { file, format, objects }
+ */
+export function inspectFile(filePath, askPassword) {
+    // Ask at most once, even if several objects are encrypted
+    let passphrase;
+    const askOnce = () => {
+        passphrase = passphrase || Promise.resolve(askPassword());
+
+        return passphrase;
+    };
+
+    return readFileAsync(filePath)
+        .then(buffer => {
+            const content = buffer.toString('binary');
+
+            if (isKeyStore(buffer)) {
+                // The password protects the keys and the integrity of the keystore
+                return askOnce()
+                    .then(passphrase => ({
+                        file: filePath,
+                        format: 'JKS',
+                        objects: [ describeKeyStore(fromKeyStore(buffer, passphrase)) ]
+                    }));
+            }
+
+            if (content.indexOf('-----BEGIN') !== -1) {
+                return Promise.mapSeries(pem.decode(content),
+                    msg => inspectPemMessage(msg, askOnce))
+                    .then(objects => ({
+                        file: filePath,
+                        format: 'PEM',
+                        objects
+                    }));
+            }
+
+            return inspectDer(content, askOnce)
+                .then(object => ({
+                    file: filePath,
+                    format: 'DER',
+                    objects: [object]
+                }));
+        });
+}
+
+/**
+ * Format the value of a described extension
+ * @param  {Object} ext
+ * @return {string}
+ */
+function formatExtension(ext) {
+    if (ext.name === 'basicConstraints') {
+        return `CA:${ext.value.cA ? 'TRUE' : 'FALSE'}` +
+            ('pathLenConstraint' in ext.value ? `, pathlen:${ext.value.pathLenConstraint}` : '');
+    }
+
+    if (ext.name === 'nameConstraints') {
+        return ext.value.permitted.map(subtree => `permitted ${subtree}`)
+            .concat(ext.value.excluded.map(subtree => `excluded ${subtree}`))
+            .join(', ');
+    }
+
+    return Array.isArray(ext.value) ? ext.value.join(', ') : ext.value;
+}
+
+/**
+ * Format a described object for humans
+ * @param  {Object} object result of `inspectFile`
+ * @param  {string} indent
+ * @return {Array}         lines
+ */
+function formatObject(object, indent = '') {
+    const lines = [];
+    const field = (name, value) => lines.push(`${indent}  ${`${name}:`.padEnd(22)}${value}`);
+    const publicKey = key => field('Public Key', key.curve ?
+        `${key.algorithm} ${key.curve} ${key.bits} bits` :
+        `${key.algorithm} ${key.bits} bits`);
+
+    switch (object.type) {
+    case 'certificate':
+        lines.push(chalk.bold(`${indent}Certificate`));
+        if (object.alias) {
+            field('Alias', object.alias);
+            field('Created', object.created);
+        }
+        if (object.friendlyName) {
+            field('Friendly Name', object.friendlyName);
+        }
+        if (object.trusted) {
+            field('Trusted', 'yes');
+        }
+        field('Subject', object.subject);
+        field('Issuer', object.issuer);
+        field('Serial', object.serial);
+        field('Not Before', object.notBefore);
+        field('Not After', object.notAfter);
+        field('Signature Algorithm', object.signatureAlgorithm);
+        publicKey(object.publicKey);
+        field('SHA-1 Fingerprint', object.fingerprints.sha1);
+        field('SHA-256 Fingerprint', object.fingerprints.sha256);
+        break;
+    case 'certificationRequest':
+        lines.push(chalk.bold(`${indent}Certification Request`));
+        field('Subject', object.subject);
+        field('Signature Algorithm', object.signatureAlgorithm);
+        field('Signature', object.signatureValid ? 'valid' : chalk.red('invalid'));
+        publicKey(object.publicKey);
+        break;
+    case 'privateKey':
+        lines.push(chalk.bold(`${indent}Private Key`));
+        if (object.alias) {
+            field('Alias', object.alias);
+            field('Created', object.created);
+        }
+        if (object.friendlyName) {
+            field('Friendly Name', object.friendlyName);
+        }
+        field('Encryption', object.encryption);
+        publicKey(object.publicKey);
+        field('Public Key SHA-256', object.publicKey.sha256);
+        (object.chain || []).forEach(item => lines.push(...formatObject(item, `${indent}  `)));
+        break;
+    case 'pkcs12':
+        lines.push(chalk.bold(`${indent}PKCS#12 Archive`));
+        object.privateKeys.concat(object.certificates)
+            .forEach(item => lines.push(...formatObject(item, `${indent}  `)));
+        break;
+    case 'jks':
+        lines.push(chalk.bold(`${indent}Java KeyStore`));
+        object.entries.forEach(item => lines.push(...formatObject(item, `${indent}  `)));
+        break;
+    default:
+        lines.push(chalk.bold(`${indent}Unknown (${object.pemType})`));
+    }
+
+    if (object.extensions && object.extensions.length > 0) {
+        lines.push(`${indent}  Extensions:`);
+        object.extensions.forEach(ext => lines.push(
+            `${indent}    ${ext.name}${ext.critical ? ' (critical)' : ''}: ${formatExtension(ext)}`));
+    }
+
+    return lines;
+}
+
+/**
+ * Format result of `inspectFile` for humans
+ * @param  {Object} result
+ * @return {string}
+ */
+export function formatInspection(result) {
+    return result.objects
+        .map(object => formatObject(object).join('\n'))
+        .join('\n\n');
+}
@@ -0,0 +1,581 @@
+/**
+ * src/keys.js
+ *
+ * provide key pair generation, encoding and signatures for RSA,
+ * EC and Ed25519 keys. node-forge only supports RSA, the other
+ * key types are handled by the crypto module of Node.js
+ * (`KeyObject`), RSA keys stay node-forge keys.
+ */
+import {
+    generateKeyPair as generateNodeKeyPair,
+    createPrivateKey,
+    createPublicKey,
+    sign as nodeSign,
+    verify as nodeVerify } from 'crypto';
+import { asn1, pki, md } from 'node-forge';
+import Promise from 'bluebird';
+import { isString, isFunction } from 'lodash';
+
+const KEY_TYPES = ['rsa', 'ec', 'ed25519'];
+
+// Ciphers encrypting private keys, "3des" is OpenSSL's legacy one
+const CIPHERS = {
+    aes256: 'aes-256-cbc',
+    '3des': 'des-ede3-cbc'
+};
+
+// Named curves, with the digest used by ECDSA signatures of the key
+const CURVES = {
+    'P-256': {
+        nodeName: 'prime256v1',
+        hash: 'sha256'
+    },
+    'P-384': {
+        nodeName: 'secp384r1',
+        hash: 'sha384'
+    }
+};
+
+// forge does not know these signature algorithms
+const SIGNATURE_ALGORITHMS = {
+    sha256WithRSAEncryption: pki.oids.sha256WithRSAEncryption,
+    'ecdsa-with-SHA256': '1.2.840.10045.4.3.2',
+    'ecdsa-with-SHA384': '1.2.840.10045.4.3.3',
+    Ed25519: '1.3.101.112'
+};
+
+// Digest of the signature algorithms, by oid
+const SIGNATURE_HASHES = {
+    [SIGNATURE_ALGORITHMS['ecdsa-with-SHA256']]: 'sha256',
+    [SIGNATURE_ALGORITHMS['ecdsa-with-SHA384']]: 'sha384',
+    [SIGNATURE_ALGORITHMS.Ed25519]: null
+};
+
+/**
+ * Generate an RSA key pair as forge keys. Node.js generates it natively,
+ * many times faster than forge does in JavaScript, which is only used
+ * where `crypto.generateKeyPair` is missing (e.g. a runtime other than
+ * Node.js).
+ * @param  {Number} bits RSA key size
+ * @return {Promise}     { privateKey, publicKey }
+ */
+function generateRSAKeyPair(bits) {
+    if (!isFunction(generateNodeKeyPair)) {
+        return Promise.fromCallback(callback =>
+            pki.rsa.generateKeyPair({ bits, workers: -1 }, callback));
+    }
+
+    return Promise.fromCallback(callback => generateNodeKeyPair('rsa', {
+        modulusLength: bits,
+        publicExponent: 0x10001
+    }, callback), { multiArgs: true })
+        .then(([ , privateKey ]) => {
+            const forgeKey = fromKeyObject(privateKey);
+
+            return {
+                privateKey: forgeKey,
+                publicKey: pki.setRsaPublicKey(forgeKey.n, forgeKey.e)
+            };
+        });
+}
+
+/**
+ * Whether the given key is a node-forge RSA key
+ * @param  {PrivateKey|PublicKey|KeyObject} key
+ * @return {Boolean}
+ */
+export function isRSAKey(key) {
+    return Boolean(key) && Boolean(key.n) && Boolean(key.e);
+}
+
+/**
+ * Whether the given key type is supported
+ * @param  {string}  keyType
+ * @return {Boolean}
+ */
+export function isKeyType(keyType) {
+    return KEY_TYPES.indexOf(keyType) !== -1;
+}
+
+/**
+ * Whether the given named curve is supported
+ * @param  {string}  curve
+ * @return {Boolean}
+ */
+export function isCurve(curve) {
+    return CURVES.hasOwnProperty(curve);
+}
+
+/**
+ * Whether the given cipher is supported to encrypt private keys
+ * @param  {string}  cipher e.g. "aes256"
+ * @return {Boolean}
+ */
+export function isCipher(cipher) {
+    return CIPHERS.hasOwnProperty(cipher);
+}
+
+/**
+ * Turn a key into a Node.js `KeyObject`, converting forge RSA keys
+ * @param  {PrivateKey|PublicKey|KeyObject} key
+ * @return {KeyObject}
+ */
+function toKeyObject(key) {
+    if (!isRSAKey(key)) {
+        return key;
+    }
+
+    return key.d ?
+        createPrivateKey(pki.privateKeyToPem(key)) :
+        createPublicKey(pki.publicKeyToPem(key));
+}
+
+/**
+ * Generate a key pair
+ * @param  {string} options.keyType "rsa", "ec" or "ed25519"
+ * @param  {Number} options.bits    RSA key size
+ * @param  {string} options.curve   named curve of EC keys, "P-256" or "P-384"
+ * @return {Promise}                { privateKey, publicKey }
+ */
+export function generateKeyPair({ keyType = 'rsa', bits = 2048, curve = 'P-256' } = {}) {
+    if (!isKeyType(keyType)) {
+        return Promise.reject(new Error(`Unsupported key type (expect rsa, ec or ed25519): ${keyType}`));
+    }
+
+    if (keyType === 'rsa') {
+        return generateRSAKeyPair(bits);
+    }
+
+    if (keyType === 'ec' && !isCurve(curve)) {
+        return Promise.reject(new Error(`Unsupported curve (expect P-256 or P-384): ${curve}`));
+    }
+
+    return Promise.fromCallback(callback => generateNodeKeyPair(keyType,
+        keyType === 'ec' ? { namedCurve: CURVES[curve].nodeName } : {},
+        callback), { multiArgs: true })
+        .then(([ publicKey, privateKey ]) => ({ privateKey, publicKey }));
+}
+
+/**
+ * Describe the type of a key
+ * @param  {PrivateKey|PublicKey|KeyObject} key
+ * @return {Object} { keyType, bits, curve }
+ */
+export function getKeyType(key) {
+    if (isRSAKey(key)) {
+        return {
+            keyType: 'rsa',
+            bits: key.n.bitLength()
+        };
+    }
+
+    if (key.asymmetricKeyType === 'ec') {
+        const curve = Object.keys(CURVES).find(name =>
+            CURVES[name].nodeName === key.asymmetricKeyDetails.namedCurve);
+
+        return {
+            keyType: 'ec',
+            bits: curve ? parseInt(curve.slice(2), 10) : undefined,
+            curve: curve || key.asymmetricKeyDetails.namedCurve
+        };
+    }
+
+    return {
+        keyType: key.asymmetricKeyType,
+        bits: 256
+    };
+}
+
+/**
+ * Get the public key of a private key
+ * @param  {PrivateKey|KeyObject} privateKey
+ * @return {PublicKey|KeyObject}
+ */
+export function getPublicKey(privateKey) {
+    return isRSAKey(privateKey) ?
+        pki.setRsaPublicKey(privateKey.n, privateKey.e) :
+        createPublicKey(privateKey);
+}
+
+/**
+ * Encode a public key as SubjectPublicKeyInfo
+ * @param  {PublicKey|KeyObject} publicKey
+ * @return {Object}                        ASN.1 object
+ */
+export function publicKeyToAsn1(publicKey) {
+    if (isRSAKey(publicKey)) {
+        return pki.publicKeyToAsn1(publicKey);
+    }
+
+    return asn1.fromDer(publicKey.export({
+        type: 'spki',
+        format: 'der'
+    }).toString('binary'));
+}
+
+/**
+ * Decode a public key from SubjectPublicKeyInfo
+ * @param  {Object} obj ASN.1 object
+ * @return {PublicKey|KeyObject}
+ */
+export function publicKeyFromAsn1(obj) {
+    // SubjectPublicKeyInfo ::= SEQUENCE { AlgorithmIdentifier, BIT STRING }
+    if (asn1.derToOid(obj.value[0].value[0].value) === pki.oids.rsaEncryption) {
+        return pki.publicKeyFromAsn1(obj);
+    }
+
+    return createPublicKey({
+        key: Buffer.from(asn1.toDer(obj).getBytes(), 'binary'),
+        format: 'der',
+        type: 'spki'
+    });
+}
+
+/**
+ * Get the content of the BIT STRING of a SubjectPublicKeyInfo, the
+ * unused bits octet excluded
+ * @param  {PublicKey|KeyObject} publicKey
+ * @return {string}                        binary string
+ */
+export function getPublicKeyBits(publicKey) {
+    // forge keeps RSA keys as the ASN.1 object of RSAPublicKey, encode it first
+    const spki = asn1.fromDer(asn1.toDer(publicKeyToAsn1(publicKey)).getBytes(), {
+        decodeBitStrings: false
+    });
+
+    return spki.value[1].value.substr(1);
+}
+
+/**
+ * Compute the key identifier of a public key, the SHA-1 hash of the
+ * subjectPublicKey bits (RFC 5280, 4.2.1.2, method 1)
+ * @param  {PublicKey|KeyObject} publicKey
+ * @return {string}                        binary string
+ */
+export function getKeyIdentifier(publicKey) {
+    const digest = md.sha1.create();
+
+    digest.update(getPublicKeyBits(publicKey));
+
+    return digest.digest().getBytes();
+}
+
+/**
+ * Whether a private key and a public key are a pair
+ * @param  {PrivateKey|KeyObject} privateKey
+ * @param  {PublicKey|KeyObject}  publicKey
+ * @return {Boolean}
+ */
+export function isKeyPair(privateKey, publicKey) {
+    const toDer = key => asn1.toDer(publicKeyToAsn1(key)).getBytes();
+
+    return isRSAKey(privateKey) === isRSAKey(publicKey) &&
+        toDer(getPublicKey(privateKey)) === toDer(publicKey);
+}
+
+/**
+ * Encode private key in PEM format: RSA and EC keys in OpenSSL's
+ * legacy format (encrypted with triple DES), Ed25519 keys in PKCS#8.
+ * With the "aes256" cipher, encrypted keys are written in PKCS#8 instead.
+ * @param  {PrivateKey|KeyObject} privateKey private key to be encoded
+ * @param  {string}               passphrase password used to encrypt the pk
+ * @param  {string}               cipher     "3des" or "aes256"
+ * @return {string}
+ */
+export function privateKeyToPem(privateKey, passphrase, cipher = '3des') {
+    const encrypted = isString(passphrase) && passphrase.length > 0;
+
+    if (encrypted && cipher !== '3des') {
+        return privateKeyToPkcs8Pem(privateKey, passphrase, cipher);
+    }
+
+    if (isRSAKey(privateKey)) {
+        return encrypted ?
+            pki.encryptRsaPrivateKey(privateKey, passphrase, {
+                // encrypts a Forge private key and outputs it in PEM format using OpenSSL's
+                // proprietary legacy format + encapsulated PEM headers (DEK-Info)
+                legacy: true,
+                algorithm: '3des'
+            }) :
+            pki.privateKeyToPem(privateKey);
+    }
+
+    const isEC = privateKey.asymmetricKeyType === 'ec';
+
+    return privateKey.export(Object.assign({
+        type: isEC ? 'sec1' : 'pkcs8',
+        format: 'pem'
+    }, encrypted ? {
+        cipher: isEC ? 'des-ede3-cbc' : 'aes-256-cbc',
+        passphrase
+    } : {}));
+}
+
+/**
+ * Encode private key in PKCS#8 PEM format, encrypted with PBES2 (PBKDF2
+ * with HMAC-SHA256) when a passphrase is given
+ * @param  {PrivateKey|KeyObject} privateKey private key to be encoded
+ * @param  {?string}              passphrase password used to encrypt the pk
+ * @param  {string}               cipher     "aes256" or "3des"
+ * @return {string}                          "PRIVATE KEY" or "ENCRYPTED PRIVATE KEY"
+ */
+export function privateKeyToPkcs8Pem(privateKey, passphrase, cipher = 'aes256') {
+    const encrypted = isString(passphrase) && passphrase.length > 0;
+
+    return toKeyObject(privateKey).export(Object.assign({
+        type: 'pkcs8',
+        format: 'pem'
+    }, encrypted ? {
+        cipher: CIPHERS[cipher],
+        passphrase
+    } : {}));
+}
+
+/**
+ * Encode private key in DER format: PKCS#1 for RSA, SEC1 for EC and
+ * PKCS#8 for Ed25519 keys, never encrypted
+ * @param  {PrivateKey|KeyObject} privateKey
+ * @return {Buffer}
+ */
+export function privateKeyToDer(privateKey) {
+    const keyType = getKeyType(privateKey).keyType;
+
+    return toKeyObject(privateKey).export({
+        type: { rsa: 'pkcs1', ec: 'sec1' }[keyType] || 'pkcs8',
+        format: 'der'
+    });
+}
+
+/**
+ * Encode a private key as JSON Web Key (RFC 7517)
+ * @param  {PrivateKey|KeyObject} privateKey
+ * @return {Object}
+ */
+export function privateKeyToJwk(privateKey) {
+    return toKeyObject(privateKey).export({ format: 'jwk' });
+}
+
+/**
+ * Encode a public key as JSON Web Key (RFC 7517)
+ * @param  {PublicKey|KeyObject} publicKey
+ * @return {Object}
+ */
+export function publicKeyToJwk(publicKey) {
+    return toKeyObject(publicKey).export({ format: 'jwk' });
+}
+
+/**
+ * Decode a private key from a JSON Web Key
+ * @param  {Object} jwk
+ * @return {PrivateKey|KeyObject}
+ */
+export function privateKeyFromJwk(jwk) {
+    return fromKeyObject(createPrivateKey({
+        key: jwk,
+        format: 'jwk'
+    }));
+}
+
+/**
+ * Turn a private key decoded by Node.js into a forge key if it is RSA
+ * @param  {KeyObject} privateKey
+ * @return {PrivateKey|KeyObject}
+ */
+function fromKeyObject(privateKey) {
+    if (privateKey.asymmetricKeyType === 'rsa') {
+        return pki.privateKeyFromPem(privateKey.export({
+            type: 'pkcs1',
+            format: 'pem'
+        }));
+    }
+
+    return privateKey;
+}
+
+/**
+ * Decode private key from PEM format (PKCS#1, SEC1 or PKCS#8)
+ * @param  {string} pem        PEM format pk
+ * @param  {string} passphrase password used to encrypt the pk
+ * @return {PrivateKey|KeyObject}
+ */
+export function privateKeyFromPem(pem, passphrase) {
+    let privateKey;
+
+    try {
+        privateKey = createPrivateKey({
+            key: pem,
+            passphrase: isString(passphrase) ? passphrase : undefined
+        });
+    } catch (err) {
+        if (isString(passphrase) && passphrase.length > 0) {
+            throw new Error(`Failed to decrypt private key, please check your passphrase.`);
+        }
+
+        throw err;
+    }
+
+    return fromKeyObject(privateKey);
+}
+
+/**
+ * Decode private key from ASN.1 (PKCS#8, SEC1 or PKCS#1)
+ * @param  {Object} obj ASN.1 object
+ * @return {PrivateKey|KeyObject}
+ */
+export function privateKeyFromAsn1(obj) {
+    const key = Buffer.from(asn1.toDer(obj).getBytes(), 'binary');
+    const privateKey = ['pkcs8', 'sec1', 'pkcs1'].reduce((found, type) => {
+        try {
+            return found || createPrivateKey({ key, format: 'der', type });
+        } catch (err) {
+            return null;
+        }
+    }, null);
+
+    if (!privateKey) {
+        throw new Error('Cannot read private key, expect PKCS#8, SEC1 or PKCS#1.');
+    }
+
+    return fromKeyObject(privateKey);
+}
+
+/**
+ * Encode private key as PrivateKeyInfo (PKCS#8)
+ * @param  {PrivateKey|KeyObject} privateKey
+ * @return {Object}                          ASN.1 object
+ */
+export function privateKeyToAsn1(privateKey) {
+    if (isRSAKey(privateKey)) {
+        return pki.wrapRsaPrivateKey(pki.privateKeyToAsn1(privateKey));
+    }
+
+    return asn1.fromDer(privateKey.export({
+        type: 'pkcs8',
+        format: 'der'
+    }).toString('binary'));
+}
+
+/**
+ * Get the signature algorithm used when signing with the given key:
+ * sha256WithRSAEncryption, ecdsa-with-SHA256/384 depending on the curve,
+ * or Ed25519
+ * @param  {PrivateKey|PublicKey|KeyObject} key
+ * @return {Object} { name, oid, hash }
+ */
+export function getSignatureAlgorithm(key) {
+    const { keyType, curve } = getKeyType(key);
+    let name, hash;
+
+    switch (keyType) {
+    case 'rsa':
+        name = 'sha256WithRSAEncryption';
+        hash = 'sha256';
+        break;
+    case 'ec':
+        if (!isCurve(curve)) {
+            throw new Error(`Unsupported curve (expect P-256 or P-384): ${curve}`);
+        }
+
+        hash = CURVES[curve].hash;
+        name = `ecdsa-with-${hash.toUpperCase()}`;
+        break;
+    case 'ed25519':
+        name = 'Ed25519';
+        hash = null;
+        break;
+    default:
+        throw new Error(`Unsupported key type: ${keyType}`);
+    }
+
+    return {
+        name,
+        oid: SIGNATURE_ALGORITHMS[name],
+        hash
+    };
+}
+
+/**
+ * Get the name of a signature algorithm
+ * @param  {string} oid
+ * @return {string}     e.g. "ecdsa-with-SHA256", the oid if unknown
+ */
+export function getSignatureAlgorithmName(oid) {
+    return pki.oids[oid] ||
+        Object.keys(SIGNATURE_ALGORITHMS).find(name => SIGNATURE_ALGORITHMS[name] === oid) ||
+        oid;
+}
+
+/**
+ * Encode AlgorithmIdentifier of a signature algorithm, parameters are
+ * NULL for RSA and absent for ECDSA and Ed25519 (RFC 5758, RFC 8410)
+ * @param  {string} oid
+ * @return {Object}     ASN.1 object
+ */
+export function signatureAlgorithmToAsn1(oid) {
+    const algorithm = [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false,
+            asn1.oidToDer(oid).getBytes())
+    ];
+
+    if (/WithRSAEncryption$/.test(pki.oids[oid])) {
+        algorithm.push(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, ''));
+    }
+
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, algorithm);
+}
+
+/**
+ * Sign bytes with a private key, using `getSignatureAlgorithm`
+ * @param  {PrivateKey|KeyObject} privateKey
+ * @param  {string}               bytes      binary string to be signed
+ * @return {string}                          signature, binary string
+ */
+export function sign(privateKey, bytes) {
+    if (isRSAKey(privateKey)) {
+        const digest = md.sha256.create();
+
+        digest.update(bytes);
+
+        return privateKey.sign(digest);
+    }
+
+    return nodeSign(getSignatureAlgorithm(privateKey).hash,
+        Buffer.from(bytes, 'binary'), privateKey).toString('binary');
+}
+
+/**
+ * Verify a signature
+ * @param  {PublicKey|KeyObject} publicKey
+ * @param  {string}              bytes     binary string signed
+ * @param  {string}              signature binary string
+ * @param  {string}              oid       signature algorithm
+ * @return {Boolean}
+ */
+export function verify(publicKey, bytes, signature, oid) {
+    if (isRSAKey(publicKey)) {
+        const matchResult = (pki.oids[oid] || '').match(/^(\w+)WithRSAEncryption$/);
+
+        if (!matchResult || !md[matchResult[1]]) {
+            throw new Error(`Unsupported signature algorithm: ${oid}`);
+        }
+
+        const digest = md[matchResult[1]].create();
+
+        digest.update(bytes);
+
+        return publicKey.verify(digest.digest().getBytes(), signature);
+    }
+
+    if (!SIGNATURE_HASHES.hasOwnProperty(oid)) {
+        throw new Error(`Unsupported signature algorithm: ${oid}`);
+    }
+
+    return nodeVerify(SIGNATURE_HASHES[oid],
+        Buffer.from(bytes, 'binary'), publicKey, Buffer.from(signature, 'binary'));
+}
+
+export {
+    KEY_TYPES,
+    CURVES,
+    CIPHERS
+};
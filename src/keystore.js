@@ -0,0 +1,367 @@
+/**
+ * src/keystore.js
+ *
+ * provide functions to build and read Java KeyStores (JKS), the format
+ * keytool writes, so Java services can be given keystores and
+ * truststores without a JDK
+ */
+import { createHash, randomBytes } from 'crypto';
+import { asn1 } from 'node-forge';
+import Promise from 'bluebird';
+import { outputFile } from 'fs-extra';
+
+import { certificateToAsn1, certificateFromAsn1 } from './cert.js';
+import { privateKeyToAsn1, privateKeyFromAsn1 } from './keys.js';
+
+const outputFileAsync = Promise.promisify(outputFile);
+
+const MAGIC = 0xFEEDFEED;
+const VERSION = 2;
+
+// Tags of the entries
+const PRIVATE_KEY_ENTRY = 1;
+const TRUSTED_CERT_ENTRY = 2;
+
+// Sun's proprietary algorithm protecting private keys
+const KEY_PROTECTOR_OID = '1.3.6.1.4.1.42.2.17.1.1';
+
+// Mixed into the digest which ends the keystore, as Java does
+const INTEGRITY_SALT = 'Mighty Aphrodite';
+
+const DIGEST_SIZE = 20;
+
+/**
+ * Compute the SHA-1 digest of the given buffers
+ * @param  {Array}  buffers
+ * @return {Buffer}
+ */
+function sha1(buffers) {
+    const hash = createHash('sha1');
+
+    buffers.forEach(buffer => hash.update(buffer));
+
+    return hash.digest();
+}
+
+/**
+ * Encode a password as Java does: UTF-16 big endian, no BOM
+ * @param  {string} password
+ * @return {Buffer}
+ */
+function passwordToBytes(password) {
+    return Buffer.from(password, 'utf16le').swap16();
+}
+
+/**
+ * Encode a string in Java's modified UTF-8, prefixed by its length
+ * @param  {string} str
+ * @return {Buffer}
+ */
+function utfToBytes(str) {
+    const bytes = [];
+
+    for (let i = 0; i < str.length; i++) {
+        const code = str.charCodeAt(i);
+
+        if (code > 0 && code < 0x80) {
+            bytes.push(code);
+        } else if (code < 0x800) {
+            bytes.push(0xC0 | (code >> 6), 0x80 | (code & 0x3F));
+        } else {
+            bytes.push(0xE0 | (code >> 12), 0x80 | ((code >> 6) & 0x3F), 0x80 | (code & 0x3F));
+        }
+    }
+
+    return Buffer.concat([ uint16ToBytes(bytes.length), Buffer.from(bytes) ]);
+}
+
+/**
+ * Decode a string in Java's modified UTF-8
+ * @param  {Buffer} bytes
+ * @return {string}
+ */
+function utfFromBytes(bytes) {
+    let str = '';
+
+    for (let i = 0; i < bytes.length; i++) {
+        const byte = bytes[i];
+
+        if (byte < 0x80) {
+            str += String.fromCharCode(byte);
+        } else if (byte < 0xE0) {
+            str += String.fromCharCode(((byte & 0x1F) << 6) | (bytes[++i] & 0x3F));
+        } else {
+            str += String.fromCharCode(((byte & 0x0F) << 12) |
+                ((bytes[++i] & 0x3F) << 6) | (bytes[++i] & 0x3F));
+        }
+    }
+
+    return str;
+}
+
+/**
+ * Encode an unsigned 16 bits integer, big endian
+ * @param  {Number} value
+ * @return {Buffer}
+ */
+function uint16ToBytes(value) {
+    const bytes = Buffer.alloc(2);
+
+    bytes.writeUInt16BE(value, 0);
+
+    return bytes;
+}
+
+/**
+ * Encode an unsigned 32 bits integer, big endian
+ * @param  {Number} value
+ * @return {Buffer}
+ */
+function uint32ToBytes(value) {
+    const bytes = Buffer.alloc(4);
+
+    bytes.writeUInt32BE(value, 0);
+
+    return bytes;
+}
+
+/**
+ * Encode a date as the milliseconds since epoch on 64 bits
+ * @param  {Date}   date
+ * @return {Buffer}
+ */
+function dateToBytes(date) {
+    const time = date.getTime();
+
+    return Buffer.concat([
+        uint32ToBytes(Math.floor(time / 0x100000000)),
+        uint32ToBytes(time % 0x100000000)
+    ]);
+}
+
+/**
+ * Encode a certificate prefixed by its type and length
+ * @param  {Certificate} cert
+ * @return {Buffer}
+ */
+function certificateToBytes(cert) {
+    const der = Buffer.from(asn1.toDer(certificateToAsn1(cert)).getBytes(), 'binary');
+
+    return Buffer.concat([ utfToBytes('X.509'), uint32ToBytes(der.length), der ]);
+}
+
+/**
+ * XOR the given bytes with the key stream of Sun's key protector:
+ * SHA-1 digests of the password and the previous digest, the salt first
+ * @param  {Buffer} bytes
+ * @param  {Buffer} password encoded by `passwordToBytes`
+ * @param  {Buffer} salt
+ * @return {Buffer}
+ */
+function xorKeyStream(bytes, password, salt) {
+    const result = Buffer.alloc(bytes.length);
+    let digest = salt;
+
+    for (let offset = 0; offset < bytes.length; offset += DIGEST_SIZE) {
+        digest = sha1([ password, digest ]);
+
+        for (let i = 0; i < DIGEST_SIZE && offset + i < bytes.length; i++) {
+            result[offset + i] = bytes[offset + i] ^ digest[i];
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Protect a private key as keytool does
+ * @param  {PrivateKey|KeyObject} privateKey
+ * @param  {string}               passphrase
+ * @return {Buffer}                          DER encoded EncryptedPrivateKeyInfo
+ */
+function protectPrivateKey(privateKey, passphrase) {
+    const password = passwordToBytes(passphrase);
+    const plain = Buffer.from(asn1.toDer(privateKeyToAsn1(privateKey)).getBytes(), 'binary');
+    const salt = randomBytes(DIGEST_SIZE);
+    const protectedKey = Buffer.concat([
+        salt,
+        xorKeyStream(plain, password, salt),
+        sha1([ password, plain ])
+    ]);
+
+    return Buffer.from(asn1.toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false,
+                asn1.oidToDer(KEY_PROTECTOR_OID).getBytes()),
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')
+        ]),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false,
+            protectedKey.toString('binary'))
+    ])).getBytes(), 'binary');
+}
+
+/**
+ * Recover a private key protected by keytool
+ * @param  {Buffer}               der        DER encoded EncryptedPrivateKeyInfo
+ * @param  {string}               passphrase
+ * @return {PrivateKey|KeyObject}
+ */
+function recoverPrivateKey(der, passphrase) {
+    const obj = asn1.fromDer(der.toString('binary'));
+
+    if (asn1.derToOid(obj.value[0].value[0].value) !== KEY_PROTECTOR_OID) {
+        throw new Error('Private keys of JCEKS keystores are not supported.');
+    }
+
+    const password = passwordToBytes(passphrase);
+    const protectedKey = Buffer.from(obj.value[1].value, 'binary');
+    const salt = protectedKey.slice(0, DIGEST_SIZE);
+    const plain = xorKeyStream(
+        protectedKey.slice(DIGEST_SIZE, protectedKey.length - DIGEST_SIZE), password, salt);
+
+    if (!sha1([ password, plain ]).equals(protectedKey.slice(protectedKey.length - DIGEST_SIZE))) {
+        throw new Error('Failed to recover private key, please check your passphrase.');
+    }
+
+    return privateKeyFromAsn1(asn1.fromDer(plain.toString('binary')));
+}
+
+/**
+ * Whether the given content is a Java KeyStore
+ * @param  {Buffer}  buffer
+ * @return {Boolean}
+ */
+export function isKeyStore(buffer) {
+    return buffer.length > 4 && buffer.readUInt32BE(0) === MAGIC;
+}
+
+/**
+ * Build a Java KeyStore, private keys are protected by the keystore password
+ * @param  {Array}  entries    { alias, privateKey, certs } (certificate chain,
+ *                             leaf first) or { alias, cert } (trusted certificate)
+ * @param  {string} passphrase password of the keystore and its keys
+ * @param  {Date}   date       creation date of the entries
+ * @return {Buffer}
+ */
+export function toKeyStore(entries, passphrase, date = new Date()) {
+    const aliases = entries.map(({ alias }) => alias.toLowerCase());
+    const duplicate = aliases.find((alias, index) => aliases.indexOf(alias) !== index);
+
+    if (duplicate) {
+        throw new Error(`Keystore alias used more than once: ${duplicate}`);
+    }
+
+    const content = Buffer.concat([
+        uint32ToBytes(MAGIC),
+        uint32ToBytes(VERSION),
+        uint32ToBytes(entries.length)
+    ].concat(entries.map(({ privateKey, certs, cert }, index) => {
+        // keytool lowercases aliases, lookups are case insensitive
+        const header = [ utfToBytes(aliases[index]), dateToBytes(date) ];
+
+        if (privateKey) {
+            const protectedKey = protectPrivateKey(privateKey, passphrase);
+
+            return Buffer.concat([ uint32ToBytes(PRIVATE_KEY_ENTRY) ].concat(header, [
+                uint32ToBytes(protectedKey.length),
+                protectedKey,
+                uint32ToBytes(certs.length)
+            ], certs.map(certificateToBytes)));
+        }
+
+        return Buffer.concat([ uint32ToBytes(TRUSTED_CERT_ENTRY) ].concat(header, [
+            certificateToBytes(cert)
+        ]));
+    })));
+
+    return Buffer.concat([
+        content,
+        sha1([ passwordToBytes(passphrase), Buffer.from(INTEGRITY_SALT, 'utf8'), content ])
+    ]);
+}
+
+/**
+ * Save a keystore built by `toKeyStore` to the given path
+ * @param  {Buffer} keyStore
+ * @param  {string} keyStorePath
+ * @return {Promise}
+ */
+export function writeKeyStore(keyStore, keyStorePath) {
+    return outputFileAsync(keyStorePath, keyStore);
+}
+
+/**
+ * Read a Java KeyStore, the integrity is checked against the password
+ * @param  {Buffer} buffer
+ * @param  {string} passphrase password of the keystore and its keys
+ * @return {Array}             { alias, date, privateKey, certs } or
+ *                             { alias, date, cert }
+ */
+export function fromKeyStore(buffer, passphrase) {
+    let offset = 0;
+    const read = size => {
+        if (offset + size > buffer.length) {
+            throw new Error('Keystore is truncated.');
+        }
+
+        offset += size;
+
+        return buffer.slice(offset - size, offset);
+    };
+    const readUint32 = () => read(4).readUInt32BE(0);
+    const readUtf = () => utfFromBytes(read(read(2).readUInt16BE(0)));
+    const readDate = () => new Date(readUint32() * 0x100000000 + readUint32());
+    const readCertificate = () => {
+        const type = readUtf();
+
+        if (type !== 'X.509') {
+            throw new Error(`Unsupported certificate type: ${type}`);
+        }
+
+        return certificateFromAsn1(asn1.fromDer(read(readUint32()).toString('binary')));
+    };
+
+    if (!isKeyStore(buffer)) {
+        throw new Error('Not a Java KeyStore.');
+    }
+
+    const content = buffer.slice(0, buffer.length - DIGEST_SIZE);
+    const digest = sha1([ passwordToBytes(passphrase), Buffer.from(INTEGRITY_SALT, 'utf8'), content ]);
+
+    if (!digest.equals(buffer.slice(buffer.length - DIGEST_SIZE))) {
+        throw new Error('Keystore was tampered with, or the passphrase is incorrect.');
+    }
+
+    read(4);
+
+    const version = readUint32();
+
+    if (version !== VERSION) {
+        throw new Error(`Unsupported keystore version: ${version}`);
+    }
+
+    const entries = [];
+
+    for (let count = readUint32(); count > 0; count--) {
+        const tag = readUint32();
+        const alias = readUtf();
+        const date = readDate();
+
+        if (tag === PRIVATE_KEY_ENTRY) {
+            const privateKey = recoverPrivateKey(read(readUint32()), passphrase);
+            const certs = [];
+
+            for (let length = readUint32(); length > 0; length--) {
+                certs.push(readCertificate());
+            }
+
+            entries.push({ alias, date, privateKey, certs });
+        } else if (tag === TRUSTED_CERT_ENTRY) {
+            entries.push({ alias, date, cert: readCertificate() });
+        } else {
+            throw new Error(`Unsupported keystore entry: ${alias}`);
+        }
+    }
+
+    return entries;
+}
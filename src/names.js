@@ -0,0 +1,226 @@
+/**
+ * src/names.js
+ *
+ * provide the parsing of subjects and subject alt names given as
+ * strings or options, free of prompts so the Node.js API can use it
+ */
+import { isIP } from 'net';
+
+// GeneralName tags of "subjectAltName"
+const SAN_TYPES = {
+    email: 1,
+    DNS: 2,
+    URI: 6,
+    IP: 7
+};
+
+// A label of a hostname, e.g. "www" (RFC 1123)
+const LABEL_PATTERN = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/i;
+
+/**
+ * Parse OpenSSL oneline distinguished name string
+ * @see https://github.com/kjur/jsrsasign/blob/a7fdf19656ea761187956d0db9fd34116532f03e/src/asn1x509-1.0.js#L1392
+ * @param  {string} dnStr distinguished name by string (ex. /C=US/O=aaa)
+ * @return {Array}        array of subject attributes
+ */
+export function parseAttrsFromString(dnStr) {
+    let attrs = [];
+    let pairs = dnStr.split('/');
+    pairs.shift();
+    
+    pairs.forEach(pair => {
+        let matchResult = pair.match(/^([^=]+)=(.+)$/);
+        if (matchResult) {
+            attrs.push({
+                shortName: matchResult[1],
+                value: matchResult[2]
+            });
+        } else {
+            throw `Subjects malformed: ${pair}`;
+        }
+    });
+
+    return attrs;
+}
+
+/**
+ * Merge default subject attributes with the ones given by the user
+ * @param  {Object} defaults attribute values by short name (e.g. { C: "CN" })
+ * @param  {Array}  attrs    subject attributes
+ * @return {Array}
+ */
+export function mergeSubjects(defaults, attrs = []) {
+    const given = attrs.map(attr => attr.shortName);
+    const defaultAttrs = Object.keys(defaults)
+        .filter(shortName => given.indexOf(shortName) === -1)
+        .map(shortName => ({
+            shortName,
+            value: defaults[shortName]
+        }));
+
+    return defaultAttrs.concat(attrs);
+}
+
+/**
+ * Whether the given name is a valid hostname, a wildcard is only
+ * allowed as the left-most label of a name with at least two more
+ * labels (e.g. "*.example.test")
+ * @param  {string}  name
+ * @return {Boolean}
+ */
+export function isDNSName(name) {
+    const labels = name.split('.');
+
+    if (name.length > 253) {
+        return false;
+    }
+
+    if (labels[0] === '*') {
+        labels.shift();
+
+        if (labels.length < 2) {
+            return false;
+        }
+    }
+
+    return labels.every(label => LABEL_PATTERN.test(label));
+}
+
+/**
+ * Build a GeneralName of "subjectAltName", making sure the value is valid
+ * @param  {string} type  "DNS", "IP", "email" or "URI"
+ * @param  {string} value
+ * @return {Object}       alternative name as forge expects
+ */
+export function createAltName(type, value) {
+    const valid = {
+        DNS: () => isDNSName(value),
+        IP: () => isIP(value) !== 0,
+        email: () => /^[^\s@]+@[^\s@]+$/.test(value) && isDNSName(value.split('@')[1]),
+        URI: () => /^[a-z][a-z0-9+.-]*:\S+$/i.test(value)
+    }[type]();
+
+    if (!valid) {
+        throw new Error(`Subject alt name invalid: ${type}:${value}`);
+    }
+
+    return type === 'IP' ?
+        { type: SAN_TYPES[type], ip: value } :
+        { type: SAN_TYPES[type], value };
+}
+
+/**
+ * Split a comma separated list entered by the user
+ * @param  {string} list e.g. "a.com, b.com"
+ * @return {Array}
+ */
+export function splitList(list) {
+    return list
+        .split(',')
+        .map(item => item.trim())
+        .filter(item => item.length > 0);
+}
+
+/**
+ * Parse a list of "SAN(subject alt names)" given on the command line
+ * @param  {string} sanStr names by string (ex. "DNS:a.com,IP:10.0.0.6")
+ * @return {Array}         Array of X.509 V3 Certificate Extension
+ */
+export function parseSANFromString(sanStr) {
+    const altNames = splitList(sanStr)
+        .map(item => {
+            const matchResult = item.match(/^(email|DNS|URI|IP):(.+)$/);
+
+            if (!matchResult) {
+                throw new Error(`Subject alt name malformed (expect DNS:, IP:, URI: or email:): ${item}`);
+            }
+
+            return createAltName(matchResult[1], matchResult[2]);
+        });
+
+    return [{
+        name: 'subjectAltName',
+        altNames
+    }];
+}
+
+/**
+ * Build "subjectAltName" from the repeatable `--dns`, `--ip`, `--email`
+ * and `--uri` options
+ * @param  {Array} options.dns   hostnames, e.g. "*.example.test"
+ * @param  {Array} options.ip    IPv4 or IPv6 addresses
+ * @param  {Array} options.email email addresses
+ * @param  {Array} options.uri   URIs
+ * @return {Array}               Array of X.509 V3 Certificate Extension
+ */
+export function parseSANFromOptions({ dns = [], ip = [], email = [], uri = [] }) {
+    const altNames = dns.map(value => createAltName('DNS', value))
+        .concat(ip.map(value => createAltName('IP', value)))
+        .concat(email.map(value => createAltName('email', value)))
+        .concat(uri.map(value => createAltName('URI', value)));
+
+    return altNames.length > 0 ? [{
+        name: 'subjectAltName',
+        altNames
+    }] : [];
+}
+
+/**
+ * Build "subjectAltName" holding the common name of the subject, as
+ * browsers ignore the common name and only look at the SAN
+ * @param  {Array} attrs subject attributes
+ * @return {Array}       Array of X.509 V3 Certificate Extension, empty
+ *                       if the common name is not a hostname or an IP
+ */
+export function getCommonNameSAN(attrs) {
+    const commonName = attrs.find(attr =>
+        attr.shortName === 'CN' || attr.name === 'commonName');
+
+    if (!commonName) {
+        return [];
+    }
+
+    if (isIP(commonName.value) !== 0) {
+        return parseSANFromOptions({ ip: [ commonName.value ] });
+    }
+
+    return isDNSName(commonName.value) ?
+        parseSANFromOptions({ dns: [ commonName.value ] }) :
+        [];
+}
+
+/**
+ * Make sure a server certificate names a host in its "subjectAltName":
+ * clients ignore the common name, and so does the check of the name
+ * constraints of the CA
+ * @param  {Array}  exts            X.509 V3 Certificate Extensions of the certificate
+ * @param  {Array}  attrs           subject attributes
+ * @param  {string} settings.option options giving names, for error message
+ */
+export function assertServerSAN(exts, attrs, { option = '--dns or --ip' } = {}) {
+    const hasHost = exts.some(ext => ext.name === 'subjectAltName' &&
+        ext.altNames.some(altName => altName.type === SAN_TYPES.DNS || altName.type === SAN_TYPES.IP));
+    const commonName = attrs.find(attr =>
+        attr.shortName === 'CN' || attr.name === 'commonName');
+
+    if (!hasHost) {
+        throw new Error(commonName ?
+            `Common name is neither a hostname nor an IP: ${commonName.value}, please specify the names of the server with ${option}.` :
+            `Server certificates need a hostname or an IP, please specify them with ${option}.`);
+    }
+}
+
+/**
+ * Build "subjectAltName" holding the email address of the subject
+ * (E, emailAddress), S/MIME clients only look at the SAN
+ * @param  {Array} attrs subject attributes
+ * @return {Array}       Array of X.509 V3 Certificate Extension, empty
+ *                       if the subject has no email address
+ */
+export function getEmailAddressSAN(attrs) {
+    const emails = attrs
+        .filter(attr => attr.shortName === 'E' || attr.name === 'emailAddress')
+        .map(attr => attr.value);
+
+    return parseSANFromOptions({ email: emails });
+}
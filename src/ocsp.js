@@ -0,0 +1,361 @@
+/**
+ * src/ocsp.js
+ *
+ * provide an OCSP responder (RFC 6960) answering from the issuance
+ * records of a CA home, and the "authorityInfoAccess" extension
+ * pointing clients to it
+ */
+import http from 'http';
+import { createHash } from 'crypto';
+import { asn1, pki, util } from 'node-forge';
+import Promise from 'bluebird';
+
+import {
+    getPublicKeyBits,
+    getSignatureAlgorithm,
+    signatureAlgorithmToAsn1,
+    sign } from './keys.js';
+import { REVOCATION_REASONS } from './crl.js';
+import { readIndex, getCAKeyId } from './store.js';
+
+const OID_OCSP = '1.3.6.1.5.5.7.48.1';
+const OID_OCSP_BASIC = '1.3.6.1.5.5.7.48.1.1';
+const OID_OCSP_NONCE = '1.3.6.1.5.5.7.48.1.2';
+
+// Hash algorithms of CertID, SHA-1 is what most clients send
+const CERT_ID_HASHES = {
+    '1.3.14.3.2.26': 'sha1',
+    '2.16.840.1.101.3.4.2.1': 'sha256'
+};
+
+// OCSPResponseStatus ::= ENUMERATED, value 4 is not used
+const RESPONSE_STATUSES = {
+    successful: 0,
+    malformedRequest: 1,
+    internalError: 2,
+    tryLater: 3,
+    sigRequired: 5,
+    unauthorized: 6
+};
+
+// Requests sent with GET are base64 in the URL, keep them short
+const MAX_REQUEST_SIZE = 64 * 1024;
+
+/**
+ * Encode a date as GeneralizedTime, required by OCSP
+ * @param  {Date}   date
+ * @return {Object}      ASN.1 object
+ */
+function timeToAsn1(date) {
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.GENERALIZEDTIME, false,
+        asn1.dateToGeneralizedTime(date));
+}
+
+/**
+ * Hash bytes with the given algorithm
+ * @param  {string} algorithm "sha1" or "sha256"
+ * @param  {string} bytes     binary string
+ * @return {string}           binary string
+ */
+function hash(algorithm, bytes) {
+    return createHash(algorithm)
+        .update(Buffer.from(bytes, 'binary'))
+        .digest()
+        .toString('binary');
+}
+
+/**
+ * Build the "authorityInfoAccess" extension with an OCSP access
+ * method for each given URL
+ * @param  {Array} urls locations the OCSP responder listens at
+ * @return {Object}     X.509 v3 certificate extension
+ */
+export function createAuthorityInfoAccess(urls) {
+    const accessDescriptions = urls.map(url =>
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false,
+                asn1.oidToDer(OID_OCSP).getBytes()),
+            // uniformResourceIdentifier [6] IA5String
+            asn1.create(asn1.Class.CONTEXT_SPECIFIC, 6, false, url)
+        ]));
+
+    return {
+        id: pki.oids.authorityInfoAccess,
+        name: 'authorityInfoAccess',
+        value: asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true,
+            accessDescriptions)
+    };
+}
+
+/**
+ * Decode an OCSPRequest, its signature is not checked
+ * @param  {string} der binary string
+ * @return {Object}     { requests, nonce }, each request being
+ *                      { certId, hashAlgorithm, issuerNameHash, issuerKeyHash, serial }
+ *                      and the nonce the ASN.1 object of its extension
+ */
+export function parseOCSPRequest(der) {
+    const tbsRequest = asn1.fromDer(der).value[0];
+    // version [0] and requestorName [1] are optional
+    const requestList = tbsRequest.value.find(node =>
+        node.tagClass === asn1.Class.UNIVERSAL && node.type === asn1.Type.SEQUENCE);
+    const extensions = tbsRequest.value.find(node =>
+        node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === 2);
+    const nonce = extensions ?
+        extensions.value[0].value.find(ext =>
+            asn1.derToOid(ext.value[0].value) === OID_OCSP_NONCE) :
+        undefined;
+
+    return {
+        requests: requestList.value.map(request => {
+            const certId = request.value[0];
+            const [ hashAlgorithm, issuerNameHash, issuerKeyHash, serialNumber ] = certId.value;
+
+            return {
+                certId,
+                hashAlgorithm: CERT_ID_HASHES[asn1.derToOid(hashAlgorithm.value[0].value)],
+                issuerNameHash: issuerNameHash.value,
+                issuerKeyHash: issuerKeyHash.value,
+                // Same form as forge's `serialNumber`, which the index keeps
+                serial: util.bytesToHex(serialNumber.value).toLowerCase()
+            };
+        }),
+        nonce
+    };
+}
+
+/**
+ * Whether the CertID of a request designates the given CA as issuer
+ * @param  {Object}      request parsed by `parseOCSPRequest`
+ * @param  {Certificate} CACert
+ * @return {Boolean}
+ */
+function isIssuedBy(request, CACert) {
+    const { hashAlgorithm, issuerNameHash, issuerKeyHash } = request;
+
+    return Boolean(hashAlgorithm) &&
+        hash(hashAlgorithm, asn1.toDer(pki.distinguishedNameToAsn1(CACert.subject)).getBytes()) === issuerNameHash &&
+        hash(hashAlgorithm, getPublicKeyBits(CACert.publicKey)) === issuerKeyHash;
+}
+
+/**
+ * Encode the CertStatus of an issuance record
+ * @param  {?Object} record issuance record, undefined if never issued
+ * @return {Object}         ASN.1 object
+ */
+function certStatusToAsn1(record) {
+    if (!record) {
+        // unknown [2] IMPLICIT NULL
+        return asn1.create(asn1.Class.CONTEXT_SPECIFIC, 2, false, '');
+    }
+
+    if (record.status !== 'revoked') {
+        // good [0] IMPLICIT NULL
+        return asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, false, '');
+    }
+
+    const revokedInfo = [ timeToAsn1(new Date(record.revokedAt)) ];
+
+    if (REVOCATION_REASONS[record.reason]) {
+        // revocationReason [0] EXPLICIT CRLReason
+        revokedInfo.push(asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.ENUMERATED, false,
+                String.fromCharCode(REVOCATION_REASONS[record.reason]))
+        ]));
+    }
+
+    // revoked [1] IMPLICIT RevokedInfo
+    return asn1.create(asn1.Class.CONTEXT_SPECIFIC, 1, true, revokedInfo);
+}
+
+/**
+ * Get the status of the certificates of a request from issuance records,
+ * certificates of another CA are "unknown"
+ * @param  {Object}      request parsed by `parseOCSPRequest`
+ * @param  {Certificate} CACert
+ * @param  {Array}       records issuance records of the CA home
+ * @return {Array}               { certId, serial, status, record }
+ */
+export function getCertificateStatuses({ requests }, CACert, records) {
+    const keyId = getCAKeyId(CACert);
+
+    return requests.map(request => {
+        const record = isIssuedBy(request, CACert) ?
+            records.find(record => record.serial === request.serial && record.issuerKeyId === keyId) :
+            undefined;
+
+        return {
+            certId: request.certId,
+            serial: request.serial,
+            status: record ? (record.status === 'revoked' ? 'revoked' : 'good') : 'unknown',
+            record
+        };
+    });
+}
+
+/**
+ * Create a successful OCSPResponse signed by the CA itself
+ * @param  {Certificate} options.CACert   the certificate of the CA
+ * @param  {PrivateKey}  options.CAKey    the private key of the CA
+ * @param  {Array}       options.statuses returned by `getCertificateStatuses`
+ * @param  {?Object}     options.nonce    nonce extension of the request, echoed back
+ * @return {Object}                       ASN.1 object
+ */
+export function createOCSPResponse({ CACert, CAKey, statuses, nonce }) {
+    const now = new Date();
+    const signatureAlgorithm = signatureAlgorithmToAsn1(getSignatureAlgorithm(CAKey).oid);
+    const responseData = [
+        // responderID byKey [2] EXPLICIT KeyHash, SHA-1 of the public key
+        asn1.create(asn1.Class.CONTEXT_SPECIFIC, 2, true, [
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false,
+                hash('sha1', getPublicKeyBits(CACert.publicKey)))
+        ]),
+        timeToAsn1(now),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true,
+            statuses.map(({ certId, record }) =>
+                asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+                    certId,
+                    certStatusToAsn1(record),
+                    timeToAsn1(now)
+                ])))
+    ];
+
+    if (nonce) {
+        // responseExtensions [1] EXPLICIT Extensions
+        responseData.push(asn1.create(asn1.Class.CONTEXT_SPECIFIC, 1, true, [
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [ nonce ])
+        ]));
+    }
+
+    const tbs = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, responseData);
+    const basicResponse = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        tbs,
+        signatureAlgorithm,
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BITSTRING, false,
+            `\x00${sign(CAKey, asn1.toDer(tbs).getBytes())}`)
+    ]);
+
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.ENUMERATED, false,
+            String.fromCharCode(RESPONSE_STATUSES.successful)),
+        // responseBytes [0] EXPLICIT ResponseBytes
+        asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+                asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false,
+                    asn1.oidToDer(OID_OCSP_BASIC).getBytes()),
+                asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false,
+                    asn1.toDer(basicResponse).getBytes())
+            ])
+        ])
+    ]);
+}
+
+/**
+ * Create an unsuccessful OCSPResponse, which is never signed
+ * @param  {string} status one of RESPONSE_STATUSES, e.g. "malformedRequest"
+ * @return {Object}        ASN.1 object
+ */
+export function createOCSPErrorResponse(status) {
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.ENUMERATED, false,
+            String.fromCharCode(RESPONSE_STATUSES[status]))
+    ]);
+}
+
+/**
+ * Read the DER request of an HTTP request: the body of a POST, or the
+ * base64 encoded path of a GET (RFC 6960, appendix A.1), which may
+ * hold "/" itself: only the path of the responder is stripped
+ * @param  {IncomingMessage} req
+ * @param  {string}          prefix path of the responder, ending with "/"
+ * @return {Promise}                binary string
+ */
+function readOCSPRequest(req, prefix) {
+    if (req.method === 'GET') {
+        return Promise.try(() => Buffer.from(
+            decodeURIComponent(req.url.slice(prefix.length)), 'base64').toString('binary'));
+    }
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+
+            if (size > MAX_REQUEST_SIZE) {
+                reject(new Error('OCSP request too large.'));
+                req.destroy();
+                return;
+            }
+
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('binary')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Create an HTTP server answering OCSP requests about the certificates
+ * issued by a CA, the index is read again for every request so that
+ * revocations are answered at once
+ * @param  {Certificate} options.CACert    the certificate of the CA
+ * @param  {PrivateKey}  options.CAKey     the private key of the CA, signing the responses
+ * @param  {string}      options.home      path of CA home directory
+ * @param  {string}      options.path      path of the responder in its URL (Default: "/")
+ * @param  {Function}    options.onRequest called with the statuses of every request, or its error
+ * @return {Server}
+ */
+export function createOCSPServer({ CACert, CAKey, home, path = '/', onRequest = () => {} }) {
+    // e.g. "/ocsp/", requests sent with GET follow it
+    const prefix = path.replace(/^\/*/, '/').replace(/\/*$/, '/');
+
+    return http.createServer((req, res) => {
+        const respond = response => {
+            res.writeHead(200, { 'Content-Type': 'application/ocsp-response' });
+            res.end(Buffer.from(asn1.toDer(response).getBytes(), 'binary'));
+        };
+
+        if (req.method !== 'GET' && req.method !== 'POST') {
+            res.writeHead(405, { Allow: 'GET, POST' });
+            res.end();
+            return;
+        }
+
+        if (req.url.indexOf(prefix) !== 0 && req.url !== prefix.slice(0, -1)) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+
+        readOCSPRequest(req, prefix)
+            .then(der => {
+                let request;
+
+                try {
+                    request = parseOCSPRequest(der);
+                } catch (err) {
+                    onRequest({ error: `Malformed request: ${err.message}` });
+                    return respond(createOCSPErrorResponse('malformedRequest'));
+                }
+
+                return readIndex(home)
+                    .then(records => {
+                        const statuses = getCertificateStatuses(request, CACert, records);
+
+                        onRequest({ statuses });
+                        respond(createOCSPResponse({
+                            CACert,
+                            CAKey,
+                            statuses,
+                            nonce: request.nonce
+                        }));
+                    });
+            })
+            .catch(err => {
+                onRequest({ error: err.message });
+                respond(createOCSPErrorResponse('internalError'));
+            });
+    });
+}
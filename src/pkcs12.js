@@ -0,0 +1,296 @@
+/**
+ * src/pkcs12.js
+ *
+ * provide functions to build and read PKCS#12 archives (RFC 7292)
+ * holding any type of key, node-forge only handles RSA keys
+ */
+import { asn1, pki, pkcs12, md, hmac, random, util } from 'node-forge';
+
+import { privateKeyToAsn1, privateKeyFromAsn1, isKeyPair } from './keys.js';
+import { certificateFromAsn1 } from './cert.js';
+
+// Same parameters as forge
+const SALT_SIZE = 8;
+const ITERATIONS = 2048;
+
+// How the private key is shrouded and the archive authenticated:
+// "3des" is understood by all software (e.g. older Windows and macOS),
+// "aes256" is PBES2 with HMAC-SHA256 as OpenSSL 3 writes by default
+const ENCRYPTIONS = {
+    '3des': {
+        keyOptions: { algorithm: '3des' },
+        mac: 'sha1',
+        macOid: pki.oids.sha1,
+        macKeySize: 20
+    },
+    aes256: {
+        keyOptions: { algorithm: 'aes256', prfAlgorithm: 'sha256' },
+        mac: 'sha256',
+        macOid: pki.oids.sha256,
+        macKeySize: 32
+    }
+};
+
+// Oracle's attribute marking the certificates a Java truststore trusts,
+// for any purpose
+const TRUSTED_KEY_USAGE = '2.16.840.1.113894.746875.1.1';
+const ANY_EXTENDED_KEY_USAGE = '2.5.29.37.0';
+
+/**
+ * Encode an OID
+ * @param  {string} oid
+ * @return {Object}     ASN.1 object
+ */
+function oidToAsn1(oid) {
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false,
+        asn1.oidToDer(oid).getBytes());
+}
+
+/**
+ * Encode a SafeBag
+ * @param  {string}  bagId    OID of the bag type
+ * @param  {Object}  value    ASN.1 object of bagValue
+ * @param  {?Object} bagAttrs ASN.1 object of bagAttributes
+ * @return {Object}           ASN.1 object
+ */
+function safeBagToAsn1(bagId, value, bagAttrs) {
+    const bag = [
+        oidToAsn1(bagId),
+        asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [ value ])
+    ];
+
+    if (bagAttrs) {
+        bag.push(bagAttrs);
+    }
+
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, bag);
+}
+
+/**
+ * Wrap an object in a PKCS#7 ContentInfo of type "data"
+ * @param  {Object} content ASN.1 object
+ * @return {Object}         ASN.1 object
+ */
+function dataToAsn1(content) {
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        oidToAsn1(pki.oids.data),
+        asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false,
+                asn1.toDer(content).getBytes())
+        ])
+    ]);
+}
+
+/**
+ * Encode bag attributes: the localKeyId pairing the key with its
+ * certificate, the friendly name, and whether Java trusts the certificate
+ * @param  {?string} options.localKeyId   binary string
+ * @param  {?string} options.friendlyName
+ * @param  {Boolean} options.trusted
+ * @return {Object}                       ASN.1 object
+ */
+function bagAttributesToAsn1({ localKeyId, friendlyName, trusted }) {
+    const attribute = (oid, value) =>
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+            oidToAsn1(oid),
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, [ value ])
+        ]);
+    const attrs = [];
+
+    if (localKeyId) {
+        attrs.push(attribute(pki.oids.localKeyId,
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, localKeyId)));
+    }
+
+    if (trusted) {
+        attrs.push(attribute(TRUSTED_KEY_USAGE, oidToAsn1(ANY_EXTENDED_KEY_USAGE)));
+    }
+
+    if (friendlyName) {
+        attrs.push(attribute(pki.oids.friendlyName,
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BMPSTRING, false, friendlyName)));
+    }
+
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, attrs);
+}
+
+/**
+ * Encode a certificate bag
+ * @param  {Object}  cert     ASN.1 object of the certificate
+ * @param  {?Object} bagAttrs ASN.1 object of bagAttributes
+ * @return {Object}           ASN.1 object
+ */
+function certBagToAsn1(cert, bagAttrs) {
+    return safeBagToAsn1(pki.oids.certBag,
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+            oidToAsn1(pki.oids.x509Certificate),
+            asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+                asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false,
+                    asn1.toDer(cert).getBytes())
+            ])
+        ]),
+        bagAttrs);
+}
+
+/**
+ * Wrap the AuthenticatedSafe into a PFX with its MacData, the key of
+ * the HMAC is derived from the passphrase (RFC 7292, B.2)
+ * @param  {Object} authSafe   ASN.1 object of the AuthenticatedSafe
+ * @param  {string} passphrase
+ * @param  {Object} encryption one of ENCRYPTIONS
+ * @return {Object}            ASN.1 object of the PFX
+ */
+function pfxToAsn1(authSafe, passphrase, encryption) {
+    const macSalt = random.getBytes(SALT_SIZE);
+    const mac = hmac.create();
+
+    mac.start(encryption.mac, pkcs12.generateKey(passphrase, new util.ByteBuffer(macSalt), 3,
+        ITERATIONS, encryption.macKeySize, md[encryption.mac].create()));
+    mac.update(asn1.toDer(authSafe).getBytes());
+
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        // version v3
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false,
+            asn1.integerToDer(3).getBytes()),
+        dataToAsn1(authSafe),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+            // DigestInfo
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+                asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+                    oidToAsn1(encryption.macOid),
+                    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')
+                ]),
+                asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false,
+                    mac.digest().getBytes())
+            ]),
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, macSalt),
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false,
+                asn1.integerToDer(ITERATIONS).getBytes())
+        ])
+    ]);
+}
+
+/**
+ * Create PKCS#12 archive: certificates in clear, the private key
+ * shrouded with triple DES (or AES-256), and a SHA-1 (or SHA-256) HMAC
+ * over the content
+ * @param  {PrivateKey|KeyObject} options.privateKey   private key of the first certificate
+ * @param  {Array}                options.certs        ASN.1 objects of the certificates, leaf first
+ * @param  {string}               options.passphrase   password to encrypt the archive
+ * @param  {?string}              options.friendlyName displayed in list boxes by software importing the file
+ * @param  {string}               options.cipher       "3des" or "aes256"
+ * @return {Object}                                    ASN.1 object of the PFX
+ */
+export function toPkcs12Asn1({ privateKey, certs, passphrase, friendlyName, cipher = '3des' }) {
+    const encryption = ENCRYPTIONS[cipher];
+    const digest = md.sha1.create();
+
+    // localKeyId is the SHA-1 hash of the certificate, as forge does
+    digest.update(asn1.toDer(certs[0]).getBytes());
+
+    const bagAttrs = bagAttributesToAsn1({
+        localKeyId: digest.digest().getBytes(),
+        friendlyName
+    });
+    const certBags = certs.map((cert, index) => certBagToAsn1(cert, index === 0 ? bagAttrs : null));
+    const keyBag = safeBagToAsn1(pki.oids.pkcs8ShroudedKeyBag,
+        pki.encryptPrivateKeyInfo(privateKeyToAsn1(privateKey), passphrase, Object.assign({
+            saltSize: SALT_SIZE,
+            count: ITERATIONS
+        }, encryption.keyOptions)),
+        bagAttrs);
+    const authSafe = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        dataToAsn1(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, certBags)),
+        dataToAsn1(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [ keyBag ]))
+    ]);
+
+    return pfxToAsn1(authSafe, passphrase, encryption);
+}
+
+/**
+ * Create a truststore for Java: certificates in clear, each one named
+ * by its alias and marked as trusted, and an HMAC over the content
+ * @param  {Array}  options.certs      { alias, cert } with the ASN.1 object of the certificate
+ * @param  {string} options.passphrase password of the truststore
+ * @param  {string} options.cipher     "3des" or "aes256", picks the HMAC
+ * @return {Object}                    ASN.1 object of the PFX
+ */
+export function toTrustStoreAsn1({ certs, passphrase, cipher = '3des' }) {
+    const certBags = certs.map(({ alias, cert }) => certBagToAsn1(cert, bagAttributesToAsn1({
+        friendlyName: alias,
+        trusted: true
+    })));
+
+    return pfxToAsn1(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        dataToAsn1(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, certBags))
+    ]), passphrase, ENCRYPTIONS[cipher]);
+}
+
+/**
+ * Decode a PKCS#12 archive with forge, which drops the bag attributes
+ * missing from `pki.oids`: the trusted key usage is only added for the
+ * time of the call, under its OID, then `pki.oids` is restored
+ * @param  {Object} obj        ASN.1 object of the PFX
+ * @param  {string} passphrase password to decrypt the archive
+ * @return {Object}            archive decoded by forge
+ */
+export function decodePkcs12Asn1(obj, passphrase) {
+    const name = pki.oids[TRUSTED_KEY_USAGE];
+
+    pki.oids[TRUSTED_KEY_USAGE] = TRUSTED_KEY_USAGE;
+
+    try {
+        return pkcs12.pkcs12FromAsn1(obj, passphrase);
+    } finally {
+        if (name === undefined) {
+            delete pki.oids[TRUSTED_KEY_USAGE];
+        } else {
+            pki.oids[TRUSTED_KEY_USAGE] = name;
+        }
+    }
+}
+
+/**
+ * Whether a bag decoded by `decodePkcs12Asn1` is marked as trusted for Java
+ * @param  {Object}  bag
+ * @return {Boolean}
+ */
+export function isTrustedBag(bag) {
+    return Boolean(bag.attributes[TRUSTED_KEY_USAGE]);
+}
+
+/**
+ * Read a PKCS#12 archive, whatever type of key it holds
+ * @param  {Object} obj        ASN.1 object of the PFX
+ * @param  {string} passphrase password to decrypt the archive
+ * @return {Object}            { certs, privateKey, friendlyName }, the
+ *                             certificate of the key first
+ */
+export function fromPkcs12Asn1(obj, passphrase) {
+    const p12 = decodePkcs12Asn1(obj, passphrase);
+    const bagsOf = bagType => p12.getBags({ bagType })[bagType] || [];
+    // forge leaves the ASN.1 object of anything but RSA
+    const certs = bagsOf(pki.oids.certBag)
+        .map(bag => bag.asn1 ? certificateFromAsn1(bag.asn1) : bag.cert);
+    const keyBags = bagsOf(pki.oids.pkcs8ShroudedKeyBag).concat(bagsOf(pki.oids.keyBag));
+
+    if (keyBags.length > 1) {
+        throw new Error('PKCS#12 archives holding more than one private key are not supported.');
+    }
+
+    const keyBag = keyBags[0];
+    const privateKey = keyBag ?
+        (keyBag.asn1 ? privateKeyFromAsn1(keyBag.asn1) : keyBag.key) :
+        undefined;
+    const leaf = privateKey ?
+        certs.find(cert => isKeyPair(privateKey, cert.publicKey)) :
+        undefined;
+
+    return {
+        certs: leaf ? [ leaf ].concat(certs.filter(cert => cert !== leaf)) : certs,
+        privateKey,
+        friendlyName: keyBag && keyBag.attributes.friendlyName ?
+            keyBag.attributes.friendlyName[0] :
+            undefined
+    };
+}
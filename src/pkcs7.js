@@ -0,0 +1,253 @@
+/**
+ * src/pkcs7.js
+ *
+ * provide detached PKCS#7 (CMS) signatures of files, the ones
+ * `openssl cms -sign -binary` writes without the content
+ */
+import { createHash } from 'crypto';
+import { asn1, pki, pkcs7, pem, util } from 'node-forge';
+import Promise from 'bluebird';
+import { outputFile, readFile } from 'fs-extra';
+
+import { certificateToAsn1, certificateFromAsn1 } from './cert.js';
+import {
+    isRSAKey,
+    getSignatureAlgorithm,
+    signatureAlgorithmToAsn1,
+    sign,
+    verify } from './keys.js';
+
+const outputFileAsync = Promise.promisify(outputFile);
+const readFileAsync = Promise.promisify(readFile);
+
+const SIGNATURE_FORMATS = ['der', 'pem'];
+
+/**
+ * Get the digest algorithm of a signer: the hash of its signature
+ * algorithm, SHA-512 for Ed25519 (RFC 8419)
+ * @param  {PrivateKey|KeyObject} privateKey
+ * @return {string}                          e.g. "sha256"
+ */
+function getDigestAlgorithm(privateKey) {
+    return getSignatureAlgorithm(privateKey).hash || 'sha512';
+}
+
+/**
+ * Encode signed attributes as they are signed: a SET OF instead of
+ * the [0] IMPLICIT tag they are stored with
+ * @param  {Object} attrs ASN.1 object, [0] IMPLICIT
+ * @return {string}       DER encoded, binary string
+ */
+function signedAttributesToDer(attrs) {
+    return asn1.toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, attrs.value)).getBytes();
+}
+
+/**
+ * Strip the leading zeros of a serial number in hex
+ * @param  {string} serial
+ * @return {string}
+ */
+function normalizeSerial(serial) {
+    return serial.toLowerCase().replace(/^0+/, '');
+}
+
+/**
+ * Whether the given format of signatures is supported
+ * @param  {string}  format
+ * @return {Boolean}
+ */
+export function isSignatureFormat(format) {
+    return SIGNATURE_FORMATS.indexOf(format) !== -1;
+}
+
+/**
+ * Sign content with a detached PKCS#7 signature, carrying the signing
+ * time and the certificates. forge signs with RSA keys only, the
+ * signature of any other key is put in afterwards.
+ * @param  {Buffer}               options.content    the content to be signed
+ * @param  {Certificate}          options.cert       certificate of the signer
+ * @param  {PrivateKey|KeyObject} options.privateKey key of the certificate
+ * @param  {Array}                options.chain      intermediate CA certificates to send along
+ * @return {Object}                                  ASN.1 object, ContentInfo
+ */
+export function createDetachedSignature({ content, cert, privateKey, chain = [] }) {
+    const p7 = pkcs7.createSignedData();
+    const rsa = isRSAKey(privateKey);
+
+    p7.content = util.createBuffer(content.toString('binary'));
+    p7.addSigner({
+        key: rsa ? privateKey : { sign: () => '' },
+        certificate: cert,
+        digestAlgorithm: pki.oids[getDigestAlgorithm(privateKey)],
+        authenticatedAttributes: [{
+            type: pki.oids.contentType,
+            value: pki.oids.data
+        }, {
+            // filled by forge
+            type: pki.oids.messageDigest
+        }, {
+            type: pki.oids.signingTime
+        }]
+    });
+    p7.sign({ detached: true });
+
+    if (!rsa) {
+        // version, issuerAndSerialNumber, digestAlgorithm, authenticatedAttributes,
+        // digestEncryptionAlgorithm, encryptedDigest
+        const signerInfo = p7.signerInfos[0];
+
+        signerInfo.value[4] = signatureAlgorithmToAsn1(getSignatureAlgorithm(privateKey).oid);
+        signerInfo.value[5] = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false,
+            sign(privateKey, signedAttributesToDer(signerInfo.value[3])));
+    }
+
+    const obj = p7.toAsn1();
+
+    // forge encodes RSA certificates only, they go right after the
+    // (empty) ContentInfo of SignedData
+    obj.value[1].value[0].value.splice(3, 0, asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true,
+        [ cert ].concat(chain).map(certificateToAsn1)));
+
+    return obj;
+}
+
+/**
+ * Check a signer of a detached signature
+ * @param  {Buffer} content    the content signed
+ * @param  {Object} signerInfo ASN.1 object
+ * @param  {Array}  certs      certificates carried by the signature
+ * @return {Object}            { cert, signingTime }
+ */
+function verifySigner(content, signerInfo, certs) {
+    // version, issuerAndSerialNumber, digestAlgorithm, [0] authenticatedAttributes,
+    // digestEncryptionAlgorithm, encryptedDigest
+    const [ , issuerAndSerialNumber, digestAlgorithm, ...rest ] = signerInfo.value;
+    const signedAttrs = rest[0].tagClass === asn1.Class.CONTEXT_SPECIFIC ? rest.shift() : null;
+    const [ signatureAlgorithm, signature ] = rest;
+    const issuer = asn1.toDer(issuerAndSerialNumber.value[0]).getBytes();
+    const serial = normalizeSerial(util.bytesToHex(issuerAndSerialNumber.value[1].value));
+    const hash = pki.oids[asn1.derToOid(digestAlgorithm.value[0].value)];
+    const cert = certs.find(item => normalizeSerial(item.serialNumber) === serial &&
+        asn1.toDer(pki.distinguishedNameToAsn1(item.issuer)).getBytes() === issuer);
+    let bytes = content.toString('binary');
+    let signingTime, verified;
+
+    if (!cert) {
+        throw new Error(`The certificate of the signer (serial number ${serial}) is not carried by the signature.`);
+    }
+
+    if (['sha1', 'sha256', 'sha384', 'sha512'].indexOf(hash) === -1) {
+        throw new Error(`Unsupported digest algorithm: ${asn1.derToOid(digestAlgorithm.value[0].value)}`);
+    }
+
+    if (signedAttrs) {
+        // Attribute ::= SEQUENCE { type, SET OF values }
+        const attrs = signedAttrs.value.reduce((result, attr) => Object.assign(result, {
+            [asn1.derToOid(attr.value[0].value)]: attr.value[1].value[0]
+        }), {});
+        const messageDigest = attrs[pki.oids.messageDigest];
+        const time = attrs[pki.oids.signingTime];
+
+        if (!messageDigest ||
+            messageDigest.value !== createHash(hash).update(content).digest('binary')) {
+            throw new Error('The file does not match the signature, it has been modified or another file was signed.');
+        }
+
+        signingTime = time && (time.type === asn1.Type.UTCTIME ?
+            asn1.utcTimeToDate(time.value) :
+            asn1.generalizedTimeToDate(time.value));
+        bytes = signedAttributesToDer(signedAttrs);
+    }
+
+    let oid = asn1.derToOid(signatureAlgorithm.value[0].value);
+
+    // PKCS#7 names RSA alone, the digest is the one of the signer
+    if (oid === pki.oids.rsaEncryption) {
+        oid = pki.oids[`${hash}WithRSAEncryption`];
+    }
+
+    try {
+        verified = verify(cert.publicKey, bytes, signature.value, oid);
+    } catch (err) {
+        verified = false;
+    }
+
+    if (!verified) {
+        throw new Error(`Signature of ${signedAttrs ? 'the signed attributes' : 'the file'} can not be verified with the certificate of the signer.`);
+    }
+
+    return {
+        cert,
+        signingTime
+    };
+}
+
+/**
+ * Check a detached PKCS#7 signature against the content signed, the
+ * certificates of the signers are not validated here
+ * @param  {Buffer} content the content signed
+ * @param  {Object} obj     ASN.1 object, ContentInfo
+ * @return {Object}         { signers: [{ cert, signingTime }], certs }
+ */
+export function verifyDetachedSignature(content, obj) {
+    const contentInfo = {};
+    const signedData = {};
+
+    if (!asn1.validate(obj, pkcs7.asn1.contentInfoValidator, contentInfo, []) ||
+        asn1.derToOid(contentInfo.contentType) !== pki.oids.signedData ||
+        !contentInfo.content ||
+        !asn1.validate(contentInfo.content.value[0], pkcs7.asn1.signedDataValidator, signedData, [])) {
+        throw new Error('Not a PKCS#7 signature.');
+    }
+
+    const certs = signedData.certificates ?
+        signedData.certificates.value.map(certificateFromAsn1) :
+        [];
+    const signerInfos = signedData.signerInfos || [];
+
+    if (signerInfos.length === 0) {
+        throw new Error('The signature has no signer.');
+    }
+
+    return {
+        signers: signerInfos.map(signerInfo => verifySigner(content, signerInfo, certs)),
+        certs
+    };
+}
+
+/**
+ * Save a signature to the given path
+ * @param  {Object} obj     ASN.1 object, ContentInfo
+ * @param  {string} sigPath
+ * @param  {string} format  "der" (Default) or "pem"
+ * @return {Promise}
+ */
+export function writeSignature(obj, sigPath, format = 'der') {
+    const der = asn1.toDer(obj).getBytes();
+
+    return outputFileAsync(sigPath, format === 'pem' ?
+        pem.encode({ type: 'PKCS7', body: der }) :
+        Buffer.from(der, 'binary'));
+}
+
+/**
+ * Read a signature from given path, both PEM ("PKCS7" or "CMS") and
+ * DER encoded signatures are accepted
+ * @param  {string} sigPath
+ * @return {Promise}        ASN.1 object, ContentInfo
+ */
+export function readSignature(sigPath) {
+    return readFileAsync(sigPath)
+        .then(buffer => {
+            const content = buffer.toString('binary');
+            const msg = content.indexOf('-----BEGIN') !== -1 ?
+                pem.decode(content).find(({ type }) => /^(PKCS7|CMS)$/.test(type)) :
+                { body: content };
+
+            try {
+                return asn1.fromDer(msg.body);
+            } catch (err) {
+                throw new Error(`Not a PKCS#7 signature: ${sigPath}`);
+            }
+        });
+}
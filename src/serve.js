@@ -0,0 +1,167 @@
+/**
+ * src/serve.js
+ *
+ * provide a local HTTPS server and its client counterpart, to check
+ * issued certificates end to end, mutual TLS included
+ */
+import https from 'https';
+import Promise from 'bluebird';
+import { asn1 } from 'node-forge';
+
+import { attrsToString, certificateFromAsn1 } from './cert.js';
+
+/**
+ * Describe a certificate presented by the peer of a TLS socket
+ * @param  {Object} peer result of `tlsSocket.getPeerCertificate()`
+ * @return {Object}      { subject, issuer, serial, notAfter }
+ */
+function describePeerCertificate(peer) {
+    const cert = certificateFromAsn1(asn1.fromDer(peer.raw.toString('binary')));
+
+    return {
+        subject: attrsToString(cert.subject.attributes),
+        issuer: attrsToString(cert.issuer.attributes),
+        serial: cert.serialNumber,
+        notAfter: cert.validity.notAfter.toISOString()
+    };
+}
+
+/**
+ * Describe the certificates presented by the peer, leaf first
+ * @param  {TLSSocket} socket
+ * @return {Array}
+ */
+function describePeerChain(socket) {
+    const chain = [];
+    let peer = socket.getPeerCertificate(true);
+
+    // The issuer of a self-signed certificate is itself
+    while (peer && peer.raw && chain.every(({ raw }) => !raw.equals(peer.raw))) {
+        chain.push(peer);
+        peer = peer.issuerCertificate;
+    }
+
+    return chain.map(describePeerCertificate);
+}
+
+/**
+ * Describe the negotiated TLS session
+ * @param  {TLSSocket} socket
+ * @return {Object}           { protocol, cipher }
+ */
+function describeSession(socket) {
+    return {
+        protocol: socket.getProtocol(),
+        cipher: socket.getCipher().name
+    };
+}
+
+/**
+ * Get the reason of a TLS error, OpenSSL messages are trimmed to it
+ * (e.g. "tlsv13 alert certificate required")
+ * @param  {Error}  err
+ * @return {string}
+ */
+export function getTLSErrorReason(err) {
+    const matchResult = err.message.match(/SSL routines:[^:]*:([^:]+):/);
+
+    return matchResult ? matchResult[1] : err.message.trim();
+}
+
+/**
+ * Create an HTTPS server responding with the details of the TLS session
+ * and the client certificate, if any
+ * @param  {string|Buffer} options.cert              PEM certificate (or chain) of the server
+ * @param  {string|Buffer} options.key               PEM private key of the server
+ * @param  {?string}       options.ca                PEM bundle of the CAs issuing client certificates
+ * @param  {Boolean}       options.requireClientCert refuse clients without a certificate issued by `ca`
+ * @param  {Function}      options.onRequest         called with the response of every request
+ * @param  {Function}      options.onError           called with the errors of failed handshakes
+ * @return {Server}
+ */
+export function createTestServer({
+    cert, key, ca, requireClientCert = false, onRequest = () => {}, onError = () => {} }) {
+    // Without a CA, client certificates can not be verified and are not asked for
+    const server = https.createServer({
+        cert,
+        key,
+        ca,
+        requestCert: Boolean(ca),
+        rejectUnauthorized: Boolean(ca) && requireClientCert
+    }, (req, res) => {
+        const socket = req.socket;
+        const peer = socket.getPeerCertificate();
+        const result = Object.assign({
+            method: req.method,
+            url: req.url,
+            servername: socket.servername || null
+        }, describeSession(socket), {
+            client: peer && peer.raw ?
+                Object.assign(describePeerCertificate(peer), {
+                    authorized: socket.authorized,
+                    authorizationError: socket.authorizationError || undefined
+                }) :
+                null
+        });
+
+        onRequest(result);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(`${JSON.stringify(result, null, 2)}\n`);
+    });
+
+    server.on('tlsClientError', onError);
+
+    return server;
+}
+
+/**
+ * Start the given server
+ * @param  {Server}  server
+ * @param  {Number}  port
+ * @param  {string}  host
+ * @return {Promise}
+ */
+export function listen(server, port, host) {
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.removeListener('error', reject);
+            resolve(server);
+        });
+    });
+}
+
+/**
+ * Request an HTTPS URL and describe the TLS session
+ * @param  {string}  url
+ * @param  {?string} options.ca         PEM bundle of the CAs to trust, system ones by default
+ * @param  {?string} options.cert       PEM client certificate (or chain)
+ * @param  {?string} options.key        PEM private key of the client certificate
+ * @param  {?string} options.servername name sent with SNI and checked against the certificate
+ * @return {Promise}                    { protocol, cipher, server, statusCode, body }
+ */
+export function probe(url, { ca, cert, key, servername } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = https.request(url, {
+            ca,
+            cert,
+            key,
+            servername,
+            agent: false
+        }, res => {
+            const chunks = [];
+            const session = Object.assign(describeSession(res.socket), {
+                server: describePeerChain(res.socket),
+                statusCode: res.statusCode
+            });
+
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve(Object.assign(session, {
+                body: Buffer.concat(chunks).toString('utf8')
+            })));
+        });
+
+        req.on('error', reject);
+        req.end();
+    });
+}
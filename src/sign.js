@@ -10,18 +10,74 @@ import inquirer from 'inquirer';
 import { PathPrompt } from 'inquirer-path';
 import chalk from 'chalk';
 import { isString, isArray } from 'lodash';
-import { pathExistsSync } from 'fs-extra';
+import { pathExistsSync, readFile } from 'fs-extra';
+import Promise from 'bluebird';
 
 
-import { readPrivateKey, readCertificate } from './cert.js';
+import { readPrivateKey, readCertificateChain } from './cert.js';
+import { isKeyPair } from './keys.js';
+import { mergeSubjects, createAltName, splitList, parseSANFromString } from './names.js';
 
 inquirer.prompt.registerPrompt('path', PathPrompt);
 
+const readFileAsync = Promise.promisify(readFile);
+
+/**
+ * Read a passphrase from the source given on the command line, formats
+ * follow OpenSSL's pass phrase arguments:
+ *
+ * - "pass:<password>" the actual password
+ * - "env:<var>"       obtain the password from the environment variable
+ * - "file:<path>"     the first line of the file is the password
+ *
+ * @param  {string} source passphrase source
+ * @return {Promise}
+ */
+export function readPassphraseSource(source) {
+    const matchResult = source.match(/^(pass|env|file):(.*)$/);
+
+    if (!matchResult) {
+        return Promise.reject(new Error(`Passphrase source malformed (expect pass:, env: or file:): ${source}`));
+    }
+
+    const [ , type, value ] = matchResult;
+
+    switch (type) {
+    case 'pass':
+        return Promise.resolve(value);
+    case 'env':
+        if (!isString(process.env[value])) {
+            return Promise.reject(new Error(`Environment variable is not set: ${value}`));
+        }
+
+        return Promise.resolve(process.env[value]);
+    default:
+        return readFileAsync(value, 'utf8')
+            .then(content => content.split(/\r?\n/)[0]);
+    }
+}
+
 /**
  * Guide the user to enter the path of CA private key
+ * @param  {?string} keyPath                path of the CA private key
+ * @param  {?string} settings.passin        passphrase source of the key, skips the prompt
+ * @param  {Boolean} settings.interactive   whether prompts are allowed
  * @return {Promise}
  */
-export function getCAPrivateKey(keyPath) {
+export function getCAPrivateKey(keyPath, { passin, interactive = true } = {}) {
+    if (!interactive || isString(passin)) {
+        if (!isString(keyPath)) {
+            return Promise.reject(new Error('CA private key is required in non-interactive mode, please specify it with --cakey.'));
+        }
+
+        if (!pathExistsSync(keyPath)) {
+            return Promise.reject(new Error(`Can not locate the CA private key: ${keyPath}`));
+        }
+
+        return (isString(passin) ? readPassphraseSource(passin) : Promise.resolve())
+            .then(passphrase => readPrivateKey(keyPath, passphrase));
+    }
+
     const questions = [{
         name: 'keyPath',
         type: 'path',
@@ -52,10 +108,35 @@ export function getCAPrivateKey(keyPath) {
 }
 
 /**
- * Guide the user to enter the path of CA certificate
- * @return {Promise}
+ * Guide the user to enter the path of CA certificate, the file may be a
+ * PEM bundle with the issuing CA first followed by its own issuers
+ * @param  {?string} crtPath              path of the CA certificate
+ * @param  {Boolean} settings.interactive whether prompts are allowed
+ * @param  {?Object} settings.privateKey  CA private key the certificate must match
+ * @return {Promise}  certificate chain, issuing CA first
  */
-export function getCACertificate(crtPath) {
+export function getCACertificate(crtPath, { interactive = true, privateKey } = {}) {
+    const readChain = path => readCertificateChain(path)
+        .then(chain => {
+            if (privateKey && !isKeyPair(privateKey, chain[0].publicKey)) {
+                throw new Error(`The CA private key does not match the CA certificate: ${path}, please check --ca and --cakey.`);
+            }
+
+            return chain;
+        });
+
+    if (!interactive) {
+        if (!isString(crtPath)) {
+            return Promise.reject(new Error('CA certificate is required in non-interactive mode, please specify it with --ca.'));
+        }
+
+        if (!pathExistsSync(crtPath)) {
+            return Promise.reject(new Error(`Can not locate the CA certificate: ${crtPath}`));
+        }
+
+        return readChain(crtPath);
+    }
+
     const questions = [{
         name: 'crtPath',
         type: 'path',
@@ -72,48 +153,32 @@ export function getCACertificate(crtPath) {
                 throw new Error(`Can not locate the CA certificate: ${confirmedPath}`);
             }
 
-            return readCertificate(confirmedPath);
+            return readChain(confirmedPath);
         })
         .catch(err => {
             console.log(chalk.red(`\n${err}\n`));
 
-            return getCAPrivateKey();
+            return getCACertificate(null, { privateKey });
         });
 }
 
 
-/**
- * Parse OpenSSL oneline distinguished name string
- * @see https://github.com/kjur/jsrsasign/blob/a7fdf19656ea761187956d0db9fd34116532f03e/src/asn1x509-1.0.js#L1392
- * @param  {string} dnStr distinguished name by string (ex. /C=US/O=aaa)
- * @return {Array}        array of subject attributes
- */
-export function parseAttrsFromString(dnStr) {
-    let attrs = [];
-    let pairs = dnStr.split('/');
-    pairs.shift();
-    
-    pairs.forEach(pair => {
-        let matchResult = pair.match(/^([^=]+)=(.+)$/);
-        if (matchResult) {
-            attrs.push({
-                shortName: matchResult[1],
-                value: matchResult[2]
-            });
-        } else {
-            throw `Subjects malformed: ${pair}`;
-        }
-    });
-
-    return attrs;
-}
-
-
 /**
  * Guide the user to enter a passphrase to encrypt the generated private key
+ * @param  {?string} source               passphrase source, skips the prompt
+ * @param  {Boolean} settings.interactive whether prompts are allowed
+ * @param  {string}  settings.option      option providing the passphrase, for error message
  * @return {Promise}
  */
-export function getPassphrase() {
+export function getPassphrase(source, { interactive = true, option = '--passout' } = {}) {
+    if (isString(source)) {
+        return readPassphraseSource(source);
+    }
+
+    if (!interactive) {
+        return Promise.reject(new Error(`Passphrase is required in non-interactive mode, please specify it with ${option}.`));
+    }
+
     const questions = [{
         name: 'passphrase',
         // Enter a passphrase you wish to encrypt the generated CA private key (Leave blank if you do not want to have one)
@@ -138,53 +203,90 @@ export function getPassphrase() {
 
             console.log(chalk.red('\nPassphrase not match, please enter again.\n'));
 
-            return getPassphrase();
+            return getPassphrase(source, { interactive, option });
         });
 }
 
+/**
+ * Guide the user to enter the passphrase of an existing file
+ * @param  {string} message prompt message
+ * @return {Promise}
+ */
+export function askPassphrase(message) {
+    const questions = [{
+        name: 'passphrase',
+        message,
+        type: 'password'
+    }];
+
+    return inquirer.prompt(questions)
+        .then(anwsers => anwsers.passphrase);
+}
+
 /**
  * Guide the user to enter subjects for certificate request
- * @param  {?string} predefinedAttrs distinguished name by string
+ * @param  {?string} predefinedAttrs      distinguished name by string
+ * @param  {Boolean} settings.interactive whether prompts are allowed
+ * @param  {Object}  settings.defaults    default attribute values by short name
  * @return {Promise}
  */
-export function getSubjects(predefinedAttrs) {
+export function getSubjects(predefinedAttrs, { interactive = true, defaults = {} } = {}) {
     if (isArray(predefinedAttrs) && predefinedAttrs.length > 0) {
         //  Subjects are already defined by OpenSSL one-line 
         //  distinguished name string
-        return Promise.resolve(predefinedAttrs);
+        return Promise.resolve(mergeSubjects(defaults, predefinedAttrs));
     }
 
-    const questions = [{
+    if (!interactive) {
+        if (Object.keys(defaults).length > 0) {
+            return Promise.resolve(mergeSubjects(defaults));
+        }
+
+        return Promise.reject(new Error('Subjects are required in non-interactive mode, please specify them with --subj.'));
+    }
+
+    const fields = [{
         name: 'countryName',
+        shortName: 'C',
         message: 'Country [C]'
     }, {
         name: 'organizationName',
+        shortName: 'O',
         message: 'Organization [O]'
     }, {
         name: 'organizationalUnitName',
+        shortName: 'OU',
         message: 'Organization Unit [OU]'
     }, {
         name: 'commonName',
+        shortName: 'CN',
         message: 'Common Name [CN]'
     }];
+    const questions = fields.map(({ name, shortName, message }) => ({
+        name,
+        message,
+        default: defaults[shortName]
+    }));
 
     // Ask user to enter subjects
     return inquirer.prompt(questions)
         .then(anwsers => {
             const attrs = [];
 
-            for (let key in anwsers) {
-                let prop = anwsers[key];
+            fields.forEach(({ name, shortName }) => {
+                let prop = anwsers[name];
 
-                if (prop !== '') {
+                if (isString(prop) && prop !== '') {
                     attrs.push({
-                        name: key,
+                        name,
+                        shortName,
                         value: prop
                     });
                 }
-            }
+            });
 
-            return attrs;
+            // Defaults which are not asked for (e.g. ST, L) are kept
+            return mergeSubjects(defaults, attrs);
         });
 }
 
@@ -192,42 +294,53 @@ export function getSubjects(predefinedAttrs) {
 /**
  * Guide the user to specify a list of "SAN(subject alt names)"
  * @see  https://www.openssl.org/docs/manmaster/man5/x509v3_config.html#Subject-Alternative-Name
+ * @param  {?string} predefinedSAN        names by string (ex. "DNS:a.com,IP:10.0.0.6")
+ * @param  {Boolean} settings.interactive whether prompts are allowed
  * @return {Array}   Array of X.509 V3 Certificate Extension
  */
-export function getSAN() {
+export function getSAN(predefinedSAN, { interactive = true } = {}) {
+    if (isString(predefinedSAN)) {
+        return Promise.try(() => parseSANFromString(predefinedSAN));
+    }
+
+    if (!interactive) {
+        return Promise.reject(new Error('Subject alt names are required in non-interactive mode, please specify them with --san <altNames>.'));
+    }
+
+    const validate = type => input => {
+        try {
+            splitList(input).forEach(value => createAltName(type, value));
+            return true;
+        } catch (err) {
+            return err.message;
+        }
+    };
     const questions = [{
-        name: 'uris',
-        message: 'Enter a list of alternative URIs (e.g. "a.com, b.com")',
-        default: 'localhost'
+        name: 'dns',
+        message: 'Enter a list of alternative DNS names (e.g. "a.com, *.b.com")',
+        default: 'localhost',
+        validate: validate('DNS')
     }, {
         name: 'ips',
-        message: 'Enter a list of alternative IPs (e.g. "192.168.2.3, 10.0.0.6")',
-        default: '127.0.0.1'
+        message: 'Enter a list of alternative IPs (e.g. "192.168.2.3, 10.0.0.6, ::1")',
+        default: '127.0.0.1',
+        validate: validate('IP')
+    }, {
+        name: 'emails',
+        message: 'Enter a list of alternative emails (e.g. "admin@a.com")',
+        validate: validate('email')
     }];
 
     return inquirer.prompt(questions)
         .then(anwsers => {
-            const altNames = [];
-
-            anwsers.uris
-                .replace(' ', '')
-                .split(',')
-                .forEach(uri => altNames.push({
-                    type: 6,
-                    value: uri
-                }));
-
-            anwsers.ips
-                .replace(' ', '')
-                .split(',')
-                .forEach(ip => altNames.push({
-                    type: 7,
-                    ip
-                }));
-
-            return [{
+            const altNames = splitList(anwsers.dns)
+                .map(name => createAltName('DNS', name))
+                .concat(splitList(anwsers.ips).map(ip => createAltName('IP', ip)))
+                .concat(splitList(anwsers.emails).map(email => createAltName('email', email)));
+
+            return altNames.length > 0 ? [{
                 name: 'subjectAltName',
                 altNames
-            }];
+            }] : [];
         });
-}
\ No newline at end of file
+}
@@ -0,0 +1,276 @@
+/**
+ * src/store.js
+ *
+ * persistent CA state kept in a CA home directory, similar
+ * to the layout used by `openssl ca`:
+ *
+ *     <home>/index.json          issuance records of every certificate
+ *     <home>/certs/<serial>.pem  copy of every certificate issued
+ *     <home>/crlnumbers.json     number of the last CRL generated by each CA
+ */
+import fs from 'fs';
+import path from 'path';
+import Promise from 'bluebird';
+import { outputFile, readJson, ensureDir, pathExists, remove } from 'fs-extra';
+import { util } from 'node-forge';
+
+import {
+    generateSerialNumber,
+    attrsToString,
+    altNameToString,
+    certificateToPem } from './cert.js';
+import { getKeyIdentifier } from './keys.js';
+
+const DEFAULT_HOME = 'azura-ca';
+const INDEX_FILE = 'index.json';
+const CRL_NUMBER_FILE = 'crlnumbers.json';
+const LOCK_FILE = '.lock';
+// Wait up to 5 seconds for other azura-ssl processes
+const LOCK_RETRIES = 50;
+const LOCK_INTERVAL = 100;
+
+const outputFileAsync = Promise.promisify(outputFile);
+const readJsonAsync = Promise.promisify(readJson);
+const ensureDirAsync = Promise.promisify(ensureDir);
+const pathExistsAsync = Promise.promisify(pathExists);
+const removeAsync = Promise.promisify(remove);
+const openAsync = Promise.promisify(fs.open);
+const closeAsync = Promise.promisify(fs.close);
+const renameAsync = Promise.promisify(fs.rename);
+
+/**
+ * Acquire the lock of the CA home while running the given task
+ * @param  {string}   home path of CA home directory
+ * @param  {Function} task returns a value or a promise
+ * @return {Promise}
+ */
+function withLock(home, task) {
+    const lockPath = path.join(home, LOCK_FILE);
+    const acquire = retries => openAsync(lockPath, 'wx')
+        .then(fd => closeAsync(fd))
+        .catch(err => {
+            if (err.code !== 'EEXIST') {
+                throw err;
+            }
+
+            if (retries === 0) {
+                throw new Error(`CA home is locked, remove ${lockPath} if no other azura-ssl process is running.`);
+            }
+
+            return Promise.delay(LOCK_INTERVAL)
+                .then(() => acquire(retries - 1));
+        });
+
+    return ensureDirAsync(home)
+        .then(() => acquire(LOCK_RETRIES))
+        .then(() => Promise.try(task)
+            .finally(() => removeAsync(lockPath)));
+}
+
+/**
+ * Replace a file at once, so it is never left half written
+ * @param  {string} filePath path of the file
+ * @param  {string} content
+ * @return {Promise}
+ */
+function replaceFile(filePath, content) {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+
+    return outputFileAsync(tmpPath, content)
+        .then(() => renameAsync(tmpPath, filePath));
+}
+
+/**
+ * Replace the index file of the given CA home
+ * @param  {string} home    path of CA home directory
+ * @param  {Array}  records issuance records
+ * @return {Promise}
+ */
+function writeIndex(home, records) {
+    return replaceFile(path.join(home, INDEX_FILE),
+        JSON.stringify(records, null, 2));
+}
+
+/**
+ * Get the key identifier of a CA, which designates it in the CA home:
+ * DNs of distinct CAs may be the same, their keys are not
+ * @param  {Certificate} CACert
+ * @return {string}             hex
+ */
+export function getCAKeyId(CACert) {
+    return util.bytesToHex(getKeyIdentifier(CACert.publicKey));
+}
+
+/**
+ * Resolve path of the CA home directory. "./azura-ca" is only used
+ * when it exists, it is never created unless asked for
+ * @param  {?string} home             path given by user, falls back to
+ *                                    $AZURA_SSL_HOME and then "./azura-ca"
+ * @param  {Boolean} options.required throw if no CA home is configured
+ * @return {?string}                  null if no CA home is configured
+ */
+export function resolveCAHome(home, { required = false } = {}) {
+    const configured = home || process.env.AZURA_SSL_HOME;
+
+    if (configured) {
+        return path.resolve(process.cwd(), configured);
+    }
+
+    if (fs.existsSync(path.resolve(process.cwd(), DEFAULT_HOME))) {
+        return path.resolve(process.cwd(), DEFAULT_HOME);
+    }
+
+    if (required) {
+        throw new Error(`No CA home directory, use --home <dir>, set AZURA_SSL_HOME or create ./${DEFAULT_HOME}.`);
+    }
+
+    return null;
+}
+
+/**
+ * Read issuance records of the given CA home
+ * @param  {?string} home path of CA home directory, none without a CA home
+ * @return {Promise}
+ */
+export function readIndex(home) {
+    if (!home) {
+        return Promise.resolve([]);
+    }
+
+    const indexPath = path.join(home, INDEX_FILE);
+
+    return pathExistsAsync(indexPath)
+        .then(exists => exists ? readJsonAsync(indexPath) : []);
+}
+
+/**
+ * Find the issuance record of a serial number
+ * @param  {string} home   path of CA home directory
+ * @param  {string} serial serial number in hex
+ * @return {Promise}       the record, or undefined if never issued
+ */
+export function findRecord(home, serial) {
+    const normalized = serial.toLowerCase();
+
+    return readIndex(home)
+        .then(records => records.find(record => record.serial === normalized));
+}
+
+/**
+ * Pick a serial number never issued before from the given CA home
+ * @param  {string} home path of CA home directory
+ * @return {Promise}     serial number in hex
+ */
+export function allocateSerialNumber(home) {
+    return readIndex(home)
+        .then(records => {
+            let serial;
+
+            do {
+                serial = generateSerialNumber();
+            } while (records.some(record => record.serial === serial));
+
+            return serial;
+        });
+}
+
+/**
+ * Record a signed certificate in the index of the given CA home. Its
+ * files are written first, under the lock, so a failed write never
+ * leaves an issued serial number without files
+ * @param  {?string}     home           path of CA home directory, the certificate is
+ *                                      not recorded without a CA home
+ * @param  {Certificate} options.cert    the certificate signed
+ * @param  {Certificate} options.CACert  the certificate of its issuer, itself if self-signed
+ * @param  {string}      options.profile e.g. "ca", "server", "client"
+ * @param  {Function}    writeFiles     writes the files of the certificate, returns a promise
+ * @return {Promise}                    the record added, null without a CA home
+ */
+export function recordCertificate(home, { cert, CACert = cert, profile }, writeFiles = () => null) {
+    const serial = cert.serialNumber.toLowerCase();
+    const san = cert.getExtension('subjectAltName');
+
+    if (!home) {
+        return Promise.try(writeFiles)
+            .then(() => null);
+    }
+
+    return withLock(home, () => readIndex(home)
+        .then(records => {
+            if (records.some(record => record.serial === serial)) {
+                throw new Error(`Serial number ${serial} has already been issued, refuse to reuse it.`);
+            }
+
+            const record = {
+                serial,
+                subject: attrsToString(cert.subject.attributes),
+                issuer: attrsToString(cert.issuer.attributes),
+                issuerKeyId: getCAKeyId(CACert),
+                san: san ? san.altNames.map(altNameToString) : [],
+                notBefore: cert.validity.notBefore.toISOString(),
+                notAfter: cert.validity.notAfter.toISOString(),
+                profile,
+                status: 'valid'
+            };
+
+            return Promise.try(writeFiles)
+                .then(() => outputFileAsync(path.join(home, 'certs', `${serial}.pem`),
+                    certificateToPem(cert)))
+                .then(() => writeIndex(home, records.concat(record)))
+                .then(() => record);
+        }));
+}
+
+/**
+ * Mark a certificate as revoked in the index of the given CA home
+ * @param  {string} home   path of CA home directory
+ * @param  {string} serial serial number in hex
+ * @param  {string} reason revocation reason (e.g. "keyCompromise")
+ * @return {Promise}       the record updated
+ */
+export function revokeCertificate(home, serial, reason) {
+    const normalized = serial.toLowerCase();
+
+    return withLock(home, () => readIndex(home)
+        .then(records => {
+            const record = records.find(record => record.serial === normalized);
+
+            if (!record) {
+                throw new Error(`Serial number ${normalized} is not found in ${home}.`);
+            }
+
+            if (record.status === 'revoked') {
+                throw new Error(`Certificate ${normalized} has already been revoked.`);
+            }
+
+            record.status = 'revoked';
+            record.revokedAt = new Date().toISOString();
+            record.reason = reason;
+
+            return writeIndex(home, records)
+                .then(() => record);
+        }));
+}
+
+/**
+ * Increase and return the CRL number of a CA, each CA of the CA home
+ * numbering its CRLs on its own
+ * @param  {string}      home   path of CA home directory
+ * @param  {Certificate} CACert the CA issuing the CRL
+ * @return {Promise}            the CRL number to use
+ */
+export function nextCRLNumber(home, CACert) {
+    const crlNumbersPath = path.join(home, CRL_NUMBER_FILE);
+    const keyId = getCAKeyId(CACert);
+
+    return withLock(home, () => pathExistsAsync(crlNumbersPath)
+        .then(exists => exists ? readJsonAsync(crlNumbersPath) : {})
+        .then(crlNumbers => {
+            const crlNumber = (crlNumbers[keyId] || 0) + 1;
+
+            return replaceFile(crlNumbersPath, JSON.stringify(Object.assign(crlNumbers, {
+                [keyId]: crlNumber
+            }), null, 2))
+                .then(() => crlNumber);
+        }));
+}
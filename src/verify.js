@@ -0,0 +1,241 @@
+/**
+ * src/verify.js
+ *
+ * provide functions to validate a certificate against a CA
+ * bundle, its private key and the names it is served for
+ */
+import { pki, util } from 'node-forge';
+
+import { attrsToString, isSelfSigned } from './cert.js';
+import { isKeyPair } from './keys.js';
+import { readNameConstraints, getNameConstraintViolations } from './constraints.js';
+
+// forge rejects every critical extension but keyUsage and basicConstraints,
+// these ones are checked here instead
+const CHECKED_EXTENSIONS = ['extKeyUsage', 'subjectAltName', 'nameConstraints'];
+
+export const PURPOSES = {
+    server: 'serverAuth',
+    client: 'clientAuth',
+    codesign: 'codeSigning',
+    email: 'emailProtection'
+};
+
+/**
+ * Tell whether the extKeyUsage of a certificate allows a purpose
+ * @param  {Certificate} cert
+ * @param  {string}      purpose        "server", "client", "codesign" or "email"
+ * @param  {boolean}     options.strict refuse certificates without extKeyUsage,
+ *                                      otherwise good for any purpose
+ * @return {boolean}
+ */
+export function allowsPurpose(cert, purpose, { strict = false } = {}) {
+    const extKeyUsage = cert.getExtension('extKeyUsage');
+
+    if (!extKeyUsage) {
+        return !strict;
+    }
+
+    return Boolean(extKeyUsage[PURPOSES[purpose]]) || Boolean(extKeyUsage.anyExtendedKeyUsage);
+}
+
+/**
+ * Tell what the signer of a file signs for: S/MIME certificates (with
+ * emailProtection or an email address, but not codeSigning) sign email,
+ * the other ones code
+ * @param  {Certificate} cert of the signer
+ * @return {string}           "codesign" or "email"
+ */
+export function getSigningPurpose(cert) {
+    const extKeyUsage = cert.getExtension('extKeyUsage');
+    const san = cert.getExtension('subjectAltName');
+
+    if (extKeyUsage && extKeyUsage.codeSigning) {
+        return 'codesign';
+    }
+
+    // rfc822Name
+    return (extKeyUsage && extKeyUsage.emailProtection) || (san && san.altNames.some(({ type }) => type === 1)) ?
+        'email' :
+        'codesign';
+}
+
+/**
+ * Find the path from a certificate up to a trust anchor in the bundle
+ * @param  {Certificate} cert    the certificate to verify
+ * @param  {Array}       CACerts certificates of the CA bundle, and intermediates if any
+ * @return {Array}               certificates, leaf first
+ */
+function buildChain(cert, CACerts) {
+    const chain = [ cert ];
+    let current = cert;
+
+    while (!isSelfSigned(current)) {
+        const issuer = CACerts.find(CACert =>
+            current.isIssuer(CACert) && chain.indexOf(CACert) === -1);
+
+        if (!issuer) {
+            break;
+        }
+
+        chain.push(issuer);
+        current = issuer;
+    }
+
+    return chain;
+}
+
+/**
+ * Run forge's chain validation with the extensions checked by azura-ssl
+ * marked as non-critical. The flags are restored afterwards, the signed
+ * TBSCertificate kept by forge is not affected.
+ * @param  {Array} CACerts certificates of the CA bundle
+ * @param  {Array} chain   certificates, leaf first
+ */
+function verifyChain(CACerts, chain) {
+    const relaxed = CACerts.concat(chain)
+        .reduce((exts, cert) => exts.concat(cert.extensions), [])
+        .filter(ext => ext.critical && CHECKED_EXTENSIONS.indexOf(ext.name) !== -1);
+
+    relaxed.forEach(ext => {
+        ext.critical = false;
+    });
+
+    try {
+        pki.verifyCertificateChain(pki.createCaStore(CACerts), chain);
+    } finally {
+        relaxed.forEach(ext => {
+            ext.critical = true;
+        });
+    }
+}
+
+/**
+ * Match a reference hostname against a DNS-ID presented by a certificate,
+ * following RFC 6125 (6.4): the wildcard is only allowed as the complete
+ * left-most label and matches exactly one label
+ * @param  {string}  pattern DNS-ID, e.g. "*.example.test"
+ * @param  {string}  host    reference identifier, e.g. "www.example.test"
+ * @return {Boolean}
+ */
+export function matchDNSName(pattern, host) {
+    const normalize = name => name.toLowerCase().replace(/\.$/, '');
+    const patternLabels = normalize(pattern).split('.');
+    const hostLabels = normalize(host).split('.');
+
+    if (patternLabels.length !== hostLabels.length) {
+        return false;
+    }
+
+    // "*.test" would cover a whole top-level domain
+    if (patternLabels[0] === '*' && patternLabels.length < 3) {
+        return false;
+    }
+
+    return patternLabels.every((label, index) =>
+        (index === 0 && label === '*') || label === hostLabels[index]);
+}
+
+/**
+ * Whether the certificate covers the given hostname. The Common Name is
+ * only considered when the certificate has no DNS-ID at all.
+ * @param  {Certificate} cert
+ * @param  {string}      host
+ * @return {Boolean}
+ */
+export function matchHostname(cert, host) {
+    const san = cert.getExtension('subjectAltName');
+    const dnsNames = san ?
+        san.altNames.filter(altName => altName.type === 2).map(altName => altName.value) :
+        [];
+
+    if (dnsNames.length === 0) {
+        const commonName = cert.subject.getField('CN');
+
+        return Boolean(commonName) && matchDNSName(commonName.value, host);
+    }
+
+    return dnsNames.some(dnsName => matchDNSName(dnsName, host));
+}
+
+/**
+ * Whether the certificate covers the given IP address (IPv4 or IPv6)
+ * @param  {Certificate} cert
+ * @param  {string}      ip
+ * @return {Boolean}
+ */
+export function matchIP(cert, ip) {
+    const san = cert.getExtension('subjectAltName');
+    const bytes = util.bytesFromIP(ip);
+
+    return Boolean(san) && bytes !== null && san.altNames.some(altName =>
+        altName.type === 7 && altName.value === bytes);
+}
+
+/**
+ * Validate a certificate
+ * @param  {Certificate} options.cert          the certificate to verify
+ * @param  {Array}       options.CACerts       certificates of the CA bundle
+ * @param  {Array}       options.intermediates untrusted certificates sent along, to build the chain with
+ * @param  {?PrivateKey} options.privateKey    private key expected to match
+ * @param  {?string}     options.host          hostname to be served
+ * @param  {?string}     options.ip            IP address to be served
+ * @param  {?string}     options.purpose       "server", "client", "codesign" or "email"
+ * @param  {boolean}     options.strictPurpose refuse certificates without extKeyUsage for the purpose
+ * @return {Array}                             checks done, { name, passed, message }
+ */
+export function verifyCertificate({
+    cert, CACerts, intermediates = [], privateKey, host, ip, purpose, strictPurpose = false }) {
+    const checks = [];
+    const check = (name, passed, message) => checks.push({ name, passed, message });
+    // Only the CA bundle is trusted, intermediates just link to it
+    const chain = buildChain(cert, CACerts.concat(intermediates));
+    const now = new Date();
+
+    check('validity',
+        now >= cert.validity.notBefore && now <= cert.validity.notAfter,
+        `valid from ${cert.validity.notBefore.toISOString()} to ${cert.validity.notAfter.toISOString()}`);
+
+    try {
+        // Signatures, validity and basicConstraints (cA, pathLen) of
+        // every certificate in the chain
+        verifyChain(CACerts, chain);
+        check('chain', true, chain
+            .map(item => attrsToString(item.subject.attributes))
+            .join(' <- '));
+    } catch (err) {
+        check('chain', false, err.message);
+    }
+
+    // Names of the certificate against the constraints of its issuers
+    if (chain.slice(1).some(readNameConstraints)) {
+        const san = cert.getExtension('subjectAltName');
+        const violations = getNameConstraintViolations(san ? san.altNames : [], chain.slice(1));
+
+        check('names',
+            violations.length === 0,
+            violations.length > 0 ? violations.join('; ') : 'names allowed by the name constraints of the issuers');
+    }
+
+    if (privateKey) {
+        check('key',
+            isKeyPair(privateKey, cert.publicKey),
+            'private key matches the public key of the certificate');
+    }
+
+    if (purpose) {
+        check('purpose',
+            allowsPurpose(cert, purpose, { strict: strictPurpose }),
+            `extKeyUsage allows ${PURPOSES[purpose]}`);
+    }
+
+    if (host) {
+        check('host', matchHostname(cert, host), `certificate covers ${host}`);
+    }
+
+    if (ip) {
+        check('ip', matchIP(cert, ip), `certificate covers ${ip}`);
+    }
+
+    return checks;
+}
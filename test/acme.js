@@ -0,0 +1,279 @@
+/**
+ * test/acme.js
+ *
+ * the ACME server driven by a minimal client: account, order,
+ * finalization with a CSR and certificate download
+ */
+import assert from 'assert';
+import http from 'http';
+import { generateKeyPairSync, sign } from 'crypto';
+import { asn1, pki } from 'node-forge';
+import Promise from 'bluebird';
+
+import { createACMEServer } from '../src/acme.js';
+import {
+    certificateFromPem,
+    createCertificationRequest,
+    SERVER_EXTENSION_SET } from '../src/cert.js';
+import { parseSANFromOptions } from '../src/names.js';
+import { createTempDir, removeTempDir, createTestCA } from './helpers/index.js';
+
+/**
+ * Encode in base64url, without padding
+ * @param  {Buffer|string} data
+ * @return {string}
+ */
+function base64url(data) {
+    return Buffer.from(data).toString('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+}
+
+/**
+ * Send an HTTP request to the server
+ * @param  {string}  url
+ * @param  {string}  method
+ * @param  {?string} body
+ * @return {Promise}        { status, headers, body }, JSON bodies parsed
+ */
+function request(url, method = 'GET', body) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(url, {
+            method,
+            headers: body ? { 'Content-Type': 'application/jose+json' } : {}
+        }, res => {
+            const chunks = [];
+
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                const text = Buffer.concat(chunks).toString('utf8');
+
+                resolve({
+                    status: res.statusCode,
+                    headers: res.headers,
+                    body: text && /json/.test(res.headers['content-type']) ? JSON.parse(text) : text
+                });
+            });
+        });
+
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+/**
+ * Create an ACME client holding an ES256 account key
+ * @param  {string} origin e.g. "http://127.0.0.1:4000"
+ * @return {Object}        { post, newAccount }
+ */
+function createClient(origin) {
+    const { privateKey, publicKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const jwk = publicKey.export({ format: 'jwk' });
+    let kid, nonce;
+
+    const getNonce = () => nonce ?
+        Promise.resolve(nonce) :
+        request(`${origin}/acme/new-nonce`, 'HEAD').then(res => res.headers['replay-nonce']);
+
+    const post = (url, payload, { useJwk = false, useNonce } = {}) => getNonce()
+        .then(freshNonce => {
+            const header = base64url(JSON.stringify(Object.assign({
+                alg: 'ES256',
+                nonce: useNonce || freshNonce,
+                url
+            }, useJwk ? { jwk } : { kid })));
+            // POST-as-GET has an empty payload
+            const body = payload === null ? '' : base64url(JSON.stringify(payload));
+            const signature = sign('sha256', Buffer.from(`${header}.${body}`), {
+                key: privateKey,
+                dsaEncoding: 'ieee-p1363'
+            });
+
+            nonce = null;
+
+            return request(url, 'POST', JSON.stringify({
+                protected: header,
+                payload: body,
+                signature: base64url(signature)
+            }));
+        })
+        .then(res => {
+            nonce = res.headers['replay-nonce'];
+
+            return res;
+        });
+
+    return {
+        post,
+        newAccount: () => post(`${origin}/acme/new-account`, { termsOfServiceAgreed: true }, { useJwk: true })
+            .then(res => {
+                kid = res.headers.location;
+
+                return res;
+            })
+    };
+}
+
+describe('ACME server', function () {
+    let home, ca, server, origin, client;
+
+    before(function () {
+        home = createTempDir();
+
+        return createTestCA()
+            .then(result => {
+                ca = result;
+                server = createACMEServer({
+                    CACert: ca.cert,
+                    CAKey: ca.privateKey,
+                    CAChain: ca.chain,
+                    home,
+                    exts: SERVER_EXTENSION_SET,
+                    profile: 'server',
+                    days: 90,
+                    autoApprove: true
+                });
+
+                return new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            })
+            .then(() => {
+                origin = `http://127.0.0.1:${server.address().port}`;
+                client = createClient(origin);
+            });
+    });
+
+    after(function (done) {
+        removeTempDir(home);
+        server.close(done);
+    });
+
+    it('serves the directory', function () {
+        return request(`${origin}/directory`)
+            .then(res => {
+                assert.strictEqual(res.status, 200);
+                assert.strictEqual(res.body.newOrder, `${origin}/acme/new-order`);
+            });
+    });
+
+    it('creates an account, then finds it again by its key', function () {
+        return client.newAccount()
+            .then(res => {
+                assert.strictEqual(res.status, 201);
+                assert.strictEqual(res.body.status, 'valid');
+
+                return client.newAccount();
+            })
+            .then(res => {
+                assert.strictEqual(res.status, 200);
+            });
+    });
+
+    it('refuses a nonce used already', function () {
+        let usedNonce;
+
+        return request(`${origin}/acme/new-nonce`, 'HEAD')
+            .then(res => {
+                usedNonce = res.headers['replay-nonce'];
+
+                return client.post(`${origin}/acme/new-order`, {
+                    identifiers: [{ type: 'dns', value: 'nonce.test' }]
+                }, { useNonce: usedNonce });
+            })
+            .then(res => {
+                assert.strictEqual(res.status, 201);
+
+                return client.post(`${origin}/acme/new-order`, {
+                    identifiers: [{ type: 'dns', value: 'nonce.test' }]
+                }, { useNonce: usedNonce });
+            })
+            .then(res => {
+                assert.strictEqual(res.status, 400);
+                assert.strictEqual(res.body.type, 'urn:ietf:params:acme:error:badNonce');
+            });
+    });
+
+    it('issues the certificate of an order finalized with a CSR', function () {
+        let order;
+
+        return client.post(`${origin}/acme/new-order`, {
+            identifiers: [
+                { type: 'dns', value: 'acme.test' },
+                { type: 'ip', value: '127.0.0.1' }
+            ]
+        })
+            .then(res => {
+                assert.strictEqual(res.status, 201);
+                // Authorizations are valid at once with autoApprove
+                assert.strictEqual(res.body.status, 'ready');
+                order = res.body;
+
+                return createCertificationRequest({
+                    attrs: [{ name: 'commonName', value: 'acme.test' }],
+                    exts: parseSANFromOptions({ dns: [ 'acme.test' ], ip: [ '127.0.0.1' ] })
+                });
+            })
+            .then(({ csr }) => client.post(order.finalize, {
+                csr: base64url(Buffer.from(asn1.toDer(pki.certificationRequestToAsn1(csr)).getBytes(), 'binary'))
+            }))
+            .then(res => {
+                assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+                assert.strictEqual(res.body.status, 'valid');
+
+                return client.post(res.body.certificate, null);
+            })
+            .then(res => {
+                const cert = certificateFromPem(res.body);
+
+                assert.strictEqual(res.headers['content-type'], 'application/pem-certificate-chain');
+                assert.ok(ca.cert.verify(cert));
+                assert.strictEqual(cert.subject.getField('CN').value, 'acme.test');
+                assert.deepStrictEqual(cert.getExtension('subjectAltName').altNames.map(({ type }) => type), [2, 7]);
+                assert.strictEqual(Math.round((cert.validity.notAfter - cert.validity.notBefore) / 86400000), 90);
+            });
+    });
+
+    it('refuses orders for server certificates valid longer than 398 days', function () {
+        const notBefore = new Date();
+        const post = payload => client.post(`${origin}/acme/new-order`, Object.assign({
+            identifiers: [{ type: 'dns', value: 'long.test' }]
+        }, payload));
+
+        return post({ notAfter: new Date(Date.now() + 400 * 86400000).toISOString() })
+            .then(res => {
+                assert.strictEqual(res.status, 400);
+                assert.strictEqual(res.body.type, 'urn:ietf:params:acme:error:malformed');
+                assert.ok(/at most 398 days/.test(res.body.detail), res.body.detail);
+
+                return post({
+                    notBefore: notBefore.toISOString(),
+                    notAfter: new Date(notBefore.getTime() + 30 * 86400000).toISOString()
+                });
+            })
+            .then(res => {
+                assert.strictEqual(res.status, 201, JSON.stringify(res.body));
+            });
+    });
+
+    it('refuses a CSR for other names than the order', function () {
+        let order;
+
+        return client.post(`${origin}/acme/new-order`, {
+            identifiers: [{ type: 'dns', value: 'one.test' }]
+        })
+            .then(res => {
+                order = res.body;
+
+                return createCertificationRequest({
+                    attrs: [{ name: 'commonName', value: 'other.test' }]
+                });
+            })
+            .then(({ csr }) => client.post(order.finalize, {
+                csr: base64url(Buffer.from(asn1.toDer(pki.certificationRequestToAsn1(csr)).getBytes(), 'binary'))
+            }))
+            .then(res => {
+                assert.strictEqual(res.status, 400);
+                assert.strictEqual(res.body.type, 'urn:ietf:params:acme:error:badCSR');
+            });
+    });
+});
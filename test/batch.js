@@ -0,0 +1,132 @@
+/**
+ * test/batch.js
+ *
+ * issue-batch: certificates are created, left untouched while they
+ * match the manifest, and renewed with backups once it changes, keys are
+ * encrypted with the keyPass of the manifest or only readable by their owner
+ */
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+
+import { certificateFromPem } from '../src/cert.js';
+import { privateKeyFromPem } from '../src/keys.js';
+import { createTempDir, removeTempDir, runCLI } from './helpers/index.js';
+
+describe('issue-batch', function () {
+    let dir;
+
+    const writeManifest = san => fs.writeFileSync(path.join(dir, 'services.yaml'), [
+        'ca:',
+        '    cert: ca.crt',
+        '    key: ca.key',
+        'certificates:',
+        '    - name: api.test',
+        `      san: [${san.join(', ')}]`,
+        '      out: out/api',
+        '    - name: alice',
+        '      type: client',
+        '      p12Pass: pass:secret',
+        '      out: out/alice'
+    ].join('\n'));
+    const readCert = name => certificateFromPem(fs.readFileSync(path.join(dir, 'out', name), 'utf8'));
+    const getStatuses = stdout => stdout.split('\n')
+        .filter(line => /^(api\.test|alice)\s/.test(line))
+        .map(line => line.split(/\s+/).slice(0, 3).join(' '));
+
+    before(function () {
+        dir = createTempDir();
+
+        const result = runCLI([ 'sign-ca', 'ca', '--subj', '/CN=Batch CA', '--no-key-encryption', '--non-interactive' ], dir);
+
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    });
+
+    after(function () {
+        removeTempDir(dir);
+    });
+
+    it('creates every certificate of the manifest', function () {
+        writeManifest([ 'DNS:api.test' ]);
+
+        const result = runCLI([ 'issue-batch', 'services.yaml', '--non-interactive' ], dir);
+
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+        assert.deepStrictEqual(getStatuses(result.stdout), [
+            'api.test server created',
+            'alice client created'
+        ]);
+        ['api.key', 'api.crt', 'alice.key', 'alice.crt', 'alice.p12'].forEach(file => {
+            assert.ok(fs.existsSync(path.join(dir, 'out', file)), file);
+        });
+        assert.strictEqual(readCert('api.crt').getExtension('subjectAltName').altNames[0].value, 'api.test');
+    });
+
+    it('leaves certificates matching the manifest unchanged', function () {
+        const serial = readCert('api.crt').serialNumber;
+        const result = runCLI([ 'issue-batch', 'services.yaml', '--non-interactive' ], dir);
+
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+        assert.deepStrictEqual(getStatuses(result.stdout), [
+            'api.test server unchanged',
+            'alice client unchanged'
+        ]);
+        assert.strictEqual(readCert('api.crt').serialNumber, serial);
+        assert.ok(!fs.readdirSync(path.join(dir, 'out')).some(file => /\.bak$/.test(file)));
+    });
+
+    it('renews changed certificates with their key and keeps a backup', function () {
+        const oldPem = fs.readFileSync(path.join(dir, 'out', 'api.crt'), 'utf8');
+        const keyPem = fs.readFileSync(path.join(dir, 'out', 'api.key'), 'utf8');
+
+        writeManifest([ 'DNS:api.test', 'DNS:www.api.test' ]);
+
+        const result = runCLI([ 'issue-batch', 'services.yaml', '--non-interactive' ], dir);
+        const files = fs.readdirSync(path.join(dir, 'out'));
+        const backup = files.find(file => /^api\.crt\.\d{8}T\d{6}Z\.bak$/.test(file));
+
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+        assert.deepStrictEqual(getStatuses(result.stdout), [
+            'api.test server renewed',
+            'alice client unchanged'
+        ]);
+        assert.ok(backup, files.join(', '));
+        assert.strictEqual(fs.readFileSync(path.join(dir, 'out', backup), 'utf8'), oldPem);
+        // The key is reused, so it is neither replaced nor backed up
+        assert.strictEqual(fs.readFileSync(path.join(dir, 'out', 'api.key'), 'utf8'), keyPem);
+        assert.deepStrictEqual(readCert('api.crt').getExtension('subjectAltName').altNames
+            .map(altName => altName.value).sort(), [ 'api.test', 'www.api.test' ]);
+    });
+
+    it('writes the keys in clear only readable by their owner', function () {
+        [ 'api.key', 'alice.key' ].forEach(file => {
+            assert.strictEqual(fs.statSync(path.join(dir, 'out', file)).mode & 0o777, 0o600, file);
+        });
+    });
+
+    it('encrypts the keys with the keyPass of the manifest, and reads them back with it', function () {
+        const manifest = [
+            'ca:',
+            '    cert: ca.crt',
+            '    key: ca.key',
+            'keyPass: pass:secret',
+            'certificates:',
+            '    - name: db.test',
+            '      out: encrypted/db'
+        ].join('\n');
+        const keyPath = path.join(dir, 'encrypted', 'db.key');
+
+        fs.writeFileSync(path.join(dir, 'encrypted.yaml'), manifest);
+
+        let result = runCLI([ 'issue-batch', 'encrypted.yaml', '--non-interactive' ], dir);
+
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+        assert.ok(privateKeyFromPem(fs.readFileSync(keyPath, 'utf8'), 'secret'));
+        assert.throws(() => privateKeyFromPem(fs.readFileSync(keyPath, 'utf8')));
+
+        result = runCLI([ 'issue-batch', 'encrypted.yaml', '--non-interactive' ], dir);
+
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+        assert.ok(/^db\.test\s+server\s+unchanged/m.test(result.stdout), result.stdout);
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * test/constraints.js
+ *
+ * name constraints: the sign commands refuse names outside the permitted
+ * subtrees of the CA or within its excluded ones, and an intermediate
+ * can not permit more than its issuers
+ */
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+
+import {
+    createNameConstraints,
+    decodeNameConstraints,
+    inheritNameConstraints,
+    subtreeToString } from '../src/constraints.js';
+import { createTempDir, removeTempDir, runCLI, createTestCA } from './helpers/index.js';
+
+describe('name constraints', function () {
+    let dir;
+
+    const run = args => {
+        const result = runCLI(args, dir);
+
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    };
+    const refuse = (name, args, pattern) => {
+        const result = runCLI(args, dir);
+
+        assert.notStrictEqual(result.status, 0);
+        assert.ok(pattern.test(result.stdout + result.stderr), result.stdout + result.stderr);
+        assert.ok(!fs.existsSync(path.join(dir, `${name}.crt`)));
+    };
+    const common = [ '--key-type', 'ec', '--no-key-encryption', '--non-interactive' ];
+    const issued = common.concat([ '--ca', 'ca.crt', '--cakey', 'ca.key' ]);
+    const NOT_PERMITTED = /Certificate refused, DNS:www\.azura\.example is not permitted \(DNS:\.azura\.test\)/;
+    const EXCLUDED = /Certificate refused, DNS:db\.internal\.azura\.test is excluded \(DNS:\.internal\.azura\.test\)/;
+
+    before(function () {
+        dir = createTempDir();
+
+        run([ 'sign-ca', 'ca', '--subj', '/CN=Constrained CA', '--permit-dns', '.azura.test',
+            '--exclude-dns', '.internal.azura.test' ].concat(common));
+    });
+
+    after(function () {
+        removeTempDir(dir);
+    });
+
+    it('lets sign-server certify names within the permitted subtrees only', function () {
+        run([ 'sign-server', 'www', '--subj', '/CN=www.azura.test' ].concat(issued));
+
+        refuse('outside', [ 'sign-server', 'outside', '--subj', '/CN=www.azura.example' ].concat(issued),
+            NOT_PERMITTED);
+        refuse('excluded', [ 'sign-server', 'excluded', '--subj', '/CN=www.azura.test',
+            '--dns', 'db.internal.azura.test' ].concat(issued), EXCLUDED);
+    });
+
+    it('lets sign-client certify names within the permitted subtrees only', function () {
+        const client = issued.concat([ '--p12-pass', 'pass:secret' ]);
+
+        refuse('client-outside', [ 'sign-client', 'client-outside', '--subj', '/CN=Client',
+            '--dns', 'www.azura.example' ].concat(client), NOT_PERMITTED);
+        refuse('client-excluded', [ 'sign-client', 'client-excluded', '--subj', '/CN=Client',
+            '--dns', 'db.internal.azura.test' ].concat(client), EXCLUDED);
+    });
+
+    it('lets sign-csr certify names within the permitted subtrees only', function () {
+        run([ 'create-csr', 'outside', '--subj', '/CN=www.azura.example', '--san', 'DNS:www.azura.example' ]
+            .concat(common));
+        run([ 'create-csr', 'excluded', '--subj', '/CN=db.internal.azura.test',
+            '--san', 'DNS:db.internal.azura.test' ].concat(common));
+
+        refuse('outside', [ 'sign-csr', 'outside.csr', '--ca', 'ca.crt', '--cakey', 'ca.key', '--non-interactive' ],
+            NOT_PERMITTED);
+        refuse('excluded', [ 'sign-csr', 'excluded.csr', '--ca', 'ca.crt', '--cakey', 'ca.key', '--non-interactive' ],
+            EXCLUDED);
+    });
+
+    it('refuses an intermediate permitting more than its issuer', function () {
+        refuse('wider', [ 'sign-intermediate', 'wider', '--subj', '/CN=Wider CA', '--permit-dns', '.test' ]
+            .concat(issued), /Name constraint DNS:\.test is not within the permitted subtrees \(DNS:\.azura\.test\)/);
+    });
+
+    describe('inheritNameConstraints', function () {
+        let ca;
+
+        before(function () {
+            return createTestCA({
+                keyType: 'ec',
+                nameConstraints: {
+                    permitted: { dns: [ '.azura.test' ], ip: [ '10.0.0.0/8' ] },
+                    excluded: { dns: [ '.internal.azura.test' ] }
+                }
+            })
+                .then(result => {
+                    ca = result;
+                });
+        });
+
+        it('throws on permitted subtrees wider than the ones of the issuers', function () {
+            assert.throws(() => inheritNameConstraints(createNameConstraints({ permitted: { dns: [ '.test' ] } }),
+                [ ca.cert ]), /Name constraint DNS:\.test is not within the permitted subtrees/);
+            assert.throws(() => inheritNameConstraints(createNameConstraints({ permitted: { ip: [ '0.0.0.0/0' ] } }),
+                [ ca.cert ]), /is not within the permitted subtrees \(IP:10\.0\.0\.0\/8\)/);
+        });
+
+        it('inherits the subtrees the intermediate does not constrain, adds up excluded ones', function () {
+            const [ ext ] = inheritNameConstraints(createNameConstraints({
+                permitted: { dns: [ '.www.azura.test' ] },
+                excluded: { dns: [ '.legacy.azura.test' ] }
+            }), [ ca.cert ]);
+            const { permitted, excluded } = decodeNameConstraints(ext.value);
+
+            assert.deepStrictEqual(permitted.map(subtreeToString).sort(), [ 'DNS:.www.azura.test', 'IP:10.0.0.0/8' ]);
+            assert.deepStrictEqual(excluded.map(subtreeToString).sort(),
+                [ 'DNS:.internal.azura.test', 'DNS:.legacy.azura.test' ]);
+        });
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * test/convert.js
+ *
+ * convert: round trips between the formats keep certificates and keys as
+ * they are, private keys written in clear are only readable by their owner
+ */
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { createPrivateKey, X509Certificate } from 'crypto';
+
+import { createTempDir, removeTempDir, runCLI } from './helpers/index.js';
+
+describe('convert', function () {
+    let dir;
+
+    const run = args => {
+        const result = runCLI(args, dir);
+
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    };
+    const read = name => fs.readFileSync(path.join(dir, name));
+    // Compare keys whatever their encoding
+    const keyOf = (name, passphrase) => createPrivateKey({ key: read(name), passphrase })
+        .export({ type: 'pkcs8', format: 'der' })
+        .toString('base64');
+    const certOf = name => new X509Certificate(read(name)).raw.toString('base64');
+    const modeOf = name => fs.statSync(path.join(dir, name)).mode & 0o777;
+
+    before(function () {
+        dir = createTempDir();
+
+        run([ 'sign-ca', 'ca', '--subj', '/CN=Convert CA', '--no-key-encryption', '--non-interactive' ]);
+        run([ 'sign-client', 'client', '--subj', '/CN=Convert', '--ca', 'ca.crt', '--cakey', 'ca.key',
+            '--p12-pass', 'pass:secret', '--no-key-encryption', '--non-interactive' ]);
+    });
+
+    after(function () {
+        removeTempDir(dir);
+    });
+
+    it('extracts the certificate, the chain and the key of a PKCS#12 archive', function () {
+        run([ 'convert', 'client.p12', '--to', 'pem', '--passin', 'pass:secret', '--out', 'p12/client',
+            '--non-interactive' ]);
+
+        assert.strictEqual(certOf('p12/client.crt'), certOf('client.crt'));
+        assert.strictEqual(certOf('p12/client.ca.crt'), certOf('ca.crt'));
+        assert.strictEqual(keyOf('p12/client.key'), keyOf('client.key'));
+    });
+
+    it('goes back to PEM from DER, encrypted PKCS#8 and JWK', function () {
+        run([ 'convert', 'client.crt', '--to', 'der', '--out', 'der/client', '--non-interactive' ]);
+        run([ 'convert', 'der/client.der', '--to', 'pem', '--out', 'der/back', '--non-interactive' ]);
+        assert.strictEqual(certOf('der/back.crt'), certOf('client.crt'));
+
+        run([ 'convert', 'client.key', '--to', 'pkcs8-encrypted', '--passout', 'pass:secret', '--out', 'pkcs8/client',
+            '--non-interactive' ]);
+        assert.strictEqual(keyOf('pkcs8/client.pkcs8.key', 'secret'), keyOf('client.key'));
+        run([ 'convert', 'pkcs8/client.pkcs8.key', '--to', 'pem', '--passin', 'pass:secret', '--out', 'pkcs8/back',
+            '--non-interactive' ]);
+        assert.strictEqual(keyOf('pkcs8/back.key'), keyOf('client.key'));
+
+        run([ 'convert', 'client.key', '--to', 'jwk', '--out', 'jwk/client', '--non-interactive' ]);
+        run([ 'convert', 'jwk/client.jwk', '--to', 'pem', '--out', 'jwk/back', '--non-interactive' ]);
+        assert.strictEqual(keyOf('jwk/back.key'), keyOf('client.key'));
+    });
+
+    it('writes private keys in clear with mode 0600', function () {
+        [ 'pem', 'der', 'pkcs8', 'jwk' ].forEach(format => {
+            run([ 'convert', 'client.key', '--to', format, '--out', `clear/${format}`, '--non-interactive' ]);
+        });
+
+        assert.strictEqual(modeOf('clear/pem.key'), 0o600);
+        assert.strictEqual(modeOf('clear/der.key.der'), 0o600);
+        assert.strictEqual(modeOf('clear/pkcs8.pkcs8.key'), 0o600);
+        assert.strictEqual(modeOf('clear/jwk.jwk'), 0o600);
+    });
+
+    it('leaves the mode of encrypted keys and certificates alone', function () {
+        run([ 'convert', 'client.crt', '--to', 'jwk', '--out', 'public/cert', '--non-interactive' ]);
+        run([ 'convert', 'client.key', '--to', 'pem', '--passout', 'pass:secret', '--out', 'encrypted/key',
+            '--non-interactive' ]);
+
+        assert.notStrictEqual(modeOf('public/cert.jwk'), 0o600);
+        assert.notStrictEqual(modeOf('encrypted/key.key'), 0o600);
+    });
+});
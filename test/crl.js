@@ -0,0 +1,164 @@
+/**
+ * test/crl.js
+ *
+ * X.509 v2 CRLs built by createCRL, decoded back with forge
+ */
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { createHash, createPublicKey } from 'crypto';
+import { asn1, util } from 'node-forge';
+
+import { createCRL } from '../src/crl.js';
+import { certificateFromPem } from '../src/cert.js';
+import { verify } from '../src/keys.js';
+import { createTempDir, removeTempDir, runCLI, createTestCA } from './helpers/index.js';
+
+/**
+ * SHA-1 of the subjectPublicKey bits of a certificate, read from the
+ * SubjectPublicKeyInfo exported by Node
+ * @param  {string} certPem
+ * @return {string}         binary string
+ */
+function getExpectedKeyIdentifier(certPem) {
+    const spki = createPublicKey(certPem).export({ type: 'spki', format: 'der' });
+    const bits = asn1.fromDer(spki.toString('binary'), { decodeBitStrings: false }).value[1].value;
+
+    return createHash('sha1').update(Buffer.from(bits.substr(1), 'binary')).digest('binary');
+}
+
+/**
+ * Decode a CertificateList
+ * @param  {Object} crl ASN.1 object returned by `createCRL`
+ * @return {Object}
+ */
+function decodeCRL(crl) {
+    const der = asn1.toDer(crl).getBytes();
+    const [ tbs, signatureAlgorithm, signature ] = asn1.fromDer(der, { decodeBitStrings: false }).value;
+    const [ version, , issuer, thisUpdate, nextUpdate ] = tbs.value;
+    // revokedCertificates is absent when nothing is revoked
+    const revokedList = tbs.value[5].tagClass === asn1.Class.UNIVERSAL ? tbs.value[5] : undefined;
+    const extensions = tbs.value.find(node => node.tagClass === asn1.Class.CONTEXT_SPECIFIC).value[0].value
+        .reduce((result, ext) => Object.assign(result, {
+            [asn1.derToOid(ext.value[0].value)]: asn1.fromDer(ext.value[ext.value.length - 1].value)
+        }), {});
+
+    return {
+        version: asn1.derToInteger(version.value),
+        issuer: asn1.toDer(issuer).getBytes(),
+        thisUpdate: asn1.utcTimeToDate(thisUpdate.value),
+        nextUpdate: asn1.utcTimeToDate(nextUpdate.value),
+        revoked: revokedList ? revokedList.value.map(entry => ({
+            serial: util.bytesToHex(entry.value[0].value).replace(/^00/, ''),
+            reason: entry.value[2] ?
+                asn1.fromDer(entry.value[2].value[0].value[1].value).value.charCodeAt(0) :
+                undefined
+        })) : [],
+        // CRL number, authorityKeyIdentifier
+        crlNumber: asn1.derToInteger(extensions['2.5.29.20'].value),
+        authorityKeyId: extensions['2.5.29.35'].value[0].value,
+        signatureOid: asn1.derToOid(signatureAlgorithm.value[0].value),
+        tbs: asn1.toDer(tbs).getBytes(),
+        signature: signature.value.substr(1)
+    };
+}
+
+describe('createCRL', function () {
+    ['rsa', 'ec', 'ed25519'].forEach(keyType => {
+        describe(`with a ${keyType} CA`, function () {
+            let ca;
+
+            before(function () {
+                return createTestCA({ keyType })
+                    .then(result => {
+                        ca = result;
+                    });
+            });
+
+            it('lists the revoked certificates with their reason', function () {
+                const crl = decodeCRL(createCRL({
+                    CACert: ca.cert,
+                    CAKey: ca.privateKey,
+                    revoked: [
+                        { serial: '0a1b2c', revokedAt: new Date(), reason: 'keyCompromise' },
+                        { serial: 'ff01', revokedAt: new Date(), reason: 'unspecified' }
+                    ],
+                    crlNumber: 7,
+                    days: 10
+                }));
+
+                assert.strictEqual(crl.version, 1);
+                assert.deepStrictEqual(crl.revoked, [
+                    { serial: '0a1b2c', reason: 1 },
+                    // reasonCode "unspecified" is left out, 0xff is kept positive
+                    { serial: 'ff01', reason: undefined }
+                ]);
+                assert.strictEqual(crl.crlNumber, 7);
+                assert.strictEqual(Math.round((crl.nextUpdate - crl.thisUpdate) / 86400000), 10);
+            });
+
+            it('is signed by the CA and names it as issuer', function () {
+                const crl = decodeCRL(createCRL({
+                    CACert: ca.cert,
+                    CAKey: ca.privateKey,
+                    revoked: [],
+                    crlNumber: 1
+                }));
+
+                assert.deepStrictEqual(crl.revoked, []);
+                assert.strictEqual(crl.authorityKeyId, getExpectedKeyIdentifier(ca.certPem));
+                assert.strictEqual(crl.issuer,
+                    asn1.toDer(asn1.fromDer(ca.certDer.toString('binary')).value[0].value[5]).getBytes());
+                assert.ok(verify(ca.cert.publicKey, crl.tbs, crl.signature, crl.signatureOid));
+            });
+        });
+    });
+});
+
+describe('gen-crl', function () {
+    let dir;
+
+    const run = args => {
+        const result = runCLI(args, dir);
+
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+
+        return result.stdout;
+    };
+    const genCRL = name => {
+        run([ 'gen-crl', '--ca', `${name}.crt`, '--cakey', `${name}.key`, '--non-interactive', name ]);
+
+        return decodeCRL(asn1.fromDer(fs.readFileSync(path.join(dir, `${name}.crl`), 'binary')));
+    };
+
+    before(function () {
+        dir = createTempDir();
+
+        // Two CAs with the same DN share the CA home, an RSA and an EC one
+        [[ 'a', 'rsa' ], [ 'b', 'ec' ]].forEach(([ name, keyType ]) => {
+            run([ 'sign-ca', name, '--subj', '/CN=Same CA', '--key-type', keyType, '--no-key-encryption',
+                '--non-interactive' ]);
+            run([ 'sign-server', `${name}-server`, '--subj', `/CN=${name}.test`, '--key-type', 'ec',
+                '--ca', `${name}.crt`, '--cakey', `${name}.key`, '--no-key-encryption', '--non-interactive' ]);
+        });
+        run([ 'revoke', '--reason', 'keyCompromise', 'b-server.crt' ]);
+    });
+
+    after(function () {
+        removeTempDir(dir);
+    });
+
+    it('lists the certificates revoked by the key of the CA, not its DN', function () {
+        const serial = certificateFromPem(fs.readFileSync(path.join(dir, 'b-server.crt'), 'utf8')).serialNumber;
+
+        assert.deepStrictEqual(genCRL('a').revoked, []);
+        assert.deepStrictEqual(genCRL('b').revoked, [{ serial: serial.replace(/^00/, ''), reason: 1 }]);
+    });
+
+    it('numbers the CRLs of each CA on its own', function () {
+        const before = [ genCRL('a').crlNumber, genCRL('b').crlNumber ];
+
+        assert.deepStrictEqual([ genCRL('a').crlNumber, genCRL('a').crlNumber, genCRL('b').crlNumber ],
+            [ before[0] + 1, before[0] + 2, before[1] + 1 ]);
+    });
+});
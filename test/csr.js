@@ -0,0 +1,49 @@
+/**
+ * test/csr.js
+ *
+ * create-csr and sign-csr for every key type
+ */
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { createPublicKey, X509Certificate } from 'crypto';
+
+import { createTempDir, removeTempDir, runCLI } from './helpers/index.js';
+
+describe('create-csr and sign-csr', function () {
+    let dir;
+
+    const run = args => {
+        const result = runCLI(args, dir);
+
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    };
+    const read = file => fs.readFileSync(path.join(dir, file), 'utf8');
+
+    before(function () {
+        dir = createTempDir();
+    });
+
+    after(function () {
+        removeTempDir(dir);
+    });
+
+    ['rsa', 'ec', 'ed25519'].forEach(keyType => {
+        it(`certifies a request and a CA holding ${keyType} keys`, function () {
+            run([ 'sign-ca', `ca-${keyType}`, '--subj', `/CN=${keyType} CA`, '--key-type', keyType,
+                '--no-key-encryption', '--non-interactive' ]);
+            run([ 'create-csr', `req-${keyType}`, '--subj', `/CN=${keyType}.test`, '--san', `DNS:${keyType}.test`,
+                '--key-type', keyType, '--no-key-encryption', '--non-interactive' ]);
+            run([ 'sign-csr', `req-${keyType}.csr`, '--ca', `ca-${keyType}.crt`, '--cakey', `ca-${keyType}.key`,
+                '--non-interactive' ]);
+
+            const cert = new X509Certificate(read(`req-${keyType}.crt`));
+            const ca = new X509Certificate(read(`ca-${keyType}.crt`));
+
+            assert.ok(cert.verify(ca.publicKey));
+            assert.strictEqual(cert.publicKey.asymmetricKeyType, keyType);
+            assert.ok(cert.publicKey.equals(createPublicKey(read(`req-${keyType}.key`))));
+            assert.strictEqual(cert.subjectAltName, `DNS:${keyType}.test`);
+        });
+    });
+});
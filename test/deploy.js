@@ -0,0 +1,83 @@
+/**
+ * test/deploy.js
+ *
+ * export-deploy: HAProxy requires client certificates with --ca, the files
+ * embedding the private key are only readable by their owner, the Secret
+ * takes valid names only
+ */
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+
+import { createTempDir, removeTempDir, runCLI } from './helpers/index.js';
+
+describe('export-deploy', function () {
+    let dir;
+
+    const run = args => {
+        const result = runCLI(args, dir);
+
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    };
+    const file = name => path.join(dir, name);
+    const modeOf = name => fs.statSync(file(name)).mode & 0o777;
+
+    before(function () {
+        const common = [ '--key-type', 'ec', '--no-key-encryption', '--non-interactive' ];
+
+        dir = createTempDir();
+
+        run([ 'sign-ca', 'ca', '--subj', '/CN=Deploy CA' ].concat(common));
+        run([ 'sign-server', 'server', '--subj', '/CN=www.azura.test', '--ca', 'ca.crt', '--cakey', 'ca.key' ]
+            .concat(common));
+    });
+
+    after(function () {
+        removeTempDir(dir);
+    });
+
+    it('lets HAProxy require client certificates issued by --ca', function () {
+        run([ 'export-deploy', 'deploy/server', '-f', 'haproxy', '--cert', 'server.crt', '--key', 'server.key',
+            '--ca', 'ca.crt', '--deploy-dir', '/etc/haproxy/certs', '--non-interactive' ]);
+
+        const lines = fs.readFileSync(file('deploy/server.haproxy.crt-list'), 'utf8').split('\n');
+
+        assert.ok(/^# /.test(lines[0]));
+        assert.strictEqual(lines[1],
+            '/etc/haproxy/certs/server.haproxy.pem [ca-file /etc/haproxy/certs/ca.crt verify required]');
+    });
+
+    it('writes no crt-list without --ca', function () {
+        run([ 'export-deploy', 'plain/server', '-f', 'haproxy', '--cert', 'server.crt', '--key', 'server.key',
+            '--non-interactive' ]);
+
+        assert.ok(fs.existsSync(file('plain/server.haproxy.pem')));
+        assert.ok(!fs.existsSync(file('plain/server.haproxy.crt-list')));
+    });
+
+    it('refuses a namespace which is not a DNS-1123 label', function () {
+        const result = runCLI([ 'export-deploy', 'k8s/server', '-f', 'k8s', '--cert', 'server.crt', '--key', 'server.key',
+            '--namespace', 'web\nstringData:\n  tls.key: x', '--non-interactive' ], dir);
+
+        assert.notStrictEqual(result.status, 0);
+        assert.ok(/Invalid Kubernetes namespace/.test(result.stdout + result.stderr), result.stdout);
+        assert.ok(!fs.existsSync(file('k8s/server.secret.yaml')));
+
+        run([ 'export-deploy', 'k8s/server', '-f', 'k8s', '--cert', 'server.crt', '--key', 'server.key',
+            '--namespace', 'web-1', '--non-interactive' ]);
+
+        assert.ok(/\n {2}namespace: web-1\n/.test(fs.readFileSync(file('k8s/server.secret.yaml'), 'utf8')));
+    });
+
+    it('writes the Secret and the HAProxy PEM with mode 0600, even over existing files', function () {
+        fs.mkdirSync(file('private'));
+        fs.writeFileSync(file('private/server.secret.yaml'), '', { mode: 0o644 });
+
+        run([ 'export-deploy', 'private/server', '-f', 'k8s', '-f', 'haproxy', '-f', 'nginx',
+            '--cert', 'server.crt', '--key', 'server.key', '--non-interactive' ]);
+
+        assert.strictEqual(modeOf('private/server.secret.yaml'), 0o600);
+        assert.strictEqual(modeOf('private/server.haproxy.pem'), 0o600);
+        assert.notStrictEqual(modeOf('private/server.nginx.conf'), 0o600);
+    });
+});
@@ -0,0 +1,194 @@
+/**
+ * test/extensions.js
+ *
+ * custom extensions: the openssl format of `--ext` parsed, decoded back
+ * from the certificates, and the extensions computed from the CA refused
+ */
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { asn1, pki } from 'node-forge';
+
+import {
+    parseExtension,
+    parseExtensions,
+    decodeExtension,
+    assertCustomExtensions } from '../src/extensions.js';
+import { certificateFromPem } from '../src/cert.js';
+import { createCA, issueServerCert } from '../src/index.js';
+import { createTempDir, removeTempDir, runCLI, createTestCA } from './helpers/index.js';
+
+const OID_TLS_FEATURE = '1.3.6.1.5.5.7.1.24';
+
+describe('extensions', function () {
+    describe('parseExtension', function () {
+        it('marks extensions critical only with "critical"', function () {
+            const critical = parseExtension('keyUsage=critical,digitalSignature,keyAgreement');
+            const plain = parseExtension('extendedKeyUsage = serverAuth, 1.3.6.1.4.1.99999.1');
+
+            assert.strictEqual(critical.id, pki.oids.keyUsage);
+            assert.strictEqual(critical.critical, true);
+            assert.ok(critical.digitalSignature && critical.keyAgreement);
+            assert.strictEqual(plain.critical, false);
+            assert.ok(plain.serverAuth && plain['1.3.6.1.4.1.99999.1']);
+        });
+
+        it('keeps DER values as they are, by name or OID', function () {
+            assert.deepStrictEqual(parseExtension('1.2.3.4=critical,DER:04:03:61:62:63'),
+                { id: '1.2.3.4', critical: true, value: '\x04\x03abc' });
+            assert.deepStrictEqual(parseExtension('tlsfeature=DER:3003020105'),
+                { id: OID_TLS_FEATURE, critical: false, value: '\x30\x03\x02\x01\x05' });
+        });
+
+        it('encodes certificate policies with their CPS pointers', function () {
+            const ext = parseExtension('certificatePolicies=2.23.140.1.2.1,CPS:http://cps.azura.test,anyPolicy');
+            const [ first, second ] = ext.value.value;
+
+            assert.strictEqual(asn1.derToOid(first.value[0].value), '2.23.140.1.2.1');
+            assert.strictEqual(asn1.derToOid(first.value[1].value[0].value[0].value), '1.3.6.1.5.5.7.2.1');
+            assert.strictEqual(first.value[1].value[0].value[1].value, 'http://cps.azura.test');
+            assert.strictEqual(asn1.derToOid(second.value[0].value), '2.5.29.32.0');
+            assert.strictEqual(second.value.length, 1);
+        });
+
+        it('encodes the access descriptions of authorityInfoAccess', function () {
+            const ext = parseExtension('authorityInfoAccess=OCSP;URI:http://ocsp.azura.test,' +
+                'caIssuers;URI:http://ca.azura.test/ca.crt');
+
+            assert.deepStrictEqual(ext.value.value.map(description => [
+                asn1.derToOid(description.value[0].value),
+                description.value[1].type,
+                description.value[1].value
+            ]), [
+                [ '1.3.6.1.5.5.7.48.1', 6, 'http://ocsp.azura.test' ],
+                [ '1.3.6.1.5.5.7.48.2', 6, 'http://ca.azura.test/ca.crt' ]
+            ]);
+        });
+
+        it('encodes the TLS features by number', function () {
+            const ext = parseExtension('tlsFeature=status_request,status_request_v2');
+
+            assert.strictEqual(ext.id, OID_TLS_FEATURE);
+            assert.deepStrictEqual(ext.value.value.map(feature => asn1.derToInteger(feature.value)), [ 5, 17 ]);
+        });
+
+        it('tells what is wrong with malformed extensions', function () {
+            [
+                [ 'keyUsage', /Extension malformed/ ],
+                [ 'keyUsage=critical', /Extension value missing/ ],
+                [ 'keyUsage=signEverything', /Key usage invalid/ ],
+                [ 'extendedKeyUsage=anything', /Extended key usage invalid/ ],
+                [ 'basicConstraints=CA:MAYBE', /Basic constraint invalid/ ],
+                [ 'certificatePolicies=CPS:http://cps.azura.test', /CPS must follow a policy/ ],
+                [ 'certificatePolicies=somePolicy', /Policy invalid/ ],
+                [ 'authorityInfoAccess=OCSP;http://ocsp.azura.test', /Access description invalid/ ],
+                [ 'crlDistributionPoints=http://crl.azura.test', /Distribution point invalid/ ],
+                [ 'tlsfeature=status_request_v3', /TLS feature invalid/ ],
+                [ 'nameConstraints=allowed;DNS:.test', /Name constraint invalid/ ],
+                [ 'authorityKeyIdentifier=issuer', /Authority key identifier invalid/ ],
+                [ '1.2.3.4=DER:0g', /Hex value invalid/ ],
+                [ 'policyMappings=DER:3000', /Unknown extension/ ],
+                [ 'policyMappings=critical,anyPolicy', /Unknown extension \(expect/ ]
+            ].forEach(([ spec, pattern ]) => {
+                assert.throws(() => parseExtension(spec), pattern, spec);
+            });
+        });
+    });
+
+    describe('decodeExtension', function () {
+        const specs = [
+            'certificatePolicies=2.23.140.1.2.1,CPS:http://cps.azura.test,1.3.6.1.4.1.99999.1',
+            'authorityInfoAccess=OCSP;URI:http://ocsp.azura.test,caIssuers;URI:http://ca.azura.test/ca.crt',
+            'tlsfeature=status_request'
+        ];
+        let cert;
+
+        before(function () {
+            return createTestCA({ keyType: 'ec' })
+                .then(ca => issueServerCert(ca, {
+                    subject: '/CN=www.azura.test',
+                    keyType: 'ec',
+                    extensions: specs.concat('authorityKeyIdentifier=keyid')
+                }))
+                .then(result => {
+                    // as read from a file
+                    cert = certificateFromPem(result.certPem);
+                });
+        });
+
+        it('gives back the values of --ext from the certificate', function () {
+            const decode = id => decodeExtension(cert.extensions.find(ext => ext.id === id));
+
+            assert.deepStrictEqual([
+                decode(pki.oids.certificatePolicies),
+                decode(pki.oids.authorityInfoAccess),
+                decode(OID_TLS_FEATURE)
+            ].map(({ name, value }) => `${name}=${value.join(',')}`), specs);
+            assert.ok(/^[0-9a-f]{40}$/.test(decode(pki.oids.authorityKeyIdentifier).value));
+            assert.strictEqual(decodeExtension(cert.getExtension('keyUsage')), null);
+        });
+    });
+
+    describe('the extensions computed from the CA', function () {
+        let dir;
+
+        const common = [ '--key-type', 'ec', '--no-key-encryption', '--non-interactive' ];
+
+        before(function () {
+            dir = createTempDir();
+
+            const result = runCLI([ 'sign-ca', 'ca', '--subj', '/CN=Extensions CA', '--permit-dns', '.azura.test' ]
+                .concat(common), dir);
+
+            assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+        });
+
+        after(function () {
+            removeTempDir(dir);
+        });
+
+        it('are refused, by name or OID', function () {
+            [ 'basicConstraints=CA:TRUE', '2.5.29.19=DER:30030101ff', 'nameConstraints=permitted;DNS:.test' ]
+                .forEach(spec => {
+                    assert.throws(() => assertCustomExtensions(parseExtensions([ spec ])),
+                        /can not be set with --ext, it is computed from the path length and the name constraints/);
+                });
+            assert.strictEqual(assertCustomExtensions(parseExtensions([ 'tlsfeature=status_request' ])).length, 1);
+        });
+
+        it('can not be set with --ext or --addext', function () {
+            [
+                [ 'sign-server', 'leaf', '--subj', '/CN=www.azura.test', '--ext', 'basicConstraints=critical,CA:TRUE' ],
+                [ 'sign-intermediate', 'wide', '--subj', '/CN=Wide CA',
+                    '--addext', 'basicConstraints=CA:TRUE,pathlen:5' ],
+                [ 'sign-intermediate', 'free', '--subj', '/CN=Free CA', '--ext', 'nameConstraints=permitted;DNS:.test' ]
+            ].forEach(args => {
+                const result = runCLI(args.concat(common, [ '--ca', 'ca.crt', '--cakey', 'ca.key' ]), dir);
+
+                assert.notStrictEqual(result.status, 0);
+                assert.ok(/can not be set with --ext or --addext/.test(result.stdout + result.stderr), result.stdout);
+                assert.ok(!fs.existsSync(path.join(dir, `${args[1]}.crt`)));
+            });
+        });
+
+        it('can not be set with the "extensions" of the API', function () {
+            return createTestCA({ keyType: 'ec', pathLen: 1 })
+                .then(issuer => Promise.all([
+                    createCA({
+                        subject: '/CN=Wide CA',
+                        keyType: 'ec',
+                        issuer,
+                        extensions: [ 'basicConstraints=critical,CA:TRUE,pathlen:5' ]
+                    }).then(() => assert.fail('createCA accepted basicConstraints'), err => err),
+                    issueServerCert(issuer, {
+                        subject: '/CN=www.azura.test',
+                        keyType: 'ec',
+                        extensions: [ 'basicConstraints=critical,CA:TRUE' ]
+                    }).then(() => assert.fail('issueServerCert accepted basicConstraints'), err => err)
+                ]))
+                .then(errors => errors.forEach(err => {
+                    assert.ok(/can not be set with "extensions"/.test(err.message), err.message);
+                }));
+        });
+    });
+});
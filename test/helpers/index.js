@@ -0,0 +1,115 @@
+/**
+ * test/helpers/index.js
+ *
+ * provide helpers shared by the tests: temporary directories, running
+ * the command line tool and creating CAs in memory
+ */
+import os from 'os';
+import fs from 'fs';
+import path from 'path';
+import { spawn, spawnSync } from 'child_process';
+
+import { createCA } from '../../src/index.js';
+
+const CLI_PATH = path.resolve(__dirname, '../../src/cli.js');
+// Same compilation as the tests, resolved from the tool's directory
+const BABEL_REGISTER = require.resolve('babel-register');
+
+/**
+ * Create an empty temporary directory
+ * @return {string} path of the directory
+ */
+export function createTempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'azura-ssl-test-'));
+}
+
+/**
+ * Remove a temporary directory and its content
+ * @param  {string} dir
+ */
+export function removeTempDir(dir) {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Environment of azura-ssl run by the tests
+ * @param  {string} cwd working directory, its "home" is the CA home
+ * @return {Object}
+ */
+function getEnv(cwd) {
+    return Object.assign({}, process.env, {
+        AZURA_SSL_HOME: path.join(cwd, 'home'),
+        FORCE_COLOR: '0'
+    });
+}
+
+/**
+ * Run azura-ssl from the sources, never prompting
+ * @param  {Array}  args     command line arguments
+ * @param  {string} cwd      working directory, its "home" is the CA home
+ * @return {Object}          { status, stdout, stderr }
+ */
+export function runCLI(args, cwd) {
+    const result = spawnSync(process.execPath, [ '-r', BABEL_REGISTER, CLI_PATH ].concat(args), {
+        cwd,
+        env: getEnv(cwd),
+        encoding: 'utf8',
+        input: '',
+        timeout: 60 * 1000
+    });
+
+    return {
+        status: result.status,
+        stdout: result.stdout,
+        stderr: result.stderr
+    };
+}
+
+/**
+ * Start azura-ssl from the sources in the background, e.g. a server,
+ * until its output matches the given pattern
+ * @param  {Array}   args    command line arguments
+ * @param  {string}  cwd     working directory, its "home" is the CA home
+ * @param  {RegExp}  pattern e.g. /listening at (\S+)/
+ * @return {Promise}         { child, match, output }, `output()` being all
+ *                           the output so far, stop it with `child.kill()`
+ */
+export function startCLI(args, cwd, pattern) {
+    const child = spawn(process.execPath, [ '-r', BABEL_REGISTER, CLI_PATH ].concat(args), {
+        cwd,
+        env: getEnv(cwd),
+        stdio: [ 'ignore', 'pipe', 'pipe' ]
+    });
+    let output = '';
+
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            child.kill();
+            reject(new Error(`Timed out waiting for ${pattern}: ${output}`));
+        }, 60 * 1000);
+        const onData = chunk => {
+            const match = (output += chunk).match(pattern);
+
+            if (match) {
+                clearTimeout(timer);
+                resolve({ child, match, output: () => output });
+            }
+        };
+
+        child.stdout.on('data', onData);
+        child.stderr.on('data', onData);
+        child.on('exit', status => {
+            clearTimeout(timer);
+            reject(new Error(`Exited with status ${status}: ${output}`));
+        });
+    });
+}
+
+/**
+ * Create a root CA in memory
+ * @param  {Object}  options options of `createCA`, e.g. { keyType: 'ec' }
+ * @return {Promise}         same as `createCA`
+ */
+export function createTestCA(options = {}) {
+    return createCA(Object.assign({ subject: '/CN=Test CA/O=Azura' }, options));
+}
@@ -0,0 +1,56 @@
+/**
+ * test/index.js
+ *
+ * the Node.js API: in memory, without the prompts of the command line
+ */
+import assert from 'assert';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { asn1, pkcs12 } from 'node-forge';
+
+import { issueServerCert, issueClientCert, toPkcs12 } from '../src/index.js';
+import { createTestCA } from './helpers/index.js';
+
+describe('Node.js API', function () {
+    it('does not load inquirer', function () {
+        const result = spawnSync(process.execPath, [
+            '-r', require.resolve('babel-register'),
+            '-e', `require(${JSON.stringify(path.resolve(__dirname, '../src/index.js'))});
+                console.log(Object.keys(require.cache).some(file => /[\\\\/]inquirer[\\\\/]/.test(file)));`
+        ], { encoding: 'utf8', timeout: 60000 });
+
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.strictEqual(result.stdout.trim(), 'false');
+    });
+
+    it('refuses server certificates without a hostname or an IP', function () {
+        return createTestCA({ keyType: 'ec' })
+            .then(ca => issueServerCert(ca, { subject: '/CN=*.test', keyType: 'ec' }))
+            .then(() => assert.fail('expected an error'), err => {
+                assert.ok(/neither a hostname nor an IP/.test(err.message), err.message);
+            });
+    });
+
+    it('packs a bundle into a PKCS#12 archive asynchronously', function () {
+        let client;
+
+        return createTestCA()
+            .then(ca => issueClientCert(ca, { subject: '/CN=tester' }))
+            .then(result => {
+                client = result;
+
+                const pending = toPkcs12(client, { passphrase: 'secret' });
+
+                assert.strictEqual(typeof pending.then, 'function');
+
+                return pending;
+            })
+            .then(p12 => {
+                const archive = pkcs12.pkcs12FromAsn1(asn1.fromDer(p12.toString('binary')), 'secret');
+                const [ bag ] = archive.getBags({ bagType: '1.2.840.113549.1.12.10.1.3' })['1.2.840.113549.1.12.10.1.3'];
+
+                assert.ok(Buffer.isBuffer(p12));
+                assert.strictEqual(bag.cert.serialNumber, client.cert.serialNumber);
+            });
+    });
+});
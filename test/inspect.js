@@ -0,0 +1,127 @@
+/**
+ * test/inspect.js
+ *
+ * inspect: certificates, keys, requests and PKCS#12 archives decoded
+ * whatever their encoding, for humans or as JSON with --json
+ */
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { X509Certificate } from 'crypto';
+
+import { createTempDir, removeTempDir, runCLI } from './helpers/index.js';
+
+describe('inspect', function () {
+    let dir;
+
+    const run = args => {
+        const result = runCLI(args, dir);
+
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+
+        return result.stdout;
+    };
+    const inspect = (file, args = []) => JSON.parse(run([ 'inspect', file, '--json' ].concat(args)));
+    const x509 = file => new X509Certificate(fs.readFileSync(path.join(dir, file)));
+    const extensionOf = (object, name) => object.extensions.find(ext => ext.name === name);
+    const common = [ '--key-type', 'ec', '--non-interactive' ];
+
+    before(function () {
+        dir = createTempDir();
+
+        run([ 'sign-ca', 'ca', '--subj', '/CN=Inspect CA', '--permit-dns', '.azura.test', '--no-key-encryption' ]
+            .concat(common));
+        run([ 'sign-server', 'server', '--subj', '/CN=www.azura.test', '--dns', 'api.azura.test',
+            '--ca', 'ca.crt', '--cakey', 'ca.key', '--passout', 'pass:secret' ].concat(common));
+        run([ 'sign-client', 'client', '--subj', '/CN=Client', '--ca', 'ca.crt', '--cakey', 'ca.key',
+            '--p12-pass', 'pass:p12pass', '--no-key-encryption' ].concat(common));
+        run([ 'create-csr', 'req', '--subj', '/CN=req.azura.test', '--san', 'DNS:req.azura.test',
+            '--no-key-encryption' ].concat(common));
+    });
+
+    after(function () {
+        removeTempDir(dir);
+    });
+
+    it('decodes certificates as JSON', function () {
+        const { format, objects } = inspect('server.crt');
+        const [ cert ] = objects;
+        const expected = x509('server.crt');
+
+        assert.strictEqual(format, 'PEM');
+        assert.strictEqual(objects.length, 1);
+        assert.strictEqual(cert.type, 'certificate');
+        assert.strictEqual(cert.subject, '/CN=www.azura.test');
+        assert.strictEqual(cert.issuer, '/CN=Inspect CA');
+        assert.strictEqual(cert.serial, expected.serialNumber.toLowerCase());
+        assert.strictEqual(cert.notAfter, new Date(expected.validTo).toISOString());
+        assert.strictEqual(cert.fingerprints.sha256, expected.fingerprint256);
+        assert.strictEqual(cert.publicKey.curve, 'P-256');
+        assert.deepStrictEqual(extensionOf(cert, 'basicConstraints').value, { cA: false });
+        assert.deepStrictEqual(extensionOf(cert, 'extKeyUsage').value, [ 'serverAuth' ]);
+        assert.deepStrictEqual(extensionOf(cert, 'subjectAltName').value,
+            [ 'DNS:www.azura.test', 'DNS:api.azura.test' ]);
+
+        const [ ca ] = inspect('ca.crt').objects;
+
+        assert.deepStrictEqual(extensionOf(ca, 'basicConstraints'),
+            { name: 'basicConstraints', critical: true, value: { cA: true } });
+        assert.deepStrictEqual(extensionOf(ca, 'nameConstraints').value,
+            { permitted: [ 'DNS:.azura.test' ], excluded: [] });
+    });
+
+    it('prints certificates for humans', function () {
+        const output = run([ 'inspect', 'ca.crt' ]);
+
+        assert.ok(/^Certificate\n/.test(output), output);
+        assert.ok(/\n {2}Subject: +\/CN=Inspect CA\n/.test(output), output);
+        assert.ok(output.indexOf(`SHA-256 Fingerprint:  ${x509('ca.crt').fingerprint256}\n`) !== -1, output);
+        assert.ok(/\n {4}basicConstraints \(critical\): CA:TRUE\n/.test(output), output);
+        assert.ok(/\n {4}nameConstraints \(critical\): permitted DNS:\.azura\.test\n/.test(output), output);
+    });
+
+    it('decodes DER the same way', function () {
+        run([ 'convert', 'server.crt', '--to', 'der', '--out', 'server', '--non-interactive' ]);
+
+        const pem = inspect('server.crt').objects[0];
+        const der = inspect('server.der');
+
+        assert.strictEqual(der.format, 'DER');
+        assert.deepStrictEqual(der.objects[0], pem);
+    });
+
+    it('decrypts private keys with --passin', function () {
+        const [ key ] = inspect('server.key', [ '--passin', 'pass:secret' ]).objects;
+        const [ cert ] = inspect('server.crt').objects;
+
+        assert.strictEqual(key.type, 'privateKey');
+        assert.notStrictEqual(key.encryption, 'none');
+        assert.deepStrictEqual(key.publicKey, cert.publicKey);
+
+        const result = runCLI([ 'inspect', 'server.key', '--json', '--passin', 'pass:wrong' ], dir);
+
+        assert.notStrictEqual(result.status, 0);
+    });
+
+    it('decodes certification requests', function () {
+        const [ csr ] = inspect('req.csr').objects;
+
+        assert.strictEqual(csr.type, 'certificationRequest');
+        assert.strictEqual(csr.subject, '/CN=req.azura.test');
+        assert.strictEqual(csr.signatureValid, true);
+        assert.deepStrictEqual(extensionOf(csr, 'subjectAltName').value, [ 'DNS:req.azura.test' ]);
+    });
+
+    it('decodes the certificates and the key of PKCS#12 archives', function () {
+        const { format, objects } = inspect('client.p12', [ '--passin', 'pass:p12pass' ]);
+        const [ archive ] = objects;
+
+        assert.strictEqual(format, 'DER');
+        assert.strictEqual(archive.type, 'pkcs12');
+        assert.deepStrictEqual(archive.certificates.map(({ subject }) => subject).sort(),
+            [ '/CN=Client', '/CN=Inspect CA' ]);
+        assert.strictEqual(archive.privateKeys.length, 1);
+        assert.deepStrictEqual(archive.privateKeys[0].publicKey,
+            archive.certificates.find(({ subject }) => subject === '/CN=Client').publicKey);
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * test/intermediate.js
+ *
+ * sign-intermediate: a year of validity within the lifetime of the root,
+ * the path length of the issuers enforced, the chain served with the
+ * certificate written next to it, and a CA key which does not match the
+ * CA certificate refused
+ */
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { X509Certificate } from 'crypto';
+
+import { createTempDir, removeTempDir, runCLI } from './helpers/index.js';
+
+describe('sign-intermediate', function () {
+    let dir;
+
+    const run = args => {
+        const result = runCLI(args, dir);
+
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+
+        return result;
+    };
+    const fail = (args, pattern) => {
+        const result = runCLI(args, dir);
+
+        assert.notStrictEqual(result.status, 0);
+        assert.ok(pattern.test(result.stdout + result.stderr), result.stdout + result.stderr);
+    };
+    const readChain = file => fs.readFileSync(path.join(dir, file), 'utf8')
+        .match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g)
+        .map(block => new X509Certificate(block));
+    const rawOf = cert => cert.raw.toString('base64');
+    const common = [ '--key-type', 'ec', '--no-key-encryption', '--non-interactive' ];
+    const DAY = 24 * 60 * 60 * 1000;
+
+    before(function () {
+        dir = createTempDir();
+
+        run([ 'sign-ca', 'root', '--subj', '/CN=Root CA' ].concat(common));
+        run([ 'sign-ca', 'other', '--subj', '/CN=Other CA' ].concat(common));
+    });
+
+    after(function () {
+        removeTempDir(dir);
+    });
+
+    it('is valid for a year by default, without warning', function () {
+        const result = run([ 'sign-intermediate', 'issuing', '--subj', '/CN=Issuing CA', '--pathlen', '1',
+            '--ca', 'root.crt', '--cakey', 'root.key' ].concat(common));
+        const [ cert ] = readChain('issuing.crt');
+        const lifetime = new Date(cert.validTo) - Date.now();
+
+        assert.ok(!/Validity cut/.test(result.stdout), result.stdout);
+        assert.ok(lifetime > 364 * DAY && lifetime <= 365 * DAY, cert.validTo);
+        assert.ok(new Date(cert.validTo) < new Date(readChain('root.crt')[0].validTo));
+    });
+
+    it('stops at the end of the issuer by default, without warning', function () {
+        run([ 'sign-ca', 'short', '--subj', '/CN=Short Root CA', '--days', '30' ].concat(common));
+
+        const result = run([ 'sign-intermediate', 'short-issuing', '--subj', '/CN=Short Issuing CA',
+            '--ca', 'short.crt', '--cakey', 'short.key' ].concat(common));
+
+        assert.ok(!/Validity cut/.test(result.stdout), result.stdout);
+        assert.strictEqual(readChain('short-issuing.crt')[0].validTo, readChain('short.crt')[0].validTo);
+    });
+
+    it('writes the chain without the root, the leaves it signs too', function () {
+        assert.deepStrictEqual(readChain('issuing.chain.crt').map(rawOf), [ rawOf(readChain('issuing.crt')[0]) ]);
+
+        run([ 'sign-intermediate', 'team', '--subj', '/CN=Team CA',
+            '--ca', 'issuing.chain.crt', '--cakey', 'issuing.key' ].concat(common));
+        run([ 'sign-server', 'server', '--subj', '/CN=www.azura.test',
+            '--ca', 'team.chain.crt', '--cakey', 'team.key' ].concat(common));
+
+        assert.deepStrictEqual(readChain('team.chain.crt').map(rawOf),
+            [ 'team.crt', 'issuing.crt' ].map(file => rawOf(readChain(file)[0])));
+        assert.deepStrictEqual(readChain('server.chain.crt').map(rawOf),
+            [ 'server.crt', 'team.crt', 'issuing.crt' ].map(file => rawOf(readChain(file)[0])));
+
+        run([ 'verify', '--ca', 'root.crt', '--host', 'www.azura.test', 'server.chain.crt' ]);
+    });
+
+    it('enforces the path length of the issuers', function () {
+        // team has the default path length 0, issuing has 1
+        fail([ 'sign-intermediate', 'below-team', '--subj', '/CN=Below Team CA',
+            '--ca', 'team.chain.crt', '--cakey', 'team.key' ].concat(common),
+        /Issuer path length \(0\) does not allow a subordinate CA with path length 0/);
+        fail([ 'sign-intermediate', 'wide', '--subj', '/CN=Wide CA', '--pathlen', '1',
+            '--ca', 'issuing.chain.crt', '--cakey', 'issuing.key' ].concat(common),
+        /Issuer path length \(1\) does not allow a subordinate CA with path length 1/);
+
+        assert.ok(!fs.existsSync(path.join(dir, 'below-team.crt')));
+        assert.ok(!fs.existsSync(path.join(dir, 'wide.crt')));
+    });
+
+    it('refuses a CA key which does not match the CA certificate', function () {
+        fail([ 'sign-intermediate', 'mismatch', '--subj', '/CN=Mismatch CA',
+            '--ca', 'root.crt', '--cakey', 'other.key' ].concat(common),
+        /The CA private key does not match the CA certificate: root\.crt/);
+        fail([ 'sign-server', 'mismatch', '--subj', '/CN=mismatch.test',
+            '--ca', 'root.crt', '--cakey', 'other.key' ].concat(common),
+        /--ca and --cakey/);
+
+        assert.ok(!fs.existsSync(path.join(dir, 'mismatch.crt')));
+    });
+});
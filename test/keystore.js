@@ -0,0 +1,131 @@
+/**
+ * test/keystore.js
+ *
+ * Java KeyStores: the entries written by toKeyStore are read back by
+ * fromKeyStore, RSA and EC keys protected with the keystore password,
+ * and a wrong password fails the integrity check
+ */
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+
+import { toKeyStore, fromKeyStore, isKeyStore } from '../src/keystore.js';
+import { certificateToPem } from '../src/cert.js';
+import { privateKeyToPem } from '../src/keys.js';
+import { issueServerCert } from '../src/index.js';
+import { createTempDir, removeTempDir, runCLI, createTestCA } from './helpers/index.js';
+
+describe('keystore', function () {
+    const date = new Date('2017-08-01T12:00:00Z');
+    let ca, rsa, ec;
+
+    before(function () {
+        return createTestCA()
+            .then(result => {
+                ca = result;
+
+                return Promise.all([
+                    issueServerCert(ca, { subject: '/CN=rsa.azura.test' }),
+                    issueServerCert(ca, { subject: '/CN=ec.azura.test', keyType: 'ec' })
+                ]);
+            })
+            .then(([ rsaResult, ecResult ]) => {
+                rsa = rsaResult;
+                ec = ecResult;
+            });
+    });
+
+    it('reads back private key and trusted certificate entries', function () {
+        const keyStore = toKeyStore([
+            { alias: 'RSA', privateKey: rsa.privateKey, certs: [ rsa.cert, ca.cert ] },
+            { alias: 'ec', privateKey: ec.privateKey, certs: [ ec.cert ] },
+            { alias: 'ca', cert: ca.cert }
+        ], 'changeit', date);
+
+        assert.ok(isKeyStore(keyStore));
+
+        const entries = fromKeyStore(keyStore, 'changeit');
+
+        // keytool lowercases the aliases
+        assert.deepStrictEqual(entries.map(({ alias }) => alias), [ 'rsa', 'ec', 'ca' ]);
+        entries.forEach(entry => assert.strictEqual(entry.date.getTime(), date.getTime()));
+
+        assert.strictEqual(privateKeyToPem(entries[0].privateKey), privateKeyToPem(rsa.privateKey));
+        assert.deepStrictEqual(entries[0].certs.map(certificateToPem), [ rsa.certPem, ca.certPem ]);
+        assert.strictEqual(privateKeyToPem(entries[1].privateKey), privateKeyToPem(ec.privateKey));
+        assert.deepStrictEqual(entries[1].certs.map(certificateToPem), [ ec.certPem ]);
+        assert.strictEqual(entries[2].privateKey, undefined);
+        assert.strictEqual(certificateToPem(entries[2].cert), ca.certPem);
+    });
+
+    it('protects the private keys with the password', function () {
+        const keyStore = toKeyStore([{ alias: 'ec', privateKey: ec.privateKey, certs: [ ec.cert ] }], 'changeit');
+        const keyDer = ec.keyDer.toString('binary');
+
+        assert.strictEqual(keyStore.toString('binary').indexOf(keyDer), -1);
+    });
+
+    it('fails the integrity check with a wrong password', function () {
+        const keyStore = toKeyStore([{ alias: 'rsa', privateKey: rsa.privateKey, certs: [ rsa.cert ] }], 'changeit');
+        const tampered = Buffer.from(keyStore);
+
+        // a letter of the alias of the entry
+        tampered[20] ^= 1;
+
+        assert.throws(() => fromKeyStore(keyStore, 'letmein'),
+            /Keystore was tampered with, or the passphrase is incorrect/);
+        assert.throws(() => fromKeyStore(tampered, 'changeit'), /Keystore was tampered with/);
+        assert.throws(() => fromKeyStore(keyStore.slice(0, 8), 'changeit'), /Keystore/);
+        assert.throws(() => fromKeyStore(Buffer.from(ca.certDer), 'changeit'), /Not a Java KeyStore/);
+    });
+
+    it('refuses aliases used more than once', function () {
+        assert.throws(() => toKeyStore([
+            { alias: 'CA', cert: ca.cert },
+            { alias: 'ca', cert: rsa.cert }
+        ], 'changeit'), /Keystore alias used more than once: ca/);
+    });
+
+    describe('export-keystore', function () {
+        let dir;
+
+        const read = file => fs.readFileSync(path.join(dir, file));
+
+        before(function () {
+            dir = createTempDir();
+
+            fs.writeFileSync(path.join(dir, 'ca.crt'), ca.certPem);
+            fs.writeFileSync(path.join(dir, 'server.crt'), ec.certPem);
+            fs.writeFileSync(path.join(dir, 'server.key'), ec.keyPem);
+        });
+
+        after(function () {
+            removeTempDir(dir);
+        });
+
+        it('writes the keystore with the chain up to --ca and the truststore', function () {
+            const result = runCLI([ 'export-keystore', 'server', '--cert', 'server.crt', '--key', 'server.key',
+                '--ca', 'ca.crt', '--storepass', 'pass:changeit', '--non-interactive' ], dir);
+
+            assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+
+            const [ entry ] = fromKeyStore(read('server.jks'), 'changeit');
+            const trusted = fromKeyStore(read('server.truststore.jks'), 'changeit');
+
+            assert.strictEqual(entry.alias, 'server');
+            assert.strictEqual(privateKeyToPem(entry.privateKey), privateKeyToPem(ec.privateKey));
+            assert.deepStrictEqual(entry.certs.map(certificateToPem), [ ec.certPem, ca.certPem ]);
+            assert.deepStrictEqual(trusted.map(({ alias, cert }) => [ alias, certificateToPem(cert) ]),
+                [[ 'ca', ca.certPem ]]);
+        });
+
+        it('refuses a password keytool would refuse', function () {
+            const result = runCLI([ 'export-keystore', 'short', '--ca', 'ca.crt', '--storepass', 'pass:12345',
+                '--non-interactive' ], dir);
+
+            assert.notStrictEqual(result.status, 0);
+            assert.ok(/at least 6 characters/.test(result.stdout + result.stderr), result.stdout);
+            assert.ok(!fs.existsSync(path.join(dir, 'short.truststore.jks')));
+        });
+    });
+});
@@ -0,0 +1,292 @@
+/**
+ * test/ocsp.js
+ *
+ * OCSP requests decoded by parseOCSPRequest, responses built from the
+ * issuance records and the responder answering over HTTP
+ */
+import assert from 'assert';
+import http from 'http';
+import { createHash } from 'crypto';
+import { asn1, pki, util } from 'node-forge';
+import Promise from 'bluebird';
+
+import {
+    parseOCSPRequest,
+    getCertificateStatuses,
+    createOCSPResponse,
+    createOCSPServer } from '../src/ocsp.js';
+import { readIndex, recordCertificate, revokeCertificate } from '../src/store.js';
+import { getPublicKeyBits, verify } from '../src/keys.js';
+import { issueServerCert } from '../src/index.js';
+import { createTempDir, removeTempDir, createTestCA } from './helpers/index.js';
+
+const OID_SHA1 = '1.3.14.3.2.26';
+const OID_OCSP_BASIC = '1.3.6.1.5.5.7.48.1.1';
+const OID_OCSP_NONCE = '1.3.6.1.5.5.7.48.1.2';
+
+/**
+ * Encode an OCSPRequest asking for the status of the given certificates,
+ * the way `openssl ocsp` does
+ * @param  {Array}       certs  certificates issued by the CA
+ * @param  {Certificate} CACert
+ * @param  {?string}     nonce  binary string
+ * @return {string}             DER, binary string
+ */
+function createOCSPRequest(certs, CACert, nonce) {
+    const sha1 = bytes => createHash('sha1').update(Buffer.from(bytes, 'binary')).digest('binary');
+    // subject of the TBSCertificate
+    const issuerDer = asn1.toDer(pki.certificateToAsn1(CACert).value[0].value[5]).getBytes();
+    const tbsRequest = [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, certs.map(cert =>
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+                asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+                    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+                        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(OID_SHA1).getBytes()),
+                        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')
+                    ]),
+                    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, sha1(issuerDer)),
+                    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false,
+                        sha1(getPublicKeyBits(CACert.publicKey))),
+                    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, util.hexToBytes(cert.serialNumber))
+                ])
+            ])))
+    ];
+
+    if (nonce) {
+        tbsRequest.push(asn1.create(asn1.Class.CONTEXT_SPECIFIC, 2, true, [
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+                asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+                    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(OID_OCSP_NONCE).getBytes()),
+                    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, asn1.toDer(
+                        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, nonce)).getBytes())
+                ])
+            ])
+        ]));
+    }
+
+    return asn1.toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, tbsRequest)
+    ])).getBytes();
+}
+
+/**
+ * Decode an OCSPResponse
+ * @param  {string} der binary string
+ * @return {Object}     { status, statuses, nonce, tbs, signature, signatureOid }
+ */
+function decodeOCSPResponse(der) {
+    const [ responseStatus, responseBytes ] = asn1.fromDer(der).value;
+    const status = responseStatus.value.charCodeAt(0);
+
+    if (!responseBytes) {
+        return { status };
+    }
+
+    const [ type, response ] = responseBytes.value[0].value;
+
+    assert.strictEqual(asn1.derToOid(type.value), OID_OCSP_BASIC);
+
+    const [ tbs, signatureAlgorithm, signature ] = asn1.fromDer(response.value, { decodeBitStrings: false }).value;
+    const extensions = tbs.value.find(node => node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === 1);
+
+    return {
+        status,
+        // good [0], revoked [1], unknown [2]
+        statuses: tbs.value[2].value.map(single => ({
+            serial: util.bytesToHex(single.value[0].value[3].value),
+            status: ['good', 'revoked', 'unknown'][single.value[1].type]
+        })),
+        nonce: extensions && extensions.value[0].value[0].value[1].value,
+        tbs: asn1.toDer(tbs).getBytes(),
+        signature: signature.value.substr(1),
+        signatureOid: asn1.derToOid(signatureAlgorithm.value[0].value)
+    };
+}
+
+/**
+ * Send a request to the responder
+ * @param  {Server}  server listening
+ * @param  {Object}  options http.request options, e.g. { method: 'GET', path: '/...' }
+ * @param  {?string} body    DER, binary string
+ * @return {Promise}         DER of the response, binary string
+ */
+function sendRequest(server, options, body) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(Object.assign({
+            host: '127.0.0.1',
+            port: server.address().port,
+            headers: { 'Content-Type': 'application/ocsp-request' }
+        }, options), res => {
+            const chunks = [];
+
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve(Buffer.concat(chunks).toString('binary')));
+        });
+
+        req.on('error', reject);
+        req.end(body && Buffer.from(body, 'binary'));
+    });
+}
+
+describe('OCSP', function () {
+    let home, ca, otherCA, good, revoked, foreign;
+
+    before(function () {
+        home = createTempDir();
+
+        return Promise.all([ createTestCA(), createTestCA({ subject: '/CN=Other CA', keyType: 'ec' }) ])
+            .then(([ result, otherResult ]) => {
+                ca = result;
+                otherCA = otherResult;
+
+                return Promise.all([
+                    issueServerCert(ca, { subject: '/CN=good.test', keyType: 'ec' }),
+                    issueServerCert(ca, { subject: '/CN=revoked.test', keyType: 'ec' }),
+                    issueServerCert(otherCA, { subject: '/CN=foreign.test', keyType: 'ec' })
+                ]);
+            })
+            .then(results => {
+                [ good, revoked, foreign ] = results.map(({ cert }) => cert);
+
+                return Promise.each([ good, revoked, foreign ], cert => recordCertificate(home, {
+                    cert,
+                    CACert: cert === foreign ? otherCA.cert : ca.cert,
+                    profile: 'server'
+                }));
+            })
+            .then(() => revokeCertificate(home, revoked.serialNumber, 'keyCompromise'));
+    });
+
+    after(function () {
+        removeTempDir(home);
+    });
+
+    it('decodes the CertIDs and the nonce of a request', function () {
+        const request = parseOCSPRequest(createOCSPRequest([ good, revoked ], ca.cert, 'nonce-0123456789'));
+
+        assert.deepStrictEqual(request.requests.map(({ hashAlgorithm, serial }) => ({ hashAlgorithm, serial })), [
+            { hashAlgorithm: 'sha1', serial: good.serialNumber },
+            { hashAlgorithm: 'sha1', serial: revoked.serialNumber }
+        ]);
+        assert.ok(request.nonce);
+    });
+
+    it('answers good, revoked and unknown from the records of the CA', function () {
+        const request = parseOCSPRequest(createOCSPRequest([ good, revoked, foreign ], ca.cert));
+
+        return readIndex(home)
+            .then(records => {
+                const statuses = getCertificateStatuses(request, ca.cert, records);
+
+                assert.deepStrictEqual(statuses.map(({ status }) => status), ['good', 'revoked', 'unknown']);
+
+                const response = decodeOCSPResponse(asn1.toDer(createOCSPResponse({
+                    CACert: ca.cert,
+                    CAKey: ca.privateKey,
+                    statuses
+                })).getBytes());
+
+                assert.strictEqual(response.status, 0);
+                assert.deepStrictEqual(response.statuses, [
+                    { serial: good.serialNumber, status: 'good' },
+                    { serial: revoked.serialNumber, status: 'revoked' },
+                    { serial: foreign.serialNumber, status: 'unknown' }
+                ]);
+                assert.strictEqual(response.nonce, undefined);
+                assert.ok(verify(ca.cert.publicKey, response.tbs, response.signature, response.signatureOid));
+            });
+    });
+
+    describe('responder', function () {
+        let server;
+
+        before(function (done) {
+            server = createOCSPServer({
+                CACert: ca.cert,
+                CAKey: ca.privateKey,
+                home
+            });
+            server.listen(0, '127.0.0.1', done);
+        });
+
+        after(function (done) {
+            server.close(done);
+        });
+
+        it('answers requests sent with POST and echoes the nonce', function () {
+            return sendRequest(server, { method: 'POST', path: '/' },
+                createOCSPRequest([ revoked ], ca.cert, 'nonce-0123456789'))
+                .then(der => {
+                    const response = decodeOCSPResponse(der);
+
+                    assert.deepStrictEqual(response.statuses, [{ serial: revoked.serialNumber, status: 'revoked' }]);
+                    assert.strictEqual(asn1.fromDer(response.nonce).value, 'nonce-0123456789');
+                });
+        });
+
+        it('answers requests sent with GET, their base64 holding "/"', function () {
+            // Two 0xff bytes in a row make a "/" whatever their offset in the base64 groups
+            const nonce = 'nonce-\xff\xff\xff';
+            const encoded = Buffer.from(createOCSPRequest([ good ], ca.cert, nonce), 'binary').toString('base64');
+
+            assert.ok(encoded.indexOf('/') !== -1);
+
+            return sendRequest(server, { method: 'GET', path: `/${encodeURIComponent(encoded)}` })
+                .then(der => {
+                    const response = decodeOCSPResponse(der);
+
+                    assert.deepStrictEqual(response.statuses, [{ serial: good.serialNumber, status: 'good' }]);
+                    assert.strictEqual(asn1.fromDer(response.nonce).value, nonce);
+
+                    // Clients do not always escape "/"
+                    return sendRequest(server, { method: 'GET', path: `/${encoded}` });
+                })
+                .then(der => {
+                    assert.deepStrictEqual(decodeOCSPResponse(der).statuses,
+                        [{ serial: good.serialNumber, status: 'good' }]);
+                });
+        });
+
+        it('answers malformedRequest to garbage', function () {
+            return sendRequest(server, { method: 'POST', path: '/' }, 'not an OCSP request')
+                .then(der => {
+                    assert.deepStrictEqual(decodeOCSPResponse(der), { status: 1 });
+                });
+        });
+    });
+
+    describe('responder at a path', function () {
+        let server;
+
+        before(function (done) {
+            server = createOCSPServer({
+                CACert: ca.cert,
+                CAKey: ca.privateKey,
+                home,
+                path: '/ocsp'
+            });
+            server.listen(0, '127.0.0.1', done);
+        });
+
+        after(function (done) {
+            server.close(done);
+        });
+
+        it('strips its path from requests sent with GET', function () {
+            const encoded = Buffer.from(createOCSPRequest([ revoked ], ca.cert), 'binary').toString('base64');
+
+            return sendRequest(server, { method: 'GET', path: `/ocsp/${encodeURIComponent(encoded)}` })
+                .then(der => {
+                    assert.deepStrictEqual(decodeOCSPResponse(der).statuses,
+                        [{ serial: revoked.serialNumber, status: 'revoked' }]);
+
+                    return sendRequest(server, { method: 'POST', path: '/ocsp' },
+                        createOCSPRequest([ revoked ], ca.cert));
+                })
+                .then(der => {
+                    assert.deepStrictEqual(decodeOCSPResponse(der).statuses,
+                        [{ serial: revoked.serialNumber, status: 'revoked' }]);
+                });
+        });
+    });
+});
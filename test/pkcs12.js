@@ -0,0 +1,51 @@
+/**
+ * test/pkcs12.js
+ *
+ * PKCS#12 truststores: the trusted key usage Java looks for is read back
+ * without registering it in forge
+ */
+import assert from 'assert';
+import { asn1, pki } from 'node-forge';
+
+import { createTrustStore, createP12Archive } from '../src/cert.js';
+import { decodePkcs12Asn1, isTrustedBag } from '../src/pkcs12.js';
+import { createTestCA } from './helpers/index.js';
+
+const TRUSTED_KEY_USAGE = '2.16.840.1.113894.746875.1.1';
+
+describe('PKCS#12', function () {
+    let ca;
+
+    const certBagsOf = obj => {
+        const p12 = decodePkcs12Asn1(asn1.fromDer(asn1.toDer(obj).getBytes()), 'changeit');
+
+        return p12.getBags({ bagType: pki.oids.certBag })[pki.oids.certBag];
+    };
+
+    before(function () {
+        return createTestCA()
+            .then(result => {
+                ca = result;
+            });
+    });
+
+    it('tells the certificates of a truststore are trusted, leaving forge OIDs as they are', function () {
+        const bags = certBagsOf(createTrustStore({
+            certs: [{ alias: 'ca', cert: ca.cert }],
+            passphrase: 'changeit'
+        }));
+
+        assert.deepStrictEqual(bags.map(isTrustedBag), [ true ]);
+        assert.strictEqual(pki.oids[TRUSTED_KEY_USAGE], undefined);
+    });
+
+    it('tells the certificates of a key archive are not', function () {
+        const bags = certBagsOf(createP12Archive({
+            privateKey: ca.privateKey,
+            cert: ca.cert,
+            passphrase: 'changeit'
+        }));
+
+        assert.deepStrictEqual(bags.map(isTrustedBag), [ false ]);
+    });
+});
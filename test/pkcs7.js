@@ -0,0 +1,97 @@
+/**
+ * test/pkcs7.js
+ *
+ * sign-file and verify-file: the signer needs the codeSigning extended
+ * key usage, emailProtection for S/MIME certificates
+ */
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+
+import { certificateFromPem } from '../src/cert.js';
+import { privateKeyFromPem } from '../src/keys.js';
+import { createDetachedSignature, writeSignature } from '../src/pkcs7.js';
+import { createTempDir, removeTempDir, runCLI } from './helpers/index.js';
+
+describe('sign-file and verify-file', function () {
+    let dir;
+
+    const run = args => runCLI(args, dir);
+    const succeed = args => {
+        const result = run(args);
+
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    };
+    const signFile = (name, args = []) =>
+        run([ 'sign-file', 'app.tar.gz', '--cert', `${name}.crt`, '--key', `${name}.key`,
+            '--out', `${name}.p7s`, '--non-interactive' ].concat(args));
+    const verifyFile = (name, args = []) =>
+        run([ 'verify-file', 'app.tar.gz', `${name}.p7s`, '--ca', 'ca.crt' ].concat(args));
+
+    before(function () {
+        dir = createTempDir();
+        fs.writeFileSync(path.join(dir, 'app.tar.gz'), 'build artifact');
+
+        const common = [ '--key-type', 'ec', '--no-key-encryption', '--non-interactive' ];
+        const issued = common.concat([ '--ca', 'ca.crt', '--cakey', 'ca.key' ]);
+
+        succeed([ 'sign-ca', 'ca', '--subj', '/CN=Files CA' ].concat(common));
+        succeed([ 'sign-codesign', 'build', '--subj', '/CN=Build' ].concat(issued));
+        succeed([ 'sign-email', 'alice', '--subj', '/CN=Alice', '--email', 'alice@azura.test', '--p12-pass', 'pass:secret' ].concat(issued));
+        succeed([ 'sign-server', 'www', '--subj', '/CN=www.azura.test' ].concat(issued));
+    });
+
+    after(function () {
+        removeTempDir(dir);
+    });
+
+    it('requires codeSigning from code signing certificates', function () {
+        assert.strictEqual(signFile('build').status, 0);
+
+        const result = verifyFile('build');
+
+        assert.strictEqual(result.status, 0, result.stdout);
+        assert.ok(/OK {4}purpose: extKeyUsage allows codeSigning/.test(result.stdout), result.stdout);
+    });
+
+    it('requires emailProtection from S/MIME certificates', function () {
+        assert.strictEqual(signFile('alice').status, 0);
+
+        const result = verifyFile('alice');
+
+        assert.strictEqual(result.status, 0, result.stdout);
+        assert.ok(/OK {4}purpose: extKeyUsage allows emailProtection/.test(result.stdout), result.stdout);
+
+        const forCode = verifyFile('alice', [ '--purpose', 'codesign' ]);
+
+        assert.notStrictEqual(forCode.status, 0);
+        assert.ok(/FAIL {2}purpose: extKeyUsage allows codeSigning/.test(forCode.stdout), forCode.stdout);
+    });
+
+    it('refuses to sign with a server certificate', function () {
+        const result = signFile('www');
+
+        assert.notStrictEqual(result.status, 0);
+        assert.ok(/lacks the codeSigning extended key usage/.test(result.stdout + result.stderr), result.stdout);
+        assert.ok(!fs.existsSync(path.join(dir, 'www.p7s')));
+    });
+
+    it('fails signatures of certificates without extKeyUsage', function () {
+        const read = file => fs.readFileSync(path.join(dir, file), 'utf8');
+
+        // sign-file refuses the CA itself, sign as another tool would
+        assert.notStrictEqual(signFile('ca').status, 0);
+
+        return writeSignature(createDetachedSignature({
+            content: Buffer.from(read('app.tar.gz')),
+            cert: certificateFromPem(read('ca.crt')),
+            privateKey: privateKeyFromPem(read('ca.key'))
+        }), path.join(dir, 'ca.p7s'))
+            .then(() => {
+                const result = verifyFile('ca');
+
+                assert.notStrictEqual(result.status, 0);
+                assert.ok(/FAIL {2}purpose: extKeyUsage allows codeSigning/.test(result.stdout), result.stdout);
+            });
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * test/renew.js
+ *
+ * renew: the CA given must have issued the certificate, the new key of
+ * --rekey is encrypted unless told otherwise, the PKCS#12 archive is rebuilt
+ * with the existing key given its passphrase
+ */
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { asn1 } from 'node-forge';
+
+import { certificateFromPem } from '../src/cert.js';
+import { privateKeyFromPem } from '../src/keys.js';
+import { fromPkcs12Asn1 } from '../src/pkcs12.js';
+import { createTempDir, removeTempDir, runCLI } from './helpers/index.js';
+
+describe('renew', function () {
+    let dir;
+
+    const run = args => runCLI(args, dir);
+    const readKey = () => fs.readFileSync(path.join(dir, 'server.key'), 'utf8');
+
+    before(function () {
+        dir = createTempDir();
+
+        // Two CAs with the same DN, only "ca" issued the certificate
+        [ 'ca', 'other' ].forEach(name => {
+            const result = run([ 'sign-ca', name, '--subj', '/CN=Renew CA', '--key-type', 'ec',
+                '--no-key-encryption', '--non-interactive' ]);
+
+            assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+        });
+
+        const result = run([ 'sign-server', 'server', '--subj', '/CN=renew.test', '--key-type', 'ec',
+            '--ca', 'ca.crt', '--cakey', 'ca.key', '--no-key-encryption', '--non-interactive' ]);
+
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    });
+
+    after(function () {
+        removeTempDir(dir);
+    });
+
+    it('refuses a CA with the same name but another key', function () {
+        const serverPem = fs.readFileSync(path.join(dir, 'server.crt'), 'utf8');
+        const result = run([ 'renew', 'server.crt', '--ca', 'other.crt', '--cakey', 'other.key', '--non-interactive' ]);
+
+        assert.notStrictEqual(result.status, 0);
+        assert.ok(/not issued by the given CA/.test(result.stdout + result.stderr), result.stdout + result.stderr);
+        assert.strictEqual(fs.readFileSync(path.join(dir, 'server.crt'), 'utf8'), serverPem);
+    });
+
+    it('requires a passphrase source for the new key in non-interactive mode', function () {
+        const result = run([ 'renew', 'server.crt', '--rekey', '--ca', 'ca.crt', '--cakey', 'ca.key', '--non-interactive' ]);
+
+        assert.notStrictEqual(result.status, 0);
+        assert.ok(/--passout/.test(result.stdout + result.stderr), result.stdout + result.stderr);
+    });
+
+    it('encrypts the new key with --passout', function () {
+        const keyPem = readKey();
+        const result = run([ 'renew', 'server.crt', '--rekey', '--passout', 'pass:secret',
+            '--ca', 'ca.crt', '--cakey', 'ca.key', '--non-interactive' ]);
+
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+        assert.notStrictEqual(readKey(), keyPem);
+        assert.ok(/ENCRYPTED/.test(readKey()));
+        assert.ok(privateKeyFromPem(readKey(), 'secret'));
+    });
+
+    it('rebuilds the PKCS#12 archive of a client with its encrypted key in non-interactive mode', function () {
+        const issued = run([ 'sign-client', 'client', '--subj', '/CN=renew client', '--passout', 'pass:keypass',
+            '--p12-pass', 'pass:p12pass', '--ca', 'ca.crt', '--cakey', 'ca.key', '--non-interactive' ]);
+
+        assert.strictEqual(issued.status, 0, issued.stdout + issued.stderr);
+
+        const args = [ 'renew', 'client.crt', '--p12-pass', 'pass:p12pass',
+            '--ca', 'ca.crt', '--cakey', 'ca.key', '--non-interactive' ];
+        const refused = run(args);
+
+        assert.notStrictEqual(refused.status, 0);
+        assert.ok(/--key-passin/.test(refused.stdout + refused.stderr), refused.stdout + refused.stderr);
+
+        const result = run(args.concat([ '--key-passin', 'pass:keypass' ]));
+        const serial = certificateFromPem(fs.readFileSync(path.join(dir, 'client.crt'), 'utf8')).serialNumber;
+        const { certs } = fromPkcs12Asn1(asn1.fromDer(fs.readFileSync(path.join(dir, 'client.p12'), 'binary')), 'p12pass');
+
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+        assert.strictEqual(certs[0].serialNumber, serial);
+    });
+});
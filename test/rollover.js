@@ -0,0 +1,62 @@
+/**
+ * test/rollover.js
+ *
+ * rollover: certificates issued with the bundle of the new root and its
+ * cross certificate are accepted by clients trusting either root
+ */
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { X509Certificate } from 'crypto';
+
+import { createTempDir, removeTempDir, runCLI } from './helpers/index.js';
+
+describe('rollover', function () {
+    let dir;
+
+    const run = args => {
+        const result = runCLI(args, dir);
+
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    };
+    const readChain = file => fs.readFileSync(path.join(dir, file), 'utf8')
+        .match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g)
+        .map(block => new X509Certificate(block));
+    const common = [ '--key-type', 'ec', '--no-key-encryption', '--non-interactive' ];
+
+    before(function () {
+        dir = createTempDir();
+
+        run([ 'sign-ca', 'root', '--subj', '/CN=Root CA' ].concat(common));
+        run([ 'rollover', 'root-2', '--subj', '/CN=Root CA 2', '--transition', '90d',
+            '--ca', 'root.crt', '--cakey', 'root.key' ].concat(common));
+    });
+
+    after(function () {
+        removeTempDir(dir);
+    });
+
+    it('bundles the new root with its cross certificate', function () {
+        const [ root2, cross ] = readChain('root-2.chain.crt');
+
+        assert.strictEqual(root2.raw.toString('base64'), readChain('root-2.crt')[0].raw.toString('base64'));
+        assert.strictEqual(cross.raw.toString('base64'), readChain('root-2.cross.crt')[0].raw.toString('base64'));
+    });
+
+    it('serves the cross certificate after the leaves issued with the bundle', function () {
+        run([ 'sign-server', 'server', '--subj', '/CN=www.azura.test',
+            '--ca', 'root-2.chain.crt', '--cakey', 'root-2.key' ].concat(common));
+
+        const chain = readChain('server.chain.crt');
+
+        assert.strictEqual(chain.length, 2);
+        assert.strictEqual(chain[0].raw.toString('base64'), readChain('server.crt')[0].raw.toString('base64'));
+        assert.strictEqual(chain[1].raw.toString('base64'), readChain('root-2.cross.crt')[0].raw.toString('base64'));
+
+        // Not cut short by the transition window of the cross certificate
+        assert.ok(new Date(chain[0].validTo) > new Date(chain[1].validTo));
+
+        run([ 'verify', '--ca', 'root.crt', '--host', 'www.azura.test', 'server.chain.crt' ]);
+        run([ 'verify', '--ca', 'root-2.crt', '--host', 'www.azura.test', 'server.chain.crt' ]);
+    });
+});
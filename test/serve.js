@@ -0,0 +1,101 @@
+/**
+ * test/serve.js
+ *
+ * serve and probe: the test server presents the chain of its certificate,
+ * probe trusts it with --ca only, and mutual TLS requires a client
+ * certificate issued by the --ca of the server
+ */
+import assert from 'assert';
+
+import { createTempDir, removeTempDir, runCLI, startCLI } from './helpers/index.js';
+
+describe('serve and probe', function () {
+    const servers = [];
+    let dir;
+
+    const run = args => {
+        const result = runCLI(args, dir);
+
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+
+        return result.stdout;
+    };
+    // Ready once the address and the client certificate policy are printed
+    const READY = /at (https:\/\/\S+)[\s\S]*Press Ctrl-C/;
+    const serve = args => startCLI([ 'serve', '--cert', 'server.chain.crt', '--key', 'server.key',
+        '--host', '127.0.0.1', '--port', '0', '--non-interactive' ].concat(args), dir, READY)
+        .then(server => {
+            servers.push(server);
+
+            return server;
+        });
+    const common = [ '--key-type', 'ec', '--no-key-encryption', '--non-interactive' ];
+
+    before(function () {
+        dir = createTempDir();
+
+        run([ 'sign-ca', 'ca', '--subj', '/CN=Serve CA' ].concat(common));
+        run([ 'sign-intermediate', 'inter', '--subj', '/CN=Serve Inter CA', '--ca', 'ca.crt', '--cakey', 'ca.key' ]
+            .concat(common));
+        run([ 'sign-server', 'server', '--subj', '/CN=localhost', '--ip', '127.0.0.1',
+            '--ca', 'inter.chain.crt', '--cakey', 'inter.key' ].concat(common));
+        run([ 'sign-client', 'client', '--subj', '/CN=Client', '--ca', 'ca.crt', '--cakey', 'ca.key',
+            '--p12-pass', 'pass:secret' ].concat(common));
+    });
+
+    after(function () {
+        servers.forEach(({ child }) => child.kill());
+        removeTempDir(dir);
+    });
+
+    it('serves the chain of the certificate to the clients trusting --ca', function () {
+        return serve([])
+            .then(({ match, output }) => {
+                const url = match[1];
+                const stdout = run([ 'probe', url, '--ca', 'ca.crt', '--non-interactive' ]);
+
+                assert.ok(/Serving \/CN=localhost at https:\/\/127\.0\.0\.1:\d+\nClient certificates: not requested/
+                    .test(output()), output());
+                assert.ok(stdout.indexOf(`Connected to ${url}`) !== -1, stdout);
+                // The intermediate comes with the certificate, the root from --ca
+                assert.ok(/\n {2}Server Certificate: +\/CN=localhost\n {4}Issued By: +\/CN=Serve Inter CA\n/
+                    .test(stdout), stdout);
+                assert.ok(/\n {2}Issuer: +\/CN=Serve Inter CA\n/.test(stdout), stdout);
+                assert.ok(/\n {2}HTTP Status: +200\n/.test(stdout), stdout);
+                assert.strictEqual(JSON.parse(stdout.slice(stdout.indexOf('{'))).client, null);
+
+                const untrusted = runCLI([ 'probe', url, '--non-interactive' ], dir);
+
+                assert.notStrictEqual(untrusted.status, 0);
+                assert.ok(/please specify the CA certificates with --ca/.test(untrusted.stdout), untrusted.stdout);
+            });
+    });
+
+    it('requires client certificates issued by --ca with --require-client-cert', function () {
+        return serve([ '--ca', 'ca.crt', '--require-client-cert' ])
+            .then(({ match, output }) => {
+                const url = match[1];
+                const anonymous = runCLI([ 'probe', url, '--ca', 'ca.crt', '--non-interactive' ], dir);
+
+                assert.ok(/Client certificates: required/.test(output()), output());
+                assert.notStrictEqual(anonymous.status, 0);
+                assert.ok(/please specify it with --cert and --key/.test(anonymous.stdout), anonymous.stdout);
+
+                const stdout = run([ 'probe', url, '--ca', 'ca.crt', '--cert', 'client.crt', '--key', 'client.key',
+                    '--non-interactive' ]);
+                const { client } = JSON.parse(stdout.slice(stdout.indexOf('{')));
+
+                assert.strictEqual(client.subject, '/CN=Client');
+                assert.strictEqual(client.issuer, '/CN=Serve CA');
+                assert.strictEqual(client.authorized, true);
+            });
+    });
+
+    it('refuses --require-client-cert without --ca', function () {
+        const result = runCLI([ 'serve', '--cert', 'server.chain.crt', '--key', 'server.key', '--port', '0',
+            '--require-client-cert', '--non-interactive' ], dir);
+
+        assert.notStrictEqual(result.status, 0);
+        assert.ok(/--require-client-cert needs the CA certificates/.test(result.stdout), result.stdout);
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * test/sign.js
+ *
+ * the leaf sign commands: key encryption and what they refuse to issue
+ */
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+
+import { privateKeyFromPem } from '../src/keys.js';
+import { createTempDir, removeTempDir, runCLI } from './helpers/index.js';
+
+describe('sign-server', function () {
+    let dir;
+
+    const signServer = (name, args) => runCLI([ 'sign-server', name, '--ca', 'ca.crt', '--cakey', 'ca.key',
+        '--key-type', 'ec', '--non-interactive' ].concat(args), dir);
+    const readKey = name => fs.readFileSync(path.join(dir, `${name}.key`), 'utf8');
+
+    before(function () {
+        dir = createTempDir();
+
+        const result = runCLI([ 'sign-ca', 'ca', '--subj', '/CN=Sign CA', '--key-type', 'ec',
+            '--no-key-encryption', '--non-interactive' ], dir);
+
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    });
+
+    after(function () {
+        removeTempDir(dir);
+    });
+
+    it('encrypts the private key with --passout', function () {
+        const result = signServer('encrypted', [ '--subj', '/CN=encrypted.test', '--passout', 'pass:secret' ]);
+
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+        assert.ok(/ENCRYPTED/.test(readKey('encrypted')));
+        assert.ok(privateKeyFromPem(readKey('encrypted'), 'secret'));
+    });
+
+    it('writes the private key unencrypted with --no-key-encryption', function () {
+        const result = signServer('clear', [ '--subj', '/CN=clear.test', '--no-key-encryption' ]);
+
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+        assert.ok(!/ENCRYPTED/.test(readKey('clear')));
+    });
+
+    it('requires a passphrase source in non-interactive mode', function () {
+        const result = signServer('missing', [ '--subj', '/CN=missing.test' ]);
+
+        assert.notStrictEqual(result.status, 0);
+        assert.ok(/--passout/.test(result.stdout + result.stderr), result.stdout + result.stderr);
+        assert.ok(!fs.existsSync(path.join(dir, 'missing.crt')));
+    });
+
+    it('refuses a common name which is not a hostname without --dns or --ip', function () {
+        const result = signServer('wildcard', [ '--subj', '/CN=*.test', '--no-key-encryption' ]);
+
+        assert.notStrictEqual(result.status, 0);
+        assert.ok(/--dns, --ip or --san/.test(result.stdout + result.stderr), result.stdout + result.stderr);
+        assert.ok(!fs.existsSync(path.join(dir, 'wildcard.crt')));
+
+        const named = signServer('wildcard', [ '--subj', '/CN=*.test', '--dns', '*.dev.test', '--no-key-encryption' ]);
+
+        assert.strictEqual(named.status, 0, named.stdout + named.stderr);
+    });
+
+    it('refuses the profiles of CA certificates', function () {
+        fs.writeFileSync(path.join(dir, '.azurarc'), JSON.stringify({
+            profiles: { sub: { extends: 'server', extensions: [ 'basicConstraints=critical,CA:TRUE' ] } }
+        }));
+
+        [ 'ca', 'sub' ].forEach(profile => {
+            const result = signServer(`profile-${profile}`, [ '--subj', '/CN=profile.test', '--profile', profile,
+                '--no-key-encryption' ]);
+
+            assert.notStrictEqual(result.status, 0);
+            assert.ok(/issues CA certificates/.test(result.stdout + result.stderr), result.stdout + result.stderr);
+            assert.ok(!fs.existsSync(path.join(dir, `profile-${profile}.crt`)));
+        });
+
+        fs.unlinkSync(path.join(dir, '.azurarc'));
+    });
+});
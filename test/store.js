@@ -0,0 +1,121 @@
+/**
+ * test/store.js
+ *
+ * the CA home: where it is, and records written only along with the
+ * files of the certificates
+ */
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+
+import { resolveCAHome, readIndex, recordCertificate } from '../src/store.js';
+import { issueServerCert } from '../src/index.js';
+import { createTempDir, removeTempDir, createTestCA } from './helpers/index.js';
+
+describe('CA home', function () {
+    let dir, cwd, envHome, ca;
+
+    before(function () {
+        return createTestCA({ keyType: 'ec' })
+            .then(result => {
+                ca = result;
+            });
+    });
+
+    beforeEach(function () {
+        dir = createTempDir();
+        cwd = process.cwd();
+        envHome = process.env.AZURA_SSL_HOME;
+        delete process.env.AZURA_SSL_HOME;
+        process.chdir(dir);
+    });
+
+    afterEach(function () {
+        process.chdir(cwd);
+
+        if (envHome === undefined) {
+            delete process.env.AZURA_SSL_HOME;
+        } else {
+            process.env.AZURA_SSL_HOME = envHome;
+        }
+
+        removeTempDir(dir);
+    });
+
+    const issue = () => issueServerCert(ca, { subject: '/CN=store.test', keyType: 'ec' })
+        .then(({ cert }) => cert);
+
+    describe('resolveCAHome', function () {
+        it('is none unless configured or ./azura-ca exists', function () {
+            assert.strictEqual(resolveCAHome(), null);
+            assert.throws(() => resolveCAHome(undefined, { required: true }), /No CA home directory/);
+
+            fs.mkdirSync(path.join(dir, 'azura-ca'));
+            assert.strictEqual(fs.realpathSync(resolveCAHome()), fs.realpathSync(path.join(dir, 'azura-ca')));
+        });
+
+        it('prefers the given directory, then $AZURA_SSL_HOME', function () {
+            process.env.AZURA_SSL_HOME = 'from-env';
+
+            assert.strictEqual(path.basename(resolveCAHome('given')), 'given');
+            assert.strictEqual(path.basename(resolveCAHome()), 'from-env');
+        });
+    });
+
+    describe('recordCertificate', function () {
+        it('writes the files, then the record', function () {
+            const home = path.join(dir, 'home');
+            let written = false;
+
+            return issue()
+                .then(cert => recordCertificate(home, { cert, CACert: ca.cert, profile: 'server' }, () => {
+                    written = true;
+                    // Not recorded until the files are written
+                    return readIndex(home)
+                        .then(records => assert.deepStrictEqual(records, []));
+                })
+                    .then(record => {
+                        assert.ok(written);
+                        assert.strictEqual(record.serial, cert.serialNumber);
+                        assert.ok(fs.existsSync(path.join(home, 'certs', `${cert.serialNumber}.pem`)));
+
+                        return readIndex(home);
+                    }))
+                .then(records => {
+                    assert.strictEqual(records.length, 1);
+                });
+        });
+
+        it('records nothing when writing the files fails', function () {
+            const home = path.join(dir, 'home');
+
+            return issue()
+                .then(cert => recordCertificate(home, { cert, CACert: ca.cert, profile: 'server' }, () => {
+                    throw new Error('disk full');
+                }))
+                .then(() => assert.fail('expected an error'), err => {
+                    assert.strictEqual(err.message, 'disk full');
+
+                    return readIndex(home);
+                })
+                .then(records => {
+                    assert.deepStrictEqual(records, []);
+                    assert.ok(!fs.existsSync(path.join(home, '.lock')));
+                });
+        });
+
+        it('only writes the files without a CA home', function () {
+            let written = false;
+
+            return issue()
+                .then(cert => recordCertificate(resolveCAHome(), { cert, CACert: ca.cert, profile: 'server' }, () => {
+                    written = true;
+                }))
+                .then(record => {
+                    assert.ok(written);
+                    assert.strictEqual(record, null);
+                    assert.deepStrictEqual(fs.readdirSync(dir), []);
+                });
+        });
+    });
+});
@@ -0,0 +1,114 @@
+/**
+ * test/validity.js
+ *
+ * --days, --not-before and --not-after: certificates start 5 minutes ago
+ * unless told otherwise, never outlive their CA, and server certificates
+ * longer than browsers accept need --force
+ */
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { X509Certificate } from 'crypto';
+
+import { createTempDir, removeTempDir, runCLI } from './helpers/index.js';
+
+describe('validity', function () {
+    let dir;
+
+    const run = args => {
+        const result = runCLI(args, dir);
+
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+
+        return result;
+    };
+    const fail = (args, pattern) => {
+        const result = runCLI(args, dir);
+
+        assert.notStrictEqual(result.status, 0);
+        assert.ok(pattern.test(result.stdout + result.stderr), result.stdout + result.stderr);
+    };
+    const validityOf = name => {
+        const cert = new X509Certificate(fs.readFileSync(path.join(dir, `${name}.crt`)));
+
+        return { notBefore: new Date(cert.validFrom), notAfter: new Date(cert.validTo) };
+    };
+    const common = [ '--key-type', 'ec', '--no-key-encryption', '--non-interactive' ];
+    const issued = common.concat([ '--ca', 'ca.crt', '--cakey', 'ca.key' ]);
+    // Client certificates come with a PKCS#12 archive
+    const p12 = [ '--p12-pass', 'pass:secret' ];
+    const MINUTE = 60 * 1000;
+    const DAY = 24 * 60 * MINUTE;
+
+    before(function () {
+        dir = createTempDir();
+
+        run([ 'sign-ca', 'ca', '--subj', '/CN=Validity CA', '--not-after', '2045-01-01T00:00:00Z' ].concat(common));
+        run([ 'sign-ca', 'short', '--subj', '/CN=Short CA', '--days', '30' ].concat(common));
+    });
+
+    after(function () {
+        removeTempDir(dir);
+    });
+
+    it('starts 5 minutes ago and lasts 397 days by default', function () {
+        run([ 'sign-server', 'default', '--subj', '/CN=default.test' ].concat(issued));
+
+        const { notBefore, notAfter } = validityOf('default');
+        const backdate = Date.now() - notBefore.getTime();
+
+        assert.ok(backdate >= 5 * MINUTE && backdate < 6 * MINUTE, notBefore.toISOString());
+        assert.strictEqual(notAfter - notBefore, 397 * DAY);
+    });
+
+    it('lasts --days from the start', function () {
+        run([ 'sign-server', 'days', '--subj', '/CN=days.test', '--days', '90' ].concat(issued));
+
+        const { notBefore, notAfter } = validityOf('days');
+
+        assert.strictEqual(notAfter - notBefore, 90 * DAY);
+
+        fail([ 'sign-server', 'no-days', '--subj', '/CN=no-days.test', '--days', '0' ].concat(issued),
+            /Invalid number of days: 0/);
+    });
+
+    it('takes the dates of --not-before and --not-after', function () {
+        run([ 'sign-client', 'dates', '--subj', '/CN=Dates', '--not-before', '2030-01-01',
+            '--not-after', '2030-06-30T12:00:00Z' ].concat(issued, p12));
+
+        assert.deepStrictEqual(validityOf('dates'), {
+            notBefore: new Date('2030-01-01T00:00:00Z'),
+            notAfter: new Date('2030-06-30T12:00:00Z')
+        });
+
+        fail([ 'sign-client', 'garbage', '--subj', '/CN=Garbage', '--not-before', 'next monday' ].concat(issued, p12),
+            /Invalid date for --not-before: next monday/);
+        fail([ 'sign-client', 'reversed', '--subj', '/CN=Reversed', '--not-before', '2030-06-30',
+            '--not-after', '2030-01-01' ].concat(issued, p12), /would expire .* before it is valid/);
+        assert.ok(!fs.existsSync(path.join(dir, 'garbage.crt')));
+        assert.ok(!fs.existsSync(path.join(dir, 'reversed.crt')));
+    });
+
+    it('cuts the validity to the end of the CA, with a warning', function () {
+        const result = run([ 'sign-client', 'capped', '--subj', '/CN=Capped', '--days', '90',
+            '--ca', 'short.crt', '--cakey', 'short.key' ].concat(common, p12));
+
+        assert.ok(/Validity cut to the end of the CA certificate/.test(result.stdout), result.stdout);
+        assert.deepStrictEqual(validityOf('capped').notAfter, validityOf('short').notAfter);
+    });
+
+    it('refuses server certificates valid longer than 398 days unless --force is given', function () {
+        fail([ 'sign-server', 'long', '--subj', '/CN=long.test', '--days', '399' ].concat(issued),
+            /browsers refuse more than 398 days\. Use --force to issue it anyway\./);
+        assert.ok(!fs.existsSync(path.join(dir, 'long.crt')));
+
+        const result = run([ 'sign-server', 'long', '--subj', '/CN=long.test', '--days', '399', '--force' ]
+            .concat(issued));
+
+        assert.ok(/Warning: Server certificate is valid for 399 days/.test(result.stdout), result.stdout);
+        assert.strictEqual(validityOf('long').notAfter - validityOf('long').notBefore, 399 * DAY);
+
+        // Client certificates are not concerned
+        run([ 'sign-client', 'long-client', '--subj', '/CN=Long Client', '--days', '800' ].concat(issued, p12));
+    });
+});
@@ -0,0 +1,53 @@
+/**
+ * test/verify.js
+ *
+ * verifyCertificate: chains through CAs with critical extensions forge
+ * does not check itself, e.g. "nameConstraints"
+ */
+import assert from 'assert';
+
+import { verifyCertificate } from '../src/verify.js';
+import { issueServerCert } from '../src/index.js';
+import { createTestCA } from './helpers/index.js';
+
+describe('verifyCertificate', function () {
+    let root, constrained, server;
+
+    before(function () {
+        return createTestCA({ keyType: 'ec' })
+            .then(result => {
+                root = result;
+
+                return createTestCA({
+                    subject: '/CN=Constrained CA/O=Azura',
+                    keyType: 'ec',
+                    issuer: root,
+                    pathLen: 0,
+                    nameConstraints: { permitted: { dns: [ '.test' ] } }
+                });
+            })
+            .then(result => {
+                constrained = result;
+
+                return issueServerCert(constrained, { subject: '/CN=www.azura.test', keyType: 'ec' });
+            })
+            .then(result => {
+                server = result;
+            });
+    });
+
+    it('accepts a leaf issued by a CA with critical name constraints', function () {
+        assert.ok(constrained.cert.getExtension('nameConstraints').critical);
+
+        const checks = verifyCertificate({
+            cert: server.cert,
+            CACerts: [ root.cert ],
+            intermediates: [ constrained.cert ],
+            host: 'www.azura.test',
+            purpose: 'server'
+        });
+
+        assert.deepStrictEqual(checks.filter(({ passed }) => !passed), []);
+        assert.deepStrictEqual(checks.map(({ name }) => name), [ 'validity', 'chain', 'names', 'purpose', 'host' ]);
+    });
+});